@@ -8,9 +8,10 @@ import Sidebar from './components/layout/Sidebar'
 import LoadingSpinner from './components/common/LoadingSpinner'
 
 // Pages
-import { HomePage, AlertsPage, DomainsPage, SubscriptionPage, SettingsPage, NotFoundPage } from './pages/index.js'
+import { HomePage, AlertsPage, DomainsPage, SubscriptionPage, NotFoundPage } from './pages/index.js'
 import LoginPage from './pages/LoginPage'
 import DashboardPage from './pages/DashboardPage'
+import SettingsPage from './pages/SettingsPage'
 
 // Protected Route component
 const ProtectedRoute = ({ children }) => {
@@ -1,4 +1,5 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react'
+import { BrowserProvider } from 'ethers'
 import { apiService } from '../services/api'
 import toast from 'react-hot-toast'
 
@@ -73,8 +74,9 @@ export const AuthProvider = ({ children }) => {
       dispatch({ type: 'SET_TOKEN', payload: token })
     } catch (error) {
       console.error('Token verification failed:', error)
-      // Clear invalid token
+      // Clear invalid tokens
       localStorage.removeItem('domaAlert_token')
+      localStorage.removeItem('domaAlert_refreshToken')
       apiService.setAuthToken(null)
       dispatch({ type: 'LOGOUT' })
     }
@@ -85,17 +87,14 @@ export const AuthProvider = ({ children }) => {
       dispatch({ type: 'SET_LOADING', payload: true })
       
       const response = await apiService.auth.login(credentials)
-      const { user, token } = response.data
-      
-      // Store token
-      localStorage.setItem('domaAlert_token', token)
-      apiService.setAuthToken(token)
-      
-      // Update state
-      dispatch({ type: 'SET_USER', payload: user })
-      dispatch({ type: 'SET_TOKEN', payload: token })
-      
-      toast.success(`Welcome back, ${user.username}!`)
+
+      // Accounts with two-factor enabled need a code before a session starts
+      if (response.data.data.twoFactorRequired) {
+        dispatch({ type: 'SET_LOADING', payload: false })
+        return { success: false, twoFactorRequired: true, challengeToken: response.data.data.challengeToken }
+      }
+
+      startSession(response.data.data)
       return { success: true }
     } catch (error) {
       dispatch({ type: 'SET_LOADING', payload: false })
@@ -105,15 +104,44 @@ export const AuthProvider = ({ children }) => {
     }
   }
 
+  const verifyTwoFactor = async (challengeToken, code) => {
+    try {
+      dispatch({ type: 'SET_LOADING', payload: true })
+
+      const response = await apiService.auth.twoFactorLogin({ challengeToken, code })
+      startSession(response.data.data)
+      return { success: true }
+    } catch (error) {
+      dispatch({ type: 'SET_LOADING', payload: false })
+      const message = error.response?.data?.error?.message || 'Verification failed'
+      toast.error(message)
+      return { success: false, error: message }
+    }
+  }
+
+  const startSession = ({ user, token, refreshToken }) => {
+    // Store tokens
+    localStorage.setItem('domaAlert_token', token)
+    localStorage.setItem('domaAlert_refreshToken', refreshToken)
+    apiService.setAuthToken(token)
+
+    // Update state
+    dispatch({ type: 'SET_USER', payload: user })
+    dispatch({ type: 'SET_TOKEN', payload: token })
+
+    toast.success(`Welcome back, ${user.username}!`)
+  }
+
   const register = async (userData) => {
     try {
       dispatch({ type: 'SET_LOADING', payload: true })
       
       const response = await apiService.auth.register(userData)
-      const { user, token } = response.data
+      const { user, token, refreshToken } = response.data.data
       
-      // Store token
+      // Store tokens
       localStorage.setItem('domaAlert_token', token)
+      localStorage.setItem('domaAlert_refreshToken', refreshToken)
       apiService.setAuthToken(token)
       
       // Update state
@@ -130,49 +158,83 @@ export const AuthProvider = ({ children }) => {
     }
   }
 
-  const logout = () => {
-    // Clear token
+  const clearSession = () => {
     localStorage.removeItem('domaAlert_token')
+    localStorage.removeItem('domaAlert_refreshToken')
     apiService.setAuthToken(null)
-    
-    // Update state
     dispatch({ type: 'LOGOUT' })
-    
+  }
+
+  const logout = async () => {
+    // Revoke the session server-side; clear it locally either way
+    try {
+      await apiService.auth.logout(localStorage.getItem('domaAlert_refreshToken'))
+    } catch (error) {
+      console.error('Logout request failed:', error)
+    }
+
+    clearSession()
     toast.success('Logged out successfully')
   }
 
+  const logoutAll = async () => {
+    try {
+      await apiService.auth.logoutAll()
+      clearSession()
+      toast.success('Logged out of all devices')
+    } catch (error) {
+      const message = error.response?.data?.error?.message || 'Failed to log out of all devices'
+      toast.error(message)
+    }
+  }
+
   const updateUser = (updates) => {
     dispatch({ type: 'UPDATE_USER', payload: updates })
   }
 
   const refreshToken = async () => {
     try {
-      const response = await apiService.auth.refresh({ token: state.token })
-      const newToken = response.data.token
+      const response = await apiService.auth.refresh({
+        refreshToken: localStorage.getItem('domaAlert_refreshToken')
+      })
+      const { token: newToken, refreshToken: newRefreshToken } = response.data.data
       
       localStorage.setItem('domaAlert_token', newToken)
+      localStorage.setItem('domaAlert_refreshToken', newRefreshToken)
       apiService.setAuthToken(newToken)
       dispatch({ type: 'SET_TOKEN', payload: newToken })
       
       return newToken
     } catch (error) {
       console.error('Token refresh failed:', error)
-      logout()
+      clearSession()
       throw error
     }
   }
 
-  const connectWallet = async (walletAddress) => {
+  // Link the browser wallet by signing a Sign-In With Ethereum message
+  const connectWallet = async (twoFactorCode) => {
     try {
-      // Update user with wallet address
-      const response = await apiService.auth.updateProfile({ walletAddress })
-      
+      if (!window.ethereum) {
+        throw new Error('No Ethereum wallet found in this browser')
+      }
+
+      const signer = await new BrowserProvider(window.ethereum).getSigner()
+      const address = await signer.getAddress()
+
+      const nonceResponse = await apiService.auth.siweNonce(address)
+      const { message } = nonceResponse.data.data
+      const signature = await signer.signMessage(message)
+
+      const response = await apiService.auth.siweLink({ message, signature }, twoFactorCode)
+      const { walletAddress } = response.data.data
+
       dispatch({ type: 'UPDATE_USER', payload: { walletAddress } })
       toast.success('Wallet connected successfully!')
       
       return { success: true }
     } catch (error) {
-      const message = error.response?.data?.error?.message || 'Failed to connect wallet'
+      const message = error.response?.data?.error?.message || error.message || 'Failed to connect wallet'
       toast.error(message)
       return { success: false, error: message }
     }
@@ -181,8 +243,10 @@ export const AuthProvider = ({ children }) => {
   const value = {
     ...state,
     login,
+    verifyTwoFactor,
     register,
     logout,
+    logoutAll,
     updateUser,
     refreshToken,
     connectWallet
@@ -42,27 +42,29 @@ const DashboardPage = () => {
     )
   }
 
+  const summary = dashboardData?.data?.data?.summary
+
   const stats = [
     {
       name: 'Active Alerts',
-      value: alertStats?.activeAlerts || 0,
+      value: summary?.activeAlerts ?? alertStats?.activeAlerts ?? 0,
       icon: BellIcon,
       color: 'primary',
-      change: '+2 this week'
+      change: `${summary?.totalAlerts ?? 0} configured`
     },
     {
       name: 'Domains Monitored',
-      value: alertStats?.totalDomains || 0,
+      value: summary?.domainsMonitored ?? alertStats?.totalDomains ?? 0,
       icon: GlobeAltIcon,
       color: 'success',
-      change: '+1 this month'
+      change: `${summary?.autoActionsExecuted ?? 0} auto-actions in 30 days`
     },
     {
       name: 'Alerts Triggered',
-      value: alertStats?.totalTriggers || 0,
+      value: summary?.alertsTriggered ?? alertStats?.totalTriggers ?? 0,
       icon: TrendingUpIcon,
       color: 'warning',
-      change: '+12 this week'
+      change: `${summary?.deliverySuccessRate ?? 0}% delivered in 30 days`
     },
     {
       name: 'Subscription',
@@ -4,12 +4,14 @@ import { useAuth } from '../contexts/AuthContext'
 import LoadingSpinner from '../components/common/LoadingSpinner'
 
 const LoginPage = () => {
-  const { login, isLoading, isAuthenticated } = useAuth()
+  const { login, verifyTwoFactor, isLoading, isAuthenticated } = useAuth()
   const [formData, setFormData] = useState({
     email: '',
     password: ''
   })
   const [errors, setErrors] = useState({})
+  const [challengeToken, setChallengeToken] = useState(null)
+  const [twoFactorCode, setTwoFactorCode] = useState('')
 
   // Redirect if already authenticated
   if (isAuthenticated) {
@@ -31,6 +33,18 @@ const LoginPage = () => {
     }
 
     const result = await login(formData)
+    if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken)
+    } else if (!result.success) {
+      setErrors({ general: result.error })
+    }
+  }
+
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault()
+    setErrors({})
+
+    const result = await verifyTwoFactor(challengeToken, twoFactorCode.trim())
     if (!result.success) {
       setErrors({ general: result.error })
     }
@@ -66,101 +80,151 @@ const LoginPage = () => {
           </p>
         </div>
 
-        {/* Form */}
-        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
-          {errors.general && (
-            <div className="alert alert-danger">
-              {errors.general}
-            </div>
-          )}
+        {/* Two-factor step */}
+        {challengeToken ? (
+          <form className="mt-8 space-y-6" onSubmit={handleTwoFactorSubmit}>
+            {errors.general && (
+              <div className="alert alert-danger">
+                {errors.general}
+              </div>
+            )}
 
-          <div className="space-y-4">
             <div>
-              <label htmlFor="email" className="form-label">
-                Email Address
+              <label htmlFor="twoFactorCode" className="form-label">
+                Authentication Code
               </label>
               <input
-                id="email"
-                name="email"
-                type="email"
+                id="twoFactorCode"
+                name="twoFactorCode"
+                autoComplete="one-time-code"
                 required
+                autoFocus
                 className="form-input"
-                placeholder="Enter your email"
-                value={formData.email}
-                onChange={handleChange}
+                placeholder="6-digit code or recovery code"
+                value={twoFactorCode}
+                onChange={(e) => setTwoFactorCode(e.target.value)}
               />
-              {errors.email && (
-                <p className="form-error">{errors.email}</p>
-              )}
             </div>
 
             <div>
-              <label htmlFor="password" className="form-label">
-                Password
-              </label>
-              <input
-                id="password"
-                name="password"
-                type="password"
-                required
-                className="form-input"
-                placeholder="Enter your password"
-                value={formData.password}
-                onChange={handleChange}
-              />
-              {errors.password && (
-                <p className="form-error">{errors.password}</p>
-              )}
-            </div>
-          </div>
-
-          <div>
-            <button
-              type="submit"
-              disabled={isLoading}
-              className="btn btn-primary w-full btn-lg"
-            >
-              {isLoading ? <LoadingSpinner size="sm" /> : 'Sign In'}
-            </button>
-          </div>
-
-          <div className="text-center">
-            <p className="text-sm text-gray-600">
-              Don't have an account?{' '}
-              <button className="text-primary-600 hover:text-primary-500 font-medium">
-                Register here
+              <button
+                type="submit"
+                disabled={isLoading || !twoFactorCode.trim()}
+                className="btn btn-primary w-full btn-lg"
+              >
+                {isLoading ? <LoadingSpinner size="sm" /> : 'Verify'}
               </button>
-            </p>
-          </div>
-
-          <div className="mt-6">
-            <div className="relative">
-              <div className="absolute inset-0 flex items-center">
-                <div className="w-full border-t border-gray-300" />
-              </div>
-              <div className="relative flex justify-center text-sm">
-                <span className="px-2 bg-gray-50 text-gray-500">Or continue with</span>
-              </div>
             </div>
 
-            <div className="mt-6 grid grid-cols-2 gap-3">
+            <div className="text-center">
               <button
                 type="button"
-                className="btn btn-outline"
-                onClick={() => window.open('https://t.me/DomaAlertBot', '_blank')}
+                className="text-sm text-primary-600 hover:text-primary-500 font-medium"
+                onClick={() => {
+                  setChallengeToken(null)
+                  setTwoFactorCode('')
+                }}
               >
-                Telegram
+                Back to sign in
               </button>
+            </div>
+          </form>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            {errors.general && (
+              <div className="alert alert-danger">
+                {errors.general}
+              </div>
+            )}
+
+            <div className="space-y-4">
+              <div>
+                <label htmlFor="email" className="form-label">
+                  Email Address
+                </label>
+                <input
+                  id="email"
+                  name="email"
+                  type="email"
+                  required
+                  className="form-input"
+                  placeholder="Enter your email"
+                  value={formData.email}
+                  onChange={handleChange}
+                />
+                {errors.email && (
+                  <p className="form-error">{errors.email}</p>
+                )}
+              </div>
+
+              <div>
+                <label htmlFor="password" className="form-label">
+                  Password
+                </label>
+                <input
+                  id="password"
+                  name="password"
+                  type="password"
+                  required
+                  className="form-input"
+                  placeholder="Enter your password"
+                  value={formData.password}
+                  onChange={handleChange}
+                />
+                {errors.password && (
+                  <p className="form-error">{errors.password}</p>
+                )}
+              </div>
+            </div>
+
+            <div>
               <button
-                type="button"
-                className="btn btn-outline"
-                onClick={() => window.open('https://twitter.com/DomaAlertBot', '_blank')}
+                type="submit"
+                disabled={isLoading}
+                className="btn btn-primary w-full btn-lg"
               >
-                Twitter
+                {isLoading ? <LoadingSpinner size="sm" /> : 'Sign In'}
               </button>
             </div>
-          </div>
-        </form>
+
+            <div className="text-center">
+              <p className="text-sm text-gray-600">
+                Don't have an account?{' '}
+                <button className="text-primary-600 hover:text-primary-500 font-medium">
+                  Register here
+                </button>
+              </p>
+            </div>
+
+            <div className="mt-6">
+              <div className="relative">
+                <div className="absolute inset-0 flex items-center">
+                  <div className="w-full border-t border-gray-300" />
+                </div>
+                <div className="relative flex justify-center text-sm">
+                  <span className="px-2 bg-gray-50 text-gray-500">Or continue with</span>
+                </div>
+              </div>
+
+              <div className="mt-6 grid grid-cols-2 gap-3">
+                <button
+                  type="button"
+                  className="btn btn-outline"
+                  onClick={() => window.open('https://t.me/DomaAlertBot', '_blank')}
+                >
+                  Telegram
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-outline"
+                  onClick={() => window.open('https://twitter.com/DomaAlertBot', '_blank')}
+                >
+                  Twitter
+                </button>
+              </div>
+            </div>
+          </form>
+        )}
 
         {/* Footer */}
         <div className="text-center text-xs text-gray-500">
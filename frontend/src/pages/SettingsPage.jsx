@@ -0,0 +1,651 @@
+import React, { useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from 'react-query'
+import { formatDistanceToNow } from 'date-fns'
+import toast from 'react-hot-toast'
+import { QRCodeSVG } from 'qrcode.react'
+import {
+  KeyIcon,
+  ClipboardDocumentIcon,
+  ExclamationTriangleIcon,
+  ShieldCheckIcon,
+  UserCircleIcon,
+  ArrowDownTrayIcon
+} from '@heroicons/react/24/outline'
+import { apiService } from '../services/api'
+import { useAuth } from '../contexts/AuthContext'
+import LoadingSpinner from '../components/common/LoadingSpinner'
+
+const EXPIRY_OPTIONS = [
+  { label: 'Never', value: '' },
+  { label: '30 days', value: 30 },
+  { label: '90 days', value: 90 },
+  { label: '1 year', value: 365 }
+]
+
+const keyStatus = (apiKey) => {
+  if (apiKey.revokedAt) return { label: 'Revoked', className: 'badge-gray' }
+  if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) return { label: 'Expired', className: 'badge-warning' }
+  return { label: 'Active', className: 'badge-success' }
+}
+
+const ApiKeysCard = () => {
+  const queryClient = useQueryClient()
+  const [name, setName] = useState('')
+  const [scopes, setScopes] = useState([])
+  const [expiresInDays, setExpiresInDays] = useState('')
+  const [newKey, setNewKey] = useState(null)
+
+  const { data, isLoading, error } = useQuery('api-keys', apiService.apiKeys.list)
+  const apiKeys = data?.data?.data?.apiKeys || []
+  const availableScopes = data?.data?.data?.scopes || []
+
+  const createKey = useMutation(apiService.apiKeys.create, {
+    onSuccess: (response) => {
+      setNewKey(response.data.data.key)
+      setName('')
+      setScopes([])
+      setExpiresInDays('')
+      queryClient.invalidateQueries('api-keys')
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error?.message || 'Failed to create API key')
+    }
+  })
+
+  const revokeKey = useMutation(apiService.apiKeys.revoke, {
+    onSuccess: () => {
+      toast.success('API key revoked')
+      queryClient.invalidateQueries('api-keys')
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error?.message || 'Failed to revoke API key')
+    }
+  })
+
+  const toggleScope = (scope) => {
+    setScopes(current => current.includes(scope)
+      ? current.filter(s => s !== scope)
+      : [...current, scope])
+  }
+
+  const handleCreate = (event) => {
+    event.preventDefault()
+    createKey.mutate({
+      name,
+      scopes,
+      ...(expiresInDays ? { expiresInDays: Number(expiresInDays) } : {})
+    })
+  }
+
+  const copyKey = async () => {
+    await navigator.clipboard.writeText(newKey)
+    toast.success('API key copied')
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h2 className="text-lg font-medium text-gray-900 flex items-center">
+          <KeyIcon className="h-5 w-5 mr-2" />
+          API Keys
+        </h2>
+        <p className="text-sm text-gray-500">
+          Send a key in the <code>X-API-Key</code> header to script against the REST API.
+        </p>
+      </div>
+
+      <div className="card-body space-y-6">
+        {newKey && (
+          <div className="alert alert-warning">
+            <p className="font-medium">Copy this key now, it will not be shown again.</p>
+            <div className="flex items-center mt-2 space-x-2">
+              <code className="flex-1 break-all">{newKey}</code>
+              <button type="button" className="btn btn-secondary btn-sm" onClick={copyKey}>
+                <ClipboardDocumentIcon className="h-4 w-4" />
+              </button>
+              <button type="button" className="btn btn-outline btn-sm" onClick={() => setNewKey(null)}>
+                Done
+              </button>
+            </div>
+          </div>
+        )}
+
+        <form onSubmit={handleCreate} className="space-y-4">
+          <div>
+            <label className="form-label" htmlFor="api-key-name">Name</label>
+            <input
+              id="api-key-name"
+              className="form-input"
+              value={name}
+              maxLength={64}
+              placeholder="e.g. Portfolio script"
+              onChange={(event) => setName(event.target.value)}
+            />
+          </div>
+
+          <div>
+            <span className="form-label">Scopes</span>
+            <div className="flex flex-wrap gap-4">
+              {availableScopes.map(scope => (
+                <label key={scope} className="flex items-center space-x-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={scopes.includes(scope)}
+                    onChange={() => toggleScope(scope)}
+                  />
+                  <span>{scope}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label className="form-label" htmlFor="api-key-expiry">Expires</label>
+            <select
+              id="api-key-expiry"
+              className="form-input"
+              value={expiresInDays}
+              onChange={(event) => setExpiresInDays(event.target.value)}
+            >
+              {EXPIRY_OPTIONS.map(option => (
+                <option key={option.label} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={!name.trim() || scopes.length === 0 || createKey.isLoading}
+          >
+            Create API key
+          </button>
+        </form>
+
+        {isLoading && <LoadingSpinner className="py-6" />}
+
+        {error && (
+          <div className="alert alert-danger">
+            <ExclamationTriangleIcon className="h-5 w-5" />
+            Failed to load API keys. Please try again.
+          </div>
+        )}
+
+        {apiKeys.length > 0 && (
+          <ul className="divide-y divide-gray-200">
+            {apiKeys.map(apiKey => {
+              const status = keyStatus(apiKey)
+              return (
+                <li key={apiKey.id} className="py-3 flex items-center justify-between">
+                  <div>
+                    <p className="font-medium text-gray-900">
+                      {apiKey.name} <span className={status.className}>{status.label}</span>
+                    </p>
+                    <p className="text-sm text-gray-500">
+                      <code>{apiKey.prefix}…</code> · {apiKey.scopes.join(', ')}
+                    </p>
+                    <p className="text-xs text-gray-400">
+                      {apiKey.lastUsedAt
+                        ? `Last used ${formatDistanceToNow(new Date(apiKey.lastUsedAt), { addSuffix: true })}`
+                        : 'Never used'}
+                      {apiKey.expiresAt && ` · Expires ${new Date(apiKey.expiresAt).toLocaleDateString()}`}
+                    </p>
+                  </div>
+                  {!apiKey.revokedAt && (
+                    <button
+                      type="button"
+                      className="btn btn-danger btn-sm"
+                      disabled={revokeKey.isLoading}
+                      onClick={() => revokeKey.mutate(apiKey.id)}
+                    >
+                      Revoke
+                    </button>
+                  )}
+                </li>
+              )
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
+
+const RecoveryCodes = ({ codes, onDone }) => (
+  <div className="alert alert-warning">
+    <p className="font-medium">Store these recovery codes somewhere safe, they will not be shown again.</p>
+    <p className="text-sm">Each code can be used once in place of an authenticator code.</p>
+    <ul className="grid grid-cols-2 gap-1 mt-2 font-mono">
+      {codes.map(code => <li key={code}>{code}</li>)}
+    </ul>
+    <button type="button" className="btn btn-outline btn-sm mt-2" onClick={onDone}>
+      Done
+    </button>
+  </div>
+)
+
+const TwoFactorCard = () => {
+  const queryClient = useQueryClient()
+  const { updateUser } = useAuth()
+  const [setup, setSetup] = useState(null)
+  const [code, setCode] = useState('')
+  const [recoveryCodes, setRecoveryCodes] = useState(null)
+
+  const { data, isLoading } = useQuery('two-factor', apiService.twoFactor.status)
+  const status = data?.data?.data
+
+  const onError = (fallback) => (error) => {
+    toast.error(error.response?.data?.error?.message || fallback)
+  }
+
+  const done = (response) => {
+    setCode('')
+    setRecoveryCodes(response.data.data.recoveryCodes || null)
+    queryClient.invalidateQueries('two-factor')
+  }
+
+  const startSetup = useMutation(apiService.twoFactor.setup, {
+    onSuccess: (response) => setSetup(response.data.data),
+    onError: onError('Failed to start two-factor setup')
+  })
+
+  const enable = useMutation(apiService.twoFactor.enable, {
+    onSuccess: (response) => {
+      setSetup(null)
+      updateUser({ twoFactorEnabled: true })
+      toast.success('Two-factor authentication enabled')
+      done(response)
+    },
+    onError: onError('Failed to enable two-factor authentication')
+  })
+
+  const disable = useMutation(apiService.twoFactor.disable, {
+    onSuccess: (response) => {
+      updateUser({ twoFactorEnabled: false })
+      toast.success('Two-factor authentication disabled')
+      done(response)
+    },
+    onError: onError('Failed to disable two-factor authentication')
+  })
+
+  const regenerate = useMutation(apiService.twoFactor.recoveryCodes, {
+    onSuccess: done,
+    onError: onError('Failed to create recovery codes')
+  })
+
+  const codeInput = (
+    <input
+      className="form-input"
+      autoComplete="one-time-code"
+      placeholder="6-digit code"
+      value={code}
+      onChange={(event) => setCode(event.target.value)}
+    />
+  )
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h2 className="text-lg font-medium text-gray-900 flex items-center">
+          <ShieldCheckIcon className="h-5 w-5 mr-2" />
+          Two-Factor Authentication
+        </h2>
+        <p className="text-sm text-gray-500">
+          Asks for a code from your authenticator app when you sign in, link a wallet or create or change buy and bid auto-actions.
+        </p>
+      </div>
+
+      <div className="card-body space-y-4">
+        {isLoading && <LoadingSpinner className="py-6" />}
+
+        {recoveryCodes && <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />}
+
+        {status && !status.enabled && !setup && (
+          <button
+            type="button"
+            className="btn btn-primary"
+            disabled={startSetup.isLoading}
+            onClick={() => startSetup.mutate()}
+          >
+            Set up two-factor authentication
+          </button>
+        )}
+
+        {setup && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              Scan this QR code with your authenticator app, or enter the key by hand, then type the code it shows.
+            </p>
+            <QRCodeSVG value={setup.otpauthUrl} size={180} />
+            <code className="block break-all">{setup.secret}</code>
+            <div className="flex space-x-2">
+              {codeInput}
+              <button
+                type="button"
+                className="btn btn-primary"
+                disabled={!code.trim() || enable.isLoading}
+                onClick={() => enable.mutate(code.trim())}
+              >
+                Enable
+              </button>
+            </div>
+          </div>
+        )}
+
+        {status?.enabled && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              <span className="badge-success">Enabled</span>{' '}
+              {status.recoveryCodesRemaining} recovery codes left
+            </p>
+            <div className="flex space-x-2">
+              {codeInput}
+              <button
+                type="button"
+                className="btn btn-outline"
+                disabled={!code.trim() || regenerate.isLoading}
+                onClick={() => regenerate.mutate(code.trim())}
+              >
+                New recovery codes
+              </button>
+              <button
+                type="button"
+                className="btn btn-danger"
+                disabled={!code.trim() || disable.isLoading}
+                onClick={() => disable.mutate(code.trim())}
+              >
+                Disable
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+const SessionsCard = () => {
+  const { logoutAll } = useAuth()
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h2 className="text-lg font-medium text-gray-900">Sessions</h2>
+      </div>
+      <div className="card-body flex items-center justify-between">
+        <p className="text-sm text-gray-500">
+          Sign out everywhere, including this browser. API keys are not affected.
+        </p>
+        <button type="button" className="btn btn-outline" onClick={logoutAll}>
+          Log out all devices
+        </button>
+      </div>
+    </div>
+  )
+}
+
+const ProfileCard = () => {
+  const { user, updateUser } = useAuth()
+  const [form, setForm] = useState({
+    username: user?.username || '',
+    email: user?.email || '',
+    monthlySpendLimit: user?.monthlySpendLimit ?? 0,
+    currentPassword: '',
+    newPassword: '',
+    twoFactorCode: ''
+  })
+
+  const set = (field) => (event) => setForm({ ...form, [field]: event.target.value })
+
+  const emailChanged = form.email !== (user?.email || '')
+  const needsPassword = user?.hasPassword && (emailChanged || form.newPassword)
+  const raisesLimit = user?.twoFactorEnabled && Number(form.monthlySpendLimit) > Number(user?.monthlySpendLimit)
+
+  const save = useMutation(
+    () => {
+      const data = {
+        username: form.username,
+        monthlySpendLimit: Number(form.monthlySpendLimit)
+      }
+      if (emailChanged) data.email = form.email
+      if (form.newPassword) data.newPassword = form.newPassword
+      if (needsPassword) data.currentPassword = form.currentPassword
+      return apiService.auth.updateProfile(data, raisesLimit ? form.twoFactorCode.trim() : undefined)
+    },
+    {
+      onSuccess: (response) => {
+        const { user: updated, revokedSessions } = response.data.data
+        updateUser(updated)
+        setForm({ ...form, currentPassword: '', newPassword: '', twoFactorCode: '' })
+        toast.success(revokedSessions > 0 ? 'Profile saved and other devices signed out' : 'Profile saved')
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error?.message || 'Failed to save profile')
+      }
+    }
+  )
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    save.mutate()
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h2 className="text-lg font-medium text-gray-900 flex items-center">
+          <UserCircleIcon className="h-5 w-5 mr-2" />
+          Profile
+        </h2>
+      </div>
+
+      <form className="card-body space-y-4" onSubmit={handleSubmit}>
+        <div>
+          <label className="form-label" htmlFor="profile-username">Username</label>
+          <input id="profile-username" className="form-input" maxLength={50} value={form.username} onChange={set('username')} />
+        </div>
+        <div>
+          <label className="form-label" htmlFor="profile-email">Email</label>
+          <input id="profile-email" type="email" className="form-input" value={form.email} onChange={set('email')} />
+        </div>
+        <div>
+          <label className="form-label" htmlFor="profile-limit">Monthly auto-action spend limit</label>
+          <input
+            id="profile-limit"
+            type="number"
+            min="0"
+            step="any"
+            className="form-input"
+            value={form.monthlySpendLimit}
+            onChange={set('monthlySpendLimit')}
+          />
+        </div>
+        {user?.hasPassword && (
+          <div>
+            <label className="form-label" htmlFor="profile-new-password">New password</label>
+            <input
+              id="profile-new-password"
+              type="password"
+              autoComplete="new-password"
+              minLength={8}
+              className="form-input"
+              value={form.newPassword}
+              onChange={set('newPassword')}
+            />
+          </div>
+        )}
+        {needsPassword && (
+          <div>
+            <label className="form-label" htmlFor="profile-current-password">Current password</label>
+            <input
+              id="profile-current-password"
+              type="password"
+              autoComplete="current-password"
+              className="form-input"
+              value={form.currentPassword}
+              onChange={set('currentPassword')}
+            />
+          </div>
+        )}
+        {raisesLimit && (
+          <div>
+            <label className="form-label" htmlFor="profile-2fa">Two-factor code</label>
+            <input
+              id="profile-2fa"
+              autoComplete="one-time-code"
+              className="form-input"
+              value={form.twoFactorCode}
+              onChange={set('twoFactorCode')}
+            />
+          </div>
+        )}
+        <button type="submit" className="btn btn-primary" disabled={save.isLoading}>
+          Save profile
+        </button>
+      </form>
+    </div>
+  )
+}
+
+const AccountCard = () => {
+  const { user, updateUser } = useAuth()
+  const [currentPassword, setCurrentPassword] = useState('')
+  const [twoFactorCode, setTwoFactorCode] = useState('')
+
+  const onError = (fallback) => (error) => {
+    toast.error(error.response?.data?.error?.message || fallback)
+  }
+
+  const exportData = useMutation(apiService.account.export, {
+    onSuccess: (response) => {
+      const url = URL.createObjectURL(response.data)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `domaalert-export-${new Date().toISOString().slice(0, 10)}.json`
+      link.click()
+      URL.revokeObjectURL(url)
+    },
+    onError: onError('Failed to export data')
+  })
+
+  const requestDeletion = useMutation(
+    () => apiService.account.requestDeletion(
+      user?.hasPassword ? { currentPassword } : {},
+      user?.twoFactorEnabled ? twoFactorCode.trim() : undefined
+    ),
+    {
+      onSuccess: (response) => {
+        const { scheduledFor, message } = response.data.data
+        updateUser({ deletionScheduledFor: scheduledFor })
+        setCurrentPassword('')
+        setTwoFactorCode('')
+        toast.success(message)
+      },
+      onError: onError('Failed to schedule account deletion')
+    }
+  )
+
+  const cancelDeletion = useMutation(apiService.account.cancelDeletion, {
+    onSuccess: () => {
+      updateUser({ deletionScheduledFor: null })
+      toast.success('Account deletion cancelled')
+    },
+    onError: onError('Failed to cancel account deletion')
+  })
+
+  const handleDelete = () => {
+    if (window.confirm('Delete your account and all of its data? You can cancel during the cooling-off period.')) {
+      requestDeletion.mutate()
+    }
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h2 className="text-lg font-medium text-gray-900">Your Data</h2>
+      </div>
+
+      <div className="card-body space-y-6">
+        <div className="flex items-center justify-between">
+          <p className="text-sm text-gray-500">
+            Download your profile, alerts, alert history, auto-actions, subscriptions and bot activity as JSON.
+          </p>
+          <button
+            type="button"
+            className="btn btn-outline"
+            disabled={exportData.isLoading}
+            onClick={() => exportData.mutate()}
+          >
+            <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+            Export data
+          </button>
+        </div>
+
+        {user?.deletionScheduledFor ? (
+          <div className="alert alert-warning flex items-center justify-between">
+            <p className="text-sm">
+              Your account will be deleted {formatDistanceToNow(new Date(user.deletionScheduledFor), { addSuffix: true })}.
+            </p>
+            <button
+              type="button"
+              className="btn btn-secondary btn-sm"
+              disabled={cancelDeletion.isLoading}
+              onClick={() => cancelDeletion.mutate()}
+            >
+              Keep my account
+            </button>
+          </div>
+        ) : (
+          <div className="space-y-2">
+            <p className="text-sm text-gray-500">
+              Deleting your account erases your profile, alerts and auto-actions after a cooling-off period.
+              Payment records are kept for accounting.
+            </p>
+            <div className="flex space-x-2">
+              {user?.hasPassword && (
+                <input
+                  type="password"
+                  autoComplete="current-password"
+                  className="form-input"
+                  placeholder="Current password"
+                  value={currentPassword}
+                  onChange={(event) => setCurrentPassword(event.target.value)}
+                />
+              )}
+              {user?.twoFactorEnabled && (
+                <input
+                  autoComplete="one-time-code"
+                  className="form-input"
+                  placeholder="Two-factor code"
+                  value={twoFactorCode}
+                  onChange={(event) => setTwoFactorCode(event.target.value)}
+                />
+              )}
+              <button
+                type="button"
+                className="btn btn-danger"
+                disabled={requestDeletion.isLoading}
+                onClick={handleDelete}
+              >
+                Delete account
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+const SettingsPage = () => (
+  <div className="space-y-6">
+    <h1 className="text-2xl font-bold">Settings</h1>
+    <ProfileCard />
+    <TwoFactorCard />
+    <ApiKeysCard />
+    <SessionsCard />
+    <AccountCard />
+  </div>
+)
+
+export default SettingsPage
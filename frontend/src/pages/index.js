@@ -59,18 +59,6 @@ export const SubscriptionPage = () => (
   </div>
 )
 
-// Settings Page
-export const SettingsPage = () => (
-  <div>
-    <h1 className="text-2xl font-bold mb-6">Settings</h1>
-    <div className="card">
-      <div className="card-body">
-        <p>Settings interface coming soon...</p>
-      </div>
-    </div>
-  </div>
-)
-
 // 404 Page
 export const NotFoundPage = () => (
   <div className="min-h-screen flex items-center justify-center bg-gray-50">
@@ -31,17 +31,18 @@ apiClient.interceptors.response.use(
     const originalRequest = error.config
 
     // Handle 401 errors (token expired)
-    if (error.response?.status === 401 && !originalRequest._retry) {
+    if (error.response?.status === 401 && !originalRequest._retry && !originalRequest.url?.startsWith('/auth/refresh')) {
       originalRequest._retry = true
 
       try {
-        // Try to refresh token
-        const token = localStorage.getItem('domaAlert_token')
-        if (token) {
-          const response = await apiClient.post('/auth/refresh', { token })
-          const newToken = response.data.token
+        // Try to refresh token; refresh tokens rotate, so store the new one
+        const refreshToken = localStorage.getItem('domaAlert_refreshToken')
+        if (refreshToken) {
+          const response = await apiClient.post('/auth/refresh', { refreshToken })
+          const { token: newToken, refreshToken: newRefreshToken } = response.data.data
 
           localStorage.setItem('domaAlert_token', newToken)
+          localStorage.setItem('domaAlert_refreshToken', newRefreshToken)
           apiClient.defaults.headers.common['Authorization'] = `Bearer ${newToken}`
 
           // Retry original request
@@ -51,6 +52,7 @@ apiClient.interceptors.response.use(
       } catch (refreshError) {
         // Refresh failed, redirect to login
         localStorage.removeItem('domaAlert_token')
+        localStorage.removeItem('domaAlert_refreshToken')
         delete apiClient.defaults.headers.common['Authorization']
         window.location.href = '/login'
       }
@@ -65,6 +67,9 @@ apiClient.interceptors.response.use(
   }
 )
 
+// Sensitive changes are re-verified with a code from the authenticator app
+const twoFactorHeaders = (code) => (code ? { headers: { 'X-2FA-Code': code } } : undefined)
+
 // API service object
 export const apiService = {
   // Set auth token
@@ -80,10 +85,38 @@ export const apiService = {
   auth: {
     login: (credentials) => apiClient.post('/auth/login', credentials),
     register: (userData) => apiClient.post('/auth/register', userData),
-    logout: () => apiClient.post('/auth/logout'),
+    logout: (refreshToken) => apiClient.post('/auth/logout', { refreshToken }),
+    logoutAll: () => apiClient.post('/auth/logout-all'),
     me: () => apiClient.get('/auth/me'),
     refresh: (data) => apiClient.post('/auth/refresh', data),
-    updateProfile: (data) => apiClient.patch('/auth/profile', data),
+    // Raising the monthly spend limit needs a two-factor code when it is enabled
+    updateProfile: (data, twoFactorCode) => apiClient.patch('/auth/profile', data, twoFactorHeaders(twoFactorCode)),
+    twoFactorLogin: (data) => apiClient.post('/auth/2fa/login', data),
+    siweNonce: (address) => apiClient.post('/auth/siwe/nonce', { address }),
+    siweLink: (data, twoFactorCode) => apiClient.post('/auth/siwe/link', data, twoFactorHeaders(twoFactorCode)),
+  },
+
+  // Account data endpoints
+  account: {
+    export: () => apiClient.get('/auth/account/export', { responseType: 'blob' }),
+    requestDeletion: (data, twoFactorCode) => apiClient.post('/auth/account/deletion', data, twoFactorHeaders(twoFactorCode)),
+    cancelDeletion: () => apiClient.delete('/auth/account/deletion'),
+  },
+
+  // Two-factor endpoints
+  twoFactor: {
+    status: () => apiClient.get('/auth/2fa'),
+    setup: () => apiClient.post('/auth/2fa/setup'),
+    enable: (code) => apiClient.post('/auth/2fa/enable', { code }),
+    disable: (code) => apiClient.post('/auth/2fa/disable', { code }),
+    recoveryCodes: (code) => apiClient.post('/auth/2fa/recovery-codes', { code }),
+  },
+
+  // API keys endpoints
+  apiKeys: {
+    list: () => apiClient.get('/auth/api-keys'),
+    create: (data) => apiClient.post('/auth/api-keys', data),
+    revoke: (id) => apiClient.delete(`/auth/api-keys/${id}`),
   },
 
   // Alerts endpoints
@@ -116,8 +149,9 @@ export const apiService = {
   // Auto-actions endpoints
   autoActions: {
     list: () => apiClient.get('/auto-actions'),
-    create: (data) => apiClient.post('/auto-actions', data),
-    update: (id, data) => apiClient.put(`/auto-actions/${id}`, data),
+    // Buy and bid actions need a two-factor code when it is enabled
+    create: (data, twoFactorCode) => apiClient.post('/auto-actions', data, twoFactorHeaders(twoFactorCode)),
+    update: (id, data, twoFactorCode) => apiClient.put(`/auto-actions/${id}`, data, twoFactorHeaders(twoFactorCode)),
     delete: (id) => apiClient.delete(`/auto-actions/${id}`),
     logs: (id, params) => apiClient.get(`/auto-actions/${id}/logs`, { params }),
   },
@@ -15,12 +15,14 @@ import {
   deleteAlert,
   getUserAlertStats 
 } from '../database/models/alert.js';
+import { createLinkCode } from '../database/models/linkCode.js';
 
 export class TelegramBot {
   constructor() {
     this.bot = null;
     this.isRunning = false;
     this.userSessions = new Map(); // Store user session data
+    this.subscriptionService = null; // Set by the app once services are up
   }
 
   async initialize() {
@@ -148,6 +150,7 @@ Use the menu below to get started! 👇`;
 /start - Initialize your account
 /alerts - View your active alerts
 /status - Check your subscription status
+/link - Get a code to sign in on the web dashboard
 /help - Show this help message
 
 **Quick Actions:**
@@ -175,6 +178,35 @@ Need more help? Contact @DomaAlertSupport`;
       await this.showUserStatus(ctx);
     });
 
+    // Link command: a one-time code proving this Telegram account on the dashboard
+    this.bot.command('link', async (ctx) => {
+      try {
+        // Codes are credentials, so never post them in a group
+        if (ctx.chat.type !== 'private') {
+          await ctx.reply('🔒 Send /link to me in a private chat to get your sign-in code.');
+          return;
+        }
+
+        const user = await this.getOrCreateUser(ctx);
+        const { code, ttlMinutes } = await createLinkCode('telegram', ctx.from.id.toString());
+
+        await ctx.reply(`🔑 Your dashboard sign-in code:
+
+\`${code}\`
+
+Enter it at ${process.env.FRONTEND_URL}/login within ${ttlMinutes} minutes. It works once; never share it with anyone.`, { parse_mode: 'Markdown' });
+
+        logBotAction('telegram', 'link_code', {
+          userId: user.id,
+          chatId: ctx.chat.id,
+          success: true
+        });
+      } catch (error) {
+        logger.error('Error in link command:', error);
+        await ctx.reply('❌ Failed to create a sign-in code. Please try again.');
+      }
+    });
+
     // Monitor command (quick domain monitoring)
     this.bot.command('monitor', async (ctx) => {
       const args = ctx.message.text.split(' ').slice(1);
@@ -579,7 +611,7 @@ Type the domain you want to monitor (e.g., "web3.ape") or use "*" for patterns (
   // Send alert to user
   async sendAlert(alertData) {
     try {
-      const { user, message, buttons, urgency } = alertData;
+      const { user, message, buttons, urgency, type } = alertData;
       
       if (!user.telegramId) {
         return;
@@ -587,7 +619,7 @@ Type the domain you want to monitor (e.g., "web3.ape") or use "*" for patterns (
 
       // Format message with urgency indicator
       const urgencyEmoji = urgency === 'critical' ? '🚨' : urgency === 'high' ? '⚠️' : '🔔';
-      const formattedMessage = `${urgencyEmoji} **DOMAIN ALERT**\n\n${message}`;
+      const formattedMessage = `${urgencyEmoji} **${this.getAlertHeader(type)}**\n\n${message}`;
 
       // Create inline keyboard from buttons
       const keyboard = buttons ? 
@@ -641,7 +673,9 @@ Type the domain you want to monitor (e.g., "web3.ape") or use "*" for patterns (
   getAlertTypeEmoji(type) {
     const emojis = {
       expiry: '📅',
+      expired: '⌛',
       sale: '💰',
+      delisted: '🚫',
       transfer: '🔄',
       price: '📈',
       auction: '🏆'
@@ -649,6 +683,16 @@ Type the domain you want to monitor (e.g., "web3.ape") or use "*" for patterns (
     return emojis[type] || '🔔';
   }
 
+  getAlertHeader(type) {
+    const headers = {
+      expired: 'DOMAIN EXPIRED',
+      delisted: 'LISTING REMOVED',
+      subscription: 'SUBSCRIPTION',
+      digest: 'ALERT DIGEST'
+    };
+    return headers[type] || 'DOMAIN ALERT';
+  }
+
   isDomainName(text) {
     const domainRegex = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/i;
     return domainRegex.test(text) && text.includes('.');
@@ -731,10 +775,14 @@ Would you like to set up an alert for this domain?`;
       };
 
       const currentTier = user.subscriptionTier;
+      const autoRenew = currentTier !== 'free' && this.subscriptionService
+        ? this.subscriptionService.describeAutoRenew(await this.subscriptionService.getActiveSubscription(user.id))
+        : null;
+
       const message = `💳 **Subscription Management**
 
 **Current Plan:** ${tiers[currentTier]}
-
+${autoRenew ? `\n**Auto-renew:** ${autoRenew.enabled ? 'On' : 'Off'}${autoRenew.lastError ? ` (last attempt failed: ${autoRenew.lastError})` : ''}\n` : ''}
 **All Available Tiers:**
 
 ${Object.values(tiers).join('\n\n')}
@@ -753,6 +801,12 @@ Ready to upgrade and unlock more features?`;
         keyboard.push([Markup.button.callback('❌ Cancel Subscription', 'sub_cancel')]);
       }
 
+      if (autoRenew) {
+        keyboard.push([autoRenew.enabled
+          ? Markup.button.callback('🔁 Turn Auto-renew Off', 'sub_autorenew_off')
+          : Markup.button.callback('🔁 Turn Auto-renew On', 'sub_autorenew_on')]);
+      }
+
       keyboard.push([Markup.button.callback('🔙 Main Menu', 'main_menu')]);
 
       await ctx.editMessageText(message, Markup.inlineKeyboard(keyboard));
@@ -763,6 +817,18 @@ Ready to upgrade and unlock more features?`;
   }
 
   async handleSubscriptionAction(ctx, action) {
+    if (action === 'autorenew_on' || action === 'autorenew_off') {
+      try {
+        const user = await this.getOrCreateUser(ctx);
+        await this.subscriptionService.setAutoRenew(user.id, action === 'autorenew_on');
+        await ctx.answerCbQuery(`Auto-renew turned ${action === 'autorenew_on' ? 'on' : 'off'}`);
+        return await this.showSubscriptionInfo(ctx);
+      } catch (error) {
+        logger.error('Error updating auto-renew:', error);
+        return await ctx.reply('❌ Failed to update auto-renew. Please try again.');
+      }
+    }
+
     const message = `💳 **Subscription Management**
 
 To manage your subscription, please visit our web dashboard where you can securely process payments via Doma contracts.
@@ -11,6 +11,9 @@ import {
   createAlert, 
   getAlertsByUserId 
 } from '../database/models/alert.js';
+import { getTrendingDomains } from '../database/models/trending.js';
+import { createLinkCode } from '../database/models/linkCode.js';
+import { getDefaultChain } from '../config/chains.js';
 
 export class TwitterBot {
   constructor() {
@@ -170,7 +173,7 @@ export class TwitterBot {
   parseCommand(text) {
     // Clean the text
     const cleanText = text.toLowerCase()
-      .replace(/@domalertbot/g, '')
+      .replace(/@domaalertbot/g, '')
       .replace(/[^\w\s.]/g, ' ')
       .trim();
 
@@ -197,7 +200,9 @@ export class TwitterBot {
       'help': 'help',
       'start': 'help',
       'info': 'info',
-      'price': 'price'
+      'price': 'price',
+      'link': 'link',
+      'login': 'link'
     };
 
     return {
@@ -212,26 +217,29 @@ export class TwitterBot {
     const userId = tweet.user.id_str;
 
     switch (command.action) {
-      case 'monitor':
-        await this.handleMonitorCommand(tweet, command.params);
-        break;
-      case 'unmonitor':
-        await this.handleUnmonitorCommand(tweet, command.params);
-        break;
-      case 'status':
-        await this.handleStatusCommand(tweet);
-        break;
-      case 'alerts':
-        await this.handleAlertsCommand(tweet);
-        break;
-      case 'info':
-        await this.handleInfoCommand(tweet, command.params);
-        break;
-      case 'price':
-        await this.handlePriceCommand(tweet, command.params);
-        break;
-      default:
-        await this.handleHelpCommand(tweet);
+    case 'monitor':
+      await this.handleMonitorCommand(tweet, command.params);
+      break;
+    case 'unmonitor':
+      await this.handleUnmonitorCommand(tweet, command.params);
+      break;
+    case 'status':
+      await this.handleStatusCommand(tweet);
+      break;
+    case 'alerts':
+      await this.handleAlertsCommand(tweet);
+      break;
+    case 'info':
+      await this.handleInfoCommand(tweet, command.params);
+      break;
+    case 'price':
+      await this.handlePriceCommand(tweet, command.params);
+      break;
+    case 'link':
+      await this.handleLinkCommand(tweet);
+      break;
+    default:
+      await this.handleHelpCommand(tweet);
     }
   }
 
@@ -402,8 +410,33 @@ export class TwitterBot {
       `@${tweet.user.screen_name} ${infoMessage}`);
   }
 
+  // The sign-in code goes out by DM only; the public reply just points there
+  async handleLinkCommand(tweet) {
+    try {
+      const user = await this.getOrCreateUser(tweet.user);
+      const { code, ttlMinutes } = await createLinkCode('twitter', tweet.user.id_str);
+
+      const sent = await this.sendDirectMessage(tweet.user.id_str,
+        `🔑 Your DomaAlert dashboard sign-in code: ${code}\n\nEnter it at ${process.env.FRONTEND_URL}/login within ${ttlMinutes} minutes. It works once; never share it with anyone.`);
+
+      await this.replyToTweet(tweet.id_str, sent
+        ? `@${tweet.user.screen_name} 📬 We've sent your sign-in code by DM.`
+        : `@${tweet.user.screen_name} We couldn't DM you a sign-in code. Please follow @DomaAlertBot or open your DMs, then try again.`);
+
+      logBotAction('twitter', 'link_code', {
+        userId: user.id,
+        delivered: Boolean(sent),
+        success: true
+      });
+    } catch (error) {
+      logger.error('Error handling link command:', error);
+      await this.replyToTweet(tweet.id_str,
+        `❌ @${tweet.user.screen_name} Failed to create a sign-in code. Please try again.`);
+    }
+  }
+
   async handleHelpCommand(tweet) {
-    const helpMessage = `Hi @${tweet.user.screen_name}! 👋\n\nDomaAlert Bot Commands:\n\n🔔 @DomaAlertBot monitor domain.ape\n⏹️ @DomaAlertBot stop domain.ape\n📊 @DomaAlertBot status\n🔍 @DomaAlertBot info domain.ape\n\n💬 For full features, join our Telegram: @DomaAlertBot\n🌐 Web: domaalert.io`;
+    const helpMessage = `Hi @${tweet.user.screen_name}! 👋\n\nDomaAlert Bot Commands:\n\n🔔 @DomaAlertBot monitor domain.ape\n⏹️ @DomaAlertBot stop domain.ape\n📊 @DomaAlertBot status\n🔍 @DomaAlertBot info domain.ape\n🔑 @DomaAlertBot link (dashboard sign-in code by DM)\n\n💬 For full features, join our Telegram: @DomaAlertBot\n🌐 Web: domaalert.io`;
 
     await this.replyToTweet(tweet.id_str, helpMessage);
   }
@@ -427,6 +460,16 @@ export class TwitterBot {
     return user;
   }
 
+  getAlertHeader(type) {
+    const headers = {
+      expired: '⌛ DOMAIN EXPIRED',
+      delisted: '🚫 LISTING REMOVED',
+      subscription: '💳 SUBSCRIPTION',
+      digest: '📬 ALERT DIGEST'
+    };
+    return headers[type] || '🚨 DOMAIN ALERT';
+  }
+
   isValidDomain(domain) {
     const domainRegex = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/i;
     return domainRegex.test(domain) && domain.includes('.');
@@ -488,18 +531,21 @@ export class TwitterBot {
 
   async postDailyOpportunities() {
     try {
-      // Generate daily opportunities (mock data)
-      const opportunities = [
-        { domain: 'web3.ape', price: '45 USDC', type: 'expiring' },
-        { domain: 'nft.core', price: '120 USDC', type: 'sale' },
-        { domain: 'dao.shib', price: '32 USDC', type: 'undervalued' }
-      ];
+      // Top of the same ranking served by /api/domains/trending
+      const { trending: opportunities } = await getTrendingDomains(getDefaultChain(), '24h', 3);
+
+      if (opportunities.length === 0) {
+        logger.info('No trending domains today, skipping daily opportunities post');
+        return;
+      }
 
       let threadMessage = `🚨 #DomaAlert Daily Opportunities\n\n`;
       threadMessage += `💎 TOP DOMAINS TODAY:\n\n`;
       
       opportunities.forEach((opp, i) => {
-        threadMessage += `${i + 1}. ${opp.domain} - ${opp.price}\n`;
+        const price = opp.lastPrice !== null ? `${opp.lastPrice} USDC` : 'unpriced';
+        const change = opp.priceChange ? ` (${opp.priceChange > 0 ? '+' : ''}${opp.priceChange}%)` : '';
+        threadMessage += `${i + 1}. ${opp.domain} - ${price}${change}\n`;
       });
       
       threadMessage += `\n🔗 Grab them on @domaprotocol\n`;
@@ -550,7 +596,7 @@ export class TwitterBot {
       }
 
       // Format alert for Twitter
-      const tweetMessage = `🚨 DOMAIN ALERT @${user.username}\n\n${message}\n\n🔗 Manage on Doma: doma.com\n⚙️ Settings: @DomaAlertBot status\n\n#DomaAlert #DomainFi`;
+      const tweetMessage = `${this.getAlertHeader(type)} @${user.username}\n\n${message}\n\n🔗 Manage on Doma: doma.com\n⚙️ Settings: @DomaAlertBot status\n\n#DomaAlert #DomainFi`;
 
       // Send as reply or DM based on user preference
       await this.sendDirectMessage(user.twitterId, tweetMessage);
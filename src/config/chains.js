@@ -0,0 +1,116 @@
+import fs from 'fs';
+import { logger } from '../utils/logger.js';
+
+// Chain registry
+//
+// Chains are loaded from CHAINS_CONFIG (inline JSON) or CHAINS_CONFIG_PATH
+// (JSON file), keyed by chain id:
+//
+// {
+//   "doma-testnet": {
+//     "name": "Doma Testnet",
+//     "rpcUrls": ["https://rpc-testnet.doma.xyz", "https://backup-rpc.example"],
+//     "contracts": { "expiry": "0x...", "trade": "0x...", "ownership": "0x...", "preauth": "0x..." },
+//     "confirmations": { "sale": 3 },
+//     "blockTime": 2,
+//     "tlds": ["ape", "ai"]
+//   }
+// }
+//
+// A single "rpcUrl" is accepted in place of "rpcUrls". "tlds" limits which
+// TLDs pass domain validation (any TLD when empty). Without either setting,
+// a single chain is built from the DOMA_* variables.
+
+const DEFAULT_BLOCK_TIME = 12; // seconds
+
+let registry = null;
+
+const buildLegacyChain = () => ({
+  [process.env.DEFAULT_CHAIN || 'doma-testnet']: {
+    name: 'Doma Testnet',
+    rpcUrls: (process.env.DOMA_TESTNET_RPC_URLS || process.env.DOMA_TESTNET_RPC_URL || '')
+      .split(',')
+      .map(url => url.trim())
+      .filter(Boolean),
+    contracts: {
+      expiry: process.env.DOMA_EXPIRY_CONTRACT_ADDRESS,
+      trade: process.env.DOMA_TRADE_CONTRACT_ADDRESS,
+      ownership: process.env.DOMA_OWNERSHIP_CONTRACT_ADDRESS,
+      preauth: process.env.DOMA_PREAUTH_CONTRACT_ADDRESS
+    },
+    confirmations: {},
+    blockTime: parseInt(process.env.DOMA_BLOCK_TIME) || DEFAULT_BLOCK_TIME,
+    tlds: (process.env.DOMA_ALLOWED_TLDS || '').split(',').map(tld => tld.trim()).filter(Boolean)
+  }
+});
+
+const readRawConfig = () => {
+  if (process.env.CHAINS_CONFIG) {
+    return JSON.parse(process.env.CHAINS_CONFIG);
+  }
+
+  if (process.env.CHAINS_CONFIG_PATH) {
+    return JSON.parse(fs.readFileSync(process.env.CHAINS_CONFIG_PATH, 'utf8'));
+  }
+
+  return buildLegacyChain();
+};
+
+const normalizeChain = (key, config) => {
+  const rpcUrls = config.rpcUrls || (config.rpcUrl ? [config.rpcUrl] : []);
+  if (rpcUrls.length === 0) {
+    throw new Error(`Chain "${key}" is missing rpcUrls`);
+  }
+
+  for (const contract of ['expiry', 'trade', 'ownership', 'preauth']) {
+    if (!config.contracts?.[contract]) {
+      throw new Error(`Chain "${key}" is missing the ${contract} contract address`);
+    }
+  }
+
+  return {
+    key,
+    name: config.name || key,
+    rpcUrl: rpcUrls[0],
+    rpcUrls,
+    contracts: config.contracts,
+    confirmations: config.confirmations || {},
+    blockTime: config.blockTime || DEFAULT_BLOCK_TIME,
+    tlds: (config.tlds || []).map(tld => tld.toLowerCase().replace(/^\./, '')),
+    enabled: config.enabled !== false
+  };
+};
+
+// Load (or reload) the chain registry
+export const loadChainRegistry = () => {
+  const raw = readRawConfig();
+
+  registry = new Map(
+    Object.entries(raw).map(([key, config]) => [key, normalizeChain(key, config)])
+  );
+
+  if (registry.size === 0) {
+    throw new Error('No chains configured');
+  }
+
+  logger.info('Chain registry loaded', { chains: Array.from(registry.keys()) });
+  return registry;
+};
+
+export const getChainRegistry = () => registry || loadChainRegistry();
+
+// Enabled chains only
+export const getEnabledChains = () =>
+  Array.from(getChainRegistry().values()).filter(chain => chain.enabled);
+
+export const getChainConfig = (key) => getChainRegistry().get(key) || null;
+
+export const isKnownChain = (key) => getChainRegistry().has(key);
+
+export const getDefaultChain = () => {
+  const preferred = process.env.DEFAULT_CHAIN;
+  if (preferred && isKnownChain(preferred)) {
+    return preferred;
+  }
+  return getEnabledChains()[0]?.key || null;
+};
@@ -1,13 +1,19 @@
 import { ethers } from 'ethers';
 import EventEmitter from 'events';
 import { logger, logContractEvent } from '../utils/logger.js';
+import { getCheckpoint, saveCheckpoint, rewindCheckpoint } from '../database/models/checkpoint.js';
+import { DOMAIN_EVENT_TYPES, indexDomainEvent, removeDomainEvent } from '../database/models/domainEvent.js';
+import { applyDomainEvent } from '../database/models/domainCache.js';
+import { getChainConfig, getDefaultChain } from '../config/chains.js';
+import { getProviderPool } from './providerPool.js';
 
 // Doma Contract ABIs (simplified for demo)
 const DOMA_EXPIRY_ABI = [
-  "event DomainExpiring(address indexed owner, string indexed domain, uint256 expiryTime)",
-  "event DomainExpired(address indexed owner, string indexed domain, uint256 expiredAt)",
-  "function getDomainExpiry(string memory domain) view returns (uint256)",
-  "function renewDomain(string memory domain, uint256 duration) payable"
+  'event DomainExpiring(address indexed owner, string indexed domain, uint256 expiryTime)',
+  'event DomainExpired(address indexed owner, string indexed domain, uint256 expiredAt)',
+  'event DomainRenewed(address indexed owner, string indexed domain, uint256 newExpiryTime, uint256 renewedAt)',
+  'function getDomainExpiry(string memory domain) view returns (uint256)',
+  'function renewDomain(string memory domain, uint256 duration) payable'
 ];
 
 const DOMA_TRADE_ABI = [
@@ -35,33 +41,99 @@ const DOMA_PREAUTH_ABI = [
   "function executeAutoAction(address user, string memory action, string memory domain, uint256 amount) external returns (bool)"
 ];
 
+// Blocks an event must be buried under before it is emitted, per event type.
+// Override with CONFIRMATION_DEPTHS, e.g. '{"sale":6,"listing":6}'
+const DEFAULT_CONFIRMATION_DEPTHS = {
+  expiry: 1,
+  expired: 1,
+  renewal: 2,
+  sale: 3,
+  listing: 3,
+  priceChange: 2,
+  delisting: 3,
+  transfer: 3,
+  autoAction: 1
+};
+
+// Events the monitor subscribes to, grouped by contract
+const MONITORED_EVENTS = {
+  expiry: [
+    { name: 'expiry', event: 'DomainExpiring', handler: 'handleDomainExpiring' },
+    { name: 'expired', event: 'DomainExpired', handler: 'handleDomainExpired' },
+    { name: 'renewal', event: 'DomainRenewed', handler: 'handleDomainRenewed' }
+  ],
+  trade: [
+    { name: 'sale', event: 'DomainSold', handler: 'handleDomainSold' },
+    { name: 'listing', event: 'DomainListed', handler: 'handleDomainListed' },
+    { name: 'priceChange', event: 'DomainPriceChanged', handler: 'handleDomainPriceChanged' },
+    { name: 'delisting', event: 'DomainDelisted', handler: 'handleDomainDelisted' }
+  ],
+  ownership: [
+    { name: 'transfer', event: 'DomainTransferred', handler: 'handleDomainTransferred' }
+  ],
+  preauth: [
+    { name: 'autoAction', event: 'AutoActionExecuted', handler: 'handleAutoActionExecuted' }
+  ]
+};
+
 export class ContractMonitor extends EventEmitter {
-  constructor() {
+  constructor(chainConfig = getChainConfig(getDefaultChain())) {
     super();
+    this.chainConfig = chainConfig;
+    this.chain = chainConfig.key;
+    this.providerPool = null;
     this.provider = null;
     this.contracts = {};
     this.isRunning = false;
     this.filters = new Map();
     this.lastProcessedBlocks = new Map();
+    this.lastSavedBlock = null;
+    this.isReconnecting = false;
+    this.reconnectAttempts = 0;
+    this.backfillChunkSize = parseInt(process.env.BACKFILL_CHUNK_SIZE) || 2000;
+    this.checkpointInterval = parseInt(process.env.CHECKPOINT_INTERVAL_BLOCKS) || 10;
+    this.maxReconnectAttempts = parseInt(process.env.MAX_RECONNECT_ATTEMPTS) || 10;
+
+    // Reorg protection
+    this.confirmationDepths = {
+      ...DEFAULT_CONFIRMATION_DEPTHS,
+      ...JSON.parse(process.env.CONFIRMATION_DEPTHS || '{}'),
+      ...chainConfig.confirmations
+    };
+    this.reorgWindow = parseInt(process.env.REORG_WINDOW_BLOCKS) || 64;
+    this.latestBlock = null;
+    this.recentBlocks = new Map(); // blockNumber -> canonical block hash
+    this.pendingEvents = new Map(); // events waiting for confirmations
+    this.confirmedEvents = new Map(); // emitted events still inside the reorg window
   }
 
   async initialize() {
     try {
-      logger.info('🔗 Initializing contract monitor...');
-
-      // Setup provider
-      this.provider = new ethers.JsonRpcProvider(process.env.DOMA_TESTNET_RPC_URL);
+      logger.info('🔗 Initializing contract monitor...', { chain: this.chain });
+
+      // Use the chain's shared RPC pool and follow it when it fails over
+      this.providerPool = getProviderPool(this.chainConfig);
+      await this.providerPool.initialize();
+      this.onFailover = this.handleFailover.bind(this);
+      this.providerPool.on('failover', this.onFailover);
+      this.provider = this.providerPool.getProvider();
       
       // Test connection
       await this.provider.getNetwork();
-      logger.info('✅ Connected to Doma Testnet');
+      logger.info(`✅ Connected to ${this.chainConfig.name}`);
 
       // Initialize contracts
       await this.initializeContracts();
 
+      // Catch up on blocks missed while the monitor was offline
+      await this.backfillMissedBlocks();
+
       // Setup event listeners
       await this.setupEventListeners();
 
+      // Track new blocks for checkpointing and watch for provider failures
+      this.setupProviderListeners();
+
       this.isRunning = true;
       logger.info('✅ Contract monitor initialized successfully');
     } catch (error) {
@@ -74,37 +146,35 @@ export class ContractMonitor extends EventEmitter {
     try {
       // Expiry Contract
       this.contracts.expiry = new ethers.Contract(
-        process.env.DOMA_EXPIRY_CONTRACT_ADDRESS,
+        this.chainConfig.contracts.expiry,
         DOMA_EXPIRY_ABI,
         this.provider
       );
 
       // Trade Contract
       this.contracts.trade = new ethers.Contract(
-        process.env.DOMA_TRADE_CONTRACT_ADDRESS,
+        this.chainConfig.contracts.trade,
         DOMA_TRADE_ABI,
         this.provider
       );
 
       // Ownership Contract
       this.contracts.ownership = new ethers.Contract(
-        process.env.DOMA_OWNERSHIP_CONTRACT_ADDRESS,
+        this.chainConfig.contracts.ownership,
         DOMA_OWNERSHIP_ABI,
         this.provider
       );
 
       // Pre-Authorization Contract
       this.contracts.preauth = new ethers.Contract(
-        process.env.DOMA_PREAUTH_CONTRACT_ADDRESS,
+        this.chainConfig.contracts.preauth,
         DOMA_PREAUTH_ABI,
         this.provider
       );
 
       logger.info('✅ Contracts initialized', {
-        expiry: process.env.DOMA_EXPIRY_CONTRACT_ADDRESS,
-        trade: process.env.DOMA_TRADE_CONTRACT_ADDRESS,
-        ownership: process.env.DOMA_OWNERSHIP_CONTRACT_ADDRESS,
-        preauth: process.env.DOMA_PREAUTH_CONTRACT_ADDRESS
+        chain: this.chain,
+        ...this.chainConfig.contracts
       });
     } catch (error) {
       logger.error('Failed to initialize contracts:', error);
@@ -114,33 +184,15 @@ export class ContractMonitor extends EventEmitter {
 
   async setupEventListeners() {
     try {
-      // Domain Expiry Events
-      const expiryFilter = this.contracts.expiry.filters.DomainExpiring();
-      this.contracts.expiry.on(expiryFilter, this.handleDomainExpiring.bind(this));
-      this.filters.set('expiry', expiryFilter);
-
-      // Domain Sale Events
-      const saleFilter = this.contracts.trade.filters.DomainSold();
-      this.contracts.trade.on(saleFilter, this.handleDomainSold.bind(this));
-      this.filters.set('sale', saleFilter);
-
-      const listingFilter = this.contracts.trade.filters.DomainListed();
-      this.contracts.trade.on(listingFilter, this.handleDomainListed.bind(this));
-      this.filters.set('listing', listingFilter);
-
-      const priceChangeFilter = this.contracts.trade.filters.DomainPriceChanged();
-      this.contracts.trade.on(priceChangeFilter, this.handleDomainPriceChanged.bind(this));
-      this.filters.set('priceChange', priceChangeFilter);
-
-      // Domain Transfer Events
-      const transferFilter = this.contracts.ownership.filters.DomainTransferred();
-      this.contracts.ownership.on(transferFilter, this.handleDomainTransferred.bind(this));
-      this.filters.set('transfer', transferFilter);
-
-      // Auto Action Events
-      const autoActionFilter = this.contracts.preauth.filters.AutoActionExecuted();
-      this.contracts.preauth.on(autoActionFilter, this.handleAutoActionExecuted.bind(this));
-      this.filters.set('autoAction', autoActionFilter);
+      for (const [contractName, events] of Object.entries(MONITORED_EVENTS)) {
+        const contract = this.contracts[contractName];
+
+        for (const { name, event, handler } of events) {
+          const filter = contract.filters[event]();
+          contract.on(filter, this[handler].bind(this));
+          this.filters.set(`${contractName}.${name}`, filter);
+        }
+      }
 
       logger.info('✅ Event listeners setup complete');
     } catch (error) {
@@ -149,6 +201,409 @@ export class ContractMonitor extends EventEmitter {
     }
   }
 
+  removeEventListeners() {
+    for (const [name, filter] of this.filters) {
+      this.contracts[name.split('.')[0]]?.removeAllListeners(filter);
+    }
+    this.filters.clear();
+  }
+
+  setupProviderListeners() {
+    this.onBlock = this.handleNewBlock.bind(this);
+    this.onProviderError = this.handleProviderError.bind(this);
+    this.provider.on('block', this.onBlock);
+    this.provider.on('error', this.onProviderError);
+  }
+
+  removeProviderListeners() {
+    if (this.onBlock) {
+      this.provider?.off('block', this.onBlock);
+      this.provider?.off('error', this.onProviderError);
+    }
+  }
+
+  // Move contracts and listeners onto the pool's active provider
+  async bindProvider() {
+    const provider = this.providerPool.getProvider();
+    if (provider === this.provider) {
+      return;
+    }
+
+    this.removeProviderListeners();
+    this.provider = provider;
+    await this.initializeContracts();
+    this.setupProviderListeners();
+  }
+
+  // Checkpointing
+  async handleNewBlock(blockNumber) {
+    try {
+      if (this.isReconnecting) {
+        return;
+      }
+
+      this.latestBlock = blockNumber;
+
+      // Detect reorgs before releasing anything that was waiting on this block
+      const forkBlock = await this.trackBlock(blockNumber);
+      if (forkBlock !== null) {
+        await this.handleReorg(forkBlock, blockNumber);
+      }
+
+      await this.processPendingEvents(blockNumber);
+
+      // Logs for the newest block may still be arriving, so only the
+      // previous block is considered fully processed
+      const processedBlock = this.getSafeCheckpoint(blockNumber - 1);
+      for (const contractName of Object.keys(MONITORED_EVENTS)) {
+        this.lastProcessedBlocks.set(contractName, processedBlock);
+      }
+
+      if (this.lastSavedBlock === null || processedBlock - this.lastSavedBlock >= this.checkpointInterval) {
+        await this.persistCheckpoints();
+      }
+    } catch (error) {
+      logger.error('Error handling new block:', error);
+    }
+  }
+
+  // Never checkpoint past an event that is still waiting for confirmations,
+  // otherwise a restart would lose it
+  getSafeCheckpoint(blockNumber) {
+    let safeBlock = blockNumber;
+    for (const entry of this.pendingEvents.values()) {
+      safeBlock = Math.min(safeBlock, entry.blockNumber - 1);
+    }
+    return safeBlock;
+  }
+
+  async persistCheckpoints() {
+    for (const [contractName, blockNumber] of this.lastProcessedBlocks) {
+      await saveCheckpoint(this.chain, contractName, this.contracts[contractName].target, blockNumber);
+    }
+
+    const blocks = Array.from(this.lastProcessedBlocks.values());
+    if (blocks.length > 0) {
+      this.lastSavedBlock = Math.min(...blocks);
+    }
+  }
+
+  async backfillMissedBlocks() {
+    try {
+      const latestBlock = await this.provider.getBlockNumber();
+      this.latestBlock = latestBlock;
+      const startBlock = process.env.CONTRACT_START_BLOCK ? parseInt(process.env.CONTRACT_START_BLOCK) : null;
+
+      for (const contractName of Object.keys(MONITORED_EVENTS)) {
+        const address = this.contracts[contractName].target;
+        let checkpoint = this.lastProcessedBlocks.get(contractName) ??
+          await getCheckpoint(this.chain, contractName, address);
+
+        if (checkpoint === null || checkpoint === undefined) {
+          // No history for this contract yet: start from the configured block or the chain head
+          checkpoint = startBlock !== null ? startBlock - 1 : latestBlock;
+          logger.info('No checkpoint found, starting fresh', { contract: contractName, fromBlock: checkpoint + 1 });
+        }
+
+        if (checkpoint >= latestBlock) {
+          this.lastProcessedBlocks.set(contractName, checkpoint);
+          await saveCheckpoint(this.chain, contractName, address, checkpoint);
+          continue;
+        }
+
+        logger.info('⏪ Backfilling missed blocks', {
+          contract: contractName,
+          fromBlock: checkpoint + 1,
+          toBlock: latestBlock
+        });
+
+        // Scan in bounded chunks so a long outage doesn't exceed RPC log limits
+        for (let fromBlock = checkpoint + 1; fromBlock <= latestBlock; fromBlock += this.backfillChunkSize) {
+          const toBlock = Math.min(fromBlock + this.backfillChunkSize - 1, latestBlock);
+
+          await this.scanHistoricalEvents(fromBlock, toBlock, [contractName]);
+
+          const safeBlock = this.getSafeCheckpoint(toBlock);
+          this.lastProcessedBlocks.set(contractName, safeBlock);
+          await saveCheckpoint(this.chain, contractName, address, safeBlock);
+        }
+      }
+
+      this.lastSavedBlock = latestBlock;
+      logger.info('✅ Backfill complete', { latestBlock });
+    } catch (error) {
+      logger.error('Failed to backfill missed blocks:', error);
+      throw error;
+    }
+  }
+
+  // Confirmations and reorg handling
+  getBlockData(event) {
+    return {
+      blockNumber: event.blockNumber,
+      blockHash: event.blockHash,
+      logIndex: event.index ?? event.logIndex,
+      transactionHash: event.transactionHash
+    };
+  }
+
+  async emitWhenConfirmed(eventName, payload, event) {
+    const key = `${event.transactionHash}-${event.index ?? event.logIndex}`;
+
+    // Backfills and rescans can deliver the same log more than once
+    const known = this.pendingEvents.get(key) || this.confirmedEvents.get(key);
+    if (known && known.blockHash === event.blockHash) {
+      return;
+    }
+
+    const entry = {
+      key,
+      eventName,
+      payload,
+      blockNumber: event.blockNumber,
+      blockHash: event.blockHash,
+      confirmations: this.confirmationDepths[payload.type] ?? 1
+    };
+
+    if (this.latestBlock !== null && this.latestBlock - entry.blockNumber + 1 >= entry.confirmations) {
+      this.confirmEvent(entry);
+    } else {
+      this.pendingEvents.set(key, entry);
+      logger.debug('Event waiting for confirmations', {
+        key,
+        type: payload.type,
+        blockNumber: entry.blockNumber,
+        confirmations: entry.confirmations
+      });
+    }
+  }
+
+  confirmEvent(entry) {
+    this.confirmedEvents.set(entry.key, entry);
+    this.emit(entry.eventName, { ...entry.payload, chain: this.chain });
+    this.indexEvent(entry.payload);
+  }
+
+  // Keep a local history of confirmed domain events and the domain's
+  // latest known state in the cache
+  async indexEvent(payload) {
+    if (!DOMAIN_EVENT_TYPES.includes(payload.type)) {
+      return;
+    }
+
+    try {
+      const occurredAt = await this.getEventTime(payload);
+      await indexDomainEvent(this.chain, payload, occurredAt);
+      await applyDomainEvent(this.chain, payload, occurredAt);
+    } catch (error) {
+      logger.error('Failed to index contract event:', error);
+    }
+  }
+
+  // Prefer the timestamp emitted by the contract, falling back to the block's
+  async getEventTime(payload) {
+    let timestamp = payload.soldAt ?? payload.listedAt ?? payload.delistedAt ??
+      payload.transferredAt ?? payload.expiredAt ?? payload.renewedAt;
+
+    if (!timestamp) {
+      const block = await this.provider.getBlock(payload.blockData.blockNumber);
+      timestamp = block?.timestamp ?? Math.floor(Date.now() / 1000);
+    }
+
+    return new Date(timestamp * 1000).toISOString();
+  }
+
+  async processPendingEvents(latestBlock) {
+    for (const entry of Array.from(this.pendingEvents.values())) {
+      if (latestBlock - entry.blockNumber + 1 < entry.confirmations) {
+        continue;
+      }
+
+      this.pendingEvents.delete(entry.key);
+
+      const canonicalHash = await this.getCanonicalBlockHash(entry.blockNumber);
+      if (canonicalHash !== entry.blockHash) {
+        logger.warn('Dropping orphaned event before confirmation', {
+          key: entry.key,
+          type: entry.payload.type,
+          domain: entry.payload.domain,
+          blockNumber: entry.blockNumber
+        });
+        continue;
+      }
+
+      this.confirmEvent(entry);
+    }
+
+    // Events outside the reorg window can no longer be retracted
+    for (const entry of Array.from(this.confirmedEvents.values())) {
+      if (latestBlock - entry.blockNumber > this.reorgWindow) {
+        this.confirmedEvents.delete(entry.key);
+      }
+    }
+  }
+
+  async getCanonicalBlockHash(blockNumber) {
+    if (this.recentBlocks.has(blockNumber)) {
+      return this.recentBlocks.get(blockNumber);
+    }
+
+    const block = await this.provider.getBlock(blockNumber);
+    return block?.hash ?? null;
+  }
+
+  // Records the new block's hash and returns the first orphaned block if
+  // the chain was reorganized, otherwise null
+  async trackBlock(blockNumber) {
+    const block = await this.provider.getBlock(blockNumber);
+    if (!block) {
+      return null;
+    }
+
+    const knownParentHash = this.recentBlocks.get(blockNumber - 1);
+    const knownHash = this.recentBlocks.get(blockNumber);
+    this.recentBlocks.set(blockNumber, block.hash);
+
+    for (const number of this.recentBlocks.keys()) {
+      if (blockNumber - number > this.reorgWindow) {
+        this.recentBlocks.delete(number);
+      }
+    }
+
+    const replacedBlock = knownHash && knownHash !== block.hash;
+    const replacedParent = knownParentHash && knownParentHash !== block.parentHash;
+
+    if (replacedBlock || replacedParent) {
+      return await this.findForkBlock(blockNumber - 1);
+    }
+
+    return null;
+  }
+
+  // Walk back from a block until our recorded hash matches the canonical chain
+  async findForkBlock(fromBlock) {
+    let blockNumber = fromBlock;
+
+    while (this.recentBlocks.has(blockNumber)) {
+      const block = await this.provider.getBlock(blockNumber);
+      if (block?.hash === this.recentBlocks.get(blockNumber)) {
+        break;
+      }
+
+      this.recentBlocks.set(blockNumber, block?.hash ?? null);
+      blockNumber--;
+    }
+
+    return blockNumber + 1;
+  }
+
+  async handleReorg(forkBlock, latestBlock) {
+    logger.warn('⚠️ Chain reorganization detected', { forkBlock, latestBlock });
+
+    for (const entry of Array.from(this.pendingEvents.values())) {
+      if (entry.blockNumber >= forkBlock &&
+          entry.blockHash !== await this.getCanonicalBlockHash(entry.blockNumber)) {
+        this.pendingEvents.delete(entry.key);
+      }
+    }
+
+    // Tell consumers to back out of anything they already acted on
+    for (const entry of Array.from(this.confirmedEvents.values())) {
+      if (entry.blockNumber >= forkBlock &&
+          entry.blockHash !== await this.getCanonicalBlockHash(entry.blockNumber)) {
+        this.confirmedEvents.delete(entry.key);
+
+        logger.warn('Retracting orphaned event', {
+          key: entry.key,
+          type: entry.payload.type,
+          domain: entry.payload.domain,
+          blockNumber: entry.blockNumber
+        });
+
+        this.emit('eventRetracted', {
+          eventName: entry.eventName,
+          ...entry.payload,
+          chain: this.chain
+        });
+
+        const { transactionHash, logIndex } = entry.payload.blockData;
+        await removeDomainEvent(this.chain, transactionHash, logIndex)
+          .catch(error => logger.error('Failed to remove orphaned domain event:', error));
+      }
+    }
+
+    // Rewind and rescan the replaced blocks to pick up the canonical logs
+    for (const [contractName, contract] of Object.entries(this.contracts)) {
+      if (!MONITORED_EVENTS[contractName]) {
+        continue;
+      }
+      this.lastProcessedBlocks.set(contractName, forkBlock - 1);
+      await rewindCheckpoint(this.chain, contractName, contract.target, forkBlock - 1);
+    }
+    this.lastSavedBlock = forkBlock - 1;
+
+    await this.scanHistoricalEvents(forkBlock, latestBlock);
+  }
+
+  // Reconnection
+  async handleProviderError(error) {
+    logger.error('Contract monitor provider error:', error);
+
+    if (this.isReconnecting || !this.isRunning) {
+      return;
+    }
+
+    this.isReconnecting = true;
+    this.removeEventListeners();
+
+    // Let the pool decide whether this endpoint should be abandoned
+    this.providerPool.reportError(error);
+
+    await this.reconnect();
+  }
+
+  async handleFailover({ from, to }) {
+    if (this.isReconnecting || !this.isRunning) {
+      return; // an in-flight reconnect picks up the new endpoint
+    }
+
+    logger.info('🔀 Contract monitor following RPC failover', { chain: this.chain, from, to });
+
+    this.isReconnecting = true;
+    this.removeEventListeners();
+
+    await this.reconnect();
+  }
+
+  async reconnect() {
+    while (this.isRunning && this.reconnectAttempts < this.maxReconnectAttempts) {
+      this.reconnectAttempts++;
+      const delay = Math.min(1000 * 2 ** (this.reconnectAttempts - 1), 60000);
+
+      logger.info('🔄 Reconnecting contract monitor...', { attempt: this.reconnectAttempts, delay });
+      await new Promise(resolve => setTimeout(resolve, delay));
+
+      try {
+        await this.bindProvider();
+        await this.provider.getNetwork();
+
+        // Fill the gap left by the outage before resuming live listening
+        await this.backfillMissedBlocks();
+        await this.setupEventListeners();
+
+        this.isReconnecting = false;
+        this.reconnectAttempts = 0;
+        logger.info('✅ Contract monitor reconnected');
+        return;
+      } catch (error) {
+        logger.error('Contract monitor reconnect attempt failed:', error);
+      }
+    }
+
+    this.isReconnecting = false;
+    logger.error('❌ Contract monitor gave up reconnecting', { attempts: this.reconnectAttempts });
+  }
+
   // Event Handlers
   async handleDomainExpiring(owner, domain, expiryTime, event) {
     try {
@@ -168,23 +623,71 @@ export class ContractMonitor extends EventEmitter {
       const daysUntilExpiry = Math.ceil((Number(expiryTime) - now) / 86400);
 
       // Emit event for alert service
-      this.emit('domainExpiry', {
+      this.emitWhenConfirmed('domainExpiry', {
         type: 'expiry',
         domain,
         owner,
         expiryTime: Number(expiryTime),
         daysUntilExpiry,
         urgency: daysUntilExpiry <= 1 ? 'critical' : daysUntilExpiry <= 3 ? 'high' : 'medium',
-        blockData: {
-          blockNumber: event.blockNumber,
-          transactionHash: event.transactionHash
-        }
-      });
+        blockData: this.getBlockData(event)
+      }, event);
     } catch (error) {
       logger.error('Error handling domain expiring event:', error);
     }
   }
 
+  async handleDomainExpired(owner, domain, expiredAt, event) {
+    try {
+      const eventData = {
+        owner,
+        domain,
+        expiredAt: Number(expiredAt),
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash
+      };
+
+      logContractEvent('DomainExpired', this.contracts.expiry.target, eventData);
+
+      this.emitWhenConfirmed('domainExpired', {
+        type: 'expired',
+        domain,
+        owner,
+        expiredAt: Number(expiredAt),
+        urgency: 'critical',
+        blockData: this.getBlockData(event)
+      }, event);
+    } catch (error) {
+      logger.error('Error handling domain expired event:', error);
+    }
+  }
+
+  async handleDomainRenewed(owner, domain, newExpiryTime, renewedAt, event) {
+    try {
+      const eventData = {
+        owner,
+        domain,
+        newExpiryTime: Number(newExpiryTime),
+        renewedAt: Number(renewedAt),
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash
+      };
+
+      logContractEvent('DomainRenewed', this.contracts.expiry.target, eventData);
+
+      this.emitWhenConfirmed('domainRenewed', {
+        type: 'renewal',
+        domain,
+        owner,
+        newExpiryTime: Number(newExpiryTime),
+        renewedAt: Number(renewedAt),
+        blockData: this.getBlockData(event)
+      }, event);
+    } catch (error) {
+      logger.error('Error handling domain renewed event:', error);
+    }
+  }
+
   async handleDomainSold(seller, buyer, domain, price, soldAt, event) {
     try {
       const eventData = {
@@ -199,18 +702,15 @@ export class ContractMonitor extends EventEmitter {
 
       logContractEvent('DomainSold', this.contracts.trade.target, eventData);
 
-      this.emit('domainSale', {
+      this.emitWhenConfirmed('domainSale', {
         type: 'sale',
         domain,
         seller,
         buyer,
         price: ethers.formatEther(price),
         soldAt: Number(soldAt),
-        blockData: {
-          blockNumber: event.blockNumber,
-          transactionHash: event.transactionHash
-        }
-      });
+        blockData: this.getBlockData(event)
+      }, event);
     } catch (error) {
       logger.error('Error handling domain sold event:', error);
     }
@@ -229,17 +729,14 @@ export class ContractMonitor extends EventEmitter {
 
       logContractEvent('DomainListed', this.contracts.trade.target, eventData);
 
-      this.emit('domainSale', {
+      this.emitWhenConfirmed('domainSale', {
         type: 'listing',
         domain,
         seller,
         price: ethers.formatEther(price),
         listedAt: Number(listedAt),
-        blockData: {
-          blockNumber: event.blockNumber,
-          transactionHash: event.transactionHash
-        }
-      });
+        blockData: this.getBlockData(event)
+      }, event);
     } catch (error) {
       logger.error('Error handling domain listed event:', error);
     }
@@ -258,22 +755,43 @@ export class ContractMonitor extends EventEmitter {
 
       logContractEvent('DomainPriceChanged', this.contracts.trade.target, eventData);
 
-      this.emit('domainSale', {
+      this.emitWhenConfirmed('domainSale', {
         type: 'priceChange',
         domain,
         seller,
         oldPrice: ethers.formatEther(oldPrice),
         newPrice: ethers.formatEther(newPrice),
-        blockData: {
-          blockNumber: event.blockNumber,
-          transactionHash: event.transactionHash
-        }
-      });
+        blockData: this.getBlockData(event)
+      }, event);
     } catch (error) {
       logger.error('Error handling domain price changed event:', error);
     }
   }
 
+  async handleDomainDelisted(seller, domain, delistedAt, event) {
+    try {
+      const eventData = {
+        seller,
+        domain,
+        delistedAt: Number(delistedAt),
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash
+      };
+
+      logContractEvent('DomainDelisted', this.contracts.trade.target, eventData);
+
+      this.emitWhenConfirmed('domainDelisted', {
+        type: 'delisting',
+        domain,
+        seller,
+        delistedAt: Number(delistedAt),
+        blockData: this.getBlockData(event)
+      }, event);
+    } catch (error) {
+      logger.error('Error handling domain delisted event:', error);
+    }
+  }
+
   async handleDomainTransferred(from, to, domain, transferredAt, event) {
     try {
       const eventData = {
@@ -287,17 +805,14 @@ export class ContractMonitor extends EventEmitter {
 
       logContractEvent('DomainTransferred', this.contracts.ownership.target, eventData);
 
-      this.emit('domainTransfer', {
+      this.emitWhenConfirmed('domainTransfer', {
         type: 'transfer',
         domain,
         from,
         to,
         transferredAt: Number(transferredAt),
-        blockData: {
-          blockNumber: event.blockNumber,
-          transactionHash: event.transactionHash
-        }
-      });
+        blockData: this.getBlockData(event)
+      }, event);
     } catch (error) {
       logger.error('Error handling domain transferred event:', error);
     }
@@ -317,18 +832,15 @@ export class ContractMonitor extends EventEmitter {
 
       logContractEvent('AutoActionExecuted', this.contracts.preauth.target, eventData);
 
-      this.emit('autoAction', {
+      this.emitWhenConfirmed('autoAction', {
         type: 'autoAction',
         user,
         action,
         domain,
         amount: ethers.formatEther(amount),
         success,
-        blockData: {
-          blockNumber: event.blockNumber,
-          transactionHash: event.transactionHash
-        }
-      });
+        blockData: this.getBlockData(event)
+      }, event);
     } catch (error) {
       logger.error('Error handling auto action executed event:', error);
     }
@@ -365,59 +877,39 @@ export class ContractMonitor extends EventEmitter {
   }
 
   // Historical event scanning
-  async scanHistoricalEvents(fromBlock, toBlock = 'latest') {
+  async scanHistoricalEvents(fromBlock, toBlock = 'latest', contractNames = Object.keys(MONITORED_EVENTS)) {
     try {
-      logger.info('📊 Scanning historical events...', { fromBlock, toBlock });
+      logger.info('📊 Scanning historical events...', { fromBlock, toBlock, contracts: contractNames });
 
-      const eventPromises = [];
+      const queries = [];
+      for (const contractName of contractNames) {
+        const contract = this.contracts[contractName];
 
-      // Scan expiry events
-      eventPromises.push(
-        this.contracts.expiry.queryFilter(
-          this.contracts.expiry.filters.DomainExpiring(),
-          fromBlock,
-          toBlock
-        )
-      );
+        for (const { name, event, handler } of MONITORED_EVENTS[contractName]) {
+          queries.push(
+            contract.queryFilter(contract.filters[event](), fromBlock, toBlock)
+              .then(events => events.map(log => ({ name, handler, log })))
+          );
+        }
+      }
 
-      // Scan sale events
-      eventPromises.push(
-        this.contracts.trade.queryFilter(
-          this.contracts.trade.filters.DomainSold(),
-          fromBlock,
-          toBlock
-        )
-      );
+      const results = (await Promise.all(queries)).flat();
 
-      // Scan transfer events
-      eventPromises.push(
-        this.contracts.ownership.queryFilter(
-          this.contracts.ownership.filters.DomainTransferred(),
-          fromBlock,
-          toBlock
-        )
+      // Replay in chain order so handlers see events as they happened
+      results.sort((a, b) =>
+        a.log.blockNumber - b.log.blockNumber ||
+        (a.log.index ?? a.log.logIndex) - (b.log.index ?? b.log.logIndex)
       );
 
-      const [expiryEvents, saleEvents, transferEvents] = await Promise.all(eventPromises);
-
-      // Process historical events
-      for (const event of expiryEvents) {
-        await this.handleDomainExpiring(...event.args, event);
-      }
-
-      for (const event of saleEvents) {
-        await this.handleDomainSold(...event.args, event);
+      const counts = {};
+      for (const { name, handler, log } of results) {
+        await this[handler](...log.args, log);
+        counts[name] = (counts[name] || 0) + 1;
       }
 
-      for (const event of transferEvents) {
-        await this.handleDomainTransferred(...event.args, event);
-      }
+      logger.info('✅ Historical event scan completed', { fromBlock, toBlock, ...counts });
 
-      logger.info('✅ Historical event scan completed', {
-        expiryEvents: expiryEvents.length,
-        saleEvents: saleEvents.length,
-        transferEvents: transferEvents.length
-      });
+      return counts;
     } catch (error) {
       logger.error('Failed to scan historical events:', error);
       throw error;
@@ -432,6 +924,7 @@ export class ContractMonitor extends EventEmitter {
       
       return {
         status: 'healthy',
+        chain: this.chain,
         blockNumber,
         networkId: network.chainId.toString(),
         contractAddresses: {
@@ -440,13 +933,19 @@ export class ContractMonitor extends EventEmitter {
           ownership: this.contracts.ownership.target,
           preauth: this.contracts.preauth.target
         },
+        lastProcessedBlocks: Object.fromEntries(this.lastProcessedBlocks),
+        pendingEvents: this.pendingEvents.size,
+        rpc: this.providerPool.getStatus(),
+        isReconnecting: this.isReconnecting,
         isRunning: this.isRunning
       };
     } catch (error) {
       logger.error('Contract monitor health check failed:', error);
       return {
         status: 'unhealthy',
+        chain: this.chain,
         error: error.message,
+        rpc: this.providerPool?.getStatus(),
         isRunning: this.isRunning
       };
     }
@@ -458,8 +957,13 @@ export class ContractMonitor extends EventEmitter {
       logger.info('🛑 Stopping contract monitor...');
 
       // Remove all event listeners
-      for (const [name, filter] of this.filters) {
-        this.contracts[name.split('.')[0]]?.removeAllListeners(filter);
+      this.removeEventListeners();
+      this.removeProviderListeners();
+      this.providerPool?.off('failover', this.onFailover);
+
+      // Persist progress so the next start resumes from here
+      if (this.lastProcessedBlocks.size > 0) {
+        await this.persistCheckpoints();
       }
 
       this.isRunning = false;
@@ -1,11 +1,98 @@
 import { ethers } from 'ethers';
+import axios from 'axios';
+import { domainToASCII, domainToUnicode } from 'url';
 import { logger } from '../utils/logger.js';
+import { getCachedDomain, saveCachedDomain } from '../database/models/domainCache.js';
+import { notFoundError, serviceUnavailableError } from '../middleware/errorHandler.js';
+
+// Cached field groups, each refreshed on its own TTL (seconds)
+const CACHE_GROUPS = {
+  ownership: {
+    updatedAt: 'ownerUpdatedAt',
+    ttl: parseInt(process.env.DOMAIN_CACHE_OWNER_TTL) || 300
+  },
+  expiry: {
+    updatedAt: 'expiryUpdatedAt',
+    ttl: parseInt(process.env.DOMAIN_CACHE_EXPIRY_TTL) || 3600
+  },
+  market: {
+    updatedAt: 'priceUpdatedAt',
+    ttl: parseInt(process.env.DOMAIN_CACHE_PRICE_TTL) || 60
+  }
+};
+
+// How long past its TTL a field may still be served while it revalidates
+const STALE_WINDOW = parseInt(process.env.DOMAIN_CACHE_STALE_TTL) || 86400;
+
+// Rough gas limits for each contract operation
+export const GAS_LIMITS = {
+  renewDomain: 100000n,
+  buyDomain: 150000n,
+  listDomain: 80000n,
+  transferDomain: 70000n,
+  setMonthlyLimit: 50000n
+};
+
+const PRICE_API_URL = 'https://api.coingecko.com/api/v3/simple/price';
+const PRICE_TTL = (parseInt(process.env.NATIVE_TOKEN_PRICE_TTL) || 300) * 1000;
+const priceCache = new Map(); // coin id -> { price, fetchedAt }
+
+const DOMAIN_REGEX = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/i;
+
+// Names that cannot be registered, checked against the label left of the TLD
+const RESERVED_NAMES = new Set([
+  'doma', 'admin', 'administrator', 'root', 'system', 'support', 'www',
+  'localhost', 'example', 'invalid', 'nic', 'whois',
+  ...(process.env.DOMA_RESERVED_NAMES || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+]);
+
+// Cyrillic and Greek letters that render like Latin ones
+const CONFUSABLES = {
+  'а': 'a', 'с': 'c', 'ԁ': 'd', 'е': 'e', 'һ': 'h', 'і': 'i', 'ј': 'j', 'к': 'k',
+  'ӏ': 'l', 'о': 'o', 'р': 'p', 'ԛ': 'q', 'ѕ': 's', 'у': 'y', 'х': 'x', 'ԝ': 'w',
+  'α': 'a', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'υ': 'u', 'χ': 'x'
+};
+
+const SCRIPTS = {
+  Latin: /\p{Script=Latin}/u,
+  Cyrillic: /\p{Script=Cyrillic}/u,
+  Greek: /\p{Script=Greek}/u
+};
+
+const getScripts = (label) => {
+  const scripts = new Set();
+  for (const char of label) {
+    if (!/\p{L}/u.test(char)) {
+      continue;
+    }
+    scripts.add(Object.keys(SCRIPTS).find(script => SCRIPTS[script].test(char)) || 'Other');
+  }
+  return Array.from(scripts);
+};
+
+// Errors raised by the contract rather than the RPC endpoint
+const isContractError = (error) => error?.code === 'CALL_EXCEPTION';
+
+const getExpiryStatus = (expiryTime) => {
+  const now = Math.floor(Date.now() / 1000);
+  const daysUntilExpiry = Math.ceil((expiryTime - now) / 86400);
+
+  return {
+    daysUntilExpiry,
+    isExpired: daysUntilExpiry <= 0,
+    isExpiringSoon: daysUntilExpiry <= 7,
+    urgency: daysUntilExpiry <= 1 ? 'critical' :
+      daysUntilExpiry <= 3 ? 'high' :
+        daysUntilExpiry <= 7 ? 'medium' : 'low'
+  };
+};
 
 export class DomainService {
   constructor(contractMonitor) {
     this.contractMonitor = contractMonitor;
-    this.provider = contractMonitor.provider;
+    this.chain = contractMonitor.chain;
     this.contracts = contractMonitor.contracts;
+    this.pendingRefreshes = new Map(); // domain -> in-flight background refresh
   }
 
   // Get comprehensive domain information
@@ -29,17 +116,7 @@ export class DomainService {
 
       // Calculate expiry status
       if (result.expiryTime) {
-        const now = Math.floor(Date.now() / 1000);
-        const daysUntilExpiry = Math.ceil((result.expiryTime - now) / 86400);
-        
-        result.expiryStatus = {
-          daysUntilExpiry,
-          isExpired: daysUntilExpiry <= 0,
-          isExpiringSoon: daysUntilExpiry <= 7,
-          urgency: daysUntilExpiry <= 1 ? 'critical' : 
-                   daysUntilExpiry <= 3 ? 'high' : 
-                   daysUntilExpiry <= 7 ? 'medium' : 'low'
-        };
+        result.expiryStatus = getExpiryStatus(result.expiryTime);
       }
 
       return result;
@@ -49,6 +126,136 @@ export class DomainService {
     }
   }
 
+  // Read-through cache over domain_cache. Fresh fields are served as-is,
+  // stale ones are served while a background refresh runs, and fields past
+  // the stale window (or a forced refresh) are fetched before responding.
+  async getCachedDomainInfo(domain, { refresh = false } = {}) {
+    try {
+      domain = domain.toLowerCase();
+      const cached = refresh ? null : await getCachedDomain(domain, this.chain);
+
+      const now = Date.now();
+      const staleGroups = [];
+      const expiredGroups = [];
+
+      for (const [group, { updatedAt, ttl }] of Object.entries(CACHE_GROUPS)) {
+        const age = cached?.[updatedAt] ? (now - Date.parse(cached[updatedAt])) / 1000 : Infinity;
+
+        if (age > ttl + STALE_WINDOW) {
+          expiredGroups.push(group);
+        } else if (age > ttl) {
+          staleGroups.push(group);
+        }
+      }
+
+      let row = cached;
+      if (expiredGroups.length > 0) {
+        const fields = await this.fetchDomainFields(domain, expiredGroups);
+        await saveCachedDomain(domain, this.chain, fields);
+        row = { ...cached, ...fields };
+      }
+
+      if (staleGroups.length > 0) {
+        this.refreshInBackground(domain, staleGroups);
+      }
+
+      return {
+        domainInfo: this.formatCachedDomain(domain, row),
+        cache: {
+          hit: expiredGroups.length === 0,
+          stale: staleGroups.length > 0,
+          refreshed: expiredGroups
+        }
+      };
+    } catch (error) {
+      logger.error(`Failed to get cached domain info for ${domain}:`, error);
+      throw error;
+    }
+  }
+
+  refreshInBackground(domain, groups) {
+    if (this.pendingRefreshes.has(domain)) {
+      return;
+    }
+
+    const refresh = this.fetchDomainFields(domain, groups)
+      .then(fields => saveCachedDomain(domain, this.chain, fields))
+      .catch(error => logger.warn('Background domain cache refresh failed', {
+        domain,
+        chain: this.chain,
+        error: error.message
+      }))
+      .finally(() => this.pendingRefreshes.delete(domain));
+
+    this.pendingRefreshes.set(domain, refresh);
+  }
+
+  // Fetch the given cache groups from chain as domain_cache columns
+  async fetchDomainFields(domain, groups) {
+    const fetchedAt = new Date().toISOString();
+    const fields = {};
+
+    // Contract reverts mean "no value"; anything else means the chain is unreachable
+    const read = async (call) => {
+      try {
+        return await call();
+      } catch (error) {
+        if (isContractError(error)) {
+          return null;
+        }
+        logger.error('Domain lookup failed:', { domain, chain: this.chain, error: error.message });
+        throw serviceUnavailableError(`Chain ${this.chain} is unreachable`);
+      }
+    };
+
+    const [owner, expiryTime, price] = await Promise.all([
+      groups.includes('ownership') ? read(() => this.contracts.ownership.getDomainOwner(domain)) : undefined,
+      groups.includes('expiry') ? read(() => this.contracts.expiry.getDomainExpiry(domain)) : undefined,
+      groups.includes('market') ? read(() => this.contracts.trade.getDomainPrice(domain)) : undefined
+    ]);
+
+    if (groups.includes('ownership')) {
+      if (!owner || owner === ethers.ZeroAddress) {
+        throw notFoundError(`Domain ${domain} not found`);
+      }
+      fields.contractAddress = this.contracts.ownership.target;
+      fields.owner = owner;
+      fields.ownerUpdatedAt = fetchedAt;
+    }
+
+    if (groups.includes('expiry')) {
+      fields.expiryDate = expiryTime ? new Date(Number(expiryTime) * 1000).toISOString() : null;
+      fields.expiryUpdatedAt = fetchedAt;
+    }
+
+    if (groups.includes('market')) {
+      fields.currentPrice = price ? ethers.formatEther(price) : null;
+      fields.isForSale = price > 0n ? 1 : 0;
+      fields.priceUpdatedAt = fetchedAt;
+    }
+
+    return fields;
+  }
+
+  formatCachedDomain(domain, row) {
+    const expiryTime = row.expiryDate ? Math.floor(Date.parse(row.expiryDate) / 1000) : null;
+
+    return {
+      domain,
+      chain: this.chain,
+      owner: row.owner,
+      expiryTime,
+      isForSale: Boolean(row.isForSale),
+      price: row.currentPrice !== null && row.currentPrice !== undefined ? String(row.currentPrice) : null,
+      expiryStatus: expiryTime ? getExpiryStatus(expiryTime) : null,
+      lastUpdated: {
+        ownership: row.ownerUpdatedAt,
+        expiry: row.expiryUpdatedAt,
+        market: row.priceUpdatedAt
+      }
+    };
+  }
+
   // Check if domain is currently for sale
   async isDomainForSale(domain) {
     try {
@@ -332,7 +539,7 @@ export class DomainService {
   // Get transaction receipt and status
   async getTransactionStatus(txHash) {
     try {
-      const receipt = await this.provider.getTransactionReceipt(txHash);
+      const receipt = await this.contractMonitor.providerPool.execute(provider => provider.getTransactionReceipt(txHash));
       
       if (!receipt) {
         return { status: 'pending', receipt: null };
@@ -353,28 +560,55 @@ export class DomainService {
     }
   }
 
-  // Estimate gas costs for operations
-  async estimateGasCosts() {
+  // Estimate gas costs for one operation, or all of them
+  async estimateGasCosts(operation) {
     try {
-      const gasPrice = await this.provider.getFeeData();
-      
-      // Rough estimates for different operations
-      const operations = {
-        renewDomain: 100000n,
-        buyDomain: 150000n,
-        listDomain: 80000n,
-        transferDomain: 70000n,
-        setMonthlyLimit: 50000n
-      };
+      let feeData;
+      let block;
+      try {
+        [feeData, block] = await this.contractMonitor.providerPool.execute(provider =>
+          Promise.all([provider.getFeeData(), provider.getBlock('latest')])
+        );
+      } catch (error) {
+        logger.error('Fee data lookup failed:', { chain: this.chain, error: error.message });
+        throw serviceUnavailableError(`Chain ${this.chain} is unreachable`);
+      }
+
+      const usdPrice = await this.getNativeUsdPrice();
+
+      // EIP-1559 transactions pay the current base fee plus the tip, capped
+      // at maxFeePerGas; legacy chains pay a flat gas price
+      const isEip1559 = feeData.maxFeePerGas != null && block?.baseFeePerGas != null;
+      const fees = isEip1559
+        ? {
+          type: 'eip1559',
+          baseFeePerGas: block.baseFeePerGas.toString(),
+          maxPriorityFeePerGas: feeData.maxPriorityFeePerGas.toString(),
+          maxFeePerGas: feeData.maxFeePerGas.toString()
+        }
+        : { type: 'legacy', gasPrice: feeData.gasPrice.toString() };
+      const expectedGasPrice = isEip1559 ? block.baseFeePerGas + feeData.maxPriorityFeePerGas : feeData.gasPrice;
+      const maxGasPrice = isEip1559 ? feeData.maxFeePerGas : feeData.gasPrice;
+
+      const toUsd = (wei) =>
+        usdPrice !== null ? Number((parseFloat(ethers.formatEther(wei)) * usdPrice).toFixed(4)) : null;
 
       const estimates = {};
-      for (const [operation, gasLimit] of Object.entries(operations)) {
-        const cost = gasLimit * gasPrice.gasPrice;
-        estimates[operation] = {
+      for (const name of operation ? [operation] : Object.keys(GAS_LIMITS)) {
+        const gasLimit = GAS_LIMITS[name];
+        const cost = gasLimit * expectedGasPrice;
+        const maxCost = gasLimit * maxGasPrice;
+
+        estimates[name] = {
           gasLimit: gasLimit.toString(),
-          gasPrice: gasPrice.gasPrice.toString(),
+          fees,
           estimatedCost: ethers.formatEther(cost),
-          estimatedCostWei: cost.toString()
+          estimatedCostWei: cost.toString(),
+          maxCost: ethers.formatEther(maxCost),
+          maxCostWei: maxCost.toString(),
+          usd: usdPrice !== null
+            ? { price: usdPrice, estimatedCost: toUsd(cost), maxCost: toUsd(maxCost) }
+            : null
         };
       }
 
@@ -385,26 +619,108 @@ export class DomainService {
     }
   }
 
-  // Validate domain name format
+  // USD price of the native token, from NATIVE_TOKEN_USD_PRICE or CoinGecko.
+  // Returns null when no price is available.
+  async getNativeUsdPrice() {
+    const fixedPrice = parseFloat(process.env.NATIVE_TOKEN_USD_PRICE);
+    if (!isNaN(fixedPrice)) {
+      return fixedPrice;
+    }
+
+    const coinId = process.env.NATIVE_TOKEN_PRICE_ID || 'ethereum';
+    const cached = priceCache.get(coinId);
+    if (cached && Date.now() - cached.fetchedAt < PRICE_TTL) {
+      return cached.price;
+    }
+
+    try {
+      const response = await axios.get(PRICE_API_URL, {
+        params: { ids: coinId, vs_currencies: 'usd' },
+        timeout: 5000
+      });
+      const price = response.data?.[coinId]?.usd ?? null;
+
+      priceCache.set(coinId, { price, fetchedAt: Date.now() });
+      return price;
+    } catch (error) {
+      logger.warn('Failed to fetch native token price', { coinId, error: error.message });
+      return cached?.price ?? null;
+    }
+  }
+
+  // Validate a domain name: format, TLD allow-list, reserved names and
+  // punycode labels that imitate Latin names
   validateDomainName(domain) {
-    // Basic domain validation (adjust based on Doma's rules)
-    const domainRegex = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/i;
-    
-    if (!domainRegex.test(domain)) {
-      return { valid: false, error: 'Invalid domain format' };
+    const errors = [];
+    const warnings = [];
+
+    // domainToASCII returns '' for names it cannot encode
+    const ascii = domainToASCII(String(domain).trim());
+    const unicode = ascii ? domainToUnicode(ascii) : '';
+
+    if (!ascii || !unicode || !DOMAIN_REGEX.test(ascii)) {
+      return { valid: false, error: 'Invalid domain format', errors: ['Invalid domain format'], warnings };
+    }
+
+    if (ascii.length < 3 || ascii.length > 63) {
+      errors.push('Domain length must be between 3 and 63 characters');
     }
 
-    if (domain.length < 3 || domain.length > 63) {
-      return { valid: false, error: 'Domain length must be between 3 and 63 characters' };
+    const labels = ascii.split('.');
+    const tld = labels.length > 1 ? labels[labels.length - 1] : null;
+    const name = labels.length > 1 ? labels[labels.length - 2] : labels[0];
+
+    const allowedTlds = this.contractMonitor.chainConfig?.tlds || [];
+    if (allowedTlds.length > 0 && !allowedTlds.includes(tld)) {
+      errors.push(tld ? `TLD .${tld} is not supported` : 'Domain must include a TLD');
+    }
+
+    const reserved = RESERVED_NAMES.has(name);
+    if (reserved) {
+      errors.push(`${name} is a reserved name`);
+    }
+
+    const isPunycode = labels.some(label => label.startsWith('xn--'));
+    let homoglyphOf = null;
+
+    if (isPunycode) {
+      warnings.push('Internationalized domain name');
+
+      const unicodeLabels = unicode.split('.');
+      for (const label of unicodeLabels) {
+        const scripts = getScripts(label);
+        if (scripts.length > 1) {
+          errors.push(`Label "${label}" mixes ${scripts.join(' and ')} characters`);
+        }
+      }
+
+      // Map lookalike letters to Latin; an all-ASCII result means the
+      // name can pass for that Latin domain
+      const skeleton = Array.from(unicode, char => CONFUSABLES[char] || char).join('');
+      if (skeleton !== unicode && /^[a-z0-9.-]+$/.test(skeleton)) {
+        homoglyphOf = skeleton;
+        errors.push(`Domain imitates ${skeleton}`);
+      }
     }
 
-    return { valid: true };
+    return {
+      valid: errors.length === 0,
+      error: errors[0],
+      errors,
+      warnings,
+      domain: ascii,
+      unicode,
+      tld,
+      isPunycode,
+      reserved,
+      homoglyphOf
+    };
   }
 
   // Check if user has sufficient balance for operation
   async checkUserBalance(userAddress, requiredAmount) {
     try {
-      const balance = await this.provider.getBalance(userAddress);
+      const balance = await this.contractMonitor.providerPool.execute(provider => provider.getBalance(userAddress));
       const required = ethers.parseEther(requiredAmount.toString());
       
       return {
@@ -0,0 +1,259 @@
+import { ethers } from 'ethers';
+import EventEmitter from 'events';
+import { logger } from '../utils/logger.js';
+
+const ERROR_WINDOW = 20; // recent requests used for the error rate
+
+// Errors raised by the contract itself rather than the RPC endpoint
+const NON_PROVIDER_ERRORS = ['CALL_EXCEPTION', 'INSUFFICIENT_FUNDS', 'ACTION_REJECTED'];
+
+// Shared pools, one per chain
+const pools = new Map();
+
+export class ProviderPool extends EventEmitter {
+  constructor(chainConfig) {
+    super();
+    this.chain = chainConfig.key;
+    this.endpoints = chainConfig.rpcUrls.map(url => {
+      const provider = new ethers.JsonRpcProvider(url);
+      provider.pollingInterval = chainConfig.blockTime * 1000;
+
+      return {
+        url,
+        provider,
+        healthy: true,
+        latency: null,
+        blockNumber: null,
+        blockLag: null,
+        results: [], // true for success, false for failure
+        lastError: null,
+        lastCheckedAt: null
+      };
+    });
+    this.active = this.endpoints[0];
+    this.healthCheckInterval = parseInt(process.env.RPC_HEALTH_CHECK_INTERVAL) || 30000;
+    this.requestTimeout = parseInt(process.env.RPC_REQUEST_TIMEOUT) || 5000;
+    this.maxBlockLag = parseInt(process.env.RPC_MAX_BLOCK_LAG) || 5;
+    this.maxErrorRate = parseFloat(process.env.RPC_MAX_ERROR_RATE) || 0.5;
+    this.healthTimer = null;
+    this.isRunning = false;
+  }
+
+  async initialize() {
+    if (this.isRunning) {
+      return;
+    }
+
+    try {
+      await this.checkHealth();
+
+      this.healthTimer = setInterval(() => {
+        this.checkHealth().catch(error => logger.error('RPC health check failed:', error));
+      }, this.healthCheckInterval);
+
+      this.isRunning = true;
+      logger.info('✅ RPC provider pool initialized', {
+        chain: this.chain,
+        endpoints: this.endpoints.length,
+        active: this.active.url
+      });
+    } catch (error) {
+      logger.error('Failed to initialize RPC provider pool:', error);
+      throw error;
+    }
+  }
+
+  getProvider() {
+    return this.active.provider;
+  }
+
+  // Run a one-off request, retrying on the next endpoint if the active one fails
+  async execute(operation) {
+    const tried = new Set();
+    let lastError;
+
+    for (let attempt = 0; attempt < this.endpoints.length; attempt++) {
+      const endpoint = this.active;
+      if (tried.has(endpoint)) {
+        break;
+      }
+      tried.add(endpoint);
+
+      try {
+        const result = await this.withTimeout(operation(endpoint.provider));
+        this.recordResult(endpoint, true);
+        return result;
+      } catch (error) {
+        lastError = error;
+        this.reportError(error, endpoint);
+      }
+    }
+
+    throw lastError;
+  }
+
+  reportError(error, endpoint = this.active) {
+    if (NON_PROVIDER_ERRORS.includes(error?.code)) {
+      return;
+    }
+
+    this.recordResult(endpoint, false, error);
+
+    if (this.getErrorRate(endpoint) > this.maxErrorRate) {
+      endpoint.healthy = false;
+      this.selectEndpoint();
+    }
+  }
+
+  recordResult(endpoint, success, error = null) {
+    endpoint.results.push(success);
+    if (endpoint.results.length > ERROR_WINDOW) {
+      endpoint.results.shift();
+    }
+
+    if (error) {
+      endpoint.lastError = error.message;
+    }
+  }
+
+  getErrorRate(endpoint) {
+    if (endpoint.results.length === 0) {
+      return 0;
+    }
+    return endpoint.results.filter(success => !success).length / endpoint.results.length;
+  }
+
+  // Health checks
+  async checkHealth() {
+    await Promise.all(this.endpoints.map(endpoint => this.checkEndpoint(endpoint)));
+
+    const head = Math.max(...this.endpoints.map(endpoint => endpoint.blockNumber ?? 0));
+
+    for (const endpoint of this.endpoints) {
+      endpoint.blockLag = endpoint.blockNumber === null ? null : head - endpoint.blockNumber;
+      endpoint.healthy = endpoint.latency !== null &&
+        endpoint.blockLag <= this.maxBlockLag &&
+        this.getErrorRate(endpoint) <= this.maxErrorRate;
+    }
+
+    this.selectEndpoint();
+  }
+
+  async checkEndpoint(endpoint) {
+    const startedAt = Date.now();
+
+    try {
+      endpoint.blockNumber = await this.withTimeout(endpoint.provider.getBlockNumber());
+      endpoint.latency = Date.now() - startedAt;
+      this.recordResult(endpoint, true);
+    } catch (error) {
+      endpoint.latency = null;
+      this.recordResult(endpoint, false, error);
+      logger.warn('RPC endpoint health check failed', {
+        chain: this.chain,
+        url: endpoint.url,
+        error: error.message
+      });
+    } finally {
+      endpoint.lastCheckedAt = new Date().toISOString();
+    }
+  }
+
+  // Lower is better: latency in ms, plus a second per block behind and a
+  // heavy penalty for recent errors
+  getScore(endpoint) {
+    return (endpoint.latency ?? this.requestTimeout) +
+      (endpoint.blockLag ?? 0) * 1000 +
+      this.getErrorRate(endpoint) * 10000;
+  }
+
+  selectEndpoint() {
+    // Stay on the active endpoint while it is healthy to avoid flapping
+    if (this.active.healthy) {
+      return this.active;
+    }
+
+    const candidates = this.endpoints
+      .filter(endpoint => endpoint.healthy)
+      .sort((a, b) => this.getScore(a) - this.getScore(b));
+
+    if (candidates.length === 0) {
+      logger.error('❌ No healthy RPC endpoints', { chain: this.chain });
+      return this.active;
+    }
+
+    const previous = this.active;
+    this.active = candidates[0];
+
+    logger.warn('🔀 RPC failover', { chain: this.chain, from: previous.url, to: this.active.url });
+    this.emit('failover', { chain: this.chain, from: previous.url, to: this.active.url });
+
+    return this.active;
+  }
+
+  withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error('RPC request timed out')), this.requestTimeout);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  getStatus() {
+    return {
+      chain: this.chain,
+      active: this.active.url,
+      endpoints: this.endpoints.map(endpoint => ({
+        url: endpoint.url,
+        healthy: endpoint.healthy,
+        latency: endpoint.latency,
+        blockNumber: endpoint.blockNumber,
+        blockLag: endpoint.blockLag,
+        errorRate: Number(this.getErrorRate(endpoint).toFixed(2)),
+        score: Math.round(this.getScore(endpoint)),
+        lastError: endpoint.lastError,
+        lastCheckedAt: endpoint.lastCheckedAt
+      }))
+    };
+  }
+
+  // Safe to serve publicly: RPC URLs often embed API keys, so endpoints are
+  // identified by their position in the configured list
+  getPublicStatus() {
+    return {
+      active: this.endpoints.indexOf(this.active),
+      endpoints: this.endpoints.map((endpoint, index) => ({
+        endpoint: index,
+        status: endpoint.healthy ? 'healthy' : 'failed'
+      }))
+    };
+  }
+
+  stop() {
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+    this.isRunning = false;
+
+    for (const endpoint of this.endpoints) {
+      endpoint.provider.destroy?.();
+    }
+  }
+}
+
+// Get the shared pool for a chain, creating it on first use
+export const getProviderPool = (chainConfig) => {
+  if (!pools.has(chainConfig.key)) {
+    pools.set(chainConfig.key, new ProviderPool(chainConfig));
+  }
+  return pools.get(chainConfig.key);
+};
+
+export const getProviderPools = () => Array.from(pools.values());
+
+export const stopProviderPools = () => {
+  for (const pool of pools.values()) {
+    pool.stop();
+  }
+  pools.clear();
+};
@@ -3,6 +3,7 @@ import { promisify } from 'util';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
+import { AsyncLocalStorage } from 'async_hooks';
 import { logger } from '../utils/logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -15,6 +16,10 @@ class Database {
   constructor() {
     this.db = null;
     this.isInitialized = false;
+    // BEGIN/COMMIT apply to the whole connection, so transactions take turns
+    // and statements issued outside one wait until it has finished
+    this.transactionQueue = Promise.resolve();
+    this.transactionScope = new AsyncLocalStorage();
   }
 
   async initialize() {
@@ -67,13 +72,25 @@ class Database {
         email TEXT UNIQUE,
         username TEXT NOT NULL,
         passwordHash TEXT,
+        role TEXT NOT NULL DEFAULT 'user' CHECK(role IN ('user', 'support', 'admin')),
         subscriptionTier TEXT DEFAULT 'free' CHECK(subscriptionTier IN ('free', 'basic', 'premium')),
         subscriptionExpiry DATETIME,
         isActive BOOLEAN DEFAULT 1,
         monthlySpendLimit DECIMAL(10,2) DEFAULT 200.00,
         walletAddress TEXT,
+        walletVerifiedAt DATETIME,
         domaAccountId TEXT,
         preferences TEXT DEFAULT '{}',
+        dunningStage TEXT,
+        lastReminderDays INTEGER,
+        referralCode TEXT,
+        referredBy INTEGER,
+        totpSecret TEXT,
+        totpEnabledAt DATETIME,
+        totpLastStep INTEGER,
+        deletionRequestedAt DATETIME,
+        deletionScheduledFor DATETIME,
+        deletedAt DATETIME,
         createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
         updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
       )`,
@@ -87,6 +104,7 @@ class Database {
         domainPattern TEXT,
         conditions TEXT NOT NULL,
         platform TEXT NOT NULL CHECK(platform IN ('telegram', 'twitter', 'both', 'web')),
+        chain TEXT,
         isActive BOOLEAN DEFAULT 1,
         triggerCount INTEGER DEFAULT 0,
         lastTriggered DATETIME,
@@ -114,12 +132,23 @@ class Database {
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         userId INTEGER NOT NULL,
         tier TEXT NOT NULL CHECK(tier IN ('basic', 'premium')),
-        status TEXT DEFAULT 'active' CHECK(status IN ('active', 'cancelled', 'expired', 'suspended')),
+        status TEXT DEFAULT 'active' CHECK(status IN ('pending', 'active', 'cancelled', 'expired', 'suspended', 'failed')),
         startDate DATETIME DEFAULT CURRENT_TIMESTAMP,
-        endDate DATETIME NOT NULL,
+        endDate DATETIME,
+        durationDays INTEGER,
+        amount DECIMAL(18,8),
+        paymentDeadline DATETIME,
+        proratedCredit DECIMAL(18,8),
+        replacesSubscriptionId INTEGER,
+        scheduledTier TEXT,
+        promoCodeId INTEGER,
+        discount DECIMAL(18,8),
         paymentMethod TEXT DEFAULT 'doma_contract',
         transactionHash TEXT,
         autoRenew BOOLEAN DEFAULT 1,
+        renewalAttempts INTEGER DEFAULT 0,
+        lastRenewalAttempt DATETIME,
+        renewalError TEXT,
         createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
         updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
@@ -147,6 +176,7 @@ class Database {
         conditions TEXT NOT NULL,
         maxAmount DECIMAL(10,2) NOT NULL,
         isActive BOOLEAN DEFAULT 1,
+        pausedReason TEXT,
         executionCount INTEGER DEFAULT 0,
         lastExecuted DATETIME,
         createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -173,12 +203,74 @@ class Database {
       `CREATE TABLE IF NOT EXISTS sessions (
         id TEXT PRIMARY KEY,
         userId INTEGER NOT NULL,
+        familyId TEXT NOT NULL,
+        tokenHash TEXT NOT NULL UNIQUE,
         data TEXT NOT NULL,
         expiresAt DATETIME NOT NULL,
+        revokedAt DATETIME,
+        replacedBy TEXT,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+      )`,
+
+      // Sign-In With Ethereum nonces, each usable once
+      `CREATE TABLE IF NOT EXISTS siwe_nonces (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        nonce TEXT NOT NULL UNIQUE,
+        expiresAt DATETIME NOT NULL,
+        usedAt DATETIME,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // One-time codes issued by the bots to prove a Telegram or Twitter identity
+      `CREATE TABLE IF NOT EXISTS link_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT NOT NULL UNIQUE,
+        platform TEXT NOT NULL CHECK(platform IN ('telegram', 'twitter')),
+        platformUserId TEXT NOT NULL,
+        expiresAt DATETIME NOT NULL,
+        usedAt DATETIME,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Personal API keys; only a hash of each key is stored
+      `CREATE TABLE IF NOT EXISTS api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        prefix TEXT NOT NULL,
+        keyHash TEXT NOT NULL UNIQUE,
+        scopes TEXT NOT NULL DEFAULT '[]',
+        expiresAt DATETIME,
+        lastUsedAt DATETIME,
+        lastUsedIp TEXT,
+        revokedAt DATETIME,
         createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
       )`,
 
+      // Single-use two-factor recovery codes; only hashes are stored
+      `CREATE TABLE IF NOT EXISTS recovery_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId INTEGER NOT NULL,
+        codeHash TEXT NOT NULL,
+        usedAt DATETIME,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+      )`,
+
+      // Everything done through the admin API, including lookups
+      `CREATE TABLE IF NOT EXISTS admin_audit_logs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        adminId INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        targetUserId INTEGER,
+        details TEXT,
+        ip TEXT,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (adminId) REFERENCES users (id)
+      )`,
+
       // Bot interactions table
       `CREATE TABLE IF NOT EXISTS bot_interactions (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -196,16 +288,20 @@ class Database {
       // Domain cache table (for performance)
       `CREATE TABLE IF NOT EXISTS domain_cache (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
-        domain TEXT NOT NULL UNIQUE,
+        domain TEXT NOT NULL,
         chain TEXT NOT NULL,
         contractAddress TEXT,
         tokenId TEXT,
         owner TEXT,
+        ownerUpdatedAt DATETIME,
         expiryDate DATETIME,
+        expiryUpdatedAt DATETIME,
         lastSalePrice DECIMAL(18,8),
         isForSale BOOLEAN DEFAULT 0,
         currentPrice DECIMAL(18,8),
-        lastUpdated DATETIME DEFAULT CURRENT_TIMESTAMP
+        priceUpdatedAt DATETIME,
+        lastUpdated DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (chain, domain)
       )`,
 
       // Transaction logs table
@@ -213,7 +309,8 @@ class Database {
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         userId INTEGER,
         type TEXT NOT NULL CHECK(type IN ('subscription', 'auto_action', 'manual')),
-        transactionHash TEXT NOT NULL,
+        action TEXT,
+        transactionHash TEXT,
         fromAddress TEXT,
         toAddress TEXT,
         amount DECIMAL(18,8),
@@ -222,9 +319,105 @@ class Database {
         blockNumber INTEGER,
         gasUsed INTEGER,
         gasFee DECIMAL(18,8),
+        errorMessage TEXT,
         createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
         confirmedAt DATETIME,
         FOREIGN KEY (userId) REFERENCES users (id) ON DELETE SET NULL
+      )`,
+
+      // Contract checkpoints table (last fully processed block per contract)
+      `CREATE TABLE IF NOT EXISTS contract_checkpoints (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chain TEXT NOT NULL,
+        contractName TEXT NOT NULL,
+        contractAddress TEXT NOT NULL,
+        lastProcessedBlock INTEGER NOT NULL,
+        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Domain events table (confirmed contract events indexed per domain)
+      `CREATE TABLE IF NOT EXISTS domain_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chain TEXT NOT NULL,
+        domain TEXT NOT NULL,
+        eventType TEXT NOT NULL,
+        fromAddress TEXT,
+        toAddress TEXT,
+        price DECIMAL(18,8),
+        data TEXT,
+        blockNumber INTEGER NOT NULL,
+        blockHash TEXT NOT NULL,
+        logIndex INTEGER NOT NULL,
+        transactionHash TEXT NOT NULL,
+        occurredAt DATETIME NOT NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Trending domains table (ranking materialised per chain and timeframe)
+      `CREATE TABLE IF NOT EXISTS trending_domains (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chain TEXT NOT NULL,
+        timeframe TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        domain TEXT NOT NULL,
+        volume DECIMAL(18,8) DEFAULT 0,
+        sales INTEGER DEFAULT 0,
+        listings INTEGER DEFAULT 0,
+        lastPrice DECIMAL(18,8),
+        priceChange DECIMAL(10,2),
+        score REAL NOT NULL,
+        computedAt DATETIME NOT NULL
+      )`,
+
+      // When each trending ranking was last computed, kept even when it is empty
+      `CREATE TABLE IF NOT EXISTS trending_runs (
+        chain TEXT NOT NULL,
+        timeframe TEXT NOT NULL,
+        entries INTEGER NOT NULL DEFAULT 0,
+        computedAt DATETIME NOT NULL,
+        PRIMARY KEY (chain, timeframe)
+      )`,
+
+      // Promo codes table
+      `CREATE TABLE IF NOT EXISTS promo_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT UNIQUE NOT NULL,
+        discountType TEXT NOT NULL CHECK(discountType IN ('percent', 'fixed')),
+        discountValue DECIMAL(18,8) NOT NULL,
+        tiers TEXT,
+        expiresAt DATETIME,
+        maxRedemptions INTEGER,
+        redemptionCount INTEGER DEFAULT 0,
+        isActive BOOLEAN DEFAULT 1,
+        createdBy INTEGER,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Promo code redemptions table (one per user and code)
+      `CREATE TABLE IF NOT EXISTS promo_redemptions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        promoCodeId INTEGER NOT NULL,
+        userId INTEGER NOT NULL,
+        subscriptionId INTEGER,
+        discount DECIMAL(18,8) NOT NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (promoCodeId, userId),
+        FOREIGN KEY (promoCodeId) REFERENCES promo_codes (id) ON DELETE CASCADE,
+        FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+      )`,
+
+      // Referral rewards table (one per referred user)
+      `CREATE TABLE IF NOT EXISTS referral_rewards (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        referrerId INTEGER NOT NULL,
+        referredUserId INTEGER UNIQUE NOT NULL,
+        subscriptionId INTEGER,
+        rewardDays INTEGER NOT NULL,
+        rewardTier TEXT NOT NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (referrerId) REFERENCES users (id) ON DELETE CASCADE,
+        FOREIGN KEY (referredUserId) REFERENCES users (id) ON DELETE CASCADE
       )`
     ];
 
@@ -232,23 +425,92 @@ class Database {
       await this.run(migration);
     }
 
+    // Tables whose constraints changed after their initial release; rebuilt
+    // when the stored definition lacks the marker
+    const tableRebuilds = [
+      { table: 'subscriptions', marker: '\'pending\'' },
+      // Failed attempts are audited before they have a transaction hash
+      { table: 'transaction_logs', marker: 'errorMessage' },
+      // Sessions hold rotating refresh tokens, grouped into families per login
+      { table: 'sessions', marker: 'tokenHash' },
+      // The same name can exist on several chains
+      { table: 'domain_cache', marker: 'UNIQUE (chain, domain)' }
+    ];
+
+    for (const { table, marker } of tableRebuilds) {
+      const definition = migrations.find(migration => migration.includes(`EXISTS ${table} (`));
+      await this.rebuildTableIfOutdated(table, marker, definition);
+    }
+
+    // Columns added to existing tables after their initial release
+    const columnMigrations = [
+      { table: 'alerts', column: 'chain', definition: 'TEXT' },
+      { table: 'contract_checkpoints', column: 'chain', definition: 'TEXT NOT NULL DEFAULT \'doma-testnet\'' },
+      { table: 'domain_cache', column: 'ownerUpdatedAt', definition: 'DATETIME' },
+      { table: 'domain_cache', column: 'expiryUpdatedAt', definition: 'DATETIME' },
+      { table: 'domain_cache', column: 'priceUpdatedAt', definition: 'DATETIME' },
+      { table: 'subscriptions', column: 'proratedCredit', definition: 'DECIMAL(18,8)' },
+      { table: 'subscriptions', column: 'replacesSubscriptionId', definition: 'INTEGER' },
+      { table: 'subscriptions', column: 'scheduledTier', definition: 'TEXT' },
+      { table: 'users', column: 'dunningStage', definition: 'TEXT' },
+      { table: 'users', column: 'lastReminderDays', definition: 'INTEGER' },
+      { table: 'auto_actions', column: 'pausedReason', definition: 'TEXT' },
+      { table: 'users', column: 'referralCode', definition: 'TEXT' },
+      { table: 'users', column: 'referredBy', definition: 'INTEGER' },
+      { table: 'subscriptions', column: 'promoCodeId', definition: 'INTEGER' },
+      { table: 'subscriptions', column: 'discount', definition: 'DECIMAL(18,8)' },
+      { table: 'subscriptions', column: 'renewalAttempts', definition: 'INTEGER DEFAULT 0' },
+      { table: 'subscriptions', column: 'lastRenewalAttempt', definition: 'DATETIME' },
+      { table: 'subscriptions', column: 'renewalError', definition: 'TEXT' },
+      { table: 'users', column: 'walletVerifiedAt', definition: 'DATETIME' },
+      { table: 'users', column: 'totpSecret', definition: 'TEXT' },
+      { table: 'users', column: 'totpEnabledAt', definition: 'DATETIME' },
+      { table: 'users', column: 'totpLastStep', definition: 'INTEGER' },
+      { table: 'users', column: 'role', definition: 'TEXT NOT NULL DEFAULT \'user\' CHECK(role IN (\'user\', \'support\', \'admin\'))' },
+      { table: 'users', column: 'deletionRequestedAt', definition: 'DATETIME' },
+      { table: 'users', column: 'deletionScheduledFor', definition: 'DATETIME' },
+      { table: 'users', column: 'deletedAt', definition: 'DATETIME' }
+    ];
+
+    for (const { table, column, definition } of columnMigrations) {
+      await this.addColumnIfMissing(table, column, definition);
+    }
+
     // Create indexes for better performance
     const indexes = [
       'CREATE INDEX IF NOT EXISTS idx_users_telegram ON users(telegramId)',
       'CREATE INDEX IF NOT EXISTS idx_users_twitter ON users(twitterId)',
       'CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)',
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_users_referral_code ON users(referralCode)',
+      'CREATE INDEX IF NOT EXISTS idx_users_referred_by ON users(referredBy)',
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_users_verified_wallet ON users(LOWER(walletAddress)) WHERE walletVerifiedAt IS NOT NULL',
+      'CREATE INDEX IF NOT EXISTS idx_siwe_nonces_expires ON siwe_nonces(expiresAt)',
+      'CREATE INDEX IF NOT EXISTS idx_link_codes_identity ON link_codes(platform, platformUserId)',
       'CREATE INDEX IF NOT EXISTS idx_alerts_user ON alerts(userId)',
       'CREATE INDEX IF NOT EXISTS idx_alerts_active ON alerts(isActive)',
       'CREATE INDEX IF NOT EXISTS idx_alerts_type ON alerts(type)',
+      'CREATE INDEX IF NOT EXISTS idx_alerts_chain ON alerts(chain)',
       'CREATE INDEX IF NOT EXISTS idx_domain_monitoring_user ON domain_monitoring(userId)',
       'CREATE INDEX IF NOT EXISTS idx_domain_monitoring_domain ON domain_monitoring(domain)',
       'CREATE INDEX IF NOT EXISTS idx_auto_actions_user ON auto_actions(userId)',
       'CREATE INDEX IF NOT EXISTS idx_auto_actions_active ON auto_actions(isActive)',
       'CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expiresAt)',
+      'CREATE INDEX IF NOT EXISTS idx_sessions_family ON sessions(familyId)',
+      'CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(userId)',
+      'CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(userId)',
+      'CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON recovery_codes(userId, codeHash)',
+      'CREATE INDEX IF NOT EXISTS idx_admin_audit_admin ON admin_audit_logs(adminId, createdAt)',
+      'CREATE INDEX IF NOT EXISTS idx_admin_audit_target ON admin_audit_logs(targetUserId, createdAt)',
       'CREATE INDEX IF NOT EXISTS idx_domain_cache_domain ON domain_cache(domain)',
+      'CREATE INDEX IF NOT EXISTS idx_subscriptions_user ON subscriptions(userId, status)',
       'CREATE INDEX IF NOT EXISTS idx_transaction_logs_hash ON transaction_logs(transactionHash)',
       'CREATE INDEX IF NOT EXISTS idx_transaction_logs_user ON transaction_logs(userId)',
-      'CREATE INDEX IF NOT EXISTS idx_bot_interactions_platform ON bot_interactions(platform, chatId)'
+      'CREATE INDEX IF NOT EXISTS idx_bot_interactions_platform ON bot_interactions(platform, chatId)',
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_contract_checkpoints_contract ON contract_checkpoints(chain, contractName, contractAddress)',
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_domain_events_log ON domain_events(chain, transactionHash, logIndex)',
+      'CREATE INDEX IF NOT EXISTS idx_domain_events_domain ON domain_events(domain, chain, blockNumber, logIndex)',
+      'CREATE INDEX IF NOT EXISTS idx_domain_events_time ON domain_events(chain, occurredAt)',
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_trending_domains_position ON trending_domains(chain, timeframe, position)'
     ];
 
     for (const index of indexes) {
@@ -258,8 +520,46 @@ class Database {
     logger.info('Database tables and indexes created successfully');
   }
 
+  async addColumnIfMissing(table, column, definition) {
+    const columns = await this.all(`PRAGMA table_info(${table})`);
+    if (!columns.some(existing => existing.name === column)) {
+      await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      logger.info('Added database column', { table, column });
+    }
+  }
+
+  // Recreate a table from its current definition, copying the columns both
+  // versions share
+  async rebuildTableIfOutdated(table, marker, definition) {
+    const existing = await this.get('SELECT sql FROM sqlite_master WHERE type = \'table\' AND name = ?', [table]);
+    if (existing.sql.includes(marker)) {
+      return;
+    }
+
+    const oldColumns = (await this.all(`PRAGMA table_info(${table})`)).map(column => column.name);
+
+    await this.run('PRAGMA foreign_keys = OFF');
+    try {
+      await this.transaction(async () => {
+        await this.run(`ALTER TABLE ${table} RENAME TO ${table}_old`);
+        await this.run(definition);
+
+        const newColumns = (await this.all(`PRAGMA table_info(${table})`)).map(column => column.name);
+        const shared = oldColumns.filter(column => newColumns.includes(column)).join(', ');
+
+        await this.run(`INSERT INTO ${table} (${shared}) SELECT ${shared} FROM ${table}_old`);
+        await this.run(`DROP TABLE ${table}_old`);
+      });
+    } finally {
+      await this.run('PRAGMA foreign_keys = ON');
+    }
+
+    logger.info('Rebuilt database table', { table });
+  }
+
   // Promisified database methods
-  run(sql, params = []) {
+  async run(sql, params = []) {
+    await this.waitForTransaction();
     return new Promise((resolve, reject) => {
       this.db.run(sql, params, function(err) {
         if (err) {
@@ -272,7 +572,8 @@ class Database {
     });
   }
 
-  get(sql, params = []) {
+  async get(sql, params = []) {
+    await this.waitForTransaction();
     return new Promise((resolve, reject) => {
       this.db.get(sql, params, (err, row) => {
         if (err) {
@@ -285,7 +586,8 @@ class Database {
     });
   }
 
-  all(sql, params = []) {
+  async all(sql, params = []) {
+    await this.waitForTransaction();
     return new Promise((resolve, reject) => {
       this.db.all(sql, params, (err, rows) => {
         if (err) {
@@ -298,16 +600,46 @@ class Database {
     });
   }
 
+  async waitForTransaction() {
+    if (this.transactionScope.getStore()) {
+      return;
+    }
+    // Another transaction may have been queued while we were waiting
+    let queue;
+    do {
+      queue = this.transactionQueue;
+      await queue;
+    } while (queue !== this.transactionQueue);
+  }
+
   // Transaction helper
   async transaction(callback) {
-    await this.run('BEGIN TRANSACTION');
+    // Nested calls join the transaction that is already open
+    if (this.transactionScope.getStore()) {
+      return callback();
+    }
+
+    const previous = this.transactionQueue;
+    let release;
+    this.transactionQueue = new Promise((resolve) => {
+      release = resolve;
+    });
+    await previous;
+
     try {
-      const result = await callback();
-      await this.run('COMMIT');
-      return result;
-    } catch (error) {
-      await this.run('ROLLBACK');
-      throw error;
+      return await this.transactionScope.run(true, async () => {
+        await this.run('BEGIN TRANSACTION');
+        try {
+          const result = await callback();
+          await this.run('COMMIT');
+          return result;
+        } catch (error) {
+          await this.run('ROLLBACK');
+          throw error;
+        }
+      });
+    } finally {
+      release();
     }
   }
 
@@ -0,0 +1,109 @@
+import { database } from '../init.js';
+import { logger } from '../../utils/logger.js';
+import { deleteUser } from './user.js';
+
+const ACCOUNT_DELETION_COOLING_OFF_DAYS = parseInt(process.env.ACCOUNT_DELETION_COOLING_OFF_DAYS) || 14;
+
+const parseJsonColumns = (rows, columns) => rows.map(row => {
+  const parsed = { ...row };
+  for (const column of columns) {
+    try {
+      parsed[column] = row[column] ? JSON.parse(row[column]) : row[column];
+    } catch (error) {
+      // Older rows may hold plain text
+    }
+  }
+  return parsed;
+});
+
+// Everything stored about a user, for a GDPR-style data export
+export const exportUserData = async (userId) => {
+  try {
+    const [profile, alerts, alertLogs, autoActions, subscriptions, botInteractions] = await Promise.all([
+      database.get(
+        `SELECT id, username, email, role, subscriptionTier, subscriptionExpiry, isActive, monthlySpendLimit,
+         walletAddress, walletVerifiedAt, telegramId, twitterId, domaAccountId, preferences,
+         referralCode, referredBy, totpEnabledAt, deletionScheduledFor, createdAt, updatedAt
+         FROM users WHERE id = ?`,
+        [userId]
+      ),
+      database.all('SELECT * FROM alerts WHERE userId = ? ORDER BY createdAt, id', [userId]),
+      database.all('SELECT * FROM alert_logs WHERE userId = ? ORDER BY createdAt, id', [userId]),
+      database.all('SELECT * FROM auto_actions WHERE userId = ? ORDER BY createdAt, id', [userId]),
+      database.all('SELECT * FROM subscriptions WHERE userId = ? ORDER BY createdAt, id', [userId]),
+      database.all('SELECT * FROM bot_interactions WHERE userId = ? ORDER BY createdAt, id', [userId])
+    ]);
+
+    return {
+      exportedAt: new Date().toISOString(),
+      profile: profile && parseJsonColumns([profile], ['preferences'])[0],
+      alerts: parseJsonColumns(alerts, ['conditions']),
+      alertLogs: parseJsonColumns(alertLogs, ['eventData']),
+      autoActions: parseJsonColumns(autoActions, ['conditions']),
+      subscriptions,
+      botInteractions: parseJsonColumns(botInteractions, ['parameters'])
+    };
+  } catch (error) {
+    logger.error('Failed to export user data:', error);
+    throw error;
+  }
+};
+
+// Schedule erasure after a cooling-off period, during which the account keeps
+// working and the request can be cancelled
+export const scheduleAccountDeletion = async (userId) => {
+  try {
+    const scheduledFor = new Date(Date.now() + ACCOUNT_DELETION_COOLING_OFF_DAYS * 86400000).toISOString();
+
+    await database.run(
+      `UPDATE users SET deletionRequestedAt = CURRENT_TIMESTAMP, deletionScheduledFor = ?, updatedAt = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [scheduledFor, userId]
+    );
+
+    logger.info('Account deletion scheduled', { userId, scheduledFor });
+    return { scheduledFor, coolingOffDays: ACCOUNT_DELETION_COOLING_OFF_DAYS };
+  } catch (error) {
+    logger.error('Failed to schedule account deletion:', error);
+    throw error;
+  }
+};
+
+// Returns false when no deletion was pending
+export const cancelAccountDeletion = async (userId) => {
+  try {
+    const result = await database.run(
+      `UPDATE users SET deletionRequestedAt = NULL, deletionScheduledFor = NULL, updatedAt = CURRENT_TIMESTAMP
+       WHERE id = ? AND deletionScheduledFor IS NOT NULL`,
+      [userId]
+    );
+
+    if (result.changes > 0) {
+      logger.info('Account deletion cancelled', { userId });
+    }
+
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to cancel account deletion:', error);
+    throw error;
+  }
+};
+
+// Erase accounts whose cooling-off period has ended
+export const deleteDueAccounts = async () => {
+  try {
+    const due = await database.all(
+      'SELECT id FROM users WHERE deletionScheduledFor <= ? AND deletedAt IS NULL',
+      [new Date().toISOString()]
+    );
+
+    for (const { id } of due) {
+      await deleteUser(id);
+    }
+
+    return due.length;
+  } catch (error) {
+    logger.error('Failed to delete due accounts:', error);
+    throw error;
+  }
+};
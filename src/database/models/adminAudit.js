@@ -0,0 +1,64 @@
+import { database } from '../init.js';
+import { logger } from '../../utils/logger.js';
+
+// Record an action taken through the admin API
+export const logAdminAction = async ({ adminId, action, targetUserId = null, details = null, ip = null }) => {
+  try {
+    await database.run(
+      `INSERT INTO admin_audit_logs (adminId, action, targetUserId, details, ip)
+       VALUES (?, ?, ?, ?, ?)`,
+      [adminId, action, targetUserId, details ? JSON.stringify(details) : null, ip]
+    );
+
+    logger.info('Admin action', { adminId, action, targetUserId });
+  } catch (error) {
+    logger.error('Failed to log admin action:', error);
+    throw error;
+  }
+};
+
+// Audit entries, newest first
+export const getAdminAuditLogs = async (options = {}) => {
+  try {
+    const { limit = 50, offset = 0, adminId, targetUserId, action } = options;
+
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+
+    if (adminId) {
+      whereClause += ' AND l.adminId = ?';
+      params.push(adminId);
+    }
+
+    if (targetUserId) {
+      whereClause += ' AND l.targetUserId = ?';
+      params.push(targetUserId);
+    }
+
+    if (action) {
+      whereClause += ' AND l.action = ?';
+      params.push(action);
+    }
+
+    const [logs, count] = await Promise.all([
+      database.all(
+        `SELECT l.*, u.username as adminUsername
+         FROM admin_audit_logs l
+         LEFT JOIN users u ON u.id = l.adminId
+         ${whereClause}
+         ORDER BY l.createdAt DESC, l.id DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      ),
+      database.get(`SELECT COUNT(*) as total FROM admin_audit_logs l ${whereClause}`, params)
+    ]);
+
+    return {
+      logs: logs.map(log => ({ ...log, details: log.details ? JSON.parse(log.details) : null })),
+      total: count.total
+    };
+  } catch (error) {
+    logger.error('Failed to get admin audit logs:', error);
+    throw error;
+  }
+};
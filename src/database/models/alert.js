@@ -10,7 +10,8 @@ export const createAlert = async (alertData) => {
       domain,
       domainPattern,
       conditions,
-      platform
+      platform,
+      chain = null
     } = alertData;
 
     // Validate alert type
@@ -30,9 +31,9 @@ export const createAlert = async (alertData) => {
 
     const result = await database.run(
       `INSERT INTO alerts (
-        userId, type, domain, domainPattern, conditions, platform
-      ) VALUES (?, ?, ?, ?, ?, ?)`,
-      [userId, type, domain, domainPattern, conditionsJson, platform]
+        userId, type, domain, domainPattern, conditions, platform, chain
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [userId, type, domain, domainPattern, conditionsJson, platform, chain]
     );
 
     const alert = await getAlertById(result.lastID);
@@ -66,7 +67,7 @@ export const getAlertById = async (id) => {
 // Get alerts by user ID
 export const getAlertsByUserId = async (userId, options = {}) => {
   try {
-    const { active, type, platform, limit, offset } = options;
+    const { active, type, platform, chain, limit, offset } = options;
     
     let whereClause = 'WHERE userId = ?';
     const params = [userId];
@@ -86,6 +87,11 @@ export const getAlertsByUserId = async (userId, options = {}) => {
       params.push(platform);
     }
 
+    if (chain) {
+      whereClause += ' AND chain = ?';
+      params.push(chain);
+    }
+
     let limitClause = '';
     if (limit) {
       limitClause = ` LIMIT ${limit}`;
@@ -112,7 +118,7 @@ export const getAlertsByUserId = async (userId, options = {}) => {
 // Update alert
 export const updateAlert = async (id, updateData) => {
   try {
-    const allowedFields = ['type', 'domain', 'domainPattern', 'conditions', 'platform', 'isActive'];
+    const allowedFields = ['type', 'domain', 'domainPattern', 'conditions', 'platform', 'chain', 'isActive'];
     
     const fields = [];
     const values = [];
@@ -189,8 +195,8 @@ export const incrementTriggerCount = async (id) => {
   }
 };
 
-// Get alerts by domain
-export const getAlertsByDomain = async (domain, type = null) => {
+// Get alerts by domain (alerts without a chain match every chain)
+export const getAlertsByDomain = async (domain, type = null, chain = null) => {
   try {
     let whereClause = 'WHERE isActive = 1 AND (domain = ? OR domainPattern = ?)';
     const params = [domain, domain];
@@ -200,6 +206,11 @@ export const getAlertsByDomain = async (domain, type = null) => {
       params.push(type);
     }
 
+    if (chain) {
+      whereClause += ' AND (chain IS NULL OR chain = ?)';
+      params.push(chain);
+    }
+
     const alerts = await database.all(
       `SELECT * FROM alerts ${whereClause}`,
       params
@@ -216,7 +227,7 @@ export const getAlertsByDomain = async (domain, type = null) => {
 };
 
 // Get alerts by pattern matching
-export const getAlertsByPattern = async (domain, type = null) => {
+export const getAlertsByPattern = async (domain, type = null, chain = null) => {
   try {
     let whereClause = 'WHERE isActive = 1 AND domainPattern IS NOT NULL';
     const params = [];
@@ -226,6 +237,11 @@ export const getAlertsByPattern = async (domain, type = null) => {
       params.push(type);
     }
 
+    if (chain) {
+      whereClause += ' AND (chain IS NULL OR chain = ?)';
+      params.push(chain);
+    }
+
     const alerts = await database.all(
       `SELECT * FROM alerts ${whereClause}`,
       params
@@ -362,6 +378,45 @@ export const getAlertLogs = async (alertId, options = {}) => {
   }
 };
 
+// Get alert logs queued for batched delivery, oldest first
+export const getPendingAlertLogs = async (userId = null) => {
+  try {
+    const logs = await database.all(
+      `SELECT * FROM alert_logs
+       WHERE status = 'pending' ${userId ? 'AND userId = ?' : ''}
+       ORDER BY userId, createdAt ASC`,
+      userId ? [userId] : []
+    );
+
+    return logs.map(log => ({
+      ...log,
+      eventData: JSON.parse(log.eventData || '{}')
+    }));
+  } catch (error) {
+    logger.error('Failed to get pending alert logs:', error);
+    throw error;
+  }
+};
+
+// Set the delivery status of a set of alert logs
+export const updateAlertLogStatus = async (ids, status) => {
+  try {
+    if (ids.length === 0) {
+      return 0;
+    }
+
+    const result = await database.run(
+      `UPDATE alert_logs SET status = ? WHERE id IN (${ids.map(() => '?').join(', ')})`,
+      [status, ...ids]
+    );
+
+    return result.changes;
+  } catch (error) {
+    logger.error('Failed to update alert log status:', error);
+    throw error;
+  }
+};
+
 // Get user alert statistics
 export const getUserAlertStats = async (userId) => {
   try {
@@ -0,0 +1,200 @@
+import { database } from '../init.js';
+import { logger } from '../../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Percentage rounded to two decimals, 0 when there is nothing to divide
+const rate = (part, total) => (total > 0 ? Number(((part / total) * 100).toFixed(2)) : 0);
+
+// Every UTC day in the range, so charts get a point even for quiet days
+const listDays = (from, to) => {
+  const days = [];
+  for (let time = Date.parse(from.slice(0, 10)); time <= Date.parse(to); time += DAY_MS) {
+    days.push(new Date(time).toISOString().slice(0, 10));
+  }
+  return days;
+};
+
+// Alerts triggered per day, broken down by alert type, platform and delivery status
+export const getAlertSeries = async (userId, { from, to }) => {
+  try {
+    const rows = await database.all(
+      `SELECT date(l.createdAt) AS day, COALESCE(a.type, l.eventType) AS type,
+         l.platform, l.status, COUNT(*) AS count
+       FROM alert_logs l
+       LEFT JOIN alerts a ON a.id = l.alertId
+       WHERE l.userId = ? AND datetime(l.createdAt) BETWEEN datetime(?) AND datetime(?)
+       GROUP BY day, type, l.platform, l.status`,
+      [userId, from, to]
+    );
+
+    const series = new Map(listDays(from, to).map(day => [day, {
+      date: day,
+      total: 0,
+      sent: 0,
+      failed: 0,
+      pending: 0,
+      byType: {},
+      byPlatform: {}
+    }]));
+
+    for (const row of rows) {
+      const bucket = series.get(row.day);
+      if (!bucket) {
+        continue;
+      }
+
+      bucket.total += row.count;
+      bucket[row.status] += row.count;
+      bucket.byType[row.type] = (bucket.byType[row.type] || 0) + row.count;
+      bucket.byPlatform[row.platform] = (bucket.byPlatform[row.platform] || 0) + row.count;
+    }
+
+    return Array.from(series.values()).map(bucket => ({
+      ...bucket,
+      successRate: rate(bucket.sent, bucket.total)
+    }));
+  } catch (error) {
+    logger.error('Failed to get alert series:', error);
+    throw error;
+  }
+};
+
+// Auto-action executions and spend per day. Auto-action spend comes from
+// auto_action_logs; transaction_logs adds subscription payments and gas.
+export const getSpendSeries = async (userId, { from, to }) => {
+  try {
+    const [actionRows, transactionRows] = await Promise.all([
+      database.all(
+        `SELECT date(createdAt) AS day,
+           COUNT(CASE WHEN status = 'success' THEN 1 END) AS executed,
+           COUNT(CASE WHEN status = 'failed' THEN 1 END) AS failed,
+           COALESCE(SUM(CASE WHEN status = 'success' THEN amount END), 0) AS spend
+         FROM auto_action_logs
+         WHERE userId = ? AND datetime(createdAt) BETWEEN datetime(?) AND datetime(?)
+         GROUP BY day`,
+        [userId, from, to]
+      ),
+      database.all(
+        `SELECT date(createdAt) AS day,
+           COALESCE(SUM(CASE WHEN type = 'subscription' THEN amount END), 0) AS subscriptionSpend,
+           COALESCE(SUM(gasFee), 0) AS gasFees
+         FROM transaction_logs
+         WHERE userId = ? AND status = 'confirmed'
+           AND datetime(createdAt) BETWEEN datetime(?) AND datetime(?)
+         GROUP BY day`,
+        [userId, from, to]
+      )
+    ]);
+
+    const series = new Map(listDays(from, to).map(day => [day, {
+      date: day,
+      executed: 0,
+      failed: 0,
+      spend: 0,
+      subscriptionSpend: 0,
+      gasFees: 0
+    }]));
+
+    for (const { day, ...values } of [...actionRows, ...transactionRows]) {
+      const bucket = series.get(day);
+      if (bucket) {
+        Object.assign(bucket, values);
+      }
+    }
+
+    return Array.from(series.values());
+  } catch (error) {
+    logger.error('Failed to get spend series:', error);
+    throw error;
+  }
+};
+
+// Domains that triggered the most alerts, with their auto-action activity
+export const getTopDomains = async (userId, { from, to }, limit = 10) => {
+  try {
+    const domains = await database.all(
+      `SELECT domain, COUNT(*) AS triggers,
+         COUNT(CASE WHEN status = 'sent' THEN 1 END) AS sent,
+         MAX(createdAt) AS lastTriggered
+       FROM (
+         -- Pattern alerts record the matched domain in the event data
+         SELECT LOWER(COALESCE(a.domain, json_extract(l.eventData, '$.domain'))) AS domain,
+           l.status, l.createdAt
+         FROM alert_logs l
+         LEFT JOIN alerts a ON a.id = l.alertId
+         WHERE l.userId = ? AND datetime(l.createdAt) BETWEEN datetime(?) AND datetime(?)
+       )
+       WHERE domain IS NOT NULL
+       GROUP BY domain
+       ORDER BY triggers DESC, lastTriggered DESC
+       LIMIT ?`,
+      [userId, from, to, limit]
+    );
+
+    if (domains.length === 0) {
+      return [];
+    }
+
+    const actions = await database.all(
+      `SELECT LOWER(domain) AS domain, COUNT(*) AS autoActions,
+         COALESCE(SUM(CASE WHEN status = 'success' THEN amount END), 0) AS spend
+       FROM auto_action_logs
+       WHERE userId = ? AND datetime(createdAt) BETWEEN datetime(?) AND datetime(?)
+         AND LOWER(domain) IN (${domains.map(() => '?').join(', ')})
+       GROUP BY 1`,
+      [userId, from, to, ...domains.map(row => row.domain)]
+    );
+    const actionsByDomain = new Map(actions.map(row => [row.domain, row]));
+
+    return domains.map(row => ({
+      domain: row.domain,
+      triggers: row.triggers,
+      successRate: rate(row.sent, row.triggers),
+      lastTriggered: row.lastTriggered,
+      autoActions: actionsByDomain.get(row.domain)?.autoActions || 0,
+      spend: actionsByDomain.get(row.domain)?.spend || 0
+    }));
+  } catch (error) {
+    logger.error('Failed to get top domains:', error);
+    throw error;
+  }
+};
+
+// Current alert configuration, independent of the date range
+export const getAlertOverview = async (userId) => {
+  try {
+    return await database.get(
+      `SELECT
+         COUNT(*) AS totalAlerts,
+         COUNT(CASE WHEN isActive = 1 THEN 1 END) AS activeAlerts,
+         COUNT(DISTINCT CASE WHEN isActive = 1 THEN LOWER(COALESCE(domain, domainPattern)) END) AS domainsMonitored
+       FROM alerts WHERE userId = ?`,
+      [userId]
+    );
+  } catch (error) {
+    logger.error('Failed to get alert overview:', error);
+    throw error;
+  }
+};
+
+// Add up a daily series into range totals
+export const summarizeAlertSeries = (series) => {
+  const totals = { total: 0, sent: 0, failed: 0, pending: 0, byType: {}, byPlatform: {} };
+
+  for (const bucket of series) {
+    totals.total += bucket.total;
+    totals.sent += bucket.sent;
+    totals.failed += bucket.failed;
+    totals.pending += bucket.pending;
+
+    for (const [key, count] of Object.entries(bucket.byType)) {
+      totals.byType[key] = (totals.byType[key] || 0) + count;
+    }
+    for (const [key, count] of Object.entries(bucket.byPlatform)) {
+      totals.byPlatform[key] = (totals.byPlatform[key] || 0) + count;
+    }
+  }
+
+  return { ...totals, successRate: rate(totals.sent, totals.total) };
+};
@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+import { database } from '../init.js';
+import { logger } from '../../utils/logger.js';
+
+export const API_KEY_SCOPES = ['alerts:read', 'alerts:write', 'domains:read', 'auto-actions:execute'];
+
+// Keys are recognisable by prefix, so clients can tell them apart from JWTs
+export const API_KEY_PREFIX = 'dak_';
+
+// Only a hash of each key is stored
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+// expiresAt and lastUsedAt are ISO strings, so they compare as text
+const now = () => new Date().toISOString();
+
+const toApiKey = (row) => ({
+  id: row.id,
+  name: row.name,
+  prefix: row.prefix,
+  scopes: JSON.parse(row.scopes || '[]'),
+  expiresAt: row.expiresAt,
+  lastUsedAt: row.lastUsedAt,
+  lastUsedIp: row.lastUsedIp,
+  revokedAt: row.revokedAt,
+  createdAt: row.createdAt
+});
+
+// Create a key; the plain key is only ever returned here
+export const createApiKey = async ({ userId, name, scopes, expiresAt = null }) => {
+  try {
+    const key = API_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const prefix = key.slice(0, API_KEY_PREFIX.length + 6);
+
+    const result = await database.run(
+      `INSERT INTO api_keys (userId, name, prefix, keyHash, scopes, expiresAt)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [userId, name, prefix, hashKey(key), JSON.stringify(scopes), expiresAt]
+    );
+
+    logger.info('API key created', { userId, apiKeyId: result.lastID, scopes });
+
+    const row = await database.get('SELECT * FROM api_keys WHERE id = ?', [result.lastID]);
+    return { key, apiKey: toApiKey(row) };
+  } catch (error) {
+    logger.error('Failed to create API key:', error);
+    throw error;
+  }
+};
+
+export const getApiKeys = async (userId) => {
+  try {
+    const rows = await database.all(
+      'SELECT * FROM api_keys WHERE userId = ? ORDER BY createdAt DESC, id DESC',
+      [userId]
+    );
+    return rows.map(toApiKey);
+  } catch (error) {
+    logger.error('Failed to get API keys:', error);
+    throw error;
+  }
+};
+
+// Look up a key that is neither revoked nor expired
+export const getApiKeyByKey = async (key) => {
+  try {
+    const row = await database.get(
+      `SELECT * FROM api_keys
+       WHERE keyHash = ? AND revokedAt IS NULL AND (expiresAt IS NULL OR expiresAt > ?)`,
+      [hashKey(key), now()]
+    );
+    return row ? { ...toApiKey(row), userId: row.userId } : null;
+  } catch (error) {
+    logger.error('Failed to get API key:', error);
+    throw error;
+  }
+};
+
+export const touchApiKey = async (id, ip) => {
+  try {
+    await database.run(
+      'UPDATE api_keys SET lastUsedAt = ?, lastUsedIp = ? WHERE id = ?',
+      [now(), ip || null, id]
+    );
+  } catch (error) {
+    logger.error('Failed to update API key usage:', error);
+    throw error;
+  }
+};
+
+// Returns false when the user has no such active key
+export const revokeApiKey = async (id, userId) => {
+  try {
+    const result = await database.run(
+      'UPDATE api_keys SET revokedAt = CURRENT_TIMESTAMP WHERE id = ? AND userId = ? AND revokedAt IS NULL',
+      [id, userId]
+    );
+
+    if (result.changes > 0) {
+      logger.info('API key revoked', { userId, apiKeyId: id });
+    }
+
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to revoke API key:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,64 @@
+import { database } from '../init.js';
+import { logger } from '../../utils/logger.js';
+
+// Get the last fully processed block for a contract
+export const getCheckpoint = async (chain, contractName, contractAddress) => {
+  try {
+    const checkpoint = await database.get(
+      `SELECT * FROM contract_checkpoints
+       WHERE chain = ? AND contractName = ? AND LOWER(contractAddress) = LOWER(?)`,
+      [chain, contractName, contractAddress]
+    );
+
+    return checkpoint ? checkpoint.lastProcessedBlock : null;
+  } catch (error) {
+    logger.error('Failed to get contract checkpoint:', error);
+    throw error;
+  }
+};
+
+// Get all stored checkpoints
+export const getCheckpoints = async () => {
+  try {
+    return await database.all('SELECT * FROM contract_checkpoints ORDER BY chain ASC, contractName ASC');
+  } catch (error) {
+    logger.error('Failed to get contract checkpoints:', error);
+    throw error;
+  }
+};
+
+// Save the last fully processed block for a contract (never moves backwards)
+export const saveCheckpoint = async (chain, contractName, contractAddress, blockNumber) => {
+  try {
+    await database.run(
+      `INSERT INTO contract_checkpoints (chain, contractName, contractAddress, lastProcessedBlock)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT (chain, contractName, contractAddress) DO UPDATE SET
+         lastProcessedBlock = MAX(lastProcessedBlock, excluded.lastProcessedBlock),
+         updatedAt = CURRENT_TIMESTAMP`,
+      [chain, contractName, contractAddress.toLowerCase(), blockNumber]
+    );
+
+    logger.debug('Contract checkpoint saved', { chain, contractName, blockNumber });
+  } catch (error) {
+    logger.error('Failed to save contract checkpoint:', error);
+    throw error;
+  }
+};
+
+// Move a checkpoint back after a chain reorganization orphaned processed blocks
+export const rewindCheckpoint = async (chain, contractName, contractAddress, blockNumber) => {
+  try {
+    await database.run(
+      `UPDATE contract_checkpoints
+       SET lastProcessedBlock = MIN(lastProcessedBlock, ?), updatedAt = CURRENT_TIMESTAMP
+       WHERE chain = ? AND contractName = ? AND contractAddress = LOWER(?)`,
+      [blockNumber, chain, contractName, contractAddress]
+    );
+
+    logger.info('Contract checkpoint rewound', { chain, contractName, blockNumber });
+  } catch (error) {
+    logger.error('Failed to rewind contract checkpoint:', error);
+    throw error;
+  }
+};
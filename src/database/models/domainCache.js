@@ -0,0 +1,242 @@
+import { database } from '../init.js';
+import { logger } from '../../utils/logger.js';
+
+const CACHE_COLUMNS = [
+  'contractAddress',
+  'owner',
+  'ownerUpdatedAt',
+  'expiryDate',
+  'expiryUpdatedAt',
+  'currentPrice',
+  'isForSale',
+  'lastSalePrice',
+  'priceUpdatedAt'
+];
+
+export const SEARCH_MODES = ['prefix', 'substring', 'wildcard', 'regex'];
+
+const SORT_COLUMNS = {
+  domain: 'd.domain',
+  price: 'c.currentPrice',
+  expiry: 'c.expiryDate',
+  length: 'd.nameLength'
+};
+
+// SQLite has no REGEXP, so regex mode tests at most this many rows that pass
+// the structured filters
+const REGEX_CANDIDATE_LIMIT = 5000;
+
+// Escape LIKE wildcards so user input matches literally
+const escapeLike = (value) => value.replace(/[\\%_]/g, char => `\\${char}`);
+
+const LIKE_CONDITION = 'd.domain LIKE ? ESCAPE \'\\\'';
+
+// Get the cached row for a domain on a chain
+export const getCachedDomain = async (domain, chain) => {
+  try {
+    return await database.get(
+      'SELECT * FROM domain_cache WHERE domain = ? AND chain = ?',
+      [domain.toLowerCase(), chain]
+    );
+  } catch (error) {
+    logger.error('Failed to get cached domain:', error);
+    throw error;
+  }
+};
+
+// Insert or update the given cache columns, leaving the others untouched
+export const saveCachedDomain = async (domain, chain, fields) => {
+  try {
+    const columns = Object.keys(fields).filter(column => CACHE_COLUMNS.includes(column));
+    const values = columns.map(column => fields[column]);
+
+    const updates = ['lastUpdated = CURRENT_TIMESTAMP']
+      .concat(columns.map(column => `${column} = excluded.${column}`));
+
+    await database.run(
+      `INSERT INTO domain_cache (domain, chain${columns.map(column => `, ${column}`).join('')})
+       VALUES (?, ?${columns.map(() => ', ?').join('')})
+       ON CONFLICT (chain, domain) DO UPDATE SET ${updates.join(', ')}`,
+      [domain.toLowerCase(), chain, ...values]
+    );
+
+    logger.debug('Domain cache updated', { domain, chain, columns });
+  } catch (error) {
+    logger.error('Failed to save cached domain:', error);
+    throw error;
+  }
+};
+
+// Fold a confirmed contract event into the cache, unless the cached
+// value is already newer than the event
+export const applyDomainEvent = async (chain, payload, occurredAt) => {
+  try {
+    const { type } = payload;
+    let fields = null;
+
+    if (type === 'listing' || type === 'priceChange') {
+      fields = { currentPrice: payload.price || payload.newPrice, isForSale: 1, priceUpdatedAt: occurredAt };
+    } else if (type === 'delisting') {
+      fields = { currentPrice: null, isForSale: 0, priceUpdatedAt: occurredAt };
+    } else if (type === 'sale') {
+      fields = {
+        owner: payload.buyer,
+        ownerUpdatedAt: occurredAt,
+        currentPrice: null,
+        isForSale: 0,
+        lastSalePrice: payload.price,
+        priceUpdatedAt: occurredAt
+      };
+    } else if (type === 'transfer') {
+      fields = { owner: payload.to, ownerUpdatedAt: occurredAt };
+    } else if (type === 'renewal' || type === 'expiry') {
+      const expiryTime = payload.newExpiryTime ?? payload.expiryTime;
+      fields = { expiryDate: new Date(expiryTime * 1000).toISOString(), expiryUpdatedAt: occurredAt };
+    }
+
+    if (!fields) {
+      return;
+    }
+
+    const cached = await getCachedDomain(payload.domain, chain);
+    const updatedAt = ['ownerUpdatedAt', 'expiryUpdatedAt', 'priceUpdatedAt'].find(column => fields[column]);
+    if (cached?.[updatedAt] && Date.parse(cached[updatedAt]) > Date.parse(occurredAt)) {
+      return;
+    }
+
+    await saveCachedDomain(payload.domain, chain, fields);
+  } catch (error) {
+    logger.error('Failed to apply domain event to cache:', error);
+    throw error;
+  }
+};
+
+// Search the indexed domain set (every domain seen on chain or looked up)
+export const searchDomains = async (chain, options = {}) => {
+  try {
+    const {
+      query,
+      mode = 'substring',
+      tld,
+      minLength,
+      maxLength,
+      forSale,
+      minPrice,
+      maxPrice,
+      expiresWithinDays,
+      sort = 'domain',
+      order = 'asc',
+      limit = 20,
+      offset = 0
+    } = options;
+
+    const conditions = [];
+    const params = [chain, chain, chain];
+
+    if (mode === 'prefix') {
+      conditions.push(LIKE_CONDITION);
+      params.push(`${escapeLike(query.toLowerCase())}%`);
+    } else if (mode === 'substring') {
+      conditions.push(LIKE_CONDITION);
+      params.push(`%${escapeLike(query.toLowerCase())}%`);
+    } else if (mode === 'wildcard') {
+      conditions.push(LIKE_CONDITION);
+      params.push(escapeLike(query.toLowerCase()).replace(/\*/g, '%').replace(/\?/g, '_'));
+    }
+
+    if (tld) {
+      conditions.push(LIKE_CONDITION);
+      params.push(`%.${escapeLike(tld.toLowerCase().replace(/^\./, ''))}`);
+    }
+
+    if (minLength !== undefined) {
+      conditions.push('d.nameLength >= ?');
+      params.push(minLength);
+    }
+
+    if (maxLength !== undefined) {
+      conditions.push('d.nameLength <= ?');
+      params.push(maxLength);
+    }
+
+    if (forSale !== undefined) {
+      conditions.push('COALESCE(c.isForSale, 0) = ?');
+      params.push(forSale ? 1 : 0);
+    }
+
+    if (minPrice !== undefined) {
+      conditions.push('c.currentPrice >= ?');
+      params.push(minPrice);
+    }
+
+    if (maxPrice !== undefined) {
+      conditions.push('c.currentPrice <= ?');
+      params.push(maxPrice);
+    }
+
+    if (expiresWithinDays !== undefined) {
+      conditions.push('c.expiryDate >= ? AND c.expiryDate <= ?');
+      params.push(
+        new Date().toISOString(),
+        new Date(Date.now() + expiresWithinDays * 86400 * 1000).toISOString()
+      );
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const orderClause = `ORDER BY ${SORT_COLUMNS[sort]} IS NULL, ${SORT_COLUMNS[sort]} ${order === 'desc' ? 'DESC' : 'ASC'}, d.domain ASC`;
+    const source = `FROM (
+         SELECT domain,
+           CASE WHEN instr(domain, '.') > 0 THEN instr(domain, '.') - 1 ELSE LENGTH(domain) END AS nameLength
+         FROM (
+           SELECT DISTINCT domain FROM domain_events WHERE chain = ?
+           UNION
+           SELECT domain FROM domain_cache WHERE chain = ?
+         )
+       ) d
+       LEFT JOIN domain_cache c ON c.domain = d.domain AND c.chain = ?
+       ${whereClause}`;
+    const columns = 'd.domain, d.nameLength, c.owner, c.isForSale, c.currentPrice, c.lastSalePrice, c.expiryDate';
+
+    let total;
+    let rows;
+    let truncated = false;
+
+    if (mode === 'regex') {
+      const candidates = await database.all(
+        `SELECT ${columns} ${source} ${orderClause} LIMIT ?`,
+        [...params, REGEX_CANDIDATE_LIMIT + 1]
+      );
+      truncated = candidates.length > REGEX_CANDIDATE_LIMIT;
+
+      const pattern = new RegExp(query, 'i');
+      const matches = candidates.slice(0, REGEX_CANDIDATE_LIMIT).filter(row => pattern.test(row.domain));
+      total = matches.length;
+      rows = matches.slice(offset, offset + limit);
+    } else {
+      const [count, page] = await Promise.all([
+        database.get(`SELECT COUNT(*) AS total ${source}`, params),
+        database.all(`SELECT ${columns} ${source} ${orderClause} LIMIT ? OFFSET ?`, [...params, limit, offset])
+      ]);
+      total = count.total;
+      rows = page;
+    }
+
+    return {
+      total,
+      truncated,
+      results: rows.map(row => ({
+        domain: row.domain,
+        chain,
+        owner: row.owner || null,
+        isForSale: Boolean(row.isForSale),
+        price: row.currentPrice !== null ? String(row.currentPrice) : null,
+        lastSalePrice: row.lastSalePrice !== null ? String(row.lastSalePrice) : null,
+        expiryTime: row.expiryDate ? Math.floor(Date.parse(row.expiryDate) / 1000) : null,
+        nameLength: row.nameLength
+      }))
+    };
+  } catch (error) {
+    logger.error('Failed to search domains:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,154 @@
+import { database } from '../init.js';
+import { logger } from '../../utils/logger.js';
+
+export const DOMAIN_EVENT_TYPES = [
+  'listing',
+  'sale',
+  'priceChange',
+  'delisting',
+  'transfer',
+  'renewal',
+  'expiry',
+  'expired'
+];
+
+// Cursors encode the (blockNumber, logIndex) position of the last row returned
+export const encodeCursor = (event) =>
+  Buffer.from(JSON.stringify([event.blockNumber, event.logIndex])).toString('base64url');
+
+export const decodeCursor = (cursor) => {
+  const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  if (!Array.isArray(position) || position.length !== 2 || !position.every(Number.isInteger)) {
+    throw new Error('Invalid cursor');
+  }
+  return position;
+};
+
+// Store a confirmed contract event (re-indexing the same log updates it in place)
+export const indexDomainEvent = async (chain, payload, occurredAt) => {
+  try {
+    const { type, domain, blockData, ...details } = payload;
+
+    await database.run(
+      `INSERT INTO domain_events (
+        chain, domain, eventType, fromAddress, toAddress, price, data,
+        blockNumber, blockHash, logIndex, transactionHash, occurredAt
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (chain, transactionHash, logIndex) DO UPDATE SET
+        blockNumber = excluded.blockNumber,
+        blockHash = excluded.blockHash,
+        occurredAt = excluded.occurredAt`,
+      [
+        chain,
+        domain.toLowerCase(),
+        type,
+        details.seller || details.from || details.owner || null,
+        details.buyer || details.to || null,
+        details.price || details.newPrice || null,
+        JSON.stringify(details),
+        blockData.blockNumber,
+        blockData.blockHash,
+        blockData.logIndex,
+        blockData.transactionHash,
+        occurredAt
+      ]
+    );
+
+    logger.debug('Domain event indexed', { chain, domain, type, blockNumber: blockData.blockNumber });
+  } catch (error) {
+    logger.error('Failed to index domain event:', error);
+    throw error;
+  }
+};
+
+// Remove an event whose block was orphaned by a reorg
+export const removeDomainEvent = async (chain, transactionHash, logIndex) => {
+  try {
+    const result = await database.run(
+      'DELETE FROM domain_events WHERE chain = ? AND transactionHash = ? AND logIndex = ?',
+      [chain, transactionHash, logIndex]
+    );
+
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to remove domain event:', error);
+    throw error;
+  }
+};
+
+// Page through a domain's history, newest first
+export const getDomainHistory = async (domain, options = {}) => {
+  try {
+    const { chain, types, from, to, cursor, limit = 20 } = options;
+
+    let whereClause = 'WHERE domain = ?';
+    const params = [domain.toLowerCase()];
+
+    if (chain) {
+      whereClause += ' AND chain = ?';
+      params.push(chain);
+    }
+
+    if (types && types.length > 0) {
+      whereClause += ` AND eventType IN (${types.map(() => '?').join(', ')})`;
+      params.push(...types);
+    }
+
+    if (from) {
+      whereClause += ' AND occurredAt >= ?';
+      params.push(from);
+    }
+
+    if (to) {
+      whereClause += ' AND occurredAt <= ?';
+      params.push(to);
+    }
+
+    if (cursor) {
+      whereClause += ' AND (blockNumber, logIndex) < (?, ?)';
+      params.push(...decodeCursor(cursor));
+    }
+
+    // Fetch one extra row to know whether another page exists
+    const rows = await database.all(
+      `SELECT * FROM domain_events ${whereClause}
+       ORDER BY blockNumber DESC, logIndex DESC
+       LIMIT ?`,
+      [...params, limit + 1]
+    );
+
+    const events = rows.slice(0, limit).map(event => ({
+      ...event,
+      data: JSON.parse(event.data || '{}')
+    }));
+
+    return {
+      events,
+      nextCursor: rows.length > limit ? encodeCursor(events[events.length - 1]) : null
+    };
+  } catch (error) {
+    logger.error('Failed to get domain history:', error);
+    throw error;
+  }
+};
+
+// Get a chain's events of the given types since a point in time, oldest first
+export const getDomainEventsSince = async (chain, since, types) => {
+  try {
+    const events = await database.all(
+      `SELECT * FROM domain_events
+       WHERE chain = ? AND occurredAt >= ?
+         AND eventType IN (${types.map(() => '?').join(', ')})
+       ORDER BY occurredAt ASC, blockNumber ASC, logIndex ASC`,
+      [chain, since, ...types]
+    );
+
+    return events.map(event => ({
+      ...event,
+      data: JSON.parse(event.data || '{}')
+    }));
+  } catch (error) {
+    logger.error('Failed to get domain events:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,70 @@
+import crypto from 'crypto';
+import { database } from '../init.js';
+import { logger } from '../../utils/logger.js';
+
+const LINK_CODE_TTL_MINUTES = parseInt(process.env.LINK_CODE_TTL_MINUTES) || 10;
+
+// No 0/O or 1/I, since codes are read off a chat and typed in by hand
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const generateCode = () => Array.from(
+  { length: CODE_LENGTH },
+  () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]
+).join('');
+
+// Issue a one-time code proving control of a bot identity; earlier unused
+// codes for the same identity stop working
+export const createLinkCode = async (platform, platformUserId) => {
+  try {
+    const code = generateCode();
+    const expiresAt = new Date(Date.now() + LINK_CODE_TTL_MINUTES * 60000).toISOString();
+
+    await database.run(
+      `DELETE FROM link_codes
+       WHERE (platform = ? AND platformUserId = ? AND usedAt IS NULL)
+       OR datetime(expiresAt) <= datetime('now', '-1 day')`,
+      [platform, platformUserId]
+    );
+
+    await database.run(
+      'INSERT INTO link_codes (code, platform, platformUserId, expiresAt) VALUES (?, ?, ?, ?)',
+      [code, platform, platformUserId, expiresAt]
+    );
+
+    logger.info('Link code issued', { platform, platformUserId });
+
+    return { code, expiresAt, ttlMinutes: LINK_CODE_TTL_MINUTES };
+  } catch (error) {
+    logger.error('Failed to create link code:', error);
+    throw error;
+  }
+};
+
+// Use up a code, returning the identity it was issued for, or null when it
+// is unknown, expired or already used
+export const consumeLinkCode = async (code) => {
+  try {
+    return await database.transaction(async () => {
+      const linkCode = await database.get(
+        `SELECT * FROM link_codes
+         WHERE code = ? AND usedAt IS NULL AND datetime(expiresAt) > datetime('now')`,
+        [String(code).trim().toUpperCase()]
+      );
+
+      if (!linkCode) {
+        return null;
+      }
+
+      await database.run(
+        'UPDATE link_codes SET usedAt = CURRENT_TIMESTAMP WHERE id = ?',
+        [linkCode.id]
+      );
+
+      return { platform: linkCode.platform, platformUserId: linkCode.platformUserId };
+    });
+  } catch (error) {
+    logger.error('Failed to consume link code:', error);
+    throw error;
+  }
+};
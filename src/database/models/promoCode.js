@@ -0,0 +1,159 @@
+import { database } from '../init.js';
+import { logger } from '../../utils/logger.js';
+
+// Codes are matched case-insensitively and stored upper case
+const normalizeCode = (code) => code.trim().toUpperCase();
+
+const parsePromoCode = (promo) => promo && ({
+  ...promo,
+  tiers: promo.tiers ? JSON.parse(promo.tiers) : null,
+  isActive: Boolean(promo.isActive)
+});
+
+// Create a promo code
+export const createPromoCode = async (promoData) => {
+  try {
+    const {
+      code,
+      discountType,
+      discountValue,
+      tiers = null,
+      expiresAt = null,
+      maxRedemptions = null,
+      createdBy = null
+    } = promoData;
+
+    const result = await database.run(
+      `INSERT INTO promo_codes (
+        code, discountType, discountValue, tiers, expiresAt, maxRedemptions, createdBy
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        normalizeCode(code),
+        discountType,
+        discountValue,
+        tiers ? JSON.stringify(tiers) : null,
+        expiresAt,
+        maxRedemptions,
+        createdBy
+      ]
+    );
+
+    logger.info('Promo code created', { promoCodeId: result.lastID, code: normalizeCode(code) });
+
+    return await getPromoCodeById(result.lastID);
+  } catch (error) {
+    logger.error('Failed to create promo code:', error);
+    throw error;
+  }
+};
+
+export const getPromoCodeById = async (id) => {
+  try {
+    return parsePromoCode(await database.get('SELECT * FROM promo_codes WHERE id = ?', [id]));
+  } catch (error) {
+    logger.error('Failed to get promo code:', error);
+    throw error;
+  }
+};
+
+export const getPromoCodeByCode = async (code) => {
+  try {
+    return parsePromoCode(await database.get('SELECT * FROM promo_codes WHERE code = ?', [normalizeCode(code)]));
+  } catch (error) {
+    logger.error('Failed to get promo code:', error);
+    throw error;
+  }
+};
+
+// List promo codes, newest first
+export const getPromoCodes = async (options = {}) => {
+  try {
+    const { limit = 50, offset = 0, isActive } = options;
+
+    let whereClause = '';
+    const params = [];
+
+    if (isActive !== undefined) {
+      whereClause = 'WHERE isActive = ?';
+      params.push(isActive ? 1 : 0);
+    }
+
+    const [promoCodes, count] = await Promise.all([
+      database.all(
+        `SELECT * FROM promo_codes ${whereClause}
+         ORDER BY createdAt DESC, id DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      ),
+      database.get(`SELECT COUNT(*) AS total FROM promo_codes ${whereClause}`, params)
+    ]);
+
+    return { promoCodes: promoCodes.map(parsePromoCode), total: count.total };
+  } catch (error) {
+    logger.error('Failed to get promo codes:', error);
+    throw error;
+  }
+};
+
+export const deactivatePromoCode = async (id) => {
+  try {
+    const result = await database.run(
+      'UPDATE promo_codes SET isActive = 0, updatedAt = CURRENT_TIMESTAMP WHERE id = ?',
+      [id]
+    );
+
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to deactivate promo code:', error);
+    throw error;
+  }
+};
+
+export const hasRedeemedPromoCode = async (promoCodeId, userId) => {
+  try {
+    const redemption = await database.get(
+      'SELECT id FROM promo_redemptions WHERE promoCodeId = ? AND userId = ?',
+      [promoCodeId, userId]
+    );
+
+    return Boolean(redemption);
+  } catch (error) {
+    logger.error('Failed to check promo redemption:', error);
+    throw error;
+  }
+};
+
+// Record a redemption once its subscription is paid; returns false when the
+// user had already redeemed the code or it has reached its redemption limit
+export const recordPromoRedemption = async ({ promoCodeId, userId, subscriptionId, discount }) => {
+  try {
+    return await database.transaction(async () => {
+      const result = await database.run(
+        `INSERT OR IGNORE INTO promo_redemptions (promoCodeId, userId, subscriptionId, discount)
+         VALUES (?, ?, ?, ?)`,
+        [promoCodeId, userId, subscriptionId, discount]
+      );
+
+      if (result.changes === 0) {
+        return false;
+      }
+
+      // The limit is checked when quoting, but several quotes can be paid at once
+      const counted = await database.run(
+        `UPDATE promo_codes SET redemptionCount = redemptionCount + 1, updatedAt = CURRENT_TIMESTAMP
+         WHERE id = ? AND (maxRedemptions IS NULL OR redemptionCount < maxRedemptions)`,
+        [promoCodeId]
+      );
+
+      if (counted.changes === 0) {
+        await database.run('DELETE FROM promo_redemptions WHERE id = ?', [result.lastID]);
+        return false;
+      }
+
+      return true;
+    });
+  } catch (error) {
+    logger.error('Failed to record promo redemption:', error);
+    throw error;
+  }
+};
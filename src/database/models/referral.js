@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+import { database } from '../init.js';
+import { logger } from '../../utils/logger.js';
+
+// Eight upper-case hex characters
+export const generateReferralCode = () => crypto.randomBytes(4).toString('hex').toUpperCase();
+
+export const getUserByReferralCode = async (code) => {
+  try {
+    return await database.get(
+      'SELECT * FROM users WHERE referralCode = ? AND isActive = 1',
+      [code.trim().toUpperCase()]
+    );
+  } catch (error) {
+    logger.error('Failed to get user by referral code:', error);
+    throw error;
+  }
+};
+
+// Get the user's referral code, assigning one to accounts created before
+// referral codes existed
+export const getReferralCode = async (userId) => {
+  try {
+    const user = await database.get('SELECT referralCode FROM users WHERE id = ?', [userId]);
+    if (!user) {
+      return null;
+    }
+
+    if (user.referralCode) {
+      return user.referralCode;
+    }
+
+    await database.run(
+      'UPDATE users SET referralCode = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ? AND referralCode IS NULL',
+      [generateReferralCode(), userId]
+    );
+
+    const updated = await database.get('SELECT referralCode FROM users WHERE id = ?', [userId]);
+    return updated.referralCode;
+  } catch (error) {
+    logger.error('Failed to get referral code:', error);
+    throw error;
+  }
+};
+
+// Referred users and the days earned from them
+export const getReferralStats = async (userId) => {
+  try {
+    return await database.get(
+      `SELECT
+         (SELECT COUNT(*) FROM users WHERE referredBy = ?) AS referred,
+         COUNT(r.id) AS rewarded,
+         COALESCE(SUM(r.rewardDays), 0) AS rewardDays
+       FROM referral_rewards r
+       WHERE r.referrerId = ?`,
+      [userId, userId]
+    );
+  } catch (error) {
+    logger.error('Failed to get referral stats:', error);
+    throw error;
+  }
+};
+
+// Record the reward for a referred user; returns false when one was already
+// granted for them
+export const recordReferralReward = async ({ referrerId, referredUserId, subscriptionId, rewardDays, rewardTier }) => {
+  try {
+    const result = await database.run(
+      `INSERT OR IGNORE INTO referral_rewards (referrerId, referredUserId, subscriptionId, rewardDays, rewardTier)
+       VALUES (?, ?, ?, ?, ?)`,
+      [referrerId, referredUserId, subscriptionId, rewardDays, rewardTier]
+    );
+
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to record referral reward:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,146 @@
+import crypto from 'crypto';
+import { database } from '../init.js';
+import { logger } from '../../utils/logger.js';
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Only a hash of each refresh token is stored
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// expiresAt is always an ISO string, so it compares as text and can use
+// idx_sessions_expires
+const now = () => new Date().toISOString();
+
+const insertSession = async ({ userId, familyId, userAgent = null, ip = null }) => {
+  const id = crypto.randomUUID();
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 86400000).toISOString();
+
+  await database.run(
+    `INSERT INTO sessions (id, userId, familyId, tokenHash, data, expiresAt)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [id, userId, familyId, hashToken(refreshToken), JSON.stringify({ userAgent, ip }), expiresAt]
+  );
+
+  return { id, familyId, refreshToken, expiresAt };
+};
+
+// Start a new session family at login
+export const createSession = async ({ userId, userAgent, ip }) => {
+  try {
+    return await insertSession({ userId, familyId: crypto.randomUUID(), userAgent, ip });
+  } catch (error) {
+    logger.error('Failed to create session:', error);
+    throw error;
+  }
+};
+
+// Swap a refresh token for a new one in the same family. Presenting a token
+// that was already rotated or revoked means it leaked, so the whole family
+// is revoked.
+export const rotateSession = async (refreshToken, { userAgent, ip } = {}) => {
+  try {
+    return await database.transaction(async () => {
+      const session = await database.get('SELECT * FROM sessions WHERE tokenHash = ?', [hashToken(refreshToken)]);
+
+      if (!session || session.expiresAt <= now()) {
+        return { status: 'invalid' };
+      }
+
+      if (session.revokedAt) {
+        await database.run(
+          'UPDATE sessions SET revokedAt = CURRENT_TIMESTAMP WHERE familyId = ? AND revokedAt IS NULL',
+          [session.familyId]
+        );
+        return { status: 'reused', userId: session.userId, familyId: session.familyId };
+      }
+
+      const next = await insertSession({ userId: session.userId, familyId: session.familyId, userAgent, ip });
+      await database.run(
+        'UPDATE sessions SET revokedAt = CURRENT_TIMESTAMP, replacedBy = ? WHERE id = ?',
+        [next.id, session.id]
+      );
+
+      return { status: 'rotated', userId: session.userId, ...next };
+    });
+  } catch (error) {
+    logger.error('Failed to rotate session:', error);
+    throw error;
+  }
+};
+
+export const getSessionFamilyId = async (refreshToken) => {
+  try {
+    const session = await database.get('SELECT familyId FROM sessions WHERE tokenHash = ?', [hashToken(refreshToken)]);
+    return session?.familyId || null;
+  } catch (error) {
+    logger.error('Failed to get session:', error);
+    throw error;
+  }
+};
+
+// Whether access tokens issued for the family are still honoured
+export const isSessionFamilyActive = async (familyId) => {
+  try {
+    const session = await database.get(
+      'SELECT id FROM sessions WHERE familyId = ? AND revokedAt IS NULL AND expiresAt > ? LIMIT 1',
+      [familyId, now()]
+    );
+    return Boolean(session);
+  } catch (error) {
+    logger.error('Failed to check session:', error);
+    throw error;
+  }
+};
+
+export const revokeSessionFamily = async (familyId) => {
+  try {
+    const result = await database.run(
+      'UPDATE sessions SET revokedAt = CURRENT_TIMESTAMP WHERE familyId = ? AND revokedAt IS NULL',
+      [familyId]
+    );
+    return result.changes;
+  } catch (error) {
+    logger.error('Failed to revoke session:', error);
+    throw error;
+  }
+};
+
+// Log out every device
+export const revokeUserSessions = async (userId) => {
+  try {
+    const result = await database.run(
+      'UPDATE sessions SET revokedAt = CURRENT_TIMESTAMP WHERE userId = ? AND revokedAt IS NULL',
+      [userId]
+    );
+    return result.changes;
+  } catch (error) {
+    logger.error('Failed to revoke user sessions:', error);
+    throw error;
+  }
+};
+
+// Log out every device except the one making the request
+export const revokeOtherSessions = async (userId, keepFamilyId) => {
+  try {
+    const result = await database.run(
+      'UPDATE sessions SET revokedAt = CURRENT_TIMESTAMP WHERE userId = ? AND familyId != ? AND revokedAt IS NULL',
+      [userId, keepFamilyId]
+    );
+    return result.changes;
+  } catch (error) {
+    logger.error('Failed to revoke other sessions:', error);
+    throw error;
+  }
+};
+
+// Expired rows are no longer needed, even for reuse detection
+export const purgeExpiredSessions = async () => {
+  try {
+    const result = await database.run('DELETE FROM sessions WHERE expiresAt <= ?', [now()]);
+    return result.changes;
+  } catch (error) {
+    logger.error('Failed to purge expired sessions:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,72 @@
+import crypto from 'crypto';
+import { database } from '../init.js';
+import { logger } from '../../utils/logger.js';
+
+// Issue a nonce for a Sign-In With Ethereum message
+export const createSiweNonce = async (ttlMinutes) => {
+  try {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const expiresAt = new Date(Date.now() + ttlMinutes * 60000).toISOString();
+
+    // Nonces are only needed until they expire
+    await database.run('DELETE FROM siwe_nonces WHERE datetime(expiresAt) <= datetime(\'now\', \'-1 day\')');
+
+    await database.run(
+      'INSERT INTO siwe_nonces (nonce, expiresAt) VALUES (?, ?)',
+      [nonce, expiresAt]
+    );
+
+    return { nonce, expiresAt };
+  } catch (error) {
+    logger.error('Failed to create SIWE nonce:', error);
+    throw error;
+  }
+};
+
+// Mark a nonce used; returns false when it is unknown, expired or already used
+export const consumeSiweNonce = async (nonce) => {
+  try {
+    const result = await database.run(
+      `UPDATE siwe_nonces SET usedAt = CURRENT_TIMESTAMP
+       WHERE nonce = ? AND usedAt IS NULL AND datetime(expiresAt) > datetime('now')`,
+      [nonce]
+    );
+
+    return result.changes > 0;
+  } catch (error) {
+    logger.error('Failed to consume SIWE nonce:', error);
+    throw error;
+  }
+};
+
+// Only wallets proven through a signed message identify a user
+export const getUserByVerifiedWallet = async (address) => {
+  try {
+    const user = await database.get(
+      'SELECT * FROM users WHERE LOWER(walletAddress) = LOWER(?) AND walletVerifiedAt IS NOT NULL',
+      [address]
+    );
+    if (user) {
+      user.preferences = JSON.parse(user.preferences || '{}');
+    }
+    return user;
+  } catch (error) {
+    logger.error('Failed to get user by verified wallet:', error);
+    throw error;
+  }
+};
+
+export const verifyUserWallet = async (userId, address) => {
+  try {
+    await database.run(
+      `UPDATE users SET walletAddress = ?, walletVerifiedAt = CURRENT_TIMESTAMP, updatedAt = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [address, userId]
+    );
+
+    logger.info('Wallet verified', { userId, address });
+  } catch (error) {
+    logger.error('Failed to verify user wallet:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,76 @@
+import { database } from '../init.js';
+import { logger } from '../../utils/logger.js';
+
+// Replace the materialised ranking for a chain and timeframe
+export const saveTrendingDomains = async (chain, timeframe, entries) => {
+  try {
+    const computedAt = new Date().toISOString();
+
+    await database.transaction(async () => {
+      await database.run(
+        'DELETE FROM trending_domains WHERE chain = ? AND timeframe = ?',
+        [chain, timeframe]
+      );
+
+      for (const [index, entry] of entries.entries()) {
+        await database.run(
+          `INSERT INTO trending_domains (
+            chain, timeframe, position, domain, volume, sales, listings,
+            lastPrice, priceChange, score, computedAt
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            chain,
+            timeframe,
+            index + 1,
+            entry.domain,
+            entry.volume,
+            entry.sales,
+            entry.listings,
+            entry.lastPrice,
+            entry.priceChange,
+            entry.score,
+            computedAt
+          ]
+        );
+      }
+
+      await database.run(
+        `INSERT INTO trending_runs (chain, timeframe, entries, computedAt)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT (chain, timeframe) DO UPDATE SET
+           entries = excluded.entries,
+           computedAt = excluded.computedAt`,
+        [chain, timeframe, entries.length, computedAt]
+      );
+    });
+
+    logger.debug('Trending domains saved', { chain, timeframe, count: entries.length });
+    return computedAt;
+  } catch (error) {
+    logger.error('Failed to save trending domains:', error);
+    throw error;
+  }
+};
+
+// Get the materialised ranking; computedAt is null if it was never computed
+export const getTrendingDomains = async (chain, timeframe, limit = 10) => {
+  try {
+    const trending = await database.all(
+      `SELECT * FROM trending_domains
+       WHERE chain = ? AND timeframe = ?
+       ORDER BY position ASC
+       LIMIT ?`,
+      [chain, timeframe, limit]
+    );
+
+    const run = await database.get(
+      'SELECT computedAt FROM trending_runs WHERE chain = ? AND timeframe = ?',
+      [chain, timeframe]
+    );
+
+    return { trending, computedAt: run?.computedAt || null };
+  } catch (error) {
+    logger.error('Failed to get trending domains:', error);
+    throw error;
+  }
+};
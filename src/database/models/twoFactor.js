@@ -0,0 +1,157 @@
+import crypto from 'crypto';
+import { database } from '../init.js';
+import { logger } from '../../utils/logger.js';
+import { findTotpStep, openTotpSecret, sealTotpSecret } from '../../utils/totp.js';
+
+const RECOVERY_CODE_COUNT = 10;
+
+// No 0/O or 1/I, since codes are written down and typed in by hand
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const generateRecoveryCode = () => {
+  const chars = Array.from({ length: 10 }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]);
+  return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+};
+
+const normalizeRecoveryCode = (code) => String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(normalizeRecoveryCode(code))
+  .digest('hex');
+
+// Store a new secret that only takes effect once enableTotp confirms it
+export const startTotpEnrollment = async (userId, secret) => {
+  try {
+    await database.run(
+      `UPDATE users SET totpSecret = ?, totpEnabledAt = NULL, totpLastStep = NULL, updatedAt = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [sealTotpSecret(secret), userId]
+    );
+  } catch (error) {
+    logger.error('Failed to start TOTP enrollment:', error);
+    throw error;
+  }
+};
+
+export const enableTotp = async (userId, step) => {
+  try {
+    await database.run(
+      `UPDATE users SET totpEnabledAt = CURRENT_TIMESTAMP, totpLastStep = ?, updatedAt = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [step, userId]
+    );
+
+    logger.info('Two-factor authentication enabled', { userId });
+  } catch (error) {
+    logger.error('Failed to enable TOTP:', error);
+    throw error;
+  }
+};
+
+export const disableTotp = async (userId) => {
+  try {
+    await database.transaction(async () => {
+      await database.run(
+        `UPDATE users SET totpSecret = NULL, totpEnabledAt = NULL, totpLastStep = NULL, updatedAt = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [userId]
+      );
+      await database.run('DELETE FROM recovery_codes WHERE userId = ?', [userId]);
+    });
+
+    logger.info('Two-factor authentication disabled', { userId });
+  } catch (error) {
+    logger.error('Failed to disable TOTP:', error);
+    throw error;
+  }
+};
+
+// Step of a valid code for the user's secret, or null. Works for pending
+// enrollments too, so the first code can confirm the secret.
+export const matchTotpCode = (user, code) => {
+  if (!user.totpSecret) {
+    return null;
+  }
+
+  return findTotpStep(openTotpSecret(user.totpSecret), code);
+};
+
+// Record a code as used; false when it (or a later one) was used already
+const claimTotpStep = async (userId, step) => {
+  const result = await database.run(
+    'UPDATE users SET totpLastStep = ? WHERE id = ? AND (totpLastStep IS NULL OR totpLastStep < ?)',
+    [step, userId, step]
+  );
+  return result.changes > 0;
+};
+
+// Replace any existing recovery codes, returning the new ones; they are
+// only ever shown here
+export const replaceRecoveryCodes = async (userId) => {
+  try {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+    await database.transaction(async () => {
+      await database.run('DELETE FROM recovery_codes WHERE userId = ?', [userId]);
+      for (const code of codes) {
+        await database.run(
+          'INSERT INTO recovery_codes (userId, codeHash) VALUES (?, ?)',
+          [userId, hashRecoveryCode(code)]
+        );
+      }
+    });
+
+    return codes;
+  } catch (error) {
+    logger.error('Failed to create recovery codes:', error);
+    throw error;
+  }
+};
+
+export const countRecoveryCodes = async (userId) => {
+  try {
+    const row = await database.get(
+      'SELECT COUNT(*) as remaining FROM recovery_codes WHERE userId = ? AND usedAt IS NULL',
+      [userId]
+    );
+    return row.remaining;
+  } catch (error) {
+    logger.error('Failed to count recovery codes:', error);
+    throw error;
+  }
+};
+
+const consumeRecoveryCode = async (userId, code) => {
+  const result = await database.run(
+    'UPDATE recovery_codes SET usedAt = CURRENT_TIMESTAMP WHERE userId = ? AND codeHash = ? AND usedAt IS NULL',
+    [userId, hashRecoveryCode(code)]
+  );
+  return result.changes > 0;
+};
+
+// Check a second factor for a user with two-factor enabled: an authenticator
+// code, each usable once, or an unused recovery code. Returns the kind of
+// code accepted, or null.
+export const verifySecondFactor = async (user, code) => {
+  try {
+    if (!user.totpEnabledAt || typeof code !== 'string' || !code.trim()) {
+      return null;
+    }
+
+    const step = matchTotpCode(user, code);
+    if (step !== null) {
+      return await claimTotpStep(user.id, step) ? 'totp' : null;
+    }
+
+    if (await consumeRecoveryCode(user.id, code)) {
+      logger.info('Recovery code used', { userId: user.id });
+      return 'recovery';
+    }
+
+    return null;
+  } catch (error) {
+    logger.error('Failed to verify second factor:', error);
+    throw error;
+  }
+};
@@ -1,6 +1,24 @@
 import bcrypt from 'bcryptjs';
 import { database } from '../init.js';
 import { logger } from '../../utils/logger.js';
+import { generateReferralCode } from './referral.js';
+
+export const USER_ROLES = ['user', 'support', 'admin'];
+
+// Columns that may leave the API; secrets like passwordHash and totpSecret
+// are never copied
+const PUBLIC_USER_FIELDS = [
+  'id', 'telegramId', 'twitterId', 'email', 'username', 'role', 'subscriptionTier', 'subscriptionExpiry',
+  'isActive', 'monthlySpendLimit', 'walletAddress', 'walletVerifiedAt', 'domaAccountId', 'preferences',
+  'dunningStage', 'lastReminderDays', 'referralCode', 'referredBy', 'totpEnabledAt',
+  'deletionRequestedAt', 'deletionScheduledFor', 'deletedAt', 'createdAt', 'updatedAt'
+];
+
+export const toPublicUser = (user) => ({
+  ...Object.fromEntries(PUBLIC_USER_FIELDS.filter(field => field in user).map(field => [field, user[field]])),
+  hasPassword: Boolean(user.passwordHash),
+  twoFactorEnabled: Boolean(user.totpEnabledAt)
+});
 
 // Create a new user
 export const createUser = async (userData) => {
@@ -11,8 +29,8 @@ export const createUser = async (userData) => {
       email,
       username,
       password,
-      walletAddress,
-      domaAccountId
+      domaAccountId,
+      referredBy = null
     } = userData;
 
     // Hash password if provided
@@ -35,9 +53,12 @@ export const createUser = async (userData) => {
     const result = await database.run(
       `INSERT INTO users (
         telegramId, twitterId, email, username, passwordHash, 
-        walletAddress, domaAccountId, preferences
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [telegramId, twitterId, email, username, passwordHash, walletAddress, domaAccountId, preferences]
+        domaAccountId, preferences, referralCode, referredBy
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        telegramId, twitterId, email, username, passwordHash,
+        domaAccountId, preferences, generateReferralCode(), referredBy
+      ]
     );
 
     const user = await getUserById(result.lastID);
@@ -111,7 +132,8 @@ export const updateUser = async (id, updateData) => {
   try {
     const allowedFields = [
       'username', 'email', 'subscriptionTier', 'subscriptionExpiry',
-      'isActive', 'monthlySpendLimit', 'walletAddress', 'domaAccountId', 'preferences'
+      'isActive', 'monthlySpendLimit', 'domaAccountId', 'preferences',
+      'dunningStage', 'lastReminderDays'
     ];
 
     const fields = [];
@@ -150,6 +172,22 @@ export const updateUser = async (id, updateData) => {
   }
 };
 
+// Roles are only changed through the admin API, never by updateUser
+export const updateUserRole = async (id, role) => {
+  try {
+    await database.run(
+      'UPDATE users SET role = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?',
+      [role, id]
+    );
+
+    logger.info('User role updated', { userId: id, role });
+    return await getUserById(id);
+  } catch (error) {
+    logger.error('Failed to update user role:', error);
+    throw error;
+  }
+};
+
 // Update user password
 export const updateUserPassword = async (id, newPassword) => {
   try {
@@ -183,15 +221,33 @@ export const verifyUserPassword = async (id, password) => {
   }
 };
 
-// Delete user (soft delete)
+// Delete user. The row stays so payments, referrals and the admin audit log
+// still resolve, but personal data, logins and user content are erased.
 export const deleteUser = async (id) => {
   try {
-    await database.run(
-      'UPDATE users SET isActive = 0, updatedAt = CURRENT_TIMESTAMP WHERE id = ?',
-      [id]
-    );
+    await database.transaction(async () => {
+      await database.run(
+        `UPDATE users SET
+          isActive = 0, username = 'Deleted user', email = NULL, passwordHash = NULL,
+          telegramId = NULL, twitterId = NULL, walletAddress = NULL, walletVerifiedAt = NULL,
+          domaAccountId = NULL, preferences = '{}', referralCode = NULL,
+          totpSecret = NULL, totpEnabledAt = NULL, totpLastStep = NULL,
+          deletionScheduledFor = NULL, deletedAt = CURRENT_TIMESTAMP, updatedAt = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [id]
+      );
+
+      for (const table of [
+        'alert_logs', 'alerts', 'domain_monitoring', 'auto_action_logs', 'auto_actions',
+        'bot_interactions', 'sessions', 'api_keys', 'recovery_codes'
+      ]) {
+        await database.run(`DELETE FROM ${table} WHERE userId = ?`, [id]);
+      }
 
-    logger.info('User soft deleted', { userId: id });
+      await database.run('UPDATE subscriptions SET autoRenew = 0 WHERE userId = ?', [id]);
+    });
+
+    logger.info('User deleted', { userId: id });
     return true;
   } catch (error) {
     logger.error('Failed to delete user:', error);
@@ -311,7 +367,7 @@ export const getUserStats = async (userId) => {
 // List users with pagination
 export const listUsers = async (options = {}) => {
   try {
-    const { page = 1, limit = 50, tier, active, search } = options;
+    const { page = 1, limit = 50, tier, role, active, search } = options;
     const offset = (page - 1) * limit;
 
     let whereClause = 'WHERE 1=1';
@@ -322,18 +378,26 @@ export const listUsers = async (options = {}) => {
       params.push(tier);
     }
 
+    if (role) {
+      whereClause += ' AND role = ?';
+      params.push(role);
+    }
+
     if (active !== undefined) {
       whereClause += ' AND isActive = ?';
       params.push(active ? 1 : 0);
     }
 
+    // Match names and emails partially, bot and wallet identities exactly
     if (search) {
-      whereClause += ' AND (username LIKE ? OR email LIKE ?)';
-      params.push(`%${search}%`, `%${search}%`);
+      whereClause += ` AND (username LIKE ? OR email LIKE ? OR telegramId = ? OR twitterId = ?
+        OR LOWER(walletAddress) = LOWER(?))`;
+      params.push(`%${search}%`, `%${search}%`, search, search, search);
     }
 
     const users = await database.all(
-      `SELECT id, username, email, subscriptionTier, isActive, createdAt 
+      `SELECT id, username, email, role, subscriptionTier, subscriptionExpiry, isActive,
+       telegramId, twitterId, walletAddress, createdAt
        FROM users ${whereClause} 
        ORDER BY createdAt DESC 
        LIMIT ? OFFSET ?`,
@@ -4,6 +4,7 @@ import helmet from 'helmet';
 import dotenv from 'dotenv';
 import { createServer } from 'http';
 import WebSocket from 'ws';
+import cron from 'node-cron';
 
 // Load environment variables
 dotenv.config();
@@ -11,22 +12,41 @@ dotenv.config();
 // Import services
 import { logger } from './utils/logger.js';
 import { initializeDatabase } from './database/init.js';
+import { purgeExpiredSessions } from './database/models/session.js';
+import { deleteDueAccounts } from './database/models/account.js';
 import { TelegramBot } from './bots/telegram.js';
 import { TwitterBot } from './bots/twitter.js';
 import { AlertService } from './services/alerts/alertService.js';
 import { ContractMonitor } from './contracts/contractMonitor.js';
+import { DomainService } from './contracts/domainService.js';
 import { SubscriptionService } from './services/subscriptionService.js';
+import { TrendingService } from './services/trendingService.js';
+import { AutoActionsService } from './services/autoActionsService.js';
+import { getEnabledChains, getDefaultChain } from './config/chains.js';
+import { getProviderPools, stopProviderPools } from './contracts/providerPool.js';
 
 // Import routes
 import authRoutes from './routes/auth.js';
 import alertRoutes from './routes/alerts.js';
 import subscriptionRoutes from './routes/subscriptions.js';
 import domainRoutes from './routes/domains.js';
+import autoActionRoutes from './routes/autoActions.js';
+import analyticsRoutes from './routes/analytics.js';
+import utilsRoutes from './routes/utils.js';
+import promoCodeRoutes from './routes/promoCodes.js';
+import adminRoutes from './routes/admin.js';
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js';
 import { rateLimiter } from './middleware/rateLimiter.js';
-import { authMiddleware } from './middleware/auth.js';
+import {
+  authMiddleware,
+  adminMiddleware,
+  staffMiddleware,
+  subscriptionMiddleware,
+  allowApiKeys,
+  ipWhitelistMiddleware
+} from './middleware/auth.js';
 
 class DomaAlertBot {
   constructor() {
@@ -42,6 +62,7 @@ class DomaAlertBot {
 
       // Initialize database
       await this.initializeDatabase();
+      this.setupMaintenanceTasks();
 
       // Setup Express app
       this.setupExpress();
@@ -68,6 +89,32 @@ class DomaAlertBot {
     logger.info('✅ Database initialized');
   }
 
+  setupMaintenanceTasks() {
+    // Drop expired refresh tokens, hourly
+    cron.schedule('45 * * * *', async () => {
+      try {
+        const purged = await purgeExpiredSessions();
+        if (purged > 0) {
+          logger.info('Expired sessions purged', { purged });
+        }
+      } catch (error) {
+        logger.error('Failed to purge expired sessions:', error);
+      }
+    });
+
+    // Erase accounts whose deletion cooling-off period has ended, hourly
+    cron.schedule('50 * * * *', async () => {
+      try {
+        const deleted = await deleteDueAccounts();
+        if (deleted > 0) {
+          logger.info('Scheduled account deletions completed', { deleted });
+        }
+      } catch (error) {
+        logger.error('Failed to delete scheduled accounts:', error);
+      }
+    });
+  }
+
   setupExpress() {
     logger.info('🔧 Setting up Express server...');
 
@@ -85,6 +132,9 @@ class DomaAlertBot {
     // Rate limiting
     this.app.use(rateLimiter);
 
+    // Expose services to route handlers (populated by initializeServices)
+    this.app.locals.services = this.services;
+
     // Health check endpoint
     this.app.get('/health', (req, res) => {
       res.json({
@@ -95,16 +145,34 @@ class DomaAlertBot {
           telegram: this.services.telegramBot?.isRunning || false,
           twitter: this.services.twitterBot?.isRunning || false,
           alerts: this.services.alertService?.isRunning || false,
-          contracts: this.services.contractMonitor?.isRunning || false
-        }
+          contracts: Object.fromEntries(
+            Array.from(this.services.contractMonitors?.entries() || [])
+              .map(([chain, monitor]) => [chain, monitor.isRunning])
+          )
+        },
+        rpc: Object.fromEntries(getProviderPools().map(pool => [pool.chain, pool.getPublicStatus()]))
       });
     });
 
     // API routes
     this.app.use('/api/auth', authRoutes);
-    this.app.use('/api/alerts', authMiddleware, alertRoutes);
+    this.app.use('/api/alerts', allowApiKeys({ read: 'alerts:read', write: 'alerts:write' }), authMiddleware, alertRoutes);
     this.app.use('/api/subscriptions', authMiddleware, subscriptionRoutes);
-    this.app.use('/api/domains', authMiddleware, domainRoutes);
+    this.app.use('/api/domains', allowApiKeys({ read: 'domains:read' }), authMiddleware, domainRoutes);
+    this.app.use('/api/analytics', authMiddleware, analyticsRoutes);
+    this.app.use('/api/utils', authMiddleware, utilsRoutes);
+    this.app.use(
+      '/api/auto-actions',
+      allowApiKeys({ read: 'auto-actions:execute', write: 'auto-actions:execute' }),
+      authMiddleware,
+      subscriptionMiddleware('premium'),
+      autoActionRoutes
+    );
+    this.app.use('/api/promo-codes', authMiddleware, adminMiddleware, promoCodeRoutes);
+
+    // Support staff can look users up; changes need an admin (checked per route)
+    const adminIps = (process.env.ADMIN_ALLOWED_IPS || '').split(',').map(ip => ip.trim()).filter(Boolean);
+    this.app.use('/api/admin', ipWhitelistMiddleware(adminIps), authMiddleware, staffMiddleware, adminRoutes);
 
     // Error handling
     this.app.use(errorHandler);
@@ -133,14 +201,30 @@ class DomaAlertBot {
       this.services.alertService = new AlertService();
       await this.services.alertService.initialize();
 
-      // Initialize Contract Monitor
-      this.services.contractMonitor = new ContractMonitor();
-      await this.services.contractMonitor.initialize();
+      // Initialize one Contract Monitor per enabled chain
+      this.services.contractMonitors = new Map();
+      this.services.domainServices = new Map();
+      for (const chainConfig of getEnabledChains()) {
+        const monitor = new ContractMonitor(chainConfig);
+        await monitor.initialize();
+        this.services.contractMonitors.set(chainConfig.key, monitor);
+        this.services.domainServices.set(chainConfig.key, new DomainService(monitor));
+      }
+
+      // Initialize Trending Service
+      this.services.trendingService = new TrendingService();
+      await this.services.trendingService.initialize();
 
       // Initialize Subscription Service
       this.services.subscriptionService = new SubscriptionService();
       await this.services.subscriptionService.initialize();
 
+      // Initialize Auto-Actions Service on the default chain
+      this.services.autoActionsService = new AutoActionsService(
+        this.services.contractMonitors.get(getDefaultChain())
+      );
+      await this.services.autoActionsService.initialize();
+
       // Connect services
       this.connectServices();
 
@@ -154,18 +238,32 @@ class DomaAlertBot {
   connectServices() {
     logger.info('🔗 Connecting services...');
 
-    // Connect contract monitor to alert service
-    this.services.contractMonitor.on('domainExpiry', (event) => {
-      this.services.alertService.processExpiryEvent(event);
-    });
+    // Connect each chain's contract monitor to alert service
+    for (const monitor of this.services.contractMonitors.values()) {
+      monitor.on('domainExpiry', (event) => {
+        this.services.alertService.processExpiryEvent(event);
+      });
 
-    this.services.contractMonitor.on('domainSale', (event) => {
-      this.services.alertService.processSaleEvent(event);
-    });
+      monitor.on('domainExpired', (event) => {
+        this.services.alertService.processExpiredEvent(event);
+      });
 
-    this.services.contractMonitor.on('domainTransfer', (event) => {
-      this.services.alertService.processTransferEvent(event);
-    });
+      monitor.on('domainSale', (event) => {
+        this.services.alertService.processSaleEvent(event);
+      });
+
+      monitor.on('domainDelisted', (event) => {
+        this.services.alertService.processDelistedEvent(event);
+      });
+
+      monitor.on('domainTransfer', (event) => {
+        this.services.alertService.processTransferEvent(event);
+      });
+
+      monitor.on('eventRetracted', (event) => {
+        this.services.alertService.processRetractedEvent(event);
+      });
+    }
 
     // Connect alert service to bots
     this.services.alertService.on('alert', async (alert) => {
@@ -181,6 +279,38 @@ class DomaAlertBot {
       }
     });
 
+    // The Telegram subscription menu toggles auto-renew directly
+    this.services.telegramBot.subscriptionService = this.services.subscriptionService;
+
+    // Subscription reminders and grace-period notices go out through the bots
+    this.services.subscriptionService.on('subscriptionNotice', async (notice) => {
+      try {
+        await this.services.telegramBot.sendAlert(notice);
+        await this.services.twitterBot.sendAlert(notice);
+      } catch (error) {
+        logger.error('Failed to send subscription notice:', error);
+      }
+    });
+
+    // Pause auto-actions once a grace period starts, and bring them and any
+    // batched alerts back when payment arrives
+    this.services.subscriptionService.on('subscriptionGraceStage', async ({ userId }) => {
+      try {
+        await this.services.autoActionsService.pauseUserActions(userId, 'subscription_grace');
+      } catch (error) {
+        logger.error('Failed to pause auto-actions for grace period:', error);
+      }
+    });
+
+    this.services.subscriptionService.on('subscriptionRestored', async ({ userId }) => {
+      try {
+        await this.services.autoActionsService.resumeUserActions(userId, 'subscription_grace');
+        await this.services.alertService.deliverBatchedAlerts(userId);
+      } catch (error) {
+        logger.error('Failed to restore subscription features:', error);
+      }
+    });
+
     logger.info('✅ Services connected');
   }
 
@@ -267,18 +397,25 @@ class DomaAlertBot {
 
     try {
       // Stop services
-      if (this.services.contractMonitor) {
-        await this.services.contractMonitor.stop();
+      for (const monitor of this.services.contractMonitors?.values() || []) {
+        await monitor.stop();
       }
       if (this.services.alertService) {
         await this.services.alertService.stop();
       }
+      if (this.services.trendingService) {
+        await this.services.trendingService.stop();
+      }
+      if (this.services.autoActionsService) {
+        await this.services.autoActionsService.stop();
+      }
       if (this.services.telegramBot) {
         await this.services.telegramBot.stop();
       }
       if (this.services.twitterBot) {
         await this.services.twitterBot.stop();
       }
+      stopProviderPools();
 
       // Close WebSocket server
       if (this.wss) {
@@ -1,10 +1,17 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import { logger } from '../utils/logger.js';
-import { authError, forbiddenError } from './errorHandler.js';
+import { authError, forbiddenError, rateLimitError, validationError } from './errorHandler.js';
 import { getUserById } from '../database/models/user.js';
+import { isSessionFamilyActive } from '../database/models/session.js';
+import { API_KEY_PREFIX, getApiKeyByKey, touchApiKey } from '../database/models/apiKey.js';
+import { verifySecondFactor } from '../database/models/twoFactor.js';
+
+// Access tokens are short-lived; clients renew them with a refresh token
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
 
 // Generate JWT token
-export const generateToken = (payload, expiresIn = '7d') => {
+export const generateToken = (payload, expiresIn = ACCESS_TOKEN_TTL) => {
   return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn });
 };
 
@@ -17,9 +24,68 @@ export const verifyToken = (token) => {
   }
 };
 
+// API key sent as X-API-Key or as a Bearer token
+const getApiKeyFromRequest = (req) => {
+  if (req.headers['x-api-key']) {
+    return req.headers['x-api-key'];
+  }
+
+  const authHeader = req.headers.authorization;
+  if (authHeader?.startsWith(`Bearer ${API_KEY_PREFIX}`)) {
+    return authHeader.substring(7);
+  }
+
+  return null;
+};
+
+// Routers opt in to API keys by naming the scope needed to read and to
+// write; anything not mounted behind this only accepts JWTs
+export const allowApiKeys = ({ read, write } = {}) => {
+  return (req, res, next) => {
+    req.apiKeyScope = ['GET', 'HEAD'].includes(req.method) ? read : write;
+    next();
+  };
+};
+
+const authenticateApiKey = async (req, key) => {
+  const apiKey = await getApiKeyByKey(key);
+  if (!apiKey) {
+    throw authError('Invalid or expired API key');
+  }
+
+  if (!req.apiKeyScope) {
+    throw forbiddenError('API keys cannot be used for this endpoint');
+  }
+
+  if (!apiKey.scopes.includes(req.apiKeyScope)) {
+    throw forbiddenError(`API key is missing the ${req.apiKeyScope} scope`);
+  }
+
+  const user = await getUserById(apiKey.userId);
+  if (!user) {
+    throw authError('User not found');
+  }
+
+  if (!user.isActive) {
+    throw forbiddenError('Account is deactivated');
+  }
+
+  // Usage tracking must not hold up or fail the request
+  touchApiKey(apiKey.id, req.ip).catch(() => {});
+
+  req.user = user;
+  req.apiKey = apiKey;
+};
+
 // Main authentication middleware
 export const authMiddleware = async (req, res, next) => {
   try {
+    const apiKey = getApiKeyFromRequest(req);
+    if (apiKey) {
+      await authenticateApiKey(req, apiKey);
+      return next();
+    }
+
     // Get token from header
     const authHeader = req.headers.authorization;
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -30,6 +96,11 @@ export const authMiddleware = async (req, res, next) => {
     
     // Verify token
     const decoded = verifyToken(token);
+
+    // Tokens die with their session on logout or refresh token reuse
+    if (!decoded.sid || !await isSessionFamilyActive(decoded.sid)) {
+      throw authError('Session has been revoked');
+    }
     
     // Get user from database
     const user = await getUserById(decoded.id);
@@ -45,6 +116,7 @@ export const authMiddleware = async (req, res, next) => {
     // Attach user to request
     req.user = user;
     req.token = token;
+    req.sessionId = decoded.sid;
 
     next();
   } catch (error) {
@@ -67,9 +139,10 @@ export const optionalAuthMiddleware = async (req, res, next) => {
       const decoded = verifyToken(token);
       const user = await getUserById(decoded.id);
       
-      if (user && user.isActive) {
+      if (user && user.isActive && decoded.sid && await isSessionFamilyActive(decoded.sid)) {
         req.user = user;
         req.token = token;
+        req.sessionId = decoded.sid;
       }
     }
     next();
@@ -92,6 +165,45 @@ export const adminMiddleware = (req, res, next) => {
   next();
 };
 
+// Support staff or admin middleware, for read-only admin endpoints
+export const staffMiddleware = (req, res, next) => {
+  if (!req.user) {
+    throw authError('Authentication required');
+  }
+
+  if (!['support', 'admin'].includes(req.user.role)) {
+    throw forbiddenError('Staff access required');
+  }
+
+  next();
+};
+
+// Re-verify two-factor before sensitive changes. Users who enabled it send a
+// fresh authenticator or recovery code in X-2FA-Code; `appliesTo` limits the
+// check to the requests that need it and may be async.
+export const requireTwoFactor = (appliesTo = () => true) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user?.totpEnabledAt || !await appliesTo(req)) {
+        return next();
+      }
+
+      const code = req.headers['x-2fa-code'];
+      if (!code) {
+        throw forbiddenError('Two-factor code required');
+      }
+
+      if (!await verifySecondFactor(req.user, code)) {
+        throw forbiddenError('Invalid two-factor code');
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
 // Subscription tier middleware
 export const subscriptionMiddleware = (requiredTier) => {
   return (req, res, next) => {
@@ -127,7 +239,6 @@ export const botAuthMiddleware = (req, res, next) => {
   }
 
   // Verify signature
-  const crypto = await import('crypto');
   const expectedSignature = crypto
     .createHmac('sha256', process.env.WEBHOOK_SECRET)
     .update(timestamp + JSON.stringify(req.body))
@@ -0,0 +1,16 @@
+import { getDefaultChain, isKnownChain } from '../config/chains.js';
+
+// Resolve the ?chain= filter, rejecting chains missing from the registry
+export const resolveChain = (req, res, next) => {
+  const chain = req.query.chain || getDefaultChain();
+
+  if (!isKnownChain(chain)) {
+    return res.status(400).json({
+      success: false,
+      error: { message: `Unknown chain: ${chain}` }
+    });
+  }
+
+  req.chain = chain;
+  next();
+};
@@ -0,0 +1,374 @@
+import express from 'express';
+import Joi from 'joi';
+import { logger } from '../utils/logger.js';
+import { database } from '../database/init.js';
+import { adminMiddleware } from '../middleware/auth.js';
+import {
+  USER_ROLES,
+  getUserById,
+  getUserStats,
+  listUsers,
+  toPublicUser,
+  updateUser,
+  updateUserRole
+} from '../database/models/user.js';
+import { getAlertsByUserId } from '../database/models/alert.js';
+import { revokeUserSessions } from '../database/models/session.js';
+import { logAdminAction, getAdminAuditLogs } from '../database/models/adminAudit.js';
+
+const router = express.Router();
+
+const listQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  search: Joi.string().trim().max(100),
+  role: Joi.string().valid(...USER_ROLES),
+  tier: Joi.string().valid('free', 'basic', 'premium'),
+  active: Joi.boolean()
+});
+
+const alertsQuerySchema = Joi.object({
+  active: Joi.boolean(),
+  type: Joi.string().valid('expiry', 'sale', 'transfer', 'price', 'auction')
+});
+
+const tierSchema = Joi.object({
+  tier: Joi.string().valid('free', 'basic', 'premium').required(),
+  expiresAt: Joi.date().iso().greater('now').allow(null),
+  reason: Joi.string().trim().max(500).required()
+});
+
+const roleSchema = Joi.object({
+  role: Joi.string().valid(...USER_ROLES).required(),
+  reason: Joi.string().trim().max(500).required()
+});
+
+const reasonSchema = Joi.object({
+  reason: Joi.string().trim().max(500).required()
+});
+
+const auditQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  adminId: Joi.number().integer(),
+  targetUserId: Joi.number().integer(),
+  action: Joi.string().trim().max(64)
+});
+
+// Validate against a schema, sending a 400 and returning null on failure
+const validate = (schema, data, res) => {
+  const { value, error } = schema.validate(data, { abortEarly: false, stripUnknown: true });
+
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: error.details.map(detail => detail.message)
+      }
+    });
+    return null;
+  }
+
+  return value;
+};
+
+// Every admin action is audited, lookups included. Changes are written in
+// the same transaction as their audit entry, so none goes unrecorded.
+const audit = (req, action, targetUserId = null, details = null) => logAdminAction({
+  adminId: req.user.id,
+  action,
+  targetUserId,
+  details,
+  ip: req.ip
+});
+
+// Load the user named in the URL, sending a 404 and returning null if missing
+const loadUser = async (req, res) => {
+  const user = await getUserById(parseInt(req.params.id));
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      error: { message: 'User not found' }
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// Search users
+router.get('/users', async (req, res) => {
+  try {
+    const query = validate(listQuerySchema, req.query, res);
+    if (!query) return;
+
+    const { users, pagination } = await listUsers(query);
+    await audit(req, 'users.search', null, query);
+
+    res.json({
+      success: true,
+      data: { users },
+      pagination
+    });
+  } catch (error) {
+    logger.error('Admin list users error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to list users' }
+    });
+  }
+});
+
+// User details with usage stats
+router.get('/users/:id', async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const stats = await getUserStats(user.id);
+    await audit(req, 'user.view', user.id);
+
+    res.json({
+      success: true,
+      data: { user: toPublicUser(user), stats }
+    });
+  } catch (error) {
+    logger.error('Admin get user error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to get user' }
+    });
+  }
+});
+
+// A user's alerts
+router.get('/users/:id/alerts', async (req, res) => {
+  try {
+    const query = validate(alertsQuerySchema, req.query, res);
+    if (!query) return;
+
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const alerts = await getAlertsByUserId(user.id, query);
+    await audit(req, 'user.alerts.view', user.id);
+
+    res.json({
+      success: true,
+      data: { alerts }
+    });
+  } catch (error) {
+    logger.error('Admin get alerts error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to get alerts' }
+    });
+  }
+});
+
+// A user's auto-actions
+router.get('/users/:id/auto-actions', async (req, res) => {
+  try {
+    const autoActionsService = req.app.locals.services?.autoActionsService;
+    if (!autoActionsService) {
+      return res.status(503).json({
+        success: false,
+        error: { message: 'Auto-actions service unavailable' }
+      });
+    }
+
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const actions = await autoActionsService.getUserAutoActions(user.id);
+    await audit(req, 'user.auto_actions.view', user.id);
+
+    res.json({
+      success: true,
+      data: { actions }
+    });
+  } catch (error) {
+    logger.error('Admin get auto-actions error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to get auto-actions' }
+    });
+  }
+});
+
+// Override a user's subscription tier; without expiresAt the override does
+// not expire
+router.patch('/users/:id/tier', adminMiddleware, async (req, res) => {
+  try {
+    const body = validate(tierSchema, req.body, res);
+    if (!body) return;
+
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const subscriptionExpiry = body.tier === 'free' ? null : body.expiresAt?.toISOString() || null;
+    const updated = await database.transaction(async () => {
+      const result = await updateUser(user.id, { subscriptionTier: body.tier, subscriptionExpiry });
+      await audit(req, 'user.tier_override', user.id, {
+        from: { tier: user.subscriptionTier, expiresAt: user.subscriptionExpiry },
+        to: { tier: body.tier, expiresAt: subscriptionExpiry },
+        reason: body.reason
+      });
+      return result;
+    });
+
+    res.json({
+      success: true,
+      data: { user: toPublicUser(updated) }
+    });
+  } catch (error) {
+    logger.error('Admin tier override error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to update subscription tier' }
+    });
+  }
+});
+
+// Change a user's role
+router.patch('/users/:id/role', adminMiddleware, async (req, res) => {
+  try {
+    const body = validate(roleSchema, req.body, res);
+    if (!body) return;
+
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    // Stops the last admin from locking everyone out by accident
+    if (user.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'You cannot change your own role' }
+      });
+    }
+
+    const updated = await database.transaction(async () => {
+      const result = await updateUserRole(user.id, body.role);
+      await audit(req, 'user.role_change', user.id, { from: user.role, to: body.role, reason: body.reason });
+      return result;
+    });
+
+    res.json({
+      success: true,
+      data: { user: toPublicUser(updated) }
+    });
+  } catch (error) {
+    logger.error('Admin role change error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to change role' }
+    });
+  }
+});
+
+// Deactivate an account and end its sessions
+router.post('/users/:id/deactivate', adminMiddleware, async (req, res) => {
+  try {
+    const body = validate(reasonSchema, req.body, res);
+    if (!body) return;
+
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    if (user.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'You cannot deactivate your own account' }
+      });
+    }
+
+    const { updated, revokedSessions } = await database.transaction(async () => {
+      const result = {
+        updated: await updateUser(user.id, { isActive: 0 }),
+        revokedSessions: await revokeUserSessions(user.id)
+      };
+      await audit(req, 'user.deactivate', user.id, { reason: body.reason, revokedSessions: result.revokedSessions });
+      return result;
+    });
+
+    res.json({
+      success: true,
+      data: { user: toPublicUser(updated), revokedSessions }
+    });
+  } catch (error) {
+    logger.error('Admin deactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to deactivate user' }
+    });
+  }
+});
+
+// Reactivate an account
+router.post('/users/:id/reactivate', adminMiddleware, async (req, res) => {
+  try {
+    const body = validate(reasonSchema, req.body, res);
+    if (!body) return;
+
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    // Erased accounts have no data left to come back to
+    if (user.deletedAt) {
+      return res.status(409).json({
+        success: false,
+        error: { message: 'This account has been deleted' }
+      });
+    }
+
+    const updated = await database.transaction(async () => {
+      const result = await updateUser(user.id, { isActive: 1 });
+      await audit(req, 'user.reactivate', user.id, { reason: body.reason });
+      return result;
+    });
+
+    res.json({
+      success: true,
+      data: { user: toPublicUser(updated) }
+    });
+  } catch (error) {
+    logger.error('Admin reactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to reactivate user' }
+    });
+  }
+});
+
+// Audit log
+router.get('/audit-log', adminMiddleware, async (req, res) => {
+  try {
+    const query = validate(auditQuerySchema, req.query, res);
+    if (!query) return;
+
+    const offset = (query.page - 1) * query.limit;
+    const { logs, total } = await getAdminAuditLogs({ ...query, offset });
+    await audit(req, 'audit_log.view', null, query);
+
+    res.json({
+      success: true,
+      data: { logs },
+      pagination: {
+        page: query.page,
+        limit: query.limit,
+        total,
+        hasMore: offset + logs.length < total
+      }
+    });
+  } catch (error) {
+    logger.error('Admin audit log error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to get audit log' }
+    });
+  }
+});
+
+export default router;
@@ -10,6 +10,7 @@ import {
 } from '../database/models/alert.js';
 import { checkUserLimits } from '../database/models/user.js';
 import { logger } from '../utils/logger.js';
+import { isKnownChain } from '../config/chains.js';
 
 const router = express.Router();
 
@@ -17,13 +18,21 @@ const router = express.Router();
 router.get('/', async (req, res) => {
   try {
     const userId = req.user.id;
-    const { page = 1, limit = 10, type, active } = req.query;
+    const { page = 1, limit = 10, type, active, chain } = req.query;
+
+    if (chain && !isKnownChain(chain)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Unknown chain: ${chain}` }
+      });
+    }
     
     const offset = (page - 1) * limit;
     const alerts = await getAlertsByUserId(userId, {
       limit: parseInt(limit),
       offset,
       type,
+      chain,
       active: active !== undefined ? active === 'true' : undefined
     });
 
@@ -96,7 +105,7 @@ router.get('/:id', async (req, res) => {
 router.post('/', alertRateLimiter, async (req, res) => {
   try {
     const userId = req.user.id;
-    const { type, domain, domainPattern, conditions, platform } = req.body;
+    const { type, domain, domainPattern, conditions, platform, chain } = req.body;
 
     // Check user limits
     const limits = await checkUserLimits(userId);
@@ -125,6 +134,14 @@ router.post('/', alertRateLimiter, async (req, res) => {
       });
     }
 
+    // Alerts without a chain watch every chain
+    if (chain && !isKnownChain(chain)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Unknown chain: ${chain}` }
+      });
+    }
+
     // Create alert
     const alert = await createAlert({
       userId,
@@ -132,7 +149,8 @@ router.post('/', alertRateLimiter, async (req, res) => {
       domain,
       domainPattern,
       conditions: conditions || {},
-      platform
+      platform,
+      chain
     });
 
     res.status(201).json({
@@ -157,6 +175,13 @@ router.put('/:id', async (req, res) => {
     const userId = req.user.id;
     const updateData = req.body;
 
+    if (updateData.chain && !isKnownChain(updateData.chain)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Unknown chain: ${updateData.chain}` }
+      });
+    }
+
     // Check if alert exists and belongs to user
     const existingAlert = await getAlertById(alertId);
     if (!existingAlert || existingAlert.userId !== userId) {
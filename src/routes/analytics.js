@@ -0,0 +1,134 @@
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import {
+  getAlertSeries,
+  getSpendSeries,
+  getTopDomains,
+  getAlertOverview,
+  summarizeAlertSeries
+} from '../database/models/analytics.js';
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+// Resolve ?from=&to= into ISO timestamps, defaulting to the last 30 days
+const resolveRange = (req, res, next) => {
+  const { from, to } = req.query;
+
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value !== undefined && isNaN(Date.parse(value))) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Invalid ${name} date` }
+      });
+    }
+  }
+
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (start > end) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'from must be before to' }
+    });
+  }
+
+  if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+    return res.status(400).json({
+      success: false,
+      error: { message: `Date range cannot exceed ${MAX_RANGE_DAYS} days` }
+    });
+  }
+
+  req.range = { from: start.toISOString(), to: end.toISOString() };
+  next();
+};
+
+// Get dashboard overview
+router.get('/dashboard', resolveRange, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const [overview, alertSeries, spendSeries, topDomains] = await Promise.all([
+      getAlertOverview(userId),
+      getAlertSeries(userId, req.range),
+      getSpendSeries(userId, req.range),
+      getTopDomains(userId, req.range, 5)
+    ]);
+
+    const alertTotals = summarizeAlertSeries(alertSeries);
+
+    res.json({
+      success: true,
+      data: {
+        range: req.range,
+        summary: {
+          ...overview,
+          alertsTriggered: alertTotals.total,
+          deliverySuccessRate: alertTotals.successRate,
+          autoActionsExecuted: spendSeries.reduce((sum, day) => sum + day.executed, 0),
+          autoActionSpend: spendSeries.reduce((sum, day) => sum + day.spend, 0)
+        },
+        alerts: alertSeries,
+        spend: spendSeries,
+        topDomains
+      }
+    });
+  } catch (error) {
+    logger.error('Get dashboard analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to get dashboard analytics' }
+    });
+  }
+});
+
+// Get alert activity per day
+router.get('/alerts', resolveRange, async (req, res) => {
+  try {
+    const series = await getAlertSeries(req.user.id, req.range);
+
+    res.json({
+      success: true,
+      data: {
+        range: req.range,
+        totals: summarizeAlertSeries(series),
+        series
+      }
+    });
+  } catch (error) {
+    logger.error('Get alert analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to get alert analytics' }
+    });
+  }
+});
+
+// Get top triggering domains
+router.get('/domains', resolveRange, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const domains = await getTopDomains(req.user.id, req.range, limit);
+
+    res.json({
+      success: true,
+      data: {
+        range: req.range,
+        domains
+      }
+    });
+  } catch (error) {
+    logger.error('Get domain analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to get domain analytics' }
+    });
+  }
+});
+
+export default router;
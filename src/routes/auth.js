@@ -1,26 +1,207 @@
+import crypto from 'crypto';
 import express from 'express';
+import Joi from 'joi';
+import { ethers } from 'ethers';
 import { authRateLimiter } from '../middleware/rateLimiter.js';
-import { generateToken } from '../middleware/auth.js';
+import { authMiddleware, optionalAuthMiddleware, generateToken, verifyToken, requireTwoFactor } from '../middleware/auth.js';
 import { 
   createUser, 
+  getUserById,
   getUserByEmail, 
   getUserByTelegramId,
   getUserByTwitterId,
+  toPublicUser,
+  updateUser,
+  updateUserPassword,
   verifyUserPassword 
 } from '../database/models/user.js';
+import { getUserByReferralCode } from '../database/models/referral.js';
+import { consumeLinkCode } from '../database/models/linkCode.js';
+import {
+  createSession,
+  rotateSession,
+  getSessionFamilyId,
+  revokeSessionFamily,
+  revokeUserSessions,
+  revokeOtherSessions
+} from '../database/models/session.js';
+import {
+  createSiweNonce,
+  consumeSiweNonce,
+  getUserByVerifiedWallet,
+  verifyUserWallet
+} from '../database/models/siwe.js';
+import { API_KEY_SCOPES, createApiKey, getApiKeys, revokeApiKey } from '../database/models/apiKey.js';
+import {
+  startTotpEnrollment,
+  enableTotp,
+  disableTotp,
+  matchTotpCode,
+  replaceRecoveryCodes,
+  countRecoveryCodes,
+  verifySecondFactor
+} from '../database/models/twoFactor.js';
+import { buildOtpauthUrl, generateTotpSecret } from '../utils/totp.js';
+import {
+  exportUserData,
+  scheduleAccountDeletion,
+  cancelAccountDeletion
+} from '../database/models/account.js';
+import { buildSiweMessage, parseSiweMessage, checkSiweMessage, isSiweSignatureValid } from '../utils/siwe.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
 
-// Register new user
+const profileSchema = Joi.object({
+  username: Joi.string().trim().min(1).max(50),
+  email: Joi.string().trim().email(),
+  monthlySpendLimit: Joi.number().min(0).max(1000000),
+  preferences: Joi.object(),
+  currentPassword: Joi.string(),
+  newPassword: Joi.string().min(8).max(128)
+});
+
+// Raising the spend limit lets auto-actions spend more, so it needs two-factor
+const raisesSpendLimit = (req) => req.body?.monthlySpendLimit !== undefined &&
+  Number(req.body.monthlySpendLimit) > Number(req.user.monthlySpendLimit);
+
+// Sign-In With Ethereum messages must name this site; the chain is only
+// enforced when SIWE_CHAIN_ID is set
+const getSiweConfig = () => ({
+  domain: process.env.SIWE_DOMAIN || new URL(process.env.FRONTEND_URL || 'http://localhost').host,
+  uri: process.env.SIWE_URI || process.env.FRONTEND_URL || 'http://localhost',
+  chainId: process.env.SIWE_CHAIN_ID ? parseInt(process.env.SIWE_CHAIN_ID) : null,
+  nonceTtlMinutes: parseInt(process.env.SIWE_NONCE_TTL_MINUTES) || 10
+});
+
+// Check a signed SIWE message and use up its nonce, sending a 400/401 and
+// returning null on failure
+const verifySiwe = async (req, res) => {
+  const { message, signature } = req.body;
+
+  const fields = parseSiweMessage(message);
+  if (!fields || typeof signature !== 'string') {
+    res.status(400).json({
+      success: false,
+      error: { message: 'A valid EIP-4361 message and signature are required' }
+    });
+    return null;
+  }
+
+  const problem = checkSiweMessage(fields, getSiweConfig());
+  if (problem) {
+    res.status(401).json({
+      success: false,
+      error: { message: problem }
+    });
+    return null;
+  }
+
+  if (!isSiweSignatureValid(message, fields, signature)) {
+    res.status(401).json({
+      success: false,
+      error: { message: 'Invalid signature' }
+    });
+    return null;
+  }
+
+  // Checked last so a bad signature cannot burn someone else's nonce
+  if (!await consumeSiweNonce(fields.nonce)) {
+    res.status(401).json({
+      success: false,
+      error: { message: 'Invalid or expired nonce' }
+    });
+    return null;
+  }
+
+  return fields;
+};
+
+const TELEGRAM_AUTH_MAX_AGE_SECONDS = parseInt(process.env.TELEGRAM_AUTH_MAX_AGE_SECONDS) || 86400;
+
+// Check a Telegram Login Widget payload: the hash is an HMAC of the other
+// fields keyed with the SHA-256 of the bot token
+const isTelegramLoginValid = (data) => {
+  const { hash, ...fields } = data;
+  if (typeof hash !== 'string' || !fields.id || !fields.auth_date) {
+    return false;
+  }
+
+  const dataCheckString = Object.keys(fields)
+    .sort()
+    .map(key => `${key}=${fields[key]}`)
+    .join('\n');
+
+  const secret = crypto.createHash('sha256').update(process.env.TELEGRAM_BOT_TOKEN).digest();
+  const expected = crypto.createHmac('sha256', secret).update(dataCheckString).digest('hex');
+
+  return expected.length === hash.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(hash));
+};
+
+// Device details kept with each session
+const getClientInfo = (req) => ({
+  userAgent: req.get('user-agent') || null,
+  ip: req.ip
+});
+
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+
+// Start a session for a user whose identity has been proven: a short-lived
+// access token plus a refresh token that rotates on every use
+const sendSession = async (req, res, user, status = 200) => {
+  if (!user.isActive) {
+    return res.status(403).json({
+      success: false,
+      error: { message: 'Account is deactivated' }
+    });
+  }
+
+  const session = await createSession({ userId: user.id, ...getClientInfo(req) });
+  const token = generateToken({ id: user.id, username: user.username, sid: session.familyId });
+
+  res.status(status).json({
+    success: true,
+    data: {
+      user: toPublicUser(user),
+      token,
+      refreshToken: session.refreshToken,
+      refreshTokenExpiresAt: session.expiresAt
+    }
+  });
+};
+
+// Finish a login. Accounts with two-factor enabled get a short-lived
+// challenge instead, which /2fa/login exchanges for a session.
+const sendLogin = async (req, res, user, status = 200) => {
+  if (user.isActive && user.totpEnabledAt) {
+    return res.json({
+      success: true,
+      data: {
+        twoFactorRequired: true,
+        challengeToken: generateToken({ id: user.id, purpose: 'two_factor' }, TWO_FACTOR_CHALLENGE_TTL)
+      }
+    });
+  }
+
+  await sendSession(req, res, user, status);
+};
+
+// Register new user; Telegram and Twitter accounts are created by the bots
+// and reached through /telegram or /link-code instead
 router.post('/register', authRateLimiter, async (req, res) => {
   try {
-    const { username, email, password, telegramId, twitterId, walletAddress } = req.body;
+    const { username, email, password, referralCode } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Email and password are required' }
+      });
+    }
 
     // Check if user already exists
-    const existingUser = email ? await getUserByEmail(email) : 
-                        telegramId ? await getUserByTelegramId(telegramId) :
-                        twitterId ? await getUserByTwitterId(twitterId) : null;
+    const existingUser = await getUserByEmail(email);
 
     if (existingUser) {
       return res.status(409).json({
@@ -29,29 +210,23 @@ router.post('/register', authRateLimiter, async (req, res) => {
       });
     }
 
+    const referrer = referralCode ? await getUserByReferralCode(String(referralCode)) : null;
+    if (referralCode && !referrer) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Invalid referral code' }
+      });
+    }
+
     // Create new user
     const user = await createUser({
       username,
       email,
       password,
-      telegramId,
-      twitterId,
-      walletAddress
+      referredBy: referrer?.id
     });
 
-    // Generate token
-    const token = generateToken({ id: user.id, username: user.username });
-
-    // Remove sensitive data
-    delete user.passwordHash;
-
-    res.status(201).json({
-      success: true,
-      data: {
-        user,
-        token
-      }
-    });
+    await sendSession(req, res, user, 201);
 
     logger.info('User registered successfully', { userId: user.id, username });
   } catch (error) {
@@ -66,12 +241,17 @@ router.post('/register', authRateLimiter, async (req, res) => {
 // Login user
 router.post('/login', authRateLimiter, async (req, res) => {
   try {
-    const { email, password, telegramId, twitterId } = req.body;
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Email and password are required' }
+      });
+    }
 
     // Find user
-    const user = email ? await getUserByEmail(email) :
-                 telegramId ? await getUserByTelegramId(telegramId) :
-                 twitterId ? await getUserByTwitterId(twitterId) : null;
+    const user = await getUserByEmail(email);
 
     if (!user) {
       return res.status(401).json({
@@ -80,50 +260,234 @@ router.post('/login', authRateLimiter, async (req, res) => {
       });
     }
 
-    // Verify password (if provided)
-    if (password && !await verifyUserPassword(user.id, password)) {
+    // Verify password
+    if (!await verifyUserPassword(user.id, password)) {
       return res.status(401).json({
         success: false,
         error: { message: 'Invalid credentials' }
       });
     }
 
-    // Generate token
-    const token = generateToken({ id: user.id, username: user.username });
+    await sendLogin(req, res, user);
+
+    logger.info('User logged in successfully', { userId: user.id });
+  } catch (error) {
+    logger.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Login failed' }
+    });
+  }
+});
+
+// Log in with the Telegram Login Widget, creating an account for Telegram
+// users who have not used the bot yet
+router.post('/telegram', authRateLimiter, async (req, res) => {
+  try {
+    if (!process.env.TELEGRAM_BOT_TOKEN) {
+      return res.status(503).json({
+        success: false,
+        error: { message: 'Telegram login is not configured' }
+      });
+    }
+
+    if (!isTelegramLoginValid(req.body)) {
+      return res.status(401).json({
+        success: false,
+        error: { message: 'Invalid Telegram login' }
+      });
+    }
+
+    if (Date.now() / 1000 - Number(req.body.auth_date) > TELEGRAM_AUTH_MAX_AGE_SECONDS) {
+      return res.status(401).json({
+        success: false,
+        error: { message: 'Telegram login has expired' }
+      });
+    }
+
+    const telegramId = String(req.body.id);
+    let user = await getUserByTelegramId(telegramId);
+    const isNew = !user;
+
+    if (isNew) {
+      user = await createUser({
+        telegramId,
+        username: req.body.username || req.body.first_name || 'TelegramUser'
+      });
+    }
+
+    await sendLogin(req, res, user, isNew ? 201 : 200);
+
+    logger.info('User logged in with Telegram', { userId: user.id, isNew });
+  } catch (error) {
+    logger.error('Telegram login error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Login failed' }
+    });
+  }
+});
+
+// Log in with a one-time code sent by the Telegram (/link) or Twitter
+// ("link" mention, answered by DM) bot
+router.post('/link-code', authRateLimiter, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (typeof code !== 'string' || !code.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Code is required' }
+      });
+    }
+
+    const identity = await consumeLinkCode(code);
+    const user = identity && (identity.platform === 'telegram'
+      ? await getUserByTelegramId(identity.platformUserId)
+      : await getUserByTwitterId(identity.platformUserId));
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: { message: 'Invalid or expired code' }
+      });
+    }
+
+    await sendLogin(req, res, user);
+
+    logger.info('User logged in with link code', { userId: user.id, platform: identity.platform });
+  } catch (error) {
+    logger.error('Link code login error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Login failed' }
+    });
+  }
+});
+
+// Issue a nonce for a Sign-In With Ethereum message; with an address, the
+// message to sign is prepared as well
+router.post('/siwe/nonce', authRateLimiter, async (req, res) => {
+  try {
+    const { address } = req.body;
+
+    if (address !== undefined && !ethers.isAddress(address)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Invalid wallet address' }
+      });
+    }
+
+    const config = getSiweConfig();
+    const { nonce, expiresAt } = await createSiweNonce(config.nonceTtlMinutes);
+
+    const data = { nonce, expiresAt, domain: config.domain, uri: config.uri, chainId: config.chainId };
+
+    if (address) {
+      data.message = buildSiweMessage({
+        domain: config.domain,
+        address: ethers.getAddress(address),
+        statement: 'Sign in to DomaAlert.',
+        uri: config.uri,
+        chainId: config.chainId || 1,
+        nonce,
+        expirationTime: expiresAt
+      });
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    logger.error('SIWE nonce error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to issue nonce' }
+    });
+  }
+});
+
+// Log in with a signed SIWE message, creating an account for wallets that
+// have not been seen before
+router.post('/siwe/verify', authRateLimiter, async (req, res) => {
+  try {
+    const { username, referralCode } = req.body;
+
+    const referrer = referralCode ? await getUserByReferralCode(String(referralCode)) : null;
+    if (referralCode && !referrer) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Invalid referral code' }
+      });
+    }
+
+    const fields = await verifySiwe(req, res);
+    if (!fields) return;
+
+    let user = await getUserByVerifiedWallet(fields.address);
+    const isNew = !user;
+
+    if (isNew) {
+      const created = await createUser({
+        username: username || `${fields.address.slice(0, 6)}...${fields.address.slice(-4)}`,
+        referredBy: referrer?.id
+      });
+      await verifyUserWallet(created.id, fields.address);
+      user = await getUserByVerifiedWallet(fields.address);
+    }
+
+    await sendLogin(req, res, user, isNew ? 201 : 200);
+
+    logger.info('User signed in with Ethereum', { userId: user.id, address: fields.address, isNew });
+  } catch (error) {
+    logger.error('SIWE verify error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Sign-in failed' }
+    });
+  }
+});
+
+// Link a wallet to the current account by signing a SIWE message with it
+router.post('/siwe/link', authMiddleware, requireTwoFactor(), async (req, res) => {
+  try {
+    const fields = await verifySiwe(req, res);
+    if (!fields) return;
+
+    const owner = await getUserByVerifiedWallet(fields.address);
+    if (owner && owner.id !== req.user.id) {
+      return res.status(409).json({
+        success: false,
+        error: { message: 'Wallet is linked to another account' }
+      });
+    }
 
-    // Remove sensitive data
-    delete user.passwordHash;
+    await verifyUserWallet(req.user.id, fields.address);
 
     res.json({
       success: true,
       data: {
-        user,
-        token
+        walletAddress: fields.address,
+        walletVerified: true
       }
     });
-
-    logger.info('User logged in successfully', { userId: user.id });
   } catch (error) {
-    logger.error('Login error:', error);
+    logger.error('SIWE link error:', error);
     res.status(500).json({
       success: false,
-      error: { message: 'Login failed' }
+      error: { message: 'Failed to link wallet' }
     });
   }
 });
 
 // Get current user info
-router.get('/me', async (req, res) => {
+router.get('/me', authMiddleware, async (req, res) => {
   try {
     // User is attached by auth middleware
-    const user = req.user;
-    
-    // Remove sensitive data
-    delete user.passwordHash;
-
     res.json({
       success: true,
-      data: { user }
+      data: { user: toPublicUser(req.user) }
     });
   } catch (error) {
     logger.error('Get user error:', error);
@@ -134,35 +498,576 @@ router.get('/me', async (req, res) => {
   }
 });
 
-// Refresh token
-router.post('/refresh', async (req, res) => {
+// Update profile. Changing the email or password needs the current password
+// when the account has one.
+router.patch('/profile', authMiddleware, requireTwoFactor(raisesSpendLimit), async (req, res) => {
   try {
-    const { token } = req.body;
-    
-    if (!token) {
+    if (req.body.walletAddress !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Wallets are linked by signing a message at /api/auth/siwe/link' }
+      });
+    }
+
+    const { value: body, error } = profileSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          details: error.details.map(detail => detail.message)
+        }
+      });
+    }
+
+    const emailChanged = body.email !== undefined && body.email !== req.user.email;
+
+    if ((emailChanged || body.newPassword) && req.user.passwordHash &&
+      !await verifyUserPassword(req.user.id, body.currentPassword || '')) {
+      return res.status(403).json({
+        success: false,
+        error: { message: 'Current password is incorrect' }
+      });
+    }
+
+    if (emailChanged && await getUserByEmail(body.email)) {
+      return res.status(409).json({
+        success: false,
+        error: { message: 'Email is already in use' }
+      });
+    }
+
+    const updates = {};
+    if (body.username !== undefined) updates.username = body.username;
+    if (emailChanged) updates.email = body.email;
+    if (body.monthlySpendLimit !== undefined) updates.monthlySpendLimit = body.monthlySpendLimit;
+    if (body.preferences !== undefined) updates.preferences = { ...req.user.preferences, ...body.preferences };
+
+    if (Object.keys(updates).length === 0 && !body.newPassword) {
       return res.status(400).json({
         success: false,
-        error: { message: 'Token required' }
+        error: { message: 'No profile changes' }
       });
     }
 
-    // Verify and decode token
-    const decoded = verifyToken(token);
-    
-    // Generate new token
-    const newToken = generateToken({ id: decoded.id, username: decoded.username });
+    let user = req.user;
+    if (Object.keys(updates).length > 0) {
+      user = await updateUser(req.user.id, updates);
+    }
+
+    // A new password signs out every other device
+    let revokedSessions = 0;
+    if (body.newPassword) {
+      await updateUserPassword(req.user.id, body.newPassword);
+      revokedSessions = await revokeOtherSessions(req.user.id, req.sessionId);
+    }
+
+    logger.info('Profile updated', {
+      userId: req.user.id,
+      fields: Object.keys(updates),
+      passwordChanged: Boolean(body.newPassword)
+    });
 
     res.json({
       success: true,
-      data: { token: newToken }
+      data: { user: toPublicUser(user), revokedSessions }
     });
   } catch (error) {
-    logger.error('Token refresh error:', error);
-    res.status(401).json({
+    logger.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to update profile' }
+    });
+  }
+});
+
+// Download everything stored about the current user as a JSON file
+router.get('/account/export', authMiddleware, authRateLimiter, async (req, res) => {
+  try {
+    const archive = await exportUserData(req.user.id);
+    const date = archive.exportedAt.slice(0, 10);
+
+    logger.info('User data exported', { userId: req.user.id });
+
+    res
+      .set('Content-Disposition', `attachment; filename="domaalert-export-${req.user.id}-${date}.json"`)
+      .type('application/json')
+      .send(JSON.stringify(archive, null, 2));
+  } catch (error) {
+    logger.error('Export user data error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to export data' }
+    });
+  }
+});
+
+// Schedule deletion of the current account
+router.post('/account/deletion', authMiddleware, requireTwoFactor(), async (req, res) => {
+  try {
+    if (req.user.deletionScheduledFor) {
+      return res.status(409).json({
+        success: false,
+        error: { message: 'Account deletion is already scheduled' }
+      });
+    }
+
+    if (req.user.passwordHash && !await verifyUserPassword(req.user.id, req.body.currentPassword || '')) {
+      return res.status(403).json({
+        success: false,
+        error: { message: 'Current password is incorrect' }
+      });
+    }
+
+    const { scheduledFor, coolingOffDays } = await scheduleAccountDeletion(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        scheduledFor,
+        message: `Your account and data will be deleted in ${coolingOffDays} days unless you cancel`
+      }
+    });
+  } catch (error) {
+    logger.error('Schedule account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to schedule account deletion' }
+    });
+  }
+});
+
+// Cancel a scheduled deletion during the cooling-off period
+router.delete('/account/deletion', authMiddleware, async (req, res) => {
+  try {
+    if (!await cancelAccountDeletion(req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'No account deletion is scheduled' }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { message: 'Account deletion cancelled' }
+    });
+  } catch (error) {
+    logger.error('Cancel account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to cancel account deletion' }
+    });
+  }
+});
+
+// Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', authRateLimiter, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Refresh token required' }
+      });
+    }
+
+    const result = await rotateSession(refreshToken, getClientInfo(req));
+
+    if (result.status === 'reused') {
+      logger.warn('Refresh token reuse detected; session family revoked', {
+        userId: result.userId,
+        familyId: result.familyId,
+        ip: req.ip
+      });
+      return res.status(401).json({
+        success: false,
+        error: { message: 'Refresh token has already been used; please log in again' }
+      });
+    }
+
+    const user = result.status === 'rotated' ? await getUserById(result.userId) : null;
+    if (!user || !user.isActive) {
+      if (user) {
+        await revokeSessionFamily(result.familyId);
+      }
+      return res.status(401).json({
+        success: false,
+        error: { message: 'Invalid or expired refresh token' }
+      });
+    }
+
+    const token = generateToken({ id: user.id, username: user.username, sid: result.familyId });
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        refreshToken: result.refreshToken,
+        refreshTokenExpiresAt: result.expiresAt
+      }
+    });
+  } catch (error) {
+    logger.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to refresh token' }
+    });
+  }
+});
+
+// Log out this device, identified by the access token or the refresh token
+router.post('/logout', optionalAuthMiddleware, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    const familyId = req.sessionId || (typeof refreshToken === 'string' && await getSessionFamilyId(refreshToken));
+
+    if (familyId) {
+      await revokeSessionFamily(familyId);
+    }
+
+    res.json({
+      success: true,
+      data: { message: 'Logged out' }
+    });
+  } catch (error) {
+    logger.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Logout failed' }
+    });
+  }
+});
+
+// Log out every device, including this one
+router.post('/logout-all', authMiddleware, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.id);
+
+    logger.info('User logged out of all devices', { userId: req.user.id, revoked });
+
+    res.json({
+      success: true,
+      data: { message: 'Logged out of all devices', revoked }
+    });
+  } catch (error) {
+    logger.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Logout failed' }
+    });
+  }
+});
+
+// Complete a login for an account with two-factor enabled
+router.post('/2fa/login', authRateLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (typeof challengeToken !== 'string' || typeof code !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Challenge token and code are required' }
+      });
+    }
+
+    let challenge;
+    try {
+      challenge = verifyToken(challengeToken);
+    } catch (error) {
+      challenge = null;
+    }
+
+    if (challenge?.purpose !== 'two_factor') {
+      return res.status(401).json({
+        success: false,
+        error: { message: 'Login challenge is invalid or has expired' }
+      });
+    }
+
+    const user = await getUserById(challenge.id);
+    if (!user || !await verifySecondFactor(user, code)) {
+      return res.status(401).json({
+        success: false,
+        error: { message: 'Invalid two-factor code' }
+      });
+    }
+
+    await sendSession(req, res, user);
+
+    logger.info('User completed two-factor login', { userId: user.id });
+  } catch (error) {
+    logger.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Login failed' }
+    });
+  }
+});
+
+// Two-factor status
+router.get('/2fa', authMiddleware, async (req, res) => {
+  try {
+    const enabled = Boolean(req.user.totpEnabledAt);
+
+    res.json({
+      success: true,
+      data: {
+        enabled,
+        enabledAt: req.user.totpEnabledAt,
+        recoveryCodesRemaining: enabled ? await countRecoveryCodes(req.user.id) : 0
+      }
+    });
+  } catch (error) {
+    logger.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to get two-factor status' }
+    });
+  }
+});
+
+// Start enrollment: a new secret and the otpauth:// URI to show as a QR code
+router.post('/2fa/setup', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.totpEnabledAt) {
+      return res.status(409).json({
+        success: false,
+        error: { message: 'Two-factor authentication is already enabled' }
+      });
+    }
+
+    const secret = generateTotpSecret();
+    await startTotpEnrollment(req.user.id, secret);
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl: buildOtpauthUrl({
+          secret,
+          accountName: req.user.email || req.user.username,
+          issuer: process.env.TOTP_ISSUER || 'DomaAlert'
+        })
+      }
+    });
+  } catch (error) {
+    logger.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to start two-factor setup' }
+    });
+  }
+});
+
+// Confirm enrollment with a code from the authenticator app
+router.post('/2fa/enable', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.totpEnabledAt) {
+      return res.status(409).json({
+        success: false,
+        error: { message: 'Two-factor authentication is already enabled' }
+      });
+    }
+
+    if (!req.user.totpSecret) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Start two-factor setup first' }
+      });
+    }
+
+    const step = matchTotpCode(req.user, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Invalid two-factor code' }
+      });
+    }
+
+    await enableTotp(req.user.id, step);
+    const recoveryCodes = await replaceRecoveryCodes(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        enabled: true,
+        recoveryCodes,
+        message: 'Store these recovery codes somewhere safe, they will not be shown again'
+      }
+    });
+  } catch (error) {
+    logger.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to enable two-factor authentication' }
+    });
+  }
+});
+
+// Turn two-factor off; needs a current code
+router.post('/2fa/disable', authMiddleware, async (req, res) => {
+  try {
+    if (!req.user.totpEnabledAt) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Two-factor authentication is not enabled' }
+      });
+    }
+
+    if (!await verifySecondFactor(req.user, req.body.code)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: 'Invalid two-factor code' }
+      });
+    }
+
+    await disableTotp(req.user.id);
+
+    res.json({
+      success: true,
+      data: { enabled: false }
+    });
+  } catch (error) {
+    logger.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to disable two-factor authentication' }
+    });
+  }
+});
+
+// Replace recovery codes; needs a current code
+router.post('/2fa/recovery-codes', authMiddleware, async (req, res) => {
+  try {
+    if (!req.user.totpEnabledAt) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Two-factor authentication is not enabled' }
+      });
+    }
+
+    if (!await verifySecondFactor(req.user, req.body.code)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: 'Invalid two-factor code' }
+      });
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(req.user.id);
+
+    res.json({
+      success: true,
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    logger.error('Recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to create recovery codes' }
+    });
+  }
+});
+
+// List the user's API keys; the keys themselves are never shown again
+router.get('/api-keys', authMiddleware, async (req, res) => {
+  try {
+    const apiKeys = await getApiKeys(req.user.id);
+
+    res.json({
+      success: true,
+      data: { apiKeys, scopes: API_KEY_SCOPES }
+    });
+  } catch (error) {
+    logger.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to get API keys' }
+    });
+  }
+});
+
+// Create an API key
+router.post('/api-keys', authMiddleware, async (req, res) => {
+  try {
+    const { name, scopes, expiresAt, expiresInDays } = req.body;
+
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 64) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Name is required and must be at most 64 characters' }
+      });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}` }
+      });
+    }
+
+    let expiry = null;
+    if (expiresAt !== undefined && expiresAt !== null) {
+      expiry = new Date(expiresAt);
+    } else if (expiresInDays !== undefined && expiresInDays !== null) {
+      expiry = Number.isInteger(expiresInDays) && expiresInDays > 0
+        ? new Date(Date.now() + expiresInDays * 86400000)
+        : new Date(NaN);
+    }
+
+    if (expiry && (isNaN(expiry.getTime()) || expiry.getTime() <= Date.now())) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Expiry must be in the future' }
+      });
+    }
+
+    const { key, apiKey } = await createApiKey({
+      userId: req.user.id,
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      expiresAt: expiry?.toISOString() || null
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        key,
+        apiKey,
+        message: 'Copy this key now, it will not be shown again'
+      }
+    });
+  } catch (error) {
+    logger.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to create API key' }
+    });
+  }
+});
+
+// Revoke an API key
+router.delete('/api-keys/:id', authMiddleware, async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(parseInt(req.params.id), req.user.id);
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'API key not found' }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { message: 'API key revoked' }
+    });
+  } catch (error) {
+    logger.error('Revoke API key error:', error);
+    res.status(500).json({
       success: false,
-      error: { message: 'Invalid token' }
+      error: { message: 'Failed to revoke API key' }
     });
   }
 });
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,268 @@
+import express from 'express';
+import Joi from 'joi';
+import { logger } from '../utils/logger.js';
+import { requireTwoFactor } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const domainList = Joi.array().items(Joi.string().trim().lowercase().min(3).max(253)).max(100);
+const patternList = Joi.array().items(Joi.string().trim().max(253)).max(50);
+const address = Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/).lowercase();
+
+// Conditions accepted by each action type, matching what AutoActionsService reads
+const CONDITION_SCHEMAS = {
+  // Renewals are looked up by domain, so a target is required
+  renew: Joi.object({
+    targetDomains: domainList,
+    domainPatterns: patternList,
+    daysBeforeExpiry: Joi.number().integer().min(1).max(365),
+    minUrgency: Joi.string().valid('low', 'medium', 'high', 'critical'),
+    renewalDuration: Joi.number().integer().min(1).max(3650)
+  }).or('targetDomains', 'domainPatterns'),
+
+  buy: Joi.object({
+    targetDomains: domainList,
+    domainPatterns: patternList,
+    minPrice: Joi.number().min(0),
+    maxPrice: Joi.number().positive(),
+    excludeSellers: Joi.array().items(address).max(100)
+  }),
+
+  bid: Joi.object({
+    targetDomains: domainList,
+    domainPatterns: patternList,
+    maxBid: Joi.number().positive(),
+    bidIncrement: Joi.number().positive()
+  })
+};
+
+const createSchema = Joi.object({
+  type: Joi.string().valid(...Object.keys(CONDITION_SCHEMAS)).required(),
+  conditions: Joi.object().required(),
+  maxAmount: Joi.number().positive().required()
+});
+
+const updateSchema = Joi.object({
+  conditions: Joi.object(),
+  maxAmount: Joi.number().positive(),
+  isActive: Joi.boolean()
+}).min(1);
+
+const logsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('pending', 'success', 'failed', 'cancelled')
+});
+
+// Validate against a schema, sending a 400 and returning null on failure
+const validate = (schema, data, res) => {
+  const { value, error } = schema.validate(data, { abortEarly: false, stripUnknown: true });
+
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: error.details.map(detail => detail.message)
+      }
+    });
+    return null;
+  }
+
+  return value;
+};
+
+// Actions that spend funds on purchases need two-factor to create or change
+const SPENDING_TYPES = ['buy', 'bid'];
+
+// Updates can't change the type, so check the stored action rather than the body
+const updatesSpendingAction = async (req) => {
+  const action = await req.app.locals.services?.autoActionsService
+    ?.getAutoAction(parseInt(req.params.id), req.user.id);
+  return SPENDING_TYPES.includes(action?.type);
+};
+
+const getService = (req, res) => {
+  const autoActionsService = req.app.locals.services?.autoActionsService;
+
+  if (!autoActionsService) {
+    res.status(503).json({
+      success: false,
+      error: { message: 'Auto-actions service unavailable' }
+    });
+    return null;
+  }
+
+  return autoActionsService;
+};
+
+// Get user's auto-actions
+router.get('/', async (req, res) => {
+  try {
+    const autoActionsService = getService(req, res);
+    if (!autoActionsService) return;
+
+    const actions = await autoActionsService.getUserAutoActions(req.user.id);
+
+    res.json({
+      success: true,
+      data: { actions }
+    });
+  } catch (error) {
+    logger.error('Get auto-actions error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to get auto-actions' }
+    });
+  }
+});
+
+// Create auto-action
+router.post('/', requireTwoFactor(req => SPENDING_TYPES.includes(req.body?.type)), async (req, res) => {
+  try {
+    const autoActionsService = getService(req, res);
+    if (!autoActionsService) return;
+
+    const body = validate(createSchema, req.body, res);
+    if (!body) return;
+
+    const conditions = validate(CONDITION_SCHEMAS[body.type].label('conditions'), body.conditions, res);
+    if (!conditions) return;
+
+    const actionId = await autoActionsService.createAutoAction(req.user.id, { ...body, conditions });
+    const action = await autoActionsService.getAutoAction(actionId, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: { action }
+    });
+  } catch (error) {
+    logger.error('Create auto-action error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to create auto-action' }
+    });
+  }
+});
+
+// Update auto-action
+router.put('/:id', requireTwoFactor(updatesSpendingAction), async (req, res) => {
+  try {
+    const autoActionsService = getService(req, res);
+    if (!autoActionsService) return;
+
+    const actionId = parseInt(req.params.id);
+    const userId = req.user.id;
+
+    const existingAction = await autoActionsService.getAutoAction(actionId, userId);
+    if (!existingAction) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Auto-action not found' }
+      });
+    }
+
+    const updateData = validate(updateSchema, req.body, res);
+    if (!updateData) return;
+
+    // Conditions are checked against the action's existing type
+    if (updateData.conditions) {
+      updateData.conditions = validate(CONDITION_SCHEMAS[existingAction.type].label('conditions'), updateData.conditions, res);
+      if (!updateData.conditions) return;
+    }
+
+    await autoActionsService.updateAutoAction(actionId, userId, updateData);
+    const action = await autoActionsService.getAutoAction(actionId, userId);
+
+    res.json({
+      success: true,
+      data: { action }
+    });
+  } catch (error) {
+    logger.error('Update auto-action error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to update auto-action' }
+    });
+  }
+});
+
+// Delete auto-action
+router.delete('/:id', async (req, res) => {
+  try {
+    const autoActionsService = getService(req, res);
+    if (!autoActionsService) return;
+
+    const actionId = parseInt(req.params.id);
+    const userId = req.user.id;
+
+    const existingAction = await autoActionsService.getAutoAction(actionId, userId);
+    if (!existingAction) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Auto-action not found' }
+      });
+    }
+
+    await autoActionsService.deleteAutoAction(actionId, userId);
+
+    res.json({
+      success: true,
+      data: { message: 'Auto-action deleted successfully' }
+    });
+  } catch (error) {
+    logger.error('Delete auto-action error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to delete auto-action' }
+    });
+  }
+});
+
+// Get auto-action execution logs
+router.get('/:id/logs', async (req, res) => {
+  try {
+    const autoActionsService = getService(req, res);
+    if (!autoActionsService) return;
+
+    const actionId = parseInt(req.params.id);
+    const userId = req.user.id;
+
+    const query = validate(logsQuerySchema, req.query, res);
+    if (!query) return;
+
+    const existingAction = await autoActionsService.getAutoAction(actionId, userId);
+    if (!existingAction) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Auto-action not found' }
+      });
+    }
+
+    const offset = (query.page - 1) * query.limit;
+    const { logs, total } = await autoActionsService.getAutoActionLogs(actionId, userId, {
+      limit: query.limit,
+      offset,
+      status: query.status
+    });
+
+    res.json({
+      success: true,
+      data: { logs },
+      pagination: {
+        page: query.page,
+        limit: query.limit,
+        total,
+        hasMore: offset + logs.length < total
+      }
+    });
+  } catch (error) {
+    logger.error('Get auto-action logs error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to get auto-action logs' }
+    });
+  }
+});
+
+export default router;
@@ -1,42 +1,98 @@
 import express from 'express';
 import { logger } from '../utils/logger.js';
+import { resolveChain } from '../middleware/chain.js';
+import { DOMAIN_EVENT_TYPES, decodeCursor, getDomainHistory } from '../database/models/domainEvent.js';
+import { SEARCH_MODES, searchDomains } from '../database/models/domainCache.js';
+import { TIMEFRAMES } from '../services/trendingService.js';
 
 const router = express.Router();
 
+// Keep user-supplied regexes short to limit backtracking cost
+const MAX_REGEX_LENGTH = 64;
+const MAX_UNBOUNDED_QUANTIFIERS = 2;
+
+// Reject regexes that can backtrack catastrophically: backreferences,
+// repeated groups such as (a+)+ and long runs of unbounded quantifiers
+const checkRegexComplexity = (pattern) => {
+  let unbounded = 0;
+  let previous = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1])) {
+        throw new Error('Backreferences are not supported');
+      }
+      previous = pattern[++i];
+      continue;
+    }
+
+    if (char === '[') {
+      // Character classes are a single atom
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') {
+          i++;
+        }
+      }
+      previous = ']';
+      continue;
+    }
+
+    const bounds = char === '{' ? pattern.slice(i).match(/^\{\d+(,\d*)?\}/) : null;
+    const isUnbounded = char === '*' || char === '+' || (bounds && bounds[1] === ',');
+    if (previous === ')' && (isUnbounded || bounds)) {
+      throw new Error('Repeated groups are not supported');
+    }
+    if (isUnbounded && ++unbounded > MAX_UNBOUNDED_QUANTIFIERS) {
+      throw new Error(`Use at most ${MAX_UNBOUNDED_QUANTIFIERS} unbounded quantifiers`);
+    }
+
+    if (bounds) {
+      i += bounds[0].length - 1;
+      previous = '}';
+    } else {
+      previous = char;
+    }
+  }
+};
+
 // Get domain information
-router.get('/info/:domain', async (req, res) => {
+router.get('/info/:domain', resolveChain, async (req, res) => {
   try {
     const { domain } = req.params;
-    
-    // TODO: Integrate with actual domain service
-    const mockDomainInfo = {
-      domain,
-      owner: '0x1234567890abcdef1234567890abcdef12345678',
-      expiryTime: Math.floor(Date.now() / 1000) + (45 * 24 * 60 * 60), // 45 days from now
-      isForSale: Math.random() > 0.7,
-      price: Math.random() > 0.5 ? (Math.random() * 100).toFixed(2) : null,
-      lastTransfer: Math.floor(Date.now() / 1000) - (30 * 24 * 60 * 60), // 30 days ago
-      chain: 'ethereum'
-    };
-
-    // Calculate expiry status
-    const now = Math.floor(Date.now() / 1000);
-    const daysUntilExpiry = Math.ceil((mockDomainInfo.expiryTime - now) / 86400);
-    
-    mockDomainInfo.expiryStatus = {
-      daysUntilExpiry,
-      isExpired: daysUntilExpiry <= 0,
-      isExpiringSoon: daysUntilExpiry <= 7,
-      urgency: daysUntilExpiry <= 1 ? 'critical' : 
-               daysUntilExpiry <= 3 ? 'high' : 
-               daysUntilExpiry <= 7 ? 'medium' : 'low'
-    };
+    const refresh = req.query.refresh === 'true';
+
+    const domainService = req.app.locals.services?.domainServices?.get(req.chain);
+    if (!domainService) {
+      return res.status(503).json({
+        success: false,
+        error: { message: `Chain ${req.chain} is not being monitored` }
+      });
+    }
+
+    const validation = domainService.validateDomainName(domain);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: { message: validation.error }
+      });
+    }
+
+    const { domainInfo, cache } = await domainService.getCachedDomainInfo(domain, { refresh });
 
     res.json({
       success: true,
-      data: { domainInfo: mockDomainInfo }
+      data: { domainInfo, cache }
     });
   } catch (error) {
+    if (error.statusCode === 404 || error.statusCode === 503) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: { message: error.message }
+      });
+    }
+
     logger.error('Get domain info error:', error);
     res.status(500).json({
       success: false,
@@ -45,11 +101,20 @@ router.get('/info/:domain', async (req, res) => {
   }
 });
 
-// Search domains
-router.get('/search', async (req, res) => {
+// Search the indexed domain set
+router.get('/search', resolveChain, async (req, res) => {
   try {
-    const { query, type = 'all', limit = 20 } = req.query;
-    
+    const {
+      query,
+      type = 'substring',
+      tld,
+      forSale,
+      sort = 'domain',
+      order = 'asc',
+      page = '1'
+    } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
     if (!query) {
       return res.status(400).json({
         success: false,
@@ -57,21 +122,93 @@ router.get('/search', async (req, res) => {
       });
     }
 
-    // TODO: Implement actual domain search
-    const mockResults = Array.from({ length: Math.min(limit, 10) }, (_, i) => ({
-      domain: `${query}${i > 0 ? i : ''}.ape`,
-      isAvailable: Math.random() > 0.3,
-      price: Math.random() > 0.5 ? (Math.random() * 50).toFixed(2) : null,
-      expiryDays: Math.floor(Math.random() * 365),
-      owner: Math.random() > 0.5 ? '0x1234567890abcdef1234567890abcdef12345678' : null
-    }));
+    // Repeated parameters arrive as arrays
+    if (typeof query !== 'string' || (tld !== undefined && typeof tld !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'query and tld must be given once' }
+      });
+    }
+
+    if (!/^\d+$/.test(page) || parseInt(page) < 1) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Invalid page' }
+      });
+    }
+
+    if (!SEARCH_MODES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Invalid search type: ${type}. Use one of ${SEARCH_MODES.join(', ')}` }
+      });
+    }
+
+    if (type === 'regex') {
+      try {
+        if (query.length > MAX_REGEX_LENGTH) {
+          throw new Error('Pattern too long');
+        }
+        new RegExp(query);
+        checkRegexComplexity(query);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: { message: `Invalid regex: ${error.message}` }
+        });
+      }
+    }
+
+    if (!['domain', 'price', 'expiry', 'length'].includes(sort) || !['asc', 'desc'].includes(order)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Invalid sort. Use sort=domain|price|expiry|length and order=asc|desc' }
+      });
+    }
+
+    // Numeric filters
+    const numbers = {};
+    for (const name of ['minLength', 'maxLength', 'minPrice', 'maxPrice', 'expiresWithinDays']) {
+      if (req.query[name] === undefined) {
+        continue;
+      }
+      const value = Number(req.query[name]);
+      if (isNaN(value) || value < 0) {
+        return res.status(400).json({
+          success: false,
+          error: { message: `Invalid ${name}` }
+        });
+      }
+      numbers[name] = value;
+    }
+
+    const offset = (parseInt(page) - 1) * limit;
+    const { results, total, truncated } = await searchDomains(req.chain, {
+      query,
+      mode: type,
+      tld,
+      forSale: forSale !== undefined ? forSale === 'true' : undefined,
+      ...numbers,
+      sort,
+      order,
+      limit,
+      offset
+    });
 
     res.json({
       success: true,
       data: {
-        results: mockResults,
+        results,
         query,
-        totalFound: mockResults.length
+        type,
+        chain: req.chain,
+        totalFound: total,
+        truncated
+      },
+      pagination: {
+        page: parseInt(page),
+        limit,
+        hasMore: offset + results.length < total
       }
     });
   } catch (error) {
@@ -83,25 +220,36 @@ router.get('/search', async (req, res) => {
   }
 });
 
-// Get trending domains
-router.get('/trending', async (req, res) => {
+// Get trending domains from the materialised ranking
+router.get('/trending', resolveChain, async (req, res) => {
   try {
-    const { timeframe = '24h', limit = 10 } = req.query;
-    
-    // TODO: Implement actual trending domain logic
-    const mockTrending = Array.from({ length: limit }, (_, i) => ({
-      domain: `trending${i + 1}.ape`,
-      salePrice: (Math.random() * 200 + 10).toFixed(2),
-      priceChange: (Math.random() * 100 - 50).toFixed(2),
-      volume24h: (Math.random() * 1000).toFixed(2),
-      transactions: Math.floor(Math.random() * 50) + 1
-    }));
+    const { timeframe = '24h' } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    if (!TIMEFRAMES[timeframe]) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Invalid timeframe: ${timeframe}` }
+      });
+    }
+
+    const trendingService = req.app.locals.services?.trendingService;
+    if (!trendingService) {
+      return res.status(503).json({
+        success: false,
+        error: { message: 'Trending service unavailable' }
+      });
+    }
+
+    const { trending, computedAt } = await trendingService.getTrending(req.chain, timeframe, limit);
 
     res.json({
       success: true,
       data: {
-        trending: mockTrending,
-        timeframe
+        trending,
+        timeframe,
+        chain: req.chain,
+        computedAt
       }
     });
   } catch (error) {
@@ -113,28 +261,66 @@ router.get('/trending', async (req, res) => {
   }
 });
 
-// Get domain history
-router.get('/history/:domain', async (req, res) => {
+// Get domain history from the local event index
+router.get('/history/:domain', resolveChain, async (req, res) => {
   try {
     const { domain } = req.params;
-    const { limit = 20 } = req.query;
-    
-    // TODO: Implement actual domain history
-    const mockHistory = Array.from({ length: Math.min(limit, 5) }, (_, i) => ({
-      id: i + 1,
-      type: ['sale', 'transfer', 'renewal'][Math.floor(Math.random() * 3)],
-      timestamp: Math.floor(Date.now() / 1000) - (i * 24 * 60 * 60),
-      from: '0x1234567890abcdef1234567890abcdef12345678',
-      to: '0xabcdef1234567890abcdef1234567890abcdef12',
-      price: Math.random() > 0.5 ? (Math.random() * 100).toFixed(2) : null,
-      transactionHash: `0x${Math.random().toString(16).substring(2, 66)}`
-    }));
+    const { type, from, to, cursor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const types = type ? type.split(',') : [];
+    const invalidType = types.find(eventType => !DOMAIN_EVENT_TYPES.includes(eventType));
+    if (invalidType) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Invalid event type: ${invalidType}` }
+      });
+    }
+
+    const range = {};
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value === undefined) {
+        continue;
+      }
+      if (isNaN(Date.parse(value))) {
+        return res.status(400).json({
+          success: false,
+          error: { message: `Invalid ${name} date` }
+        });
+      }
+      range[name] = new Date(value).toISOString();
+    }
+
+    if (cursor) {
+      try {
+        decodeCursor(cursor);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: { message: 'Invalid cursor' }
+        });
+      }
+    }
+
+    const { events, nextCursor } = await getDomainHistory(domain, {
+      chain: req.chain,
+      types,
+      ...range,
+      cursor,
+      limit
+    });
 
     res.json({
       success: true,
       data: {
         domain,
-        history: mockHistory
+        chain: req.chain,
+        history: events
+      },
+      pagination: {
+        limit,
+        nextCursor,
+        hasMore: nextCursor !== null
       }
     });
   } catch (error) {
@@ -0,0 +1,138 @@
+import express from 'express';
+import Joi from 'joi';
+import { logger } from '../utils/logger.js';
+import {
+  createPromoCode,
+  getPromoCodeByCode,
+  getPromoCodes,
+  deactivatePromoCode
+} from '../database/models/promoCode.js';
+
+const router = express.Router();
+
+const createSchema = Joi.object({
+  code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]{3,32}$/).required(),
+  discountType: Joi.string().valid('percent', 'fixed').required(),
+  discountValue: Joi.when('discountType', {
+    is: 'percent',
+    then: Joi.number().greater(0).max(100),
+    otherwise: Joi.number().positive()
+  }).required(),
+  tiers: Joi.array().items(Joi.string().valid('basic', 'premium')).min(1).unique(),
+  expiresAt: Joi.date().iso().greater('now'),
+  maxRedemptions: Joi.number().integer().min(1)
+});
+
+const listQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  isActive: Joi.boolean()
+});
+
+// Validate against a schema, sending a 400 and returning null on failure
+const validate = (schema, data, res) => {
+  const { value, error } = schema.validate(data, { abortEarly: false, stripUnknown: true });
+
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: error.details.map(detail => detail.message)
+      }
+    });
+    return null;
+  }
+
+  return value;
+};
+
+// List promo codes
+router.get('/', async (req, res) => {
+  try {
+    const query = validate(listQuerySchema, req.query, res);
+    if (!query) return;
+
+    const offset = (query.page - 1) * query.limit;
+    const { promoCodes, total } = await getPromoCodes({
+      limit: query.limit,
+      offset,
+      isActive: query.isActive
+    });
+
+    res.json({
+      success: true,
+      data: { promoCodes },
+      pagination: {
+        page: query.page,
+        limit: query.limit,
+        total,
+        hasMore: offset + promoCodes.length < total
+      }
+    });
+  } catch (error) {
+    logger.error('Get promo codes error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to get promo codes' }
+    });
+  }
+});
+
+// Create promo code
+router.post('/', async (req, res) => {
+  try {
+    const body = validate(createSchema, req.body, res);
+    if (!body) return;
+
+    if (await getPromoCodeByCode(body.code)) {
+      return res.status(409).json({
+        success: false,
+        error: { message: 'Promo code already exists' }
+      });
+    }
+
+    const promoCode = await createPromoCode({
+      ...body,
+      expiresAt: body.expiresAt?.toISOString(),
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { promoCode }
+    });
+  } catch (error) {
+    logger.error('Create promo code error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to create promo code' }
+    });
+  }
+});
+
+// Deactivate promo code; redemptions already made are kept
+router.delete('/:id', async (req, res) => {
+  try {
+    const deactivated = await deactivatePromoCode(parseInt(req.params.id));
+    if (!deactivated) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Promo code not found' }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { message: 'Promo code deactivated' }
+    });
+  } catch (error) {
+    logger.error('Deactivate promo code error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to deactivate promo code' }
+    });
+  }
+});
+
+export default router;
@@ -1,21 +1,47 @@
 import express from 'express';
 import { logger } from '../utils/logger.js';
+import { getReferralCode, getReferralStats } from '../database/models/referral.js';
 
 const router = express.Router();
 
+const getService = (req, res) => {
+  const subscriptionService = req.app.locals.services?.subscriptionService;
+
+  if (!subscriptionService) {
+    res.status(503).json({
+      success: false,
+      error: { message: 'Subscription service unavailable' }
+    });
+    return null;
+  }
+
+  return subscriptionService;
+};
+
 // Get user subscription status
 router.get('/', async (req, res) => {
   try {
-    const user = req.user;
-    
+    const subscriptionService = getService(req, res);
+    if (!subscriptionService) return;
+
+    const { current, onChain, mismatch, benefits } = await subscriptionService.getSubscriptionStatus(req.user.id);
+
     res.json({
       success: true,
       data: {
         subscription: {
-          tier: user.subscriptionTier,
-          expiry: user.subscriptionExpiry,
-          status: 'active' // TODO: Implement proper status checking
-        }
+          tier: current.tier,
+          expiry: current.expiryTime,
+          status: current.status,
+          daysRemaining: current.daysRemaining,
+          graceEndsAt: current.graceEndsAt,
+          graceStage: current.graceStage,
+          scheduledTier: current.scheduledTier,
+          autoRenew: current.autoRenew
+        },
+        onChain,
+        mismatch,
+        benefits
       }
     });
   } catch (error) {
@@ -27,20 +53,139 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Upgrade subscription (placeholder)
-router.post('/upgrade', async (req, res) => {
+// Get subscription history with payment details
+router.get('/history', async (req, res) => {
   try {
-    const { tier } = req.body;
-    
-    // TODO: Implement actual subscription upgrade with Doma contract payment
+    const subscriptionService = getService(req, res);
+    if (!subscriptionService) return;
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = (page - 1) * limit;
+
+    const { history, total } = await subscriptionService.getSubscriptionHistory(req.user.id, { limit, offset });
+
+    res.json({
+      success: true,
+      data: { history },
+      pagination: {
+        page,
+        limit,
+        total,
+        hasMore: offset + history.length < total
+      }
+    });
+  } catch (error) {
+    logger.error('Get subscription history error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to get subscription history' }
+    });
+  }
+});
+
+// Get the user's referral code and rewards
+router.get('/referral', async (req, res) => {
+  try {
+    const [code, stats] = await Promise.all([
+      getReferralCode(req.user.id),
+      getReferralStats(req.user.id)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        code,
+        referred: stats.referred,
+        rewarded: stats.rewarded,
+        rewardDays: stats.rewardDays
+      }
+    });
+  } catch (error) {
+    logger.error('Get referral info error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to get referral info' }
+    });
+  }
+});
+
+// Cancel subscription: returns the unsigned cancellation transaction for the
+// user's wallet; the subscription is closed when the contract event arrives
+router.post('/cancel', async (req, res) => {
+  try {
+    const subscriptionService = getService(req, res);
+    if (!subscriptionService) return;
+
+    const { transaction } = await subscriptionService.cancelSubscription(req.user.id);
+
     res.json({
       success: true,
       data: {
-        message: `Subscription upgrade to ${tier} initiated`,
-        redirectUrl: `${process.env.FRONTEND_URL}/payment?tier=${tier}`
+        message: 'Sign and send the transaction to cancel your subscription',
+        transaction
       }
     });
   } catch (error) {
+    if ([400, 404, 409, 503].includes(error.statusCode)) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: { message: error.message }
+      });
+    }
+
+    logger.error('Subscription cancel error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to cancel subscription' }
+    });
+  }
+});
+
+// Upgrade subscription: quotes the price, records a pending subscription and
+// returns the unsigned purchase transaction for the user's wallet
+router.post('/upgrade', async (req, res) => {
+  try {
+    const { tier, duration = 30, promoCode } = req.body;
+
+    if (!['basic', 'premium'].includes(tier)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Tier must be basic or premium' }
+      });
+    }
+
+    if (!Number.isInteger(duration) || duration < 1 || duration > 365) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Duration must be between 1 and 365 days' }
+      });
+    }
+
+    if (promoCode !== undefined && (typeof promoCode !== 'string' || !promoCode.trim() || promoCode.length > 32)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Invalid promo code' }
+      });
+    }
+
+    const subscriptionService = getService(req, res);
+    if (!subscriptionService) return;
+
+    const upgrade = await subscriptionService.createUpgrade(req.user.id, tier, duration, promoCode);
+
+    res.status(201).json({
+      success: true,
+      data: upgrade
+    });
+  } catch (error) {
+    if ([400, 404, 409, 503].includes(error.statusCode)) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: { message: error.message }
+      });
+    }
+
     logger.error('Subscription upgrade error:', error);
     res.status(500).json({
       success: false,
@@ -49,4 +194,106 @@ router.post('/upgrade', async (req, res) => {
   }
 });
 
+// Schedule a move to a lower tier at the end of the current period
+router.post('/downgrade', async (req, res) => {
+  try {
+    const { tier } = req.body;
+
+    if (!['free', 'basic'].includes(tier)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Tier must be free or basic' }
+      });
+    }
+
+    const subscriptionService = getService(req, res);
+    if (!subscriptionService) return;
+
+    const downgrade = await subscriptionService.scheduleDowngrade(req.user.id, tier);
+
+    res.json({
+      success: true,
+      data: downgrade
+    });
+  } catch (error) {
+    if ([400, 404, 409].includes(error.statusCode)) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: { message: error.message }
+      });
+    }
+
+    logger.error('Subscription downgrade error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to schedule subscription downgrade' }
+    });
+  }
+});
+
+// Keep the current tier after all
+router.delete('/downgrade', async (req, res) => {
+  try {
+    const subscriptionService = getService(req, res);
+    if (!subscriptionService) return;
+
+    await subscriptionService.cancelScheduledDowngrade(req.user.id);
+
+    res.json({
+      success: true,
+      data: { message: 'Scheduled downgrade cancelled' }
+    });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return res.status(404).json({
+        success: false,
+        error: { message: error.message }
+      });
+    }
+
+    logger.error('Cancel downgrade error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to cancel scheduled downgrade' }
+    });
+  }
+});
+
+// Turn automatic renewal on or off for the active subscription
+router.put('/auto-renew', async (req, res) => {
+  try {
+    const { enabled } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'enabled must be a boolean' }
+      });
+    }
+
+    const subscriptionService = getService(req, res);
+    if (!subscriptionService) return;
+
+    const autoRenew = await subscriptionService.setAutoRenew(req.user.id, enabled);
+
+    res.json({
+      success: true,
+      data: { autoRenew }
+    });
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({
+        success: false,
+        error: { message: error.message }
+      });
+    }
+
+    logger.error('Update auto-renew error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to update auto-renew' }
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,88 @@
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import { resolveChain } from '../middleware/chain.js';
+import { GAS_LIMITS } from '../contracts/domainService.js';
+
+const router = express.Router();
+
+// Look up the DomainService for the resolved chain
+const getDomainService = (req, res) => {
+  const domainService = req.app.locals.services?.domainServices?.get(req.chain);
+
+  if (!domainService) {
+    res.status(503).json({
+      success: false,
+      error: { message: `Chain ${req.chain} is not being monitored` }
+    });
+    return null;
+  }
+
+  return domainService;
+};
+
+// Validate a domain name
+router.get('/validate-domain/:domain', resolveChain, async (req, res) => {
+  try {
+    const domainService = getDomainService(req, res);
+    if (!domainService) return;
+
+    const validation = domainService.validateDomainName(req.params.domain);
+
+    res.json({
+      success: true,
+      data: {
+        chain: req.chain,
+        ...validation
+      }
+    });
+  } catch (error) {
+    logger.error('Validate domain error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to validate domain' }
+    });
+  }
+});
+
+// Estimate gas for a contract operation
+router.get('/estimate-gas/:operation', resolveChain, async (req, res) => {
+  try {
+    const { operation } = req.params;
+
+    if (!GAS_LIMITS[operation]) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Unknown operation: ${operation}. Valid operations: ${Object.keys(GAS_LIMITS).join(', ')}` }
+      });
+    }
+
+    const domainService = getDomainService(req, res);
+    if (!domainService) return;
+
+    const estimates = await domainService.estimateGasCosts(operation);
+
+    res.json({
+      success: true,
+      data: {
+        chain: req.chain,
+        operation,
+        ...estimates[operation]
+      }
+    });
+  } catch (error) {
+    if (error.statusCode === 503) {
+      return res.status(503).json({
+        success: false,
+        error: { message: error.message }
+      });
+    }
+
+    logger.error('Estimate gas error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to estimate gas' }
+    });
+  }
+});
+
+export default router;
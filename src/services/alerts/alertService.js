@@ -6,10 +6,15 @@ import {
   getAlertsByDomain, 
   getAlertsByPattern,
   incrementTriggerCount,
-  logAlert as logAlertToDb
+  logAlert as logAlertToDb,
+  getPendingAlertLogs,
+  updateAlertLogStatus
 } from '../../database/models/alert.js';
 import { getUserById } from '../../database/models/user.js';
 
+// Alerts listed in a batched message before the rest are summarised
+const BATCH_MESSAGE_LIMIT = 10;
+
 export class AlertService extends EventEmitter {
   constructor() {
     super();
@@ -49,14 +54,21 @@ export class AlertService extends EventEmitter {
       await this.sendDailySummaries();
     }, { scheduled: false });
 
+    // Hourly batches for users in a subscription grace period
+    const batchedAlerts = cron.schedule('0 * * * *', async () => {
+      await this.deliverBatchedAlerts();
+    }, { scheduled: false });
+
     this.scheduledTasks.set('expiryCheck', expiryCheck);
     this.scheduledTasks.set('priceCheck', priceCheck);
     this.scheduledTasks.set('dailySummary', dailySummary);
+    this.scheduledTasks.set('batchedAlerts', batchedAlerts);
 
     // Start all scheduled tasks
     expiryCheck.start();
     priceCheck.start();
     dailySummary.start();
+    batchedAlerts.start();
 
     logger.info('✅ Periodic alert checks scheduled');
   }
@@ -72,8 +84,8 @@ export class AlertService extends EventEmitter {
       logger.info('📅 Processing expiry event', { domain: event.domain, daysUntil: event.daysUntilExpiry });
 
       // Find matching alerts
-      const directAlerts = await getAlertsByDomain(event.domain, 'expiry');
-      const patternAlerts = await getAlertsByPattern(event.domain, 'expiry');
+      const directAlerts = await getAlertsByDomain(event.domain, 'expiry', event.chain);
+      const patternAlerts = await getAlertsByPattern(event.domain, 'expiry', event.chain);
       const allAlerts = [...directAlerts, ...patternAlerts];
 
       for (const alert of allAlerts) {
@@ -88,6 +100,7 @@ export class AlertService extends EventEmitter {
               daysUntilExpiry: event.daysUntilExpiry,
               urgency: event.urgency,
               platform: alert.platform,
+              chain: event.chain,
               data: event
             });
 
@@ -111,6 +124,50 @@ export class AlertService extends EventEmitter {
     }
   }
 
+  async processExpiredEvent(event) {
+    try {
+      const eventId = `${event.blockData.transactionHash}-expired`;
+      if (this.processedEvents.has(eventId)) {
+        return; // Already processed
+      }
+
+      logger.info('⌛ Processing expired event', { domain: event.domain, expiredAt: event.expiredAt });
+
+      // Expiry alerts also cover the moment the domain actually lapses
+      const directAlerts = await getAlertsByDomain(event.domain, 'expiry', event.chain);
+      const patternAlerts = await getAlertsByPattern(event.domain, 'expiry', event.chain);
+      const allAlerts = [...directAlerts, ...patternAlerts];
+
+      for (const alert of allAlerts) {
+        try {
+          if (this.shouldTriggerExpiredAlert(alert, event)) {
+            await this.sendAlert({
+              type: 'expired',
+              alertId: alert.id,
+              userId: alert.userId,
+              domain: event.domain,
+              owner: event.owner,
+              expiredAt: event.expiredAt,
+              urgency: event.urgency,
+              platform: alert.platform,
+              chain: event.chain,
+              data: event
+            });
+
+            // Update trigger count
+            await incrementTriggerCount(alert.id);
+          }
+        } catch (error) {
+          logger.error('Failed to process expired alert', { alertId: alert.id, error: error.message });
+        }
+      }
+
+      this.processedEvents.add(eventId);
+    } catch (error) {
+      logger.error('Failed to process expired event:', error);
+    }
+  }
+
   async processSaleEvent(event) {
     try {
       const eventId = `${event.blockData.transactionHash}-sale-${event.type}`;
@@ -125,8 +182,8 @@ export class AlertService extends EventEmitter {
       });
 
       // Find matching alerts
-      const directAlerts = await getAlertsByDomain(event.domain, 'sale');
-      const patternAlerts = await getAlertsByPattern(event.domain, 'sale');
+      const directAlerts = await getAlertsByDomain(event.domain, 'sale', event.chain);
+      const patternAlerts = await getAlertsByPattern(event.domain, 'sale', event.chain);
       const allAlerts = [...directAlerts, ...patternAlerts];
 
       for (const alert of allAlerts) {
@@ -141,6 +198,7 @@ export class AlertService extends EventEmitter {
               saleType: event.type,
               price: event.price,
               platform: alert.platform,
+              chain: event.chain,
               data: event
             });
 
@@ -158,6 +216,50 @@ export class AlertService extends EventEmitter {
     }
   }
 
+  async processDelistedEvent(event) {
+    try {
+      const eventId = `${event.blockData.transactionHash}-delisting`;
+      if (this.processedEvents.has(eventId)) {
+        return; // Already processed
+      }
+
+      logger.info('🚫 Processing delisted event', { domain: event.domain, seller: event.seller });
+
+      // Delistings are reported to sale alerts watching the listing
+      const directAlerts = await getAlertsByDomain(event.domain, 'sale', event.chain);
+      const patternAlerts = await getAlertsByPattern(event.domain, 'sale', event.chain);
+      const allAlerts = [...directAlerts, ...patternAlerts];
+
+      for (const alert of allAlerts) {
+        try {
+          if (this.shouldTriggerDelistedAlert(alert, event)) {
+            await this.sendAlert({
+              type: 'delisted',
+              alertId: alert.id,
+              userId: alert.userId,
+              domain: event.domain,
+              seller: event.seller,
+              saleType: event.type,
+              delistedAt: event.delistedAt,
+              platform: alert.platform,
+              chain: event.chain,
+              data: event
+            });
+
+            // Update trigger count
+            await incrementTriggerCount(alert.id);
+          }
+        } catch (error) {
+          logger.error('Failed to process delisted alert', { alertId: alert.id, error: error.message });
+        }
+      }
+
+      this.processedEvents.add(eventId);
+    } catch (error) {
+      logger.error('Failed to process delisted event:', error);
+    }
+  }
+
   async processTransferEvent(event) {
     try {
       const eventId = `${event.blockData.transactionHash}-transfer`;
@@ -172,8 +274,8 @@ export class AlertService extends EventEmitter {
       });
 
       // Find matching alerts
-      const directAlerts = await getAlertsByDomain(event.domain, 'transfer');
-      const patternAlerts = await getAlertsByPattern(event.domain, 'transfer');
+      const directAlerts = await getAlertsByDomain(event.domain, 'transfer', event.chain);
+      const patternAlerts = await getAlertsByPattern(event.domain, 'transfer', event.chain);
       const allAlerts = [...directAlerts, ...patternAlerts];
 
       for (const alert of allAlerts) {
@@ -188,6 +290,7 @@ export class AlertService extends EventEmitter {
               from: event.from,
               to: event.to,
               platform: alert.platform,
+              chain: event.chain,
               data: event
             });
 
@@ -205,6 +308,32 @@ export class AlertService extends EventEmitter {
     }
   }
 
+  // Forget events orphaned by a chain reorganization so the canonical
+  // version is processed if it is re-included in another block
+  async processRetractedEvent(event) {
+    try {
+      const txHash = event.blockData.transactionHash;
+      const eventIds = [
+        `${txHash}-expiry`,
+        `${txHash}-expired`,
+        `${txHash}-sale-${event.type}`,
+        `${txHash}-delisting`,
+        `${txHash}-transfer`
+      ];
+
+      const wasProcessed = eventIds.some(eventId => this.processedEvents.delete(eventId));
+
+      logger.warn('↩️ Contract event retracted after reorg', {
+        domain: event.domain,
+        type: event.type,
+        blockNumber: event.blockData.blockNumber,
+        wasProcessed
+      });
+    } catch (error) {
+      logger.error('Failed to process retracted event:', error);
+    }
+  }
+
   // Alert condition checking
   shouldTriggerExpiryAlert(alert, event) {
     const conditions = alert.conditions;
@@ -230,6 +359,17 @@ export class AlertService extends EventEmitter {
     return true;
   }
 
+  shouldTriggerExpiredAlert(alert, _event) {
+    const conditions = alert.conditions;
+
+    // Users can opt out of lapse notifications and keep only reminders
+    if (conditions.notifyOnExpired === false) {
+      return false;
+    }
+
+    return true;
+  }
+
   shouldTriggerSaleAlert(alert, event) {
     const conditions = alert.conditions;
     
@@ -262,6 +402,29 @@ export class AlertService extends EventEmitter {
     return true;
   }
 
+  shouldTriggerDelistedAlert(alert, event) {
+    const conditions = alert.conditions;
+
+    // Check sale type
+    if (conditions.saleTypes && !conditions.saleTypes.includes('delisting')) {
+      return false;
+    }
+
+    // Check domain patterns (if specified)
+    if (conditions.domainPatterns) {
+      const matchesPattern = conditions.domainPatterns.some(pattern => {
+        const regex = new RegExp(pattern.replace(/\*/g, '.*'), 'i');
+        return regex.test(event.domain);
+      });
+
+      if (!matchesPattern) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
   shouldTriggerTransferAlert(alert, event) {
     const conditions = alert.conditions;
     
@@ -299,6 +462,21 @@ export class AlertService extends EventEmitter {
         return;
       }
 
+      // Late in a grace period, non-critical alerts wait for the next batch
+      if (user.dunningStage === 'alerts_batched' && alertData.urgency !== 'critical') {
+        await logAlertToDb({
+          alertId: alertData.alertId,
+          userId: alertData.userId,
+          eventType: alertData.type,
+          eventData: { ...alertData.data, domain: alertData.domain, message: this.formatAlertMessage(alertData) },
+          status: 'pending',
+          platform: alertData.platform
+        });
+
+        logAlert(alertData, 'batched', { platform: alertData.platform });
+        return;
+      }
+
       // Check subscription limits for frequency
       if (!this.checkAlertFrequency(user, alertData)) {
         logger.info('Alert skipped due to frequency limits', { 
@@ -351,6 +529,62 @@ export class AlertService extends EventEmitter {
     }
   }
 
+  // Send queued alerts as one message per user and platform
+  async deliverBatchedAlerts(userId = null) {
+    try {
+      const logs = await getPendingAlertLogs(userId);
+
+      const batches = new Map();
+      for (const log of logs) {
+        const key = `${log.userId}:${log.platform}`;
+        if (!batches.has(key)) {
+          batches.set(key, []);
+        }
+        batches.get(key).push(log);
+      }
+
+      for (const batch of batches.values()) {
+        const { userId: batchUserId, platform } = batch[0];
+        const ids = batch.map(log => log.id);
+
+        try {
+          const user = await getUserById(batchUserId);
+          if (!user || !user.isActive) {
+            await updateAlertLogStatus(ids, 'failed');
+            continue;
+          }
+
+          const lines = batch
+            .slice(0, BATCH_MESSAGE_LIMIT)
+            .map(log => `• ${log.eventData.message || `${log.eventType} alert for ${log.eventData.domain}`}`);
+          if (batch.length > BATCH_MESSAGE_LIMIT) {
+            lines.push(`…and ${batch.length - BATCH_MESSAGE_LIMIT} more`);
+          }
+
+          this.emit('alert', {
+            type: 'digest',
+            userId: user.id,
+            user,
+            message: `📬 ${batch.length} alert${batch.length === 1 ? '' : 's'} since your last update:\n\n${lines.join('\n')}`,
+            data: { count: batch.length },
+            platform,
+            timestamp: new Date().toISOString()
+          });
+
+          await updateAlertLogStatus(ids, 'sent');
+        } catch (error) {
+          logger.error('Failed to deliver batched alerts', { userId: batchUserId, error: error.message });
+        }
+      }
+
+      if (batches.size > 0) {
+        logger.info('Batched alerts delivered', { batches: batches.size, alerts: logs.length });
+      }
+    } catch (error) {
+      logger.error('Failed to deliver batched alerts:', error);
+    }
+  }
+
   // Check alert frequency based on subscription tier
   checkAlertFrequency(user, alertData) {
     if (user.subscriptionTier === 'free') {
@@ -369,14 +603,18 @@ export class AlertService extends EventEmitter {
     const { type, domain, platform } = alertData;
     
     switch (type) {
-      case 'expiry':
-        return this.formatExpiryMessage(alertData);
-      case 'sale':
-        return this.formatSaleMessage(alertData);
-      case 'transfer':
-        return this.formatTransferMessage(alertData);
-      default:
-        return `Alert for domain ${domain}`;
+    case 'expiry':
+      return this.formatExpiryMessage(alertData);
+    case 'expired':
+      return this.formatExpiredMessage(alertData);
+    case 'sale':
+      return this.formatSaleMessage(alertData);
+    case 'delisted':
+      return this.formatDelistedMessage(alertData);
+    case 'transfer':
+      return this.formatTransferMessage(alertData);
+    default:
+      return `Alert for domain ${domain}`;
     }
   }
 
@@ -398,6 +636,13 @@ export class AlertService extends EventEmitter {
     }
   }
 
+  formatExpiredMessage(alertData) {
+    const { domain, expiredAt } = alertData;
+    const expiredDate = expiredAt ? new Date(expiredAt * 1000).toISOString().split('T')[0] : null;
+
+    return `⌛ EXPIRED: Domain "${domain}" has lapsed${expiredDate ? ` on ${expiredDate}` : ''}. Renew now before someone else registers it!`;
+  }
+
   formatSaleMessage(alertData) {
     const { domain, saleType, price } = alertData;
     
@@ -413,6 +658,12 @@ export class AlertService extends EventEmitter {
     }
   }
 
+  formatDelistedMessage(alertData) {
+    const { domain } = alertData;
+
+    return `🚫 DELISTED: "${domain}" is no longer for sale`;
+  }
+
   formatTransferMessage(alertData) {
     const { domain, from, to } = alertData;
     
@@ -425,28 +676,40 @@ export class AlertService extends EventEmitter {
     const buttons = [];
 
     switch (type) {
-      case 'expiry':
+    case 'expiry':
+      buttons.push(
+        { text: 'Renew Now', action: 'renew', domain },
+        { text: 'Set Reminder', action: 'remind', domain },
+        { text: 'View Details', action: 'details', domain }
+      );
+      break;
+    case 'sale':
+      if (alertData.saleType === 'listing') {
         buttons.push(
-          { text: 'Renew Now', action: 'renew', domain },
-          { text: 'Set Reminder', action: 'remind', domain },
-          { text: 'View Details', action: 'details', domain }
+          { text: 'Buy Now', action: 'buy', domain, price: alertData.price },
+          { text: 'View on Doma', action: 'view', domain },
+          { text: 'Set Price Alert', action: 'priceAlert', domain }
         );
-        break;
-      case 'sale':
-        if (alertData.saleType === 'listing') {
-          buttons.push(
-            { text: 'Buy Now', action: 'buy', domain, price: alertData.price },
-            { text: 'View on Doma', action: 'view', domain },
-            { text: 'Set Price Alert', action: 'priceAlert', domain }
-          );
-        }
-        break;
-      case 'transfer':
-        buttons.push(
-          { text: 'View Transaction', action: 'viewTx', txHash: alertData.data.blockData.transactionHash },
-          { text: 'View Domain', action: 'view', domain }
-        );
-        break;
+      }
+      break;
+    case 'expired':
+      buttons.push(
+        { text: 'Renew Now', action: 'renew', domain },
+        { text: 'View Details', action: 'details', domain }
+      );
+      break;
+    case 'delisted':
+      buttons.push(
+        { text: 'View on Doma', action: 'view', domain },
+        { text: 'Set Price Alert', action: 'priceAlert', domain }
+      );
+      break;
+    case 'transfer':
+      buttons.push(
+        { text: 'View Transaction', action: 'viewTx', txHash: alertData.data.blockData.transactionHash },
+        { text: 'View Domain', action: 'view', domain }
+      );
+      break;
     }
 
     return buttons;
@@ -6,15 +6,18 @@ import { getUserById } from '../database/models/user.js';
 import { DomainService } from '../contracts/domainService.js';
 import { database } from '../database/init.js';
 
+// Auto-actions run for premium users, and stop as soon as a grace period starts
+const canRunAutoActions = (user) => user?.subscriptionTier === 'premium' && !user.dunningStage;
+
 export class AutoActionsService extends EventEmitter {
   constructor(contractMonitor) {
     super();
     this.contractMonitor = contractMonitor;
     this.domainService = new DomainService(contractMonitor);
-    this.provider = contractMonitor.provider;
     this.isRunning = false;
     this.activeActions = new Map(); // Track running actions
     this.monthlySpending = new Map(); // Track monthly spending per user
+    this.retractedEvents = new Set(); // Events orphaned by chain reorganizations
   }
 
   async initialize() {
@@ -51,6 +54,11 @@ export class AutoActionsService extends EventEmitter {
       await this.checkAutoBid(event);
     });
 
+    // Listen for events orphaned by chain reorganizations
+    this.contractMonitor.on('eventRetracted', (event) => {
+      this.handleRetractedEvent(event);
+    });
+
     logger.info('✅ Auto-actions event listeners setup');
   }
 
@@ -89,7 +97,7 @@ export class AutoActionsService extends EventEmitter {
         try {
           // Verify user still has premium subscription
           const user = await getUserById(action.userId);
-          if (!user || user.subscriptionTier !== 'premium') {
+          if (!canRunAutoActions(user)) {
             logger.warn('Auto-renewal skipped - user not premium', { 
               userId: action.userId, 
               domain 
@@ -166,6 +174,10 @@ export class AutoActionsService extends EventEmitter {
         daysUntilExpiry: event.daysUntilExpiry
       });
 
+      if (this.isEventRetracted(event)) {
+        throw new Error('Triggering event was orphaned by a chain reorganization');
+      }
+
       // Check spending limits
       if (!(await this.checkSpendingLimits(action.userId, action.maxAmount))) {
         throw new Error('Monthly spending limit exceeded');
@@ -270,7 +282,7 @@ export class AutoActionsService extends EventEmitter {
         try {
           // Verify user has premium subscription
           const user = await getUserById(action.userId);
-          if (!user || user.subscriptionTier !== 'premium') {
+          if (!canRunAutoActions(user)) {
             continue;
           }
 
@@ -354,6 +366,10 @@ export class AutoActionsService extends EventEmitter {
         price: event.price
       });
 
+      if (this.isEventRetracted(event)) {
+        throw new Error('Triggering event was orphaned by a chain reorganization');
+      }
+
       // Check spending limits
       const purchaseAmount = parseFloat(event.price);
       if (!(await this.checkSpendingLimits(action.userId, purchaseAmount))) {
@@ -447,7 +463,7 @@ export class AutoActionsService extends EventEmitter {
       for (const action of autoActions) {
         try {
           const user = await getUserById(action.userId);
-          if (!user || user.subscriptionTier !== 'premium') {
+          if (!canRunAutoActions(user)) {
             continue;
           }
 
@@ -467,6 +483,33 @@ export class AutoActionsService extends EventEmitter {
     }
   }
 
+  // Reorg handling
+  getRetractionKey(event) {
+    const { transactionHash, blockHash } = event.blockData || {};
+    return `${transactionHash}-${blockHash}`;
+  }
+
+  handleRetractedEvent(event) {
+    const key = this.getRetractionKey(event);
+    this.retractedEvents.add(key);
+
+    // Keep the set bounded (keep last 1000)
+    if (this.retractedEvents.size > 1000) {
+      const entries = Array.from(this.retractedEvents);
+      entries.slice(0, -900).forEach(entry => this.retractedEvents.delete(entry));
+    }
+
+    logger.warn('Auto-action trigger retracted after reorg', {
+      type: event.type,
+      domain: event.domain,
+      transactionHash: event.blockData?.transactionHash
+    });
+  }
+
+  isEventRetracted(event) {
+    return this.retractedEvents.has(this.getRetractionKey(event));
+  }
+
   // Utility Methods
   async checkSpendingLimits(userId, amount) {
     try {
@@ -645,6 +688,52 @@ export class AutoActionsService extends EventEmitter {
     }
   }
 
+  async getAutoAction(actionId, userId) {
+    try {
+      const action = await database.get(
+        'SELECT * FROM auto_actions WHERE id = ? AND userId = ?',
+        [actionId, userId]
+      );
+
+      if (action) {
+        action.conditions = JSON.parse(action.conditions || '{}');
+      }
+      return action;
+    } catch (error) {
+      logger.error('Failed to get auto-action:', error);
+      throw error;
+    }
+  }
+
+  async getAutoActionLogs(actionId, userId, options = {}) {
+    try {
+      const { limit = 20, offset = 0, status } = options;
+
+      let whereClause = 'WHERE actionId = ? AND userId = ?';
+      const params = [actionId, userId];
+
+      if (status) {
+        whereClause += ' AND status = ?';
+        params.push(status);
+      }
+
+      const [logs, count] = await Promise.all([
+        database.all(
+          `SELECT * FROM auto_action_logs ${whereClause}
+           ORDER BY createdAt DESC, id DESC
+           LIMIT ? OFFSET ?`,
+          [...params, limit, offset]
+        ),
+        database.get(`SELECT COUNT(*) as total FROM auto_action_logs ${whereClause}`, params)
+      ]);
+
+      return { logs, total: count.total };
+    } catch (error) {
+      logger.error('Failed to get auto-action logs:', error);
+      throw error;
+    }
+  }
+
   async updateAutoAction(actionId, userId, updateData) {
     try {
       const fields = [];
@@ -661,7 +750,8 @@ export class AutoActionsService extends EventEmitter {
       }
 
       if (updateData.isActive !== undefined) {
-        fields.push('isActive = ?');
+        // An explicit toggle overrides an automatic pause
+        fields.push('isActive = ?', 'pausedReason = NULL');
         values.push(updateData.isActive ? 1 : 0);
       }
 
@@ -703,6 +793,46 @@ export class AutoActionsService extends EventEmitter {
     }
   }
 
+  // Deactivate a user's active auto-actions, remembering why so that only
+  // these are resumed later
+  async pauseUserActions(userId, reason) {
+    try {
+      const result = await database.run(
+        `UPDATE auto_actions SET isActive = 0, pausedReason = ?, updatedAt = CURRENT_TIMESTAMP
+         WHERE userId = ? AND isActive = 1`,
+        [reason, userId]
+      );
+
+      if (result.changes > 0) {
+        logger.info('Auto-actions paused', { userId, reason, count: result.changes });
+      }
+
+      return result.changes;
+    } catch (error) {
+      logger.error('Failed to pause auto-actions:', error);
+      throw error;
+    }
+  }
+
+  async resumeUserActions(userId, reason) {
+    try {
+      const result = await database.run(
+        `UPDATE auto_actions SET isActive = 1, pausedReason = NULL, updatedAt = CURRENT_TIMESTAMP
+         WHERE userId = ? AND pausedReason = ?`,
+        [userId, reason]
+      );
+
+      if (result.changes > 0) {
+        logger.info('Auto-actions resumed', { userId, reason, count: result.changes });
+      }
+
+      return result.changes;
+    } catch (error) {
+      logger.error('Failed to resume auto-actions:', error);
+      throw error;
+    }
+  }
+
   // Cleanup Methods
   async resetMonthlyLimits() {
     try {
@@ -754,6 +884,7 @@ export class AutoActionsService extends EventEmitter {
       this.isRunning = false;
       this.activeActions.clear();
       this.monthlySpending.clear();
+      this.retractedEvents.clear();
       this.removeAllListeners();
       
       logger.info('✅ Auto-actions service stopped');
@@ -4,6 +4,73 @@ import cron from 'node-cron';
 import { logger } from '../utils/logger.js';
 import { updateUser, getUserById } from '../database/models/user.js';
 import { database } from '../database/init.js';
+import { getPromoCodeByCode, hasRedeemedPromoCode, recordPromoRedemption } from '../database/models/promoCode.js';
+import { recordReferralReward } from '../database/models/referral.js';
+import { getChainConfig, getDefaultChain } from '../config/chains.js';
+import { getProviderPool } from '../contracts/providerPool.js';
+import { conflictError, notFoundError, serviceUnavailableError, validationError } from '../middleware/errorHandler.js';
+
+// Days after expiry before a paid tier is downgraded to free
+const GRACE_PERIOD_DAYS = parseInt(process.env.SUBSCRIPTION_GRACE_DAYS) || 3;
+
+// Days into the grace period before real-time alerts switch to batches;
+// auto-actions are paused from the first day
+const ALERT_BATCH_AFTER_DAYS = parseFloat(process.env.SUBSCRIPTION_ALERT_BATCH_AFTER_DAYS) || 1;
+
+// Days before expiry at which renewal reminders go out
+const REMINDER_DAYS = [7, 3, 1];
+
+// Auto-renewal starts this many days before expiry and keeps retrying into
+// the grace period, waiting AUTO_RENEW_RETRY_HOURS between attempts
+const AUTO_RENEW_DAYS_BEFORE = parseInt(process.env.AUTO_RENEW_DAYS_BEFORE) || 2;
+const AUTO_RENEW_MAX_ATTEMPTS = parseInt(process.env.AUTO_RENEW_MAX_ATTEMPTS) || 3;
+const AUTO_RENEW_RETRY_HOURS = parseInt(process.env.AUTO_RENEW_RETRY_HOURS) || 6;
+
+// On-chain and database expiry may differ by this much before being flagged
+const EXPIRY_TOLERANCE_SECONDS = 60;
+
+// How long a quoted upgrade waits for its on-chain payment
+const PAYMENT_TIMEOUT_MINUTES = parseInt(process.env.SUBSCRIPTION_PAYMENT_TIMEOUT_MINUTES) || 60;
+
+const TIER_NUMBERS = { free: 0, basic: 1, premium: 2 };
+
+// Free days granted to a referrer when a referred user first pays, on the
+// referrer's paid tier or on this tier when they have none
+const REFERRAL_REWARD_DAYS = parseInt(process.env.REFERRAL_REWARD_DAYS) || 7;
+const REFERRAL_REWARD_TIER = process.env.REFERRAL_REWARD_TIER || 'basic';
+
+// Stored decimal amount in wei. DECIMAL columns come back as numbers whose
+// shortest form is the stored decimal, except tiny ones printed with an exponent.
+const toWei = (value) => {
+  const text = String(value);
+  if (/e/i.test(text)) {
+    return ethers.parseEther(Number(value).toFixed(18));
+  }
+
+  const [whole, fraction = '0'] = text.split('.');
+  return ethers.parseEther(`${whole}.${fraction.slice(0, 18)}`);
+};
+
+// Discount a promo code gives on a price, in wei and never above the price
+const getPromoDiscount = (promo, price) => {
+  const discount = promo.discountType === 'percent'
+    ? price * BigInt(Math.round(promo.discountValue * 100)) / 10000n
+    : toWei(promo.discountValue);
+
+  return discount > price ? price : discount;
+};
+
+// Extra seconds that off-chain credit buys on a paid period, at the rate the
+// period was paid for
+const getBonusSeconds = (credit, price, durationSeconds) =>
+  price > 0n ? Number(credit * BigInt(durationSeconds) / price) : 0;
+
+// Whether a payment in wei matches a stored amount. DECIMAL columns are kept
+// as REAL, so compare at the 15 significant digits SQLite preserves.
+const isSameAmount = (wei, stored) => {
+  const toStoredPrecision = (value) => Number(Number(value).toPrecision(15));
+  return toStoredPrecision(ethers.formatEther(wei)) === toStoredPrecision(stored);
+};
 
 // Doma Subscription Contract ABI (simplified for demo)
 const DOMA_SUBSCRIPTION_ABI = [
@@ -17,11 +84,19 @@ const DOMA_SUBSCRIPTION_ABI = [
   "function getTierPrice(uint8 tier, uint256 duration) view returns (uint256)"
 ];
 
+// Pre-authorization contract, used to renew within the user's approved monthly limit
+const DOMA_PREAUTH_ABI = [
+  'event AutoActionExecuted(address indexed user, string action, string domain, uint256 amount, bool success)',
+  'function executeAutoAction(address user, string memory action, string memory domain, uint256 amount) external returns (bool)'
+];
+
 export class SubscriptionService extends EventEmitter {
   constructor() {
     super();
+    this.providerPool = null;
     this.provider = null;
     this.subscriptionContract = null;
+    this.preauthContract = null;
     this.isRunning = false;
     this.tierPrices = {
       1: ethers.parseEther('5'),   // Basic - $5 USDC
@@ -38,15 +113,14 @@ export class SubscriptionService extends EventEmitter {
     try {
       logger.info('💳 Initializing subscription service...');
 
-      // Setup provider
-      this.provider = new ethers.JsonRpcProvider(process.env.DOMA_TESTNET_RPC_URL);
+      // Use the default chain's shared RPC pool
+      this.providerPool = getProviderPool(getChainConfig(getDefaultChain()));
+      await this.providerPool.initialize();
+      this.onFailover = this.handleFailover.bind(this);
+      this.providerPool.on('failover', this.onFailover);
       
       // Initialize subscription contract
-      this.subscriptionContract = new ethers.Contract(
-        process.env.DOMA_SUBSCRIPTION_CONTRACT_ADDRESS || process.env.DOMA_PREAUTH_CONTRACT_ADDRESS,
-        DOMA_SUBSCRIPTION_ABI,
-        this.provider
-      );
+      this.bindContract();
 
       // Setup event listeners
       await this.setupEventListeners();
@@ -62,6 +136,38 @@ export class SubscriptionService extends EventEmitter {
     }
   }
 
+  bindContract() {
+    this.provider = this.providerPool.getProvider();
+    this.subscriptionContract = new ethers.Contract(
+      process.env.DOMA_SUBSCRIPTION_CONTRACT_ADDRESS || process.env.DOMA_PREAUTH_CONTRACT_ADDRESS,
+      DOMA_SUBSCRIPTION_ABI,
+      this.provider
+    );
+
+    // Auto-renewal sends transactions from an operator wallet authorised on
+    // the pre-authorization contract; without one it stays off
+    const preauthAddress = getChainConfig(getDefaultChain()).contracts.preauth;
+    if (process.env.AUTO_RENEW_OPERATOR_KEY && preauthAddress) {
+      this.preauthContract = new ethers.Contract(
+        preauthAddress,
+        DOMA_PREAUTH_ABI,
+        new ethers.Wallet(process.env.AUTO_RENEW_OPERATOR_KEY, this.provider)
+      );
+    }
+  }
+
+  // Re-subscribe on the new endpoint after the pool fails over
+  async handleFailover() {
+    try {
+      this.subscriptionContract.removeAllListeners();
+      this.bindContract();
+      await this.setupEventListeners();
+      logger.info('Subscription service moved to new RPC endpoint');
+    } catch (error) {
+      logger.error('Failed to rebind subscription contract after failover:', error);
+    }
+  }
+
   async setupEventListeners() {
     try {
       // Subscription purchased
@@ -89,16 +195,26 @@ export class SubscriptionService extends EventEmitter {
   }
 
   setupScheduledTasks() {
-    // Check for expiring subscriptions daily at 2 AM
-    cron.schedule('0 2 * * *', async () => {
+    // Send reminders and move subscriptions through the grace period hourly
+    cron.schedule('0 * * * *', async () => {
       await this.checkExpiringSubscriptions();
     });
 
-    // Process pending subscription updates every hour
-    cron.schedule('0 * * * *', async () => {
+    // Process pending subscription updates every 5 minutes
+    cron.schedule('*/5 * * * *', async () => {
       await this.processPendingUpdates();
     });
 
+    // Apply downgrades whose period has ended, hourly
+    cron.schedule('30 * * * *', async () => {
+      await this.applyScheduledDowngrades();
+    });
+
+    // Attempt automatic renewals, hourly
+    cron.schedule('15 * * * *', async () => {
+      await this.processAutoRenewals();
+    });
+
     logger.info('✅ Subscription scheduled tasks configured');
   }
 
@@ -120,13 +236,114 @@ export class SubscriptionService extends EventEmitter {
         return;
       }
 
+      // Events can be seen twice (listener and receipt reconciliation)
+      const existing = await database.get(
+        'SELECT id FROM subscriptions WHERE transactionHash = ? AND status IN (\'active\', \'failed\')',
+        [event.transactionHash]
+      );
+      if (existing) {
+        return;
+      }
+
+      // Match the payment to the upgrade that quoted it
+      const pending = await this.findPendingSubscription(
+        user.id,
+        this.tierNames[Number(tier)],
+        Math.round(Number(duration) / 86400),
+        event.transactionHash
+      );
+
+      // A payment that doesn't match its quote (underpaid, or made against an
+      // older price) fails the quote instead of activating it
+      if (pending && !isSameAmount(amount, pending.amount)) {
+        await database.run(
+          `UPDATE subscriptions SET status = 'failed', transactionHash = ?, updatedAt = CURRENT_TIMESTAMP
+           WHERE id = ? AND status = 'pending'`,
+          [event.transactionHash, pending.id]
+        );
+        await this.logSubscriptionTransaction({
+          userId: user.id,
+          type: 'purchase',
+          amount: ethers.formatEther(amount),
+          transactionHash: event.transactionHash,
+          blockNumber: event.blockNumber,
+          status: 'failed',
+          errorMessage: `Payment does not match the quoted amount of ${pending.amount}`
+        });
+
+        logger.warn('Subscription payment does not match its quote', {
+          userId: user.id,
+          subscriptionId: pending.id,
+          paid: ethers.formatEther(amount),
+          quoted: pending.amount
+        });
+        return;
+      }
+
+      // The promo discount only applies if the code can still be redeemed;
+      // another paid quote may have taken its last redemption
+      let discount = pending?.discount || 0;
+      if (pending?.promoCodeId) {
+        const redeemed = await recordPromoRedemption({
+          promoCodeId: pending.promoCodeId,
+          userId: user.id,
+          subscriptionId: pending.id,
+          discount
+        });
+
+        if (!redeemed) {
+          logger.warn('Promo code no longer redeemable, discount not applied', {
+            userId: user.id,
+            subscriptionId: pending.id,
+            promoCodeId: pending.promoCodeId
+          });
+          discount = 0;
+        }
+      }
+
+      // Credit and discount from the quote extend the paid period off-chain
+      const bonusSeconds = pending
+        ? getBonusSeconds(
+          toWei(pending.proratedCredit || 0) + toWei(discount),
+          toWei(pending.amount),
+          Number(duration)
+        )
+        : 0;
+      const activeUntil = Number(expiryTime) + bonusSeconds;
+
       // Update user subscription
       await this.updateUserSubscription(user.id, {
+        subscriptionId: pending?.id,
         tier: this.tierNames[Number(tier)],
-        expiryTime: Number(expiryTime),
+        expiryTime: activeUntil,
         status: 'active',
+        amount: ethers.formatEther(amount),
         transactionHash: event.transactionHash
       });
+      await this.restoreFeatures(user);
+
+      // A prorated upgrade ends the subscription it replaced and records the
+      // credit carried over from it
+      if (pending?.replacesSubscriptionId) {
+        await database.run(
+          `UPDATE subscriptions SET status = 'expired', endDate = ?, updatedAt = CURRENT_TIMESTAMP
+           WHERE id = ? AND status = 'active'`,
+          [new Date().toISOString(), pending.replacesSubscriptionId]
+        );
+      }
+
+      if (pending?.proratedCredit > 0) {
+        await this.logSubscriptionTransaction({
+          userId: user.id,
+          amount: `-${pending.proratedCredit}`,
+          transactionHash: event.transactionHash,
+          blockNumber: event.blockNumber
+        });
+      }
+
+      if (user.referredBy) {
+        await this.grantReferralReward(user, pending?.id);
+      }
 
       // Log subscription record
       await this.logSubscriptionTransaction({
@@ -144,7 +361,7 @@ export class SubscriptionService extends EventEmitter {
       this.emit('subscriptionActivated', {
         userId: user.id,
         tier: this.tierNames[Number(tier)],
-        expiryTime: Number(expiryTime)
+        expiryTime: activeUntil
       });
 
     } catch (error) {
@@ -168,24 +385,50 @@ export class SubscriptionService extends EventEmitter {
         return;
       }
 
+      // Events can be seen twice (listener and auto-renewal receipt)
+      const existing = await database.get(
+        'SELECT id FROM subscriptions WHERE transactionHash = ? AND status = \'active\'',
+        [event.transactionHash]
+      );
+      if (existing) {
+        return;
+      }
+
+      // The renewal supersedes the current record, keeping its auto-renew choice
+      const previous = await this.getActiveSubscription(user.id);
+      await this.closeActiveSubscriptions(user.id, 'expired');
+
       // Update user subscription
       await this.updateUserSubscription(user.id, {
         tier: this.tierNames[Number(tier)],
         expiryTime: Number(newExpiryTime),
         status: 'active',
+        amount: ethers.formatEther(amount),
+        durationDays: previous?.durationDays,
+        autoRenew: previous ? previous.autoRenew : 1,
         transactionHash: event.transactionHash
       });
+      await this.restoreFeatures(user);
+
+      // Auto-renewals already have an audit row for this transaction
+      const autoRenewal = await database.run(
+        `UPDATE transaction_logs SET status = 'confirmed', blockNumber = ?, confirmedAt = CURRENT_TIMESTAMP
+         WHERE transactionHash = ? AND action = 'auto_renewal'`,
+        [event.blockNumber, event.transactionHash]
+      );
 
       // Log subscription record
-      await this.logSubscriptionTransaction({
-        userId: user.id,
-        tier: this.tierNames[Number(tier)],
-        type: 'renewal',
-        amount: ethers.formatEther(amount),
-        expiryTime: Number(newExpiryTime),
-        transactionHash: event.transactionHash,
-        blockNumber: event.blockNumber
-      });
+      if (autoRenewal.changes === 0) {
+        await this.logSubscriptionTransaction({
+          userId: user.id,
+          tier: this.tierNames[Number(tier)],
+          type: 'renewal',
+          amount: ethers.formatEther(amount),
+          expiryTime: Number(newExpiryTime),
+          transactionHash: event.transactionHash,
+          blockNumber: event.blockNumber
+        });
+      }
 
       this.emit('subscriptionRenewed', {
         userId: user.id,
@@ -214,12 +457,11 @@ export class SubscriptionService extends EventEmitter {
       }
 
       // Update user to free tier
-      await this.updateUserSubscription(user.id, {
-        tier: 'free',
-        expiryTime: null,
-        status: 'cancelled',
-        transactionHash: event.transactionHash
+      await updateUser(user.id, {
+        subscriptionTier: 'free',
+        subscriptionExpiry: null
       });
+      await this.closeActiveSubscriptions(user.id, 'cancelled');
 
       // Log cancellation
       await this.logSubscriptionTransaction({
@@ -245,8 +487,8 @@ export class SubscriptionService extends EventEmitter {
   async purchaseSubscription(userId, tier, duration = 30, signer) {
     try {
       const user = await getUserById(userId);
-      if (!user || !user.walletAddress) {
-        throw new Error('User not found or wallet address not set');
+      if (!user || !user.walletVerifiedAt) {
+        throw new Error('User not found or wallet not verified');
       }
 
       // Validate tier
@@ -260,11 +502,36 @@ export class SubscriptionService extends EventEmitter {
       // Get price from contract
       const price = await this.subscriptionContract.getTierPrice(tierNumber, durationSeconds);
 
+      // Record the pending row first so the event listener can match the
+      // payment even if it fires before we hear back from the provider
+      const pending = await this.createPendingSubscription({
+        userId,
+        tier,
+        duration,
+        amount: ethers.formatEther(price)
+      });
+
       // Execute purchase transaction
       const contractWithSigner = this.subscriptionContract.connect(signer);
-      const tx = await contractWithSigner.purchaseSubscription(tierNumber, durationSeconds, {
-        value: price
-      });
+      let tx;
+      try {
+        tx = await contractWithSigner.purchaseSubscription(tierNumber, durationSeconds, {
+          value: price
+        });
+      } catch (error) {
+        await database.run(
+          `UPDATE subscriptions SET status = 'failed', updatedAt = CURRENT_TIMESTAMP
+           WHERE id = ? AND status = 'pending'`,
+          [pending.id]
+        );
+        throw error;
+      }
+
+      // Lets processPendingUpdates reconcile the payment if the event is missed
+      await database.run(
+        'UPDATE subscriptions SET transactionHash = ? WHERE id = ? AND transactionHash IS NULL',
+        [tx.hash, pending.id]
+      );
 
       logger.info('Subscription purchase transaction sent', {
         userId,
@@ -277,16 +544,6 @@ export class SubscriptionService extends EventEmitter {
       // Wait for confirmation
       const receipt = await tx.wait();
 
-      // Create pending subscription record
-      await this.createPendingSubscription({
-        userId,
-        tier,
-        duration,
-        amount: ethers.formatEther(price),
-        transactionHash: receipt.hash,
-        status: 'pending_confirmation'
-      });
-
       return {
         success: true,
         transactionHash: receipt.hash,
@@ -304,8 +561,8 @@ export class SubscriptionService extends EventEmitter {
   async renewSubscription(userId, duration = 30, signer) {
     try {
       const user = await getUserById(userId);
-      if (!user || !user.walletAddress) {
-        throw new Error('User not found or wallet address not set');
+      if (!user || !user.walletVerifiedAt) {
+        throw new Error('User not found or wallet not verified');
       }
 
       if (user.subscriptionTier === 'free') {
@@ -348,15 +605,461 @@ export class SubscriptionService extends EventEmitter {
     }
   }
 
+  // Quote an upgrade and record it as pending. The user's wallet signs and
+  // sends the returned transaction; handleSubscriptionPurchased activates the
+  // pending row when the payment lands.
+  async createUpgrade(userId, tier, duration = 30, promoCode = null) {
+    try {
+      const user = await getUserById(userId);
+      if (!user) {
+        throw notFoundError('User not found');
+      }
+
+      if (!user.walletVerifiedAt) {
+        throw validationError('Verify your wallet with Sign-In With Ethereum first', 'walletAddress');
+      }
+
+      if (!TIER_NUMBERS[tier]) {
+        throw validationError('Invalid subscription tier', 'tier');
+      }
+
+      if (!Number.isInteger(duration) || duration < 1 || duration > 365) {
+        throw validationError('Duration must be between 1 and 365 days', 'duration');
+      }
+
+      // Moving up from a running subscription credits its unused time
+      const current = await this.getActiveSubscription(userId);
+      const isRunning = current?.endDate && Date.parse(current.endDate) > Date.now();
+      if (isRunning && TIER_NUMBERS[tier] <= TIER_NUMBERS[current.tier]) {
+        throw conflictError(
+          tier === current.tier
+            ? `Already subscribed to ${tier}`
+            : 'Schedule a downgrade to move to a lower tier'
+        );
+      }
+
+      const tierNumber = TIER_NUMBERS[tier];
+      const durationSeconds = duration * 24 * 60 * 60;
+      const price = await this.quotePrice(tierNumber, durationSeconds);
+      const promo = promoCode ? await this.resolvePromoCode(promoCode, userId, tier) : null;
+      const discount = promo ? getPromoDiscount(promo, price) : 0n;
+      const credit = isRunning ? this.getProratedCredit(current) : 0n;
+
+      // The contract charges its own tier price, so the full price is paid
+      // on-chain and the credit and discount are settled as extra time
+      const bonusSeconds = getBonusSeconds(credit + discount, price, durationSeconds);
+
+      // A new quote replaces any unpaid one
+      await database.run(
+        `UPDATE subscriptions SET status = 'cancelled', updatedAt = CURRENT_TIMESTAMP
+         WHERE userId = ? AND status = 'pending'`,
+        [userId]
+      );
+
+      const { id, paymentDeadline } = await this.createPendingSubscription({
+        userId,
+        tier,
+        duration,
+        amount: ethers.formatEther(price),
+        proratedCredit: ethers.formatEther(credit),
+        replacesSubscriptionId: isRunning ? current.id : null,
+        promoCodeId: promo?.id,
+        discount: ethers.formatEther(discount)
+      });
+
+      const transaction = await this.buildTransaction('purchaseSubscription', [tierNumber, durationSeconds], price);
+
+      logger.info('Subscription upgrade quoted', { userId, tier, duration, subscriptionId: id });
+
+      return {
+        subscriptionId: id,
+        tier,
+        duration,
+        price: ethers.formatEther(price),
+        promoCode: promo?.code || null,
+        discount: ethers.formatEther(discount),
+        credit: ethers.formatEther(credit),
+        amountDue: ethers.formatEther(price),
+        bonusDays: Math.round(bonusSeconds / 864) / 100,
+        paymentDeadline,
+        transaction
+      };
+    } catch (error) {
+      logger.error('Failed to create subscription upgrade:', error);
+      throw error;
+    }
+  }
+
+  // Look up a promo code and check it can be used by this user for this tier
+  async resolvePromoCode(code, userId, tier) {
+    const promo = await getPromoCodeByCode(code);
+    if (!promo || !promo.isActive) {
+      throw notFoundError('Promo code not found');
+    }
+
+    if (promo.expiresAt && Date.parse(promo.expiresAt) <= Date.now()) {
+      throw validationError('Promo code has expired', 'promoCode');
+    }
+
+    if (promo.maxRedemptions && promo.redemptionCount >= promo.maxRedemptions) {
+      throw validationError('Promo code has reached its redemption limit', 'promoCode');
+    }
+
+    if (promo.tiers && !promo.tiers.includes(tier)) {
+      throw validationError(`Promo code is not valid for the ${tier} tier`, 'promoCode');
+    }
+
+    if (await hasRedeemedPromoCode(promo.id, userId)) {
+      throw conflictError('Promo code already redeemed');
+    }
+
+    return promo;
+  }
+
+  // Unused share of what was paid for a subscription, in wei
+  getProratedCredit(subscription) {
+    const start = Date.parse(subscription.startDate);
+    const end = Date.parse(subscription.endDate);
+    const now = Date.now();
+
+    if (!subscription.amount || !(end > now) || !(end > start)) {
+      return 0n;
+    }
+
+    const paid = toWei(subscription.amount);
+    return paid * BigInt(end - Math.max(now, start)) / BigInt(end - start);
+  }
+
+  // Keep the current tier until the period ends, then switch to the lower one
+  async scheduleDowngrade(userId, tier) {
+    try {
+      if (TIER_NUMBERS[tier] === undefined) {
+        throw validationError('Invalid subscription tier', 'tier');
+      }
+
+      const current = await this.getActiveSubscription(userId);
+      if (!current) {
+        throw conflictError('No active subscription to downgrade');
+      }
+
+      if (TIER_NUMBERS[tier] >= TIER_NUMBERS[current.tier]) {
+        throw validationError(`Cannot downgrade from ${current.tier} to ${tier}`, 'tier');
+      }
+
+      await database.run(
+        'UPDATE subscriptions SET scheduledTier = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?',
+        [tier, current.id]
+      );
+
+      logger.info('Subscription downgrade scheduled', { userId, from: current.tier, to: tier });
+
+      return { tier, effectiveAt: current.endDate };
+    } catch (error) {
+      logger.error('Failed to schedule downgrade:', error);
+      throw error;
+    }
+  }
+
+  async cancelScheduledDowngrade(userId) {
+    try {
+      const result = await database.run(
+        `UPDATE subscriptions SET scheduledTier = NULL, updatedAt = CURRENT_TIMESTAMP
+         WHERE userId = ? AND status = 'active' AND scheduledTier IS NOT NULL`,
+        [userId]
+      );
+
+      if (result.changes === 0) {
+        throw notFoundError('No scheduled downgrade');
+      }
+    } catch (error) {
+      logger.error('Failed to cancel scheduled downgrade:', error);
+      throw error;
+    }
+  }
+
+  // Switch users whose period has ended to their scheduled tier, unless a
+  // newer subscription has replaced the one carrying the schedule
+  async applyScheduledDowngrades() {
+    try {
+      const due = await database.all(
+        `SELECT s.* FROM subscriptions s
+         WHERE s.status = 'active' AND s.scheduledTier IS NOT NULL
+           AND datetime(s.endDate) <= datetime('now')
+           AND NOT EXISTS (
+             SELECT 1 FROM subscriptions n
+             WHERE n.userId = s.userId AND n.status = 'active' AND n.id > s.id
+           )`
+      );
+
+      for (const subscription of due) {
+        const { userId, tier, scheduledTier } = subscription;
+
+        if (scheduledTier === 'free') {
+          await updateUser(userId, { subscriptionTier: 'free', subscriptionExpiry: null });
+        } else {
+          // Renewals are now priced at the lower tier
+          await updateUser(userId, { subscriptionTier: scheduledTier });
+        }
+
+        await database.run(
+          'UPDATE subscriptions SET status = \'expired\', updatedAt = CURRENT_TIMESTAMP WHERE id = ?',
+          [subscription.id]
+        );
+
+        this.emit('subscriptionDowngraded', { userId, fromTier: tier, toTier: scheduledTier });
+        logger.info('Scheduled downgrade applied', { userId, from: tier, to: scheduledTier });
+      }
+    } catch (error) {
+      logger.error('Failed to apply scheduled downgrades:', error);
+    }
+  }
+
+  // Renew subscriptions nearing expiry (or already in grace) for users with
+  // auto-renew on, charging them through the pre-authorization contract
+  async processAutoRenewals() {
+    if (!this.preauthContract) {
+      return;
+    }
+
+    try {
+      const due = await database.all(
+        `SELECT s.*, u.walletAddress
+         FROM subscriptions s
+         JOIN users u ON u.id = s.userId
+         WHERE s.status = 'active'
+         AND s.autoRenew = 1
+         AND (s.scheduledTier IS NULL OR s.scheduledTier != 'free')
+         AND u.isActive = 1
+         AND u.walletVerifiedAt IS NOT NULL
+         AND u.subscriptionTier != 'free'
+         AND datetime(u.subscriptionExpiry) <= datetime('now', ?)
+         AND datetime(u.subscriptionExpiry) > datetime('now', ?)
+         AND COALESCE(s.renewalAttempts, 0) < ?
+         AND (s.lastRenewalAttempt IS NULL OR datetime(s.lastRenewalAttempt) <= datetime('now', ?))
+         AND NOT EXISTS (
+           SELECT 1 FROM subscriptions newer
+           WHERE newer.userId = s.userId AND newer.status = 'active' AND newer.id > s.id
+         )`,
+        [
+          `+${AUTO_RENEW_DAYS_BEFORE} days`,
+          `-${GRACE_PERIOD_DAYS} days`,
+          AUTO_RENEW_MAX_ATTEMPTS,
+          `-${AUTO_RENEW_RETRY_HOURS} hours`
+        ]
+      );
+
+      for (const subscription of due) {
+        await this.attemptAutoRenewal(subscription);
+      }
+
+      if (due.length > 0) {
+        logger.info('Auto-renewals processed', { count: due.length });
+      }
+    } catch (error) {
+      logger.error('Failed to process auto-renewals:', error);
+    }
+  }
+
+  // One renewal attempt; every attempt gets a transaction_logs row, and the
+  // user hears about failures along with whether another try is coming
+  async attemptAutoRenewal(subscription) {
+    const tier = subscription.scheduledTier || subscription.tier;
+    const durationDays = subscription.durationDays || 30;
+    const attempt = (subscription.renewalAttempts || 0) + 1;
+    let logId = null;
+
+    try {
+      await database.run(
+        `UPDATE subscriptions SET renewalAttempts = ?, lastRenewalAttempt = CURRENT_TIMESTAMP,
+         updatedAt = CURRENT_TIMESTAMP WHERE id = ?`,
+        [attempt, subscription.id]
+      );
+
+      const price = await this.quotePrice(TIER_NUMBERS[tier], durationDays * 86400);
+
+      const log = await database.run(
+        `INSERT INTO transaction_logs (
+          userId, type, action, fromAddress, toAddress, amount, token, status
+        ) VALUES (?, 'subscription', 'auto_renewal', ?, ?, ?, 'USDC', 'pending')`,
+        [
+          subscription.userId,
+          subscription.walletAddress,
+          this.subscriptionContract.target,
+          ethers.formatEther(price)
+        ]
+      );
+      logId = log.lastID;
+
+      const tx = await this.preauthContract.executeAutoAction(
+        subscription.walletAddress,
+        `subscription_renewal:${tier}:${durationDays}`,
+        '',
+        price
+      );
+      await database.run('UPDATE transaction_logs SET transactionHash = ? WHERE id = ?', [tx.hash, logId]);
+
+      const receipt = await tx.wait();
+      if (receipt.status === 0) {
+        throw new Error('Renewal transaction reverted');
+      }
+
+      let renewed = null;
+      for (const log of receipt.logs) {
+        const preauthEvent = this.preauthContract.interface.parseLog(log);
+        if (preauthEvent?.name === 'AutoActionExecuted' && !preauthEvent.args.success) {
+          throw new Error('Payment was declined by the pre-authorization contract');
+        }
+
+        const subscriptionEvent = this.subscriptionContract.interface.parseLog(log);
+        if (subscriptionEvent?.name === 'SubscriptionRenewed') {
+          renewed = subscriptionEvent;
+        }
+      }
+
+      await database.run(
+        `UPDATE transaction_logs SET status = 'confirmed', blockNumber = ?, gasUsed = ?,
+         confirmedAt = CURRENT_TIMESTAMP WHERE id = ?`,
+        [receipt.blockNumber, Number(receipt.gasUsed), logId]
+      );
+
+      if (renewed) {
+        await this.handleSubscriptionRenewed(...renewed.args, {
+          transactionHash: receipt.hash,
+          blockNumber: receipt.blockNumber
+        });
+      }
+
+      this.emit('subscriptionAutoRenewed', {
+        userId: subscription.userId,
+        tier,
+        durationDays,
+        transactionHash: receipt.hash
+      });
+
+      logger.info('Subscription auto-renewed', {
+        userId: subscription.userId,
+        tier,
+        txHash: receipt.hash
+      });
+
+    } catch (error) {
+      logger.error('Auto-renewal attempt failed:', error);
+
+      try {
+        const reason = error.shortMessage || error.reason || error.message;
+
+        if (logId) {
+          await database.run(
+            'UPDATE transaction_logs SET status = \'failed\', errorMessage = ? WHERE id = ?',
+            [reason, logId]
+          );
+        }
+        await database.run(
+          'UPDATE subscriptions SET renewalError = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?',
+          [reason, subscription.id]
+        );
+
+        const willRetry = attempt < AUTO_RENEW_MAX_ATTEMPTS;
+
+        this.emit('subscriptionAutoRenewFailed', {
+          userId: subscription.userId,
+          tier,
+          attempt,
+          willRetry,
+          error: reason
+        });
+
+        const user = await getUserById(subscription.userId);
+        if (user) {
+          this.notifyUser(
+            user,
+            willRetry
+              ? `⚠️ We couldn't auto-renew your ${tier} subscription (${reason}). We'll try again in ${AUTO_RENEW_RETRY_HOURS} hours; check your wallet balance and monthly limit.`
+              : `❌ Auto-renewal of your ${tier} subscription failed ${attempt} times (${reason}). Please renew manually from the dashboard.`,
+            'high'
+          );
+        }
+      } catch (auditError) {
+        logger.error('Failed to record auto-renewal failure:', auditError);
+      }
+    }
+  }
+
+  // Turn auto-renewal on or off for the active subscription; either way the
+  // retry budget starts over
+  async setAutoRenew(userId, enabled) {
+    try {
+      const active = await this.getActiveSubscription(userId);
+      if (!active) {
+        throw conflictError('No active subscription to renew');
+      }
+
+      await database.run(
+        `UPDATE subscriptions SET autoRenew = ?, renewalAttempts = 0, lastRenewalAttempt = NULL,
+         renewalError = NULL, updatedAt = CURRENT_TIMESTAMP WHERE id = ?`,
+        [enabled ? 1 : 0, active.id]
+      );
+
+      logger.info('Auto-renew updated', { userId, enabled });
+
+      return this.describeAutoRenew({
+        ...active,
+        autoRenew: enabled ? 1 : 0,
+        renewalAttempts: 0,
+        lastRenewalAttempt: null,
+        renewalError: null
+      });
+    } catch (error) {
+      logger.error('Failed to update auto-renew:', error);
+      throw error;
+    }
+  }
+
+  describeAutoRenew(subscription) {
+    if (!subscription) {
+      return null;
+    }
+
+    return {
+      enabled: Boolean(subscription.autoRenew),
+      attempts: subscription.renewalAttempts || 0,
+      lastAttempt: subscription.lastRenewalAttempt || null,
+      lastError: subscription.renewalError || null
+    };
+  }
+
+  async quotePrice(tierNumber, durationSeconds) {
+    try {
+      return await this.subscriptionContract.getTierPrice(tierNumber, durationSeconds);
+    } catch (error) {
+      logger.error('Failed to quote subscription price:', error);
+      throw serviceUnavailableError('Subscription contract is unreachable');
+    }
+  }
+
+  // Cancel with the given signer, or return the unsigned transaction for the
+  // user's wallet when there is none. The database is updated once the
+  // SubscriptionCancelled event arrives.
   async cancelSubscription(userId, signer) {
     try {
       const user = await getUserById(userId);
-      if (!user || !user.walletAddress) {
-        throw new Error('User not found or wallet address not set');
+      if (!user) {
+        throw notFoundError('User not found');
+      }
+
+      if (!user.walletVerifiedAt) {
+        throw validationError('Verify your wallet with Sign-In With Ethereum first', 'walletAddress');
       }
 
       if (user.subscriptionTier === 'free') {
-        throw new Error('No active subscription to cancel');
+        throw conflictError('No active subscription to cancel');
+      }
+
+      if (!signer) {
+        return {
+          success: true,
+          transaction: await this.buildTransaction('cancelSubscription', [])
+        };
       }
 
       // Execute cancellation transaction
@@ -388,15 +1091,21 @@ export class SubscriptionService extends EventEmitter {
     try {
       const user = await getUserById(userId);
       if (!user) {
-        throw new Error('User not found');
+        throw notFoundError('User not found');
       }
 
       // Get current status from database
+      const [latest, active] = await Promise.all([
+        this.getLatestSubscription(userId),
+        this.getActiveSubscription(userId)
+      ]);
       const dbStatus = {
         tier: user.subscriptionTier || 'free',
         expiryTime: user.subscriptionExpiry,
-        isActive: user.subscriptionTier !== 'free' && 
-                  (!user.subscriptionExpiry || new Date(user.subscriptionExpiry) > new Date())
+        scheduledTier: latest?.status === 'active' ? latest.scheduledTier : null,
+        graceStage: user.dunningStage || null,
+        autoRenew: this.describeAutoRenew(active),
+        ...this.resolveStatus(user, latest)
       };
 
       // If user has wallet, also check on-chain status
@@ -415,12 +1124,13 @@ export class SubscriptionService extends EventEmitter {
       }
 
       // Get subscription history
-      const history = await this.getSubscriptionHistory(userId);
+      const { history } = await this.getSubscriptionHistory(userId, { limit: 10 });
 
       return {
         current: dbStatus,
         onChain: onChainStatus,
-        history: history.slice(0, 10), // Last 10 transactions
+        mismatch: this.compareWithChain(dbStatus, onChainStatus),
+        history,
         benefits: this.getTierBenefits(dbStatus.tier)
       };
 
@@ -430,6 +1140,58 @@ export class SubscriptionService extends EventEmitter {
     }
   }
 
+  // Derive active / grace / expired / cancelled from the user row and the
+  // latest subscription record
+  resolveStatus(user, latest) {
+    const now = Date.now();
+    const expiry = user.subscriptionExpiry ? Date.parse(user.subscriptionExpiry) : null;
+
+    if (user.subscriptionTier && user.subscriptionTier !== 'free') {
+      if (!expiry || expiry > now) {
+        return {
+          status: 'active',
+          isActive: true,
+          daysRemaining: expiry ? Math.ceil((expiry - now) / 86400000) : null,
+          graceEndsAt: null
+        };
+      }
+
+      const graceEndsAt = expiry + GRACE_PERIOD_DAYS * 86400000;
+      return {
+        status: graceEndsAt > now ? 'grace' : 'expired',
+        isActive: graceEndsAt > now,
+        daysRemaining: 0,
+        graceEndsAt: new Date(graceEndsAt).toISOString()
+      };
+    }
+
+    let status = 'none';
+    if (latest) {
+      status = latest.status === 'cancelled' ? 'cancelled' : 'expired';
+    }
+
+    return { status, isActive: false, daysRemaining: 0, graceEndsAt: null };
+  }
+
+  // Flag fields where the database and the contract disagree, or null when
+  // there is no on-chain state to compare against
+  compareWithChain(dbStatus, onChainStatus) {
+    if (!onChainStatus) {
+      return null;
+    }
+
+    // Off-chain credit (upgrade proration, promo discounts, referral rewards)
+    // only ever runs the database past the chain, so only a shortfall is flagged
+    const dbExpiry = dbStatus.expiryTime ? Math.floor(Date.parse(dbStatus.expiryTime) / 1000) : 0;
+    const mismatch = {
+      tier: dbStatus.tier !== onChainStatus.tier,
+      expiry: onChainStatus.isActive && onChainStatus.expiryTime - dbExpiry > EXPIRY_TOLERANCE_SECONDS,
+      active: Boolean(onChainStatus.isActive) && dbStatus.status !== 'active'
+    };
+
+    return { ...mismatch, any: Object.values(mismatch).some(Boolean) };
+  }
+
   getTierBenefits(tier) {
     const benefits = {
       free: {
@@ -462,10 +1224,12 @@ export class SubscriptionService extends EventEmitter {
   }
 
   // Helper Methods
+  // Only wallets proven with Sign-In With Ethereum are matched, so an event
+  // can't be credited to someone who merely typed in the address
   async findUserByWallet(walletAddress) {
     try {
       const result = await database.get(
-        'SELECT * FROM users WHERE LOWER(walletAddress) = LOWER(?)',
+        'SELECT * FROM users WHERE LOWER(walletAddress) = LOWER(?) AND walletVerifiedAt IS NOT NULL',
         [walletAddress]
       );
       return result;
@@ -486,20 +1250,40 @@ export class SubscriptionService extends EventEmitter {
 
       await updateUser(userId, updateData);
 
-      // Also update subscriptions table
-      await database.run(
-        `INSERT INTO subscriptions (
-          userId, tier, status, startDate, endDate, transactionHash
-        ) VALUES (?, ?, ?, ?, ?, ?)`,
-        [
-          userId,
-          subscriptionData.tier,
-          subscriptionData.status || 'active',
-          new Date().toISOString(),
-          subscriptionData.expiryTime ? new Date(subscriptionData.expiryTime * 1000).toISOString() : null,
-          subscriptionData.transactionHash
-        ]
-      );
+      // Also update subscriptions table, activating the pending row if there is one
+      if (subscriptionData.subscriptionId) {
+        await database.run(
+          `UPDATE subscriptions SET
+             status = ?, startDate = ?, endDate = ?, amount = COALESCE(?, amount),
+             transactionHash = ?, paymentDeadline = NULL, updatedAt = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [
+            subscriptionData.status || 'active',
+            new Date().toISOString(),
+            updateData.subscriptionExpiry,
+            subscriptionData.amount,
+            subscriptionData.transactionHash,
+            subscriptionData.subscriptionId
+          ]
+        );
+      } else {
+        await database.run(
+          `INSERT INTO subscriptions (
+            userId, tier, status, startDate, endDate, durationDays, amount, autoRenew, transactionHash
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            userId,
+            subscriptionData.tier,
+            subscriptionData.status || 'active',
+            new Date().toISOString(),
+            updateData.subscriptionExpiry,
+            subscriptionData.durationDays || null,
+            subscriptionData.amount,
+            subscriptionData.autoRenew ?? 1,
+            subscriptionData.transactionHash
+          ]
+        );
+      }
 
       logger.info('User subscription updated', { userId, tier: subscriptionData.tier });
     } catch (error) {
@@ -512,16 +1296,18 @@ export class SubscriptionService extends EventEmitter {
     try {
       await database.run(
         `INSERT INTO transaction_logs (
-          userId, type, transactionHash, amount, token, status, blockNumber
-        ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          userId, type, action, transactionHash, amount, token, status, blockNumber, errorMessage
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           transactionData.userId,
           'subscription',
+          transactionData.type || null,
           transactionData.transactionHash,
           transactionData.amount,
           'USDC',
-          'confirmed',
-          transactionData.blockNumber
+          transactionData.status || 'confirmed',
+          transactionData.blockNumber,
+          transactionData.errorMessage || null
         ]
       );
     } catch (error) {
@@ -531,36 +1317,137 @@ export class SubscriptionService extends EventEmitter {
 
   async createPendingSubscription(subscriptionData) {
     try {
-      await database.run(
+      const paymentDeadline = new Date(Date.now() + PAYMENT_TIMEOUT_MINUTES * 60 * 1000).toISOString();
+
+      const result = await database.run(
         `INSERT INTO subscriptions (
-          userId, tier, status, transactionHash, createdAt
-        ) VALUES (?, ?, ?, ?, ?)`,
+          userId, tier, status, durationDays, amount, proratedCredit, replacesSubscriptionId,
+          promoCodeId, discount, paymentDeadline, transactionHash, createdAt
+        ) VALUES (?, ?, 'pending', ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           subscriptionData.userId,
           subscriptionData.tier,
-          subscriptionData.status,
-          subscriptionData.transactionHash,
+          subscriptionData.duration,
+          subscriptionData.amount,
+          subscriptionData.proratedCredit || null,
+          subscriptionData.replacesSubscriptionId || null,
+          subscriptionData.promoCodeId || null,
+          subscriptionData.discount || null,
+          paymentDeadline,
+          subscriptionData.transactionHash || null,
           new Date().toISOString()
         ]
       );
+
+      return { id: result.lastID, paymentDeadline };
     } catch (error) {
       logger.error('Failed to create pending subscription:', error);
+      throw error;
     }
   }
 
-  async getSubscriptionHistory(userId, limit = 20) {
+  // Newest pending row for the tier, preferring the one already tied to the
+  // payment and then one quoted for the same duration
+  async findPendingSubscription(userId, tier, durationDays, transactionHash = null) {
     try {
-      const history = await database.all(
-        `SELECT * FROM subscriptions 
-         WHERE userId = ? 
-         ORDER BY createdAt DESC 
-         LIMIT ?`,
-        [userId, limit]
+      return await database.get(
+        `SELECT * FROM subscriptions
+         WHERE userId = ? AND tier = ? AND status = 'pending'
+         ORDER BY transactionHash IS ? DESC, durationDays = ? DESC, createdAt DESC, id DESC
+         LIMIT 1`,
+        [userId, tier, transactionHash, durationDays]
       );
-      return history;
+    } catch (error) {
+      logger.error('Failed to find pending subscription:', error);
+      throw error;
+    }
+  }
+
+  async getSubscriptionHistory(userId, options = {}) {
+    try {
+      const { limit = 20, offset = 0 } = options;
+
+      const [history, count] = await Promise.all([
+        database.all(
+          `SELECT s.*, t.amount, t.token, t.status AS paymentStatus, t.blockNumber,
+             t.gasFee, t.confirmedAt
+           FROM subscriptions s
+           LEFT JOIN transaction_logs t
+             ON t.transactionHash = s.transactionHash AND t.type = 'subscription' AND t.amount >= 0
+               AND COALESCE(t.action, 'purchase') IN ('purchase', 'renewal', 'auto_renewal')
+           WHERE s.userId = ?
+           ORDER BY s.createdAt DESC, s.id DESC
+           LIMIT ? OFFSET ?`,
+          [userId, limit, offset]
+        ),
+        database.get('SELECT COUNT(*) as total FROM subscriptions WHERE userId = ?', [userId])
+      ]);
+
+      return { history, total: count.total };
     } catch (error) {
       logger.error('Failed to get subscription history:', error);
-      return [];
+      throw error;
+    }
+  }
+
+  async getLatestSubscription(userId) {
+    try {
+      return await database.get(
+        `SELECT * FROM subscriptions
+         WHERE userId = ? AND status IN ('active', 'cancelled', 'expired', 'suspended')
+         ORDER BY createdAt DESC, id DESC
+         LIMIT 1`,
+        [userId]
+      );
+    } catch (error) {
+      logger.error('Failed to get latest subscription:', error);
+      throw error;
+    }
+  }
+
+  async getActiveSubscription(userId) {
+    try {
+      return await database.get(
+        `SELECT * FROM subscriptions
+         WHERE userId = ? AND status = 'active'
+         ORDER BY createdAt DESC, id DESC
+         LIMIT 1`,
+        [userId]
+      );
+    } catch (error) {
+      logger.error('Failed to get active subscription:', error);
+      throw error;
+    }
+  }
+
+  // Move the user's active subscription records to a final status
+  async closeActiveSubscriptions(userId, status) {
+    try {
+      await database.run(
+        `UPDATE subscriptions SET status = ?, updatedAt = CURRENT_TIMESTAMP
+         WHERE userId = ? AND status = 'active'`,
+        [status, userId]
+      );
+    } catch (error) {
+      logger.error('Failed to close active subscriptions:', error);
+      throw error;
+    }
+  }
+
+  // Unsigned contract call for the user's wallet to sign and send
+  async buildTransaction(method, args, value = 0n) {
+    try {
+      const network = await this.providerPool.execute(provider => provider.getNetwork());
+
+      return {
+        to: this.subscriptionContract.target,
+        data: this.subscriptionContract.interface.encodeFunctionData(method, args),
+        value: value.toString(),
+        chainId: Number(network.chainId)
+      };
+    } catch (error) {
+      logger.error('Failed to build subscription transaction:', error);
+      throw serviceUnavailableError('Subscription contract is unreachable');
     }
   }
 
@@ -568,31 +1455,44 @@ export class SubscriptionService extends EventEmitter {
     try {
       logger.info('🔍 Checking for expiring subscriptions...');
 
-      // Find subscriptions expiring in next 3 days
-      const threeDaysFromNow = new Date();
-      threeDaysFromNow.setDate(threeDaysFromNow.getDate() + 3);
+      // Paid subscriptions inside the first reminder window
+      const reminderWindow = new Date(Date.now() + REMINDER_DAYS[0] * 86400000);
 
       const expiringUsers = await database.all(
-        `SELECT id, username, subscriptionTier, subscriptionExpiry, telegramId, twitterId
-         FROM users 
+        `SELECT * FROM users 
          WHERE subscriptionTier != 'free' 
          AND subscriptionExpiry IS NOT NULL 
-         AND subscriptionExpiry <= ? 
-         AND subscriptionExpiry > datetime('now')`,
-        [threeDaysFromNow.toISOString()]
+         AND datetime(subscriptionExpiry) <= datetime(?) 
+         AND datetime(subscriptionExpiry) > datetime('now')`,
+        [reminderWindow.toISOString()]
       );
 
       for (const user of expiringUsers) {
         await this.notifyExpiringSubscription(user);
       }
 
-      // Find expired subscriptions
+      // Subscriptions that have expired but are still in their grace period
+      const graceUsers = await database.all(
+        `SELECT * FROM users 
+         WHERE subscriptionTier != 'free' 
+         AND subscriptionExpiry IS NOT NULL 
+         AND datetime(subscriptionExpiry) <= datetime('now')
+         AND datetime(subscriptionExpiry) > datetime('now', ?)`,
+        [`-${GRACE_PERIOD_DAYS} days`]
+      );
+
+      for (const user of graceUsers) {
+        await this.applyGraceStage(user);
+      }
+
+      // Find subscriptions whose grace period has ended
       const expiredUsers = await database.all(
-        `SELECT id, username, subscriptionTier, subscriptionExpiry
+        `SELECT id, username, subscriptionTier, subscriptionExpiry, telegramId, twitterId
          FROM users 
          WHERE subscriptionTier != 'free' 
          AND subscriptionExpiry IS NOT NULL 
-         AND subscriptionExpiry <= datetime('now')`
+         AND datetime(subscriptionExpiry) <= datetime('now', ?)`,
+        [`-${GRACE_PERIOD_DAYS} days`]
       );
 
       for (const user of expiredUsers) {
@@ -601,6 +1501,7 @@ export class SubscriptionService extends EventEmitter {
 
       logger.info(`✅ Subscription check completed`, {
         expiring: expiringUsers.length,
+        inGrace: graceUsers.length,
         expired: expiredUsers.length
       });
 
@@ -614,6 +1515,14 @@ export class SubscriptionService extends EventEmitter {
       const expiryDate = new Date(user.subscriptionExpiry);
       const daysUntilExpiry = Math.ceil((expiryDate - new Date()) / (1000 * 60 * 60 * 24));
 
+      // One reminder per threshold; after a missed run only the latest one due is sent
+      const reminderDays = Math.min(...REMINDER_DAYS.filter(days => days >= daysUntilExpiry));
+      if (user.lastReminderDays && user.lastReminderDays <= reminderDays) {
+        return;
+      }
+
+      await updateUser(user.id, { lastReminderDays: reminderDays });
+
       this.emit('subscriptionExpiring', {
         userId: user.id,
         tier: user.subscriptionTier,
@@ -621,6 +1530,17 @@ export class SubscriptionService extends EventEmitter {
         expiryDate
       });
 
+      const active = await this.getActiveSubscription(user.id);
+      const autoRenews = Boolean(this.preauthContract && active?.autoRenew && user.walletVerifiedAt);
+
+      this.notifyUser(
+        user,
+        autoRenews
+          ? `⏳ Your ${user.subscriptionTier} subscription expires in ${daysUntilExpiry} day${daysUntilExpiry === 1 ? '' : 's'}. Auto-renew is on, so it will be renewed from your wallet within your pre-authorized limit.`
+          : `⏳ Your ${user.subscriptionTier} subscription expires in ${daysUntilExpiry} day${daysUntilExpiry === 1 ? '' : 's'}. Renew from the dashboard to keep real-time alerts${user.subscriptionTier === 'premium' ? ' and auto-actions' : ''}.`,
+        daysUntilExpiry <= 1 ? 'high' : 'medium'
+      );
+
       logger.info('Expiring subscription notification sent', {
         userId: user.id,
         daysUntilExpiry
@@ -631,19 +1551,160 @@ export class SubscriptionService extends EventEmitter {
     }
   }
 
+  // Degrade an expired subscription in stages: auto-actions are paused first,
+  // then non-critical alerts move to batched delivery
+  async applyGraceStage(user) {
+    try {
+      const expiry = Date.parse(user.subscriptionExpiry);
+      const elapsedDays = (Date.now() - expiry) / 86400000;
+      const stage = elapsedDays >= ALERT_BATCH_AFTER_DAYS ? 'alerts_batched' : 'auto_actions_paused';
+
+      if (user.dunningStage === stage) {
+        return;
+      }
+
+      await updateUser(user.id, { dunningStage: stage });
+
+      const graceEndsAt = new Date(expiry + GRACE_PERIOD_DAYS * 86400000);
+      const endDate = graceEndsAt.toISOString().split('T')[0];
+
+      this.emit('subscriptionGraceStage', {
+        userId: user.id,
+        tier: user.subscriptionTier,
+        stage,
+        previousStage: user.dunningStage || null,
+        graceEndsAt: graceEndsAt.toISOString()
+      });
+
+      this.notifyUser(
+        user,
+        stage === 'auto_actions_paused'
+          ? `⚠️ Your ${user.subscriptionTier} subscription has expired.${user.subscriptionTier === 'premium' ? ' Auto-actions are paused.' : ''} Renew before ${endDate} to keep your plan.`
+          : `⚠️ Your ${user.subscriptionTier} subscription is still unpaid. Alerts are now delivered in hourly batches, and your plan moves to free on ${endDate}.`,
+        'high'
+      );
+
+      logger.info('Subscription grace stage changed', { userId: user.id, stage });
+
+    } catch (error) {
+      logger.error('Failed to apply grace stage:', error);
+    }
+  }
+
+  // Credit the referrer of a user whose first purchase was just confirmed
+  async grantReferralReward(user, subscriptionId) {
+    try {
+      const referrer = await getUserById(user.referredBy);
+      if (!referrer || !referrer.isActive) {
+        return;
+      }
+
+      const hasPaidTier = referrer.subscriptionTier !== 'free';
+      const rewardTier = hasPaidTier ? referrer.subscriptionTier : REFERRAL_REWARD_TIER;
+
+      // Only the referred user's first confirmed purchase counts
+      const isFirst = await recordReferralReward({
+        referrerId: referrer.id,
+        referredUserId: user.id,
+        subscriptionId,
+        rewardDays: REFERRAL_REWARD_DAYS,
+        rewardTier
+      });
+      if (!isFirst) {
+        return;
+      }
+
+      // Extend from the current expiry, or from now if it has already passed
+      const expiry = referrer.subscriptionExpiry ? Date.parse(referrer.subscriptionExpiry) : 0;
+      const newExpiry = new Date(Math.max(hasPaidTier ? expiry : 0, Date.now()) + REFERRAL_REWARD_DAYS * 86400000);
+
+      await updateUser(referrer.id, {
+        subscriptionTier: rewardTier,
+        subscriptionExpiry: newExpiry.toISOString()
+      });
+
+      if (referrer.dunningStage) {
+        await this.restoreFeatures(referrer);
+      }
+
+      this.emit('referralRewarded', {
+        userId: referrer.id,
+        referredUserId: user.id,
+        tier: rewardTier,
+        days: REFERRAL_REWARD_DAYS,
+        expiryTime: newExpiry.toISOString()
+      });
+
+      this.notifyUser(
+        referrer,
+        `🎁 Someone you referred just subscribed. You've earned ${REFERRAL_REWARD_DAYS} free days of ${rewardTier}, now valid until ${newExpiry.toISOString().split('T')[0]}.`
+      );
+
+      logger.info('Referral reward granted', {
+        referrerId: referrer.id,
+        referredUserId: user.id,
+        tier: rewardTier,
+        days: REFERRAL_REWARD_DAYS
+      });
+
+    } catch (error) {
+      logger.error('Failed to grant referral reward:', error);
+    }
+  }
+
+  // Payment ends any grace period: clear the dunning state and let
+  // listeners re-enable whatever was paused
+  async restoreFeatures(user) {
+    try {
+      if (user.dunningStage || user.lastReminderDays) {
+        await updateUser(user.id, { dunningStage: null, lastReminderDays: null });
+      }
+
+      this.emit('subscriptionRestored', {
+        userId: user.id,
+        previousStage: user.dunningStage || null
+      });
+
+    } catch (error) {
+      logger.error('Failed to restore subscription features:', error);
+    }
+  }
+
+  // Hand a subscription message to the bots the user is linked with
+  notifyUser(user, message, urgency = 'medium') {
+    this.emit('subscriptionNotice', {
+      type: 'subscription',
+      userId: user.id,
+      user,
+      message,
+      urgency,
+      platform: 'both',
+      timestamp: new Date().toISOString()
+    });
+  }
+
   async handleExpiredSubscription(user) {
     try {
       // Downgrade to free tier
       await updateUser(user.id, {
         subscriptionTier: 'free',
-        subscriptionExpiry: null
+        subscriptionExpiry: null,
+        dunningStage: null,
+        lastReminderDays: null
       });
+      await this.closeActiveSubscriptions(user.id, 'expired');
 
       this.emit('subscriptionExpired', {
         userId: user.id,
         previousTier: user.subscriptionTier
       });
 
+      this.notifyUser(
+        user,
+        `Your ${user.subscriptionTier} subscription has ended and your account is now on the free tier. Upgrade any time to restore your alerts and auto-actions.`,
+        'high'
+      );
+
       logger.info('Subscription expired and downgraded', {
         userId: user.id,
         previousTier: user.subscriptionTier
@@ -656,24 +1717,39 @@ export class SubscriptionService extends EventEmitter {
 
   async processPendingUpdates() {
     try {
-      // Check for pending subscriptions that might have been confirmed
+      // Pending rows with a known transaction: reconcile from the receipt in
+      // case the contract event was missed
       const pending = await database.all(
         `SELECT * FROM subscriptions 
-         WHERE status = 'pending_confirmation' 
-         AND createdAt > datetime('now', '-24 hours')`
+         WHERE status = 'pending' AND transactionHash IS NOT NULL`
       );
 
       for (const subscription of pending) {
         try {
-          // Check if transaction was confirmed
-          const receipt = await this.provider.getTransactionReceipt(subscription.transactionHash);
-          if (receipt && receipt.status === 1) {
-            // Mark as confirmed
+          const receipt = await this.providerPool.execute(
+            provider => provider.getTransactionReceipt(subscription.transactionHash)
+          );
+          if (!receipt) {
+            continue;
+          }
+
+          if (receipt.status === 0) {
             await database.run(
-              'UPDATE subscriptions SET status = ? WHERE id = ?',
-              ['confirmed', subscription.id]
+              'UPDATE subscriptions SET status = \'failed\', updatedAt = CURRENT_TIMESTAMP WHERE id = ?',
+              [subscription.id]
             );
-            logger.info('Pending subscription confirmed', { subscriptionId: subscription.id });
+            logger.warn('Subscription payment reverted', { subscriptionId: subscription.id });
+            continue;
+          }
+
+          for (const log of receipt.logs) {
+            const parsed = this.subscriptionContract.interface.parseLog(log);
+            if (parsed?.name === 'SubscriptionPurchased') {
+              await this.handleSubscriptionPurchased(...parsed.args, {
+                transactionHash: receipt.hash,
+                blockNumber: receipt.blockNumber
+              });
+            }
           }
         } catch (error) {
           // Transaction might still be pending
@@ -681,6 +1757,15 @@ export class SubscriptionService extends EventEmitter {
         }
       }
 
+      // Quotes that were never paid
+      const result = await database.run(
+        `UPDATE subscriptions SET status = 'failed', updatedAt = CURRENT_TIMESTAMP
+         WHERE status = 'pending' AND datetime(paymentDeadline) <= datetime('now')`
+      );
+      if (result.changes > 0) {
+        logger.info('Timed out pending subscriptions', { count: result.changes });
+      }
+
     } catch (error) {
       logger.error('Failed to process pending updates:', error);
     }
@@ -691,6 +1776,8 @@ export class SubscriptionService extends EventEmitter {
       logger.info('🛑 Stopping subscription service...');
       
       this.isRunning = false;
+      this.subscriptionContract?.removeAllListeners();
+      this.providerPool?.off('failover', this.onFailover);
       this.removeAllListeners();
       
       logger.info('✅ Subscription service stopped');
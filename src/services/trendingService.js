@@ -0,0 +1,163 @@
+import EventEmitter from 'events';
+import cron from 'node-cron';
+import { logger } from '../utils/logger.js';
+import { getEnabledChains } from '../config/chains.js';
+import { getDomainEventsSince } from '../database/models/domainEvent.js';
+import { getTrendingDomains, saveTrendingDomains } from '../database/models/trending.js';
+
+// Supported windows, in seconds
+export const TIMEFRAMES = {
+  '1h': 60 * 60,
+  '24h': 24 * 60 * 60,
+  '7d': 7 * 24 * 60 * 60,
+  '30d': 30 * 24 * 60 * 60
+};
+
+// Share of the score given to each signal, each normalised against the
+// strongest domain in the window
+const SCORE_WEIGHTS = {
+  volume: 0.5,
+  sales: 0.3,
+  momentum: 0.2
+};
+
+const TRENDING_EVENT_TYPES = ['sale', 'listing', 'priceChange'];
+
+export class TrendingService extends EventEmitter {
+  constructor() {
+    super();
+    this.isRunning = false;
+    this.refreshTask = null;
+    this.maxEntries = parseInt(process.env.TRENDING_MAX_ENTRIES) || 50;
+  }
+
+  async initialize() {
+    try {
+      logger.info('📈 Initializing trending service...');
+
+      await this.refreshAll();
+
+      this.refreshTask = cron.schedule(process.env.TRENDING_REFRESH_CRON || '*/10 * * * *', async () => {
+        await this.refreshAll();
+      });
+
+      this.isRunning = true;
+      logger.info('✅ Trending service initialized');
+    } catch (error) {
+      logger.error('❌ Failed to initialize trending service:', error);
+      throw error;
+    }
+  }
+
+  // Recompute and store every chain and timeframe
+  async refreshAll() {
+    for (const { key: chain } of getEnabledChains()) {
+      for (const timeframe of Object.keys(TIMEFRAMES)) {
+        try {
+          await this.refresh(chain, timeframe);
+        } catch (error) {
+          logger.error('Failed to refresh trending domains', { chain, timeframe, error: error.message });
+        }
+      }
+    }
+  }
+
+  async refresh(chain, timeframe) {
+    const entries = await this.computeTrending(chain, timeframe);
+    const computedAt = await saveTrendingDomains(chain, timeframe, entries);
+
+    this.emit('trendingUpdated', { chain, timeframe, computedAt });
+    return computedAt;
+  }
+
+  async computeTrending(chain, timeframe) {
+    try {
+      const since = new Date(Date.now() - TIMEFRAMES[timeframe] * 1000).toISOString();
+      const events = await getDomainEventsSince(chain, since, TRENDING_EVENT_TYPES);
+
+      const stats = new Map();
+      for (const event of events) {
+        const entry = stats.get(event.domain) || {
+          domain: event.domain,
+          volume: 0,
+          sales: 0,
+          listings: 0,
+          firstPrice: null,
+          lastPrice: null
+        };
+
+        const price = event.price !== null ? parseFloat(event.price) : null;
+
+        if (event.eventType === 'sale') {
+          entry.volume += price || 0;
+          entry.sales++;
+        } else if (event.eventType === 'listing') {
+          entry.listings++;
+        }
+
+        if (price) {
+          entry.firstPrice = entry.firstPrice ?? price;
+          entry.lastPrice = price;
+        }
+
+        stats.set(event.domain, entry);
+      }
+
+      const entries = Array.from(stats.values()).map(({ firstPrice, ...entry }) => ({
+        ...entry,
+        priceChange: firstPrice ? ((entry.lastPrice - firstPrice) / firstPrice) * 100 : 0
+      }));
+
+      const maxVolume = Math.max(0, ...entries.map(entry => entry.volume));
+      const maxSales = Math.max(0, ...entries.map(entry => entry.sales));
+      const maxMomentum = Math.max(0, ...entries.map(entry => entry.priceChange));
+
+      for (const entry of entries) {
+        entry.score =
+          SCORE_WEIGHTS.volume * (maxVolume ? entry.volume / maxVolume : 0) +
+          SCORE_WEIGHTS.sales * (maxSales ? entry.sales / maxSales : 0) +
+          SCORE_WEIGHTS.momentum * (maxMomentum ? Math.max(entry.priceChange, 0) / maxMomentum : 0);
+        entry.priceChange = Number(entry.priceChange.toFixed(2));
+      }
+
+      return entries
+        .sort((a, b) => b.score - a.score || b.volume - a.volume)
+        .slice(0, this.maxEntries);
+    } catch (error) {
+      logger.error('Failed to compute trending domains:', error);
+      throw error;
+    }
+  }
+
+  // Serve the materialised ranking, computing it on first request
+  async getTrending(chain, timeframe, limit = 10) {
+    try {
+      let result = await getTrendingDomains(chain, timeframe, limit);
+
+      if (!result.computedAt) {
+        await this.refresh(chain, timeframe);
+        result = await getTrendingDomains(chain, timeframe, limit);
+      }
+
+      return result;
+    } catch (error) {
+      logger.error('Failed to get trending domains:', error);
+      throw error;
+    }
+  }
+
+  async stop() {
+    try {
+      logger.info('🛑 Stopping trending service...');
+
+      this.refreshTask?.stop();
+      this.isRunning = false;
+      this.removeAllListeners();
+
+      logger.info('✅ Trending service stopped');
+    } catch (error) {
+      logger.error('Error stopping trending service:', error);
+      throw error;
+    }
+  }
+}
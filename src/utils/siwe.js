@@ -0,0 +1,141 @@
+import { ethers } from 'ethers';
+
+// EIP-4361 (Sign-In With Ethereum) messages
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+const FIELDS = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId'
+};
+
+export const buildSiweMessage = ({
+  domain,
+  address,
+  statement,
+  uri,
+  chainId,
+  nonce,
+  issuedAt = new Date().toISOString(),
+  expirationTime
+}) => {
+  const lines = [`${domain}${HEADER_SUFFIX}`, address, ''];
+
+  if (statement) {
+    lines.push(statement);
+  }
+
+  lines.push(
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`
+  );
+
+  if (expirationTime) {
+    lines.push(`Expiration Time: ${expirationTime}`);
+  }
+
+  return lines.join('\n');
+};
+
+// Parse a message into its fields, or return null when it is not a
+// well-formed EIP-4361 message
+export const parseSiweMessage = (message) => {
+  if (typeof message !== 'string') {
+    return null;
+  }
+
+  const lines = message.split('\n');
+  if (!lines[0]?.endsWith(HEADER_SUFFIX) || lines[2] !== '') {
+    return null;
+  }
+
+  let address;
+  try {
+    address = ethers.getAddress(lines[1]);
+  } catch (error) {
+    return null;
+  }
+
+  const uriLine = lines.findIndex(line => line.startsWith('URI: '));
+  if (uriLine < 4 || lines[uriLine - 1] !== '') {
+    return null;
+  }
+
+  const fields = {
+    domain: lines[0].slice(0, -HEADER_SUFFIX.length).replace(/^[a-z][a-z0-9+.-]*:\/\//i, ''),
+    address,
+    statement: lines.slice(3, uriLine - 1).join('\n') || null,
+    resources: []
+  };
+
+  for (let i = uriLine; i < lines.length; i++) {
+    if (lines[i] === 'Resources:') {
+      fields.resources = lines.slice(i + 1).map(line => line.replace(/^- /, ''));
+      break;
+    }
+
+    const separator = lines[i].indexOf(': ');
+    const key = FIELDS[lines[i].slice(0, separator)];
+    if (separator < 0 || !key || fields[key] !== undefined) {
+      return null;
+    }
+    fields[key] = lines[i].slice(separator + 2);
+  }
+
+  if (fields.version !== '1' || !/^\d+$/.test(fields.chainId || '') || !/^[a-zA-Z0-9]{8,}$/.test(fields.nonce || '')) {
+    return null;
+  }
+
+  for (const key of ['issuedAt', 'expirationTime', 'notBefore']) {
+    if (fields[key] !== undefined && isNaN(Date.parse(fields[key]))) {
+      return null;
+    }
+  }
+
+  if (!fields.issuedAt) {
+    return null;
+  }
+
+  fields.chainId = Number(fields.chainId);
+  return fields;
+};
+
+// Why a parsed message cannot be used to sign in right now, or null if it can
+export const checkSiweMessage = (fields, { domain, chainId, now = Date.now() }) => {
+  if (fields.domain !== domain) {
+    return 'Message is for a different domain';
+  }
+
+  if (chainId && fields.chainId !== Number(chainId)) {
+    return 'Message is for a different chain';
+  }
+
+  if (fields.expirationTime && Date.parse(fields.expirationTime) <= now) {
+    return 'Message has expired';
+  }
+
+  if (fields.notBefore && Date.parse(fields.notBefore) > now) {
+    return 'Message is not valid yet';
+  }
+
+  return null;
+};
+
+// Whether the signature was made by the address in the message
+export const isSiweSignatureValid = (message, fields, signature) => {
+  try {
+    return ethers.verifyMessage(message, signature) === fields.address;
+  } catch (error) {
+    return false;
+  }
+};
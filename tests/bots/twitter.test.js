@@ -1,22 +1,10 @@
-const TwitterBot = require('../../src/bots/twitter.js').default;
+const { TwitterBot } = require('../../src/bots/twitter.js');
 
 // Mock dependencies
-jest.mock('twit', () => {
-  return jest.fn().mockImplementation(() => ({
-    get: jest.fn(),
-    post: jest.fn(),
-    stream: jest.fn()
-  }));
-});
+jest.mock('twit', () => jest.fn());
 
-jest.mock('../../src/database/index.js', () => ({
-  getInstance: jest.fn(() => ({
-    prepare: jest.fn(() => ({
-      get: jest.fn(),
-      all: jest.fn(),
-      run: jest.fn()
-    }))
-  }))
+jest.mock('node-cron', () => ({
+  schedule: jest.fn()
 }));
 
 jest.mock('../../src/utils/logger.js', () => ({
@@ -25,125 +13,139 @@ jest.mock('../../src/utils/logger.js', () => ({
     error: jest.fn(),
     warn: jest.fn(),
     debug: jest.fn()
-  }
+  },
+  logBotAction: jest.fn()
+}));
+
+jest.mock('../../src/middleware/rateLimiter.js', () => ({
+  checkBotRateLimit: jest.fn()
+}));
+
+jest.mock('../../src/database/models/user.js', () => ({
+  createUser: jest.fn(),
+  getUserByTwitterId: jest.fn(),
+  updateUser: jest.fn()
+}));
+
+jest.mock('../../src/database/models/alert.js', () => ({
+  createAlert: jest.fn(),
+  getAlertsByUserId: jest.fn()
 }));
 
-// Mock ethers for contract interactions
-jest.mock('ethers', () => ({
-  ethers: {
-    Contract: jest.fn().mockImplementation(() => ({
-      renewDomain: jest.fn().mockResolvedValue({ 
-        hash: '0x1234567890abcdef',
-        wait: jest.fn().mockResolvedValue({ status: 1 })
-      }),
-      getRenewalPrice: jest.fn().mockResolvedValue('100000000000000000') // 0.1 ETH
-    })),
-    utils: {
-      formatEther: jest.fn().mockImplementation((value) => (parseInt(value) / 1e18).toString())
-    }
-  }
+jest.mock('../../src/database/models/trending.js', () => ({
+  getTrendingDomains: jest.fn()
+}));
+
+jest.mock('../../src/database/models/linkCode.js', () => ({
+  createLinkCode: jest.fn()
+}));
+
+jest.mock('../../src/config/chains.js', () => ({
+  getDefaultChain: () => 'doma-testnet'
 }));
 
 describe('TwitterBot', () => {
+  const Twit = require('twit');
+  const cron = require('node-cron');
+  const { checkBotRateLimit } = require('../../src/middleware/rateLimiter.js');
+  const { createUser, getUserByTwitterId } = require('../../src/database/models/user.js');
+  const { createAlert, getAlertsByUserId } = require('../../src/database/models/alert.js');
   let twitterBot;
   let mockTwitterClient;
-  let mockDb;
+  let mockStream;
 
   const mockUser = {
     id: 1,
     username: 'testuser',
-    twitterHandle: '@testuser',
-    subscriptionTier: 'premium',
-    walletAddress: '0x1234567890123456789012345678901234567890'
+    twitterId: '123456789',
+    subscriptionTier: 'premium'
+  };
+
+  const makeTweet = (text, overrides = {}) => ({
+    id_str: '1234567890',
+    user: { screen_name: 'testuser', id_str: '123456789' },
+    text,
+    ...overrides
+  });
+
+  // Text of the last post to an endpoint
+  const lastPost = (endpoint) => {
+    const calls = mockTwitterClient.post.mock.calls.filter(([name]) => name === endpoint);
+    const [, params] = calls[calls.length - 1];
+    return params.status ?? params.event.message_create.message_data.text;
   };
 
   beforeEach(() => {
-    jest.clearAllMocks();
-    
-    // Setup Twitter client mock
-    const Twit = require('twit');
+    mockStream = { on: jest.fn() };
     mockTwitterClient = {
-      get: jest.fn(),
-      post: jest.fn(),
-      stream: jest.fn()
+      get: jest.fn().mockResolvedValue({ data: { screen_name: 'DomaAlertBot', followers_count: 10 } }),
+      post: jest.fn().mockResolvedValue({ data: { id_str: '0987654321' } }),
+      stream: jest.fn().mockReturnValue(mockStream)
     };
     Twit.mockImplementation(() => mockTwitterClient);
-    
-    // Setup database mock
-    const Database = require('../../src/database/index.js');
-    mockDb = {
-      prepare: jest.fn(() => ({
-        get: jest.fn(),
-        all: jest.fn(),
-        run: jest.fn()
-      }))
-    };
-    Database.getInstance.mockReturnValue(mockDb);
-    
+
+    checkBotRateLimit.mockResolvedValue({ allowed: true });
+    getUserByTwitterId.mockResolvedValue(mockUser);
+    getAlertsByUserId.mockResolvedValue([]);
+    createAlert.mockResolvedValue({ id: 5 });
+
     twitterBot = new TwitterBot();
+    twitterBot.client = mockTwitterClient;
   });
 
-  describe('Initialization', () => {
-    test('should create Twitter bot instance', () => {
-      expect(twitterBot).toBeInstanceOf(TwitterBot);
-      const Twit = require('twit');
-      expect(Twit).toHaveBeenCalledWith({
-        consumer_key: process.env.TWITTER_CONSUMER_KEY,
-        consumer_secret: process.env.TWITTER_CONSUMER_SECRET,
-        access_token: process.env.TWITTER_ACCESS_TOKEN,
-        access_token_secret: process.env.TWITTER_ACCESS_TOKEN_SECRET
-      });
+  describe('initialize()', () => {
+    const credentials = {
+      TWITTER_API_KEY: 'test-twitter-key',
+      TWITTER_API_SECRET: 'test-twitter-secret'
+    };
+
+    beforeEach(() => {
+      Object.assign(process.env, credentials);
+    });
+
+    afterEach(() => {
+      Object.keys(credentials).forEach(key => delete process.env[key]);
     });
-  });
 
-  describe('start()', () => {
-    test('should start monitoring mentions', async () => {
-      const mockStream = {
-        on: jest.fn(),
-        start: jest.fn(),
-        stop: jest.fn()
-      };
-      
-      mockTwitterClient.stream.mockReturnValue(mockStream);
-      
-      await twitterBot.start();
-      
+    test('should create the Twitter client and start monitoring mentions', async () => {
+      await twitterBot.initialize();
+
+      expect(Twit).toHaveBeenCalledWith(expect.objectContaining({
+        consumer_key: 'test-twitter-key',
+        consumer_secret: 'test-twitter-secret',
+        access_token: process.env.TWITTER_ACCESS_TOKEN,
+        access_token_secret: process.env.TWITTER_ACCESS_TOKEN_SECRET
+      }));
       expect(mockTwitterClient.stream).toHaveBeenCalledWith('statuses/filter', {
         track: '@DomaAlertBot'
       });
       expect(mockStream.on).toHaveBeenCalledWith('tweet', expect.any(Function));
+      expect(twitterBot.isRunning).toBe(true);
     });
 
-    test('should handle start errors', async () => {
-      mockTwitterClient.stream.mockImplementation(() => {
-        throw new Error('Failed to start stream');
-      });
-      
-      await expect(twitterBot.start()).rejects.toThrow('Failed to start stream');
+    test('should refuse to start without credentials', async () => {
+      delete process.env.TWITTER_API_KEY;
+
+      await expect(twitterBot.initialize()).rejects.toThrow('Twitter API credentials are missing or invalid');
+      expect(Twit).not.toHaveBeenCalled();
+    });
+
+    test('should fail when the connection test fails', async () => {
+      mockTwitterClient.get.mockRejectedValue(new Error('Invalid or expired token'));
+
+      await expect(twitterBot.initialize()).rejects.toThrow('Failed to connect to Twitter API');
     });
   });
 
   describe('Mention Handling', () => {
     test('should process valid mention', async () => {
-      const mockTweet = {
-        id_str: '1234567890',
-        user: {
-          screen_name: 'testuser',
-          id_str: '123456789'
-        },
-        text: '@DomaAlertBot check test.eth',
-        created_at: new Date().toISOString()
-      };
-
-      const mockStatement = mockDb.prepare();
-      mockStatement.get.mockReturnValue(mockUser);
-
-      mockTwitterClient.post.mockResolvedValue({
-        data: { id_str: '0987654321' }
-      });
-
-      await twitterBot.handleMention(mockTweet);
+      await twitterBot.handleMention(makeTweet('@DomaAlertBot monitor test.ape'));
 
+      expect(createAlert).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 1,
+        domain: 'test.ape',
+        platform: 'twitter'
+      }));
       expect(mockTwitterClient.post).toHaveBeenCalledWith(
         'statuses/update',
         expect.objectContaining({
@@ -153,162 +155,95 @@ describe('TwitterBot', () => {
       );
     });
 
-    test('should handle unregistered user mentions', async () => {
-      const mockTweet = {
-        id_str: '1234567890',
-        user: {
-          screen_name: 'unknown_user',
-          id_str: '999999999'
-        },
-        text: '@DomaAlertBot check test.eth'
-      };
+    test('should register unknown users on their first command', async () => {
+      getUserByTwitterId.mockResolvedValue(null);
+      createUser.mockResolvedValue({ ...mockUser, id: 2, subscriptionTier: 'free' });
 
-      const mockStatement = mockDb.prepare();
-      mockStatement.get.mockReturnValue(null); // User not found
+      await twitterBot.handleMention(makeTweet('@DomaAlertBot monitor test.ape', {
+        user: { screen_name: 'unknown_user', id_str: '999999999' }
+      }));
 
-      mockTwitterClient.post.mockResolvedValue({
-        data: { id_str: '0987654321' }
-      });
+      expect(createUser).toHaveBeenCalledWith({ twitterId: '999999999', username: 'unknown_user' });
+      expect(createAlert).toHaveBeenCalledWith(expect.objectContaining({ userId: 2 }));
+    });
 
-      await twitterBot.handleMention(mockTweet);
+    test('should skip retweets', async () => {
+      await twitterBot.handleMention(makeTweet('RT @DomaAlertBot monitor test.ape', { retweeted_status: {} }));
 
-      expect(mockTwitterClient.post).toHaveBeenCalledWith(
-        'statuses/update',
-        expect.objectContaining({
-          status: expect.stringContaining('register first')
-        })
-      );
+      expect(checkBotRateLimit).not.toHaveBeenCalled();
+      expect(mockTwitterClient.post).not.toHaveBeenCalled();
     });
-  });
 
-  describe('Command Parsing', () => {
-    test('should parse check domain command', () => {
-      const command = twitterBot.parseCommand('@DomaAlertBot check test.eth');
-      
-      expect(command).toEqual({
-        action: 'check',
-        domain: 'test.eth',
-        params: {}
-      });
-    });
+    test('should respect the bot rate limit', async () => {
+      checkBotRateLimit.mockResolvedValue({ allowed: false, message: 'Try again in 60 seconds.' });
 
-    test('should parse renew domain command', () => {
-      const command = twitterBot.parseCommand('@DomaAlertBot renew example.eth max:0.2');
-      
-      expect(command).toEqual({
-        action: 'renew',
-        domain: 'example.eth',
-        params: { max: '0.2' }
-      });
-    });
+      await twitterBot.handleMention(makeTweet('@DomaAlertBot monitor test.ape'));
 
-    test('should parse alert command', () => {
-      const command = twitterBot.parseCommand('@DomaAlertBot alert premium.eth expiry days:7');
-      
-      expect(command).toEqual({
-        action: 'alert',
-        domain: 'premium.eth',
-        type: 'expiry',
-        params: { days: '7' }
-      });
+      expect(createAlert).not.toHaveBeenCalled();
+      expect(lastPost('statuses/update')).toContain('Try again in 60 seconds.');
     });
+  });
 
-    test('should handle invalid commands', () => {
-      const command = twitterBot.parseCommand('@DomaAlertBot invalid command');
-      
-      expect(command).toEqual({
-        action: 'help',
-        params: {}
+  describe('Command Parsing', () => {
+    test('should parse monitor commands and their aliases', () => {
+      expect(twitterBot.parseCommand('@DomaAlertBot watch test.ape')).toEqual({
+        action: 'monitor',
+        params: ['test.ape'],
+        original: 'watch test.ape'
       });
+      expect(twitterBot.parseCommand('@DomaAlertBot alert test.ape').action).toBe('monitor');
     });
-  });
-
-  describe('Domain Operations', () => {
-    test('should execute domain check', async () => {
-      const mockDomainInfo = {
-        domain: 'test.eth',
-        owner: '0x1234567890123456789012345678901234567890',
-        expiry: new Date(Date.now() + 90 * 24 * 60 * 60 * 1000), // 90 days
-        available: false
-      };
 
-      // Mock domain info retrieval
-      twitterBot.getDomainInfo = jest.fn().mockResolvedValue(mockDomainInfo);
-
-      const result = await twitterBot.executeCheckDomain('test.eth');
-
-      expect(result).toContain('test.eth is registered');
-      expect(result).toContain('expires in');
+    test('should parse link commands', () => {
+      expect(twitterBot.parseCommand('@DomaAlertBot link').action).toBe('link');
+      expect(twitterBot.parseCommand('@DomaAlertBot login').action).toBe('link');
     });
 
-    test('should execute domain renewal', async () => {
-      const { ethers } = require('ethers');
-      const mockContract = new ethers.Contract();
-      
-      const mockStatement = mockDb.prepare();
-      mockStatement.get.mockReturnValue(mockUser);
-
-      const result = await twitterBot.executeAutoRenewal('test.eth', mockUser, { max: '0.2' });
-
-      expect(result).toContain('Renewal initiated');
-      expect(mockContract.renewDomain).toHaveBeenCalledWith('test.eth');
+    test('should handle invalid commands', () => {
+      expect(twitterBot.parseCommand('@DomaAlertBot invalid command').action).toBe('help');
+      expect(twitterBot.parseCommand('@DomaAlertBot')).toEqual({ action: 'help', params: [] });
     });
+  });
 
-    test('should handle renewal price exceeding limit', async () => {
-      const { ethers } = require('ethers');
-      const mockContract = new ethers.Contract();
-      mockContract.getRenewalPrice.mockResolvedValue('500000000000000000'); // 0.5 ETH > 0.2 limit
-      
-      const mockStatement = mockDb.prepare();
-      mockStatement.get.mockReturnValue(mockUser);
-
-      const result = await twitterBot.executeAutoRenewal('test.eth', mockUser, { max: '0.2' });
+  describe('Alert Management', () => {
+    test('should reject invalid domains', async () => {
+      await twitterBot.handleMonitorCommand(makeTweet(''), ['notadomain']);
 
-      expect(result).toContain('exceeds your maximum price');
+      expect(createAlert).not.toHaveBeenCalled();
+      expect(lastPost('statuses/update')).toContain('doesn\'t look like a valid domain');
     });
-  });
 
-  describe('Alert Management', () => {
-    test('should create expiry alert', async () => {
-      const mockStatement = mockDb.prepare();
-      mockStatement.run.mockReturnValue({ lastInsertRowid: 1 });
+    test('should stop at the alert limit for the tier', async () => {
+      getUserByTwitterId.mockResolvedValue({ ...mockUser, subscriptionTier: 'free' });
+      getAlertsByUserId.mockResolvedValue([{ id: 1 }, { id: 2 }, { id: 3 }]);
 
-      const result = await twitterBot.createAlert(mockUser, 'test.eth', 'expiry', { days: '7' });
+      await twitterBot.handleMonitorCommand(makeTweet(''), ['test.ape']);
 
-      expect(result).toContain('Alert created');
-      expect(mockStatement.run).toHaveBeenCalledWith(
-        mockUser.id, 'test.eth', 'expiry', JSON.stringify({ daysBeforeExpiry: 7 }), 1
-      );
+      expect(createAlert).not.toHaveBeenCalled();
+      expect(lastPost('statuses/update')).toContain('alert limit (3)');
     });
 
-    test('should handle duplicate alerts', async () => {
-      const mockStatement = mockDb.prepare();
-      mockStatement.get.mockReturnValue({ id: 1 }); // Existing alert
+    test('should list active alerts in the status reply', async () => {
+      getAlertsByUserId.mockResolvedValue([{ domain: 'test.ape', type: 'expiry' }]);
 
-      const result = await twitterBot.createAlert(mockUser, 'test.eth', 'expiry', { days: '7' });
+      await twitterBot.handleStatusCommand(makeTweet(''));
 
-      expect(result).toContain('already have an alert');
+      expect(lastPost('statuses/update')).toContain('Active Alerts: 1/50');
+      expect(lastPost('statuses/update')).toContain('1. test.ape (expiry)');
     });
   });
 
   describe('Daily Opportunities', () => {
-    test('should post daily domain opportunities', async () => {
-      const mockOpportunities = [
-        {
-          domain: 'premium1.eth',
-          type: 'expiring',
-          price: '1.5',
-          expiry: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000)
-        },
-        {
-          domain: 'premium2.eth',
-          type: 'available',
-          price: '2.0',
-          length: 7
-        }
-      ];
-
-      twitterBot.getDomainOpportunities = jest.fn().mockResolvedValue(mockOpportunities);
+    const { getTrendingDomains } = require('../../src/database/models/trending.js');
+
+    test('should post the top trending domains', async () => {
+      getTrendingDomains.mockResolvedValue({
+        computedAt: new Date().toISOString(),
+        trending: [
+          { domain: 'premium1.ape', lastPrice: '1.5', priceChange: 25, sales: 3 },
+          { domain: 'premium2.ape', lastPrice: '2.0', priceChange: 0, sales: 1 }
+        ]
+      });
 
       mockTwitterClient.post.mockResolvedValue({
         data: { id_str: '1111111111' }
@@ -316,166 +251,130 @@ describe('TwitterBot', () => {
 
       await twitterBot.postDailyOpportunities();
 
+      expect(getTrendingDomains).toHaveBeenCalledWith('doma-testnet', '24h', 3);
       expect(mockTwitterClient.post).toHaveBeenCalledWith(
         'statuses/update',
         expect.objectContaining({
-          status: expect.stringContaining('🚀 Daily Domain Opportunities')
+          status: expect.stringContaining('1. premium1.ape - 1.5 USDC (+25%)')
         })
       );
+      expect(lastPost('statuses/update')).toContain('2. premium2.ape - 2.0 USDC\n');
+      expect(mockTwitterClient.post).toHaveBeenCalledWith('account/pin_tweet', { tweet_id: '1111111111' });
     });
 
-    test('should handle empty opportunities', async () => {
-      twitterBot.getDomainOpportunities = jest.fn().mockResolvedValue([]);
+    test('should skip posting when nothing is trending', async () => {
+      getTrendingDomains.mockResolvedValue({ computedAt: null, trending: [] });
 
-      mockTwitterClient.post.mockResolvedValue({
-        data: { id_str: '1111111111' }
+      await twitterBot.postDailyOpportunities();
+
+      expect(mockTwitterClient.post).not.toHaveBeenCalled();
+    });
+
+    test('should label domains without a sale price', async () => {
+      getTrendingDomains.mockResolvedValue({
+        computedAt: new Date().toISOString(),
+        trending: [{ domain: 'fresh.ape', lastPrice: null, priceChange: null, sales: 0 }]
       });
 
       await twitterBot.postDailyOpportunities();
 
+      expect(lastPost('statuses/update')).toContain('1. fresh.ape - unpriced\n');
+    });
+  });
+
+  describe('Link Codes', () => {
+    const { createLinkCode } = require('../../src/database/models/linkCode.js');
+    const tweet = { id_str: '2222222222', user: { id_str: '987654321', screen_name: 'testuser' } };
+
+    beforeEach(() => {
+      jest.spyOn(twitterBot, 'getOrCreateUser').mockResolvedValue(mockUser);
+      createLinkCode.mockResolvedValue({ code: 'K7PQ2XZA', expiresAt: '2026-10-19T05:10:00.000Z', ttlMinutes: 10 });
+      mockTwitterClient.post.mockResolvedValue({ data: { id_str: '3333333333' } });
+    });
+
+    test('should send the code by DM and not in the reply', async () => {
+      await twitterBot.processCommand(tweet, twitterBot.parseCommand('@DomaAlertBot link'));
+
+      expect(createLinkCode).toHaveBeenCalledWith('twitter', '987654321');
       expect(mockTwitterClient.post).toHaveBeenCalledWith(
-        'statuses/update',
+        'direct_messages/events/new',
         expect.objectContaining({
-          status: expect.stringContaining('No special opportunities')
+          event: expect.objectContaining({
+            message_create: expect.objectContaining({
+              message_data: { text: expect.stringContaining('K7PQ2XZA') }
+            })
+          })
         })
       );
+      expect(mockTwitterClient.post).toHaveBeenCalledWith(
+        'statuses/update',
+        expect.objectContaining({ status: expect.not.stringContaining('K7PQ2XZA') })
+      );
     });
-  });
 
-  describe('Response Formatting', () => {
-    test('should format domain check response', () => {
-      const domainInfo = {
-        domain: 'test.eth',
-        owner: '0x1234...7890',
-        expiry: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
-        available: false
-      };
+    test('should ask the user to open DMs when the code cannot be delivered', async () => {
+      mockTwitterClient.post.mockImplementation(async (endpoint) => {
+        if (endpoint === 'direct_messages/events/new') throw new Error('DMs closed');
+        return { data: { id_str: '3333333333' } };
+      });
 
-      const response = twitterBot.formatDomainResponse(domainInfo);
+      await twitterBot.handleLinkCommand(tweet);
 
-      expect(response).toContain('test.eth');
-      expect(response).toContain('registered');
-      expect(response).toContain('expires');
+      expect(mockTwitterClient.post).toHaveBeenCalledWith(
+        'statuses/update',
+        expect.objectContaining({ status: expect.stringContaining('couldn\'t DM you') })
+      );
     });
+  });
 
-    test('should format available domain response', () => {
-      const domainInfo = {
-        domain: 'available.eth',
-        available: true,
-        registrationPrice: '0.1'
-      };
-
-      const response = twitterBot.formatDomainResponse(domainInfo);
+  describe('Alerts', () => {
+    test('should DM alerts with a header for their type', async () => {
+      await twitterBot.sendAlert({ user: mockUser, message: 'test.ape has expired', domain: 'test.ape', type: 'expired' });
 
-      expect(response).toContain('available.eth');
-      expect(response).toContain('available for registration');
-      expect(response).toContain('0.1 ETH');
+      expect(lastPost('direct_messages/events/new')).toMatch(/^⌛ DOMAIN EXPIRED @testuser\n\ntest\.ape has expired/);
     });
 
-    test('should truncate long responses for Twitter', () => {
-      const longText = 'A'.repeat(300); // Longer than Twitter limit
-      const truncated = twitterBot.truncateResponse(longText);
+    test('should skip users without a Twitter account', async () => {
+      await twitterBot.sendAlert({ user: { ...mockUser, twitterId: null }, message: 'test', type: 'expiry' });
 
-      expect(truncated.length).toBeLessThanOrEqual(280);
-      expect(truncated).toContain('...');
+      expect(mockTwitterClient.post).not.toHaveBeenCalled();
     });
   });
 
   describe('Error Handling', () => {
     test('should handle Twitter API errors gracefully', async () => {
-      const mockTweet = {
-        id_str: '1234567890',
-        user: { screen_name: 'testuser' },
-        text: '@DomaAlertBot check test.eth'
-      };
-
       mockTwitterClient.post.mockRejectedValue(new Error('Twitter API error'));
 
-      await expect(twitterBot.handleMention(mockTweet)).resolves.not.toThrow();
+      await expect(twitterBot.handleMention(makeTweet('@DomaAlertBot help'))).resolves.toBeUndefined();
     });
 
     test('should handle database errors in mention processing', async () => {
-      const mockTweet = {
-        id_str: '1234567890',
-        user: { screen_name: 'testuser' },
-        text: '@DomaAlertBot check test.eth'
-      };
-
-      const mockStatement = mockDb.prepare();
-      mockStatement.get.mockImplementation(() => {
-        throw new Error('Database error');
-      });
-
-      await expect(twitterBot.handleMention(mockTweet)).resolves.not.toThrow();
-    });
-  });
-
-  describe('Rate Limiting', () => {
-    test('should respect Twitter rate limits', async () => {
-      const mockTweets = Array.from({ length: 5 }, (_, i) => ({
-        id_str: `${1234567890 + i}`,
-        user: { screen_name: 'testuser' },
-        text: '@DomaAlertBot check test.eth'
-      }));
-
-      const mockStatement = mockDb.prepare();
-      mockStatement.get.mockReturnValue(mockUser);
-
-      mockTwitterClient.post.mockResolvedValue({
-        data: { id_str: '0987654321' }
-      });
+      getAlertsByUserId.mockRejectedValue(new Error('Database error'));
 
-      // Process multiple tweets rapidly
-      await Promise.all(mockTweets.map(tweet => twitterBot.handleMention(tweet)));
+      await twitterBot.handleMention(makeTweet('@DomaAlertBot monitor test.ape'));
 
-      // Should have processed all tweets (rate limiting is internal)
-      expect(mockTwitterClient.post).toHaveBeenCalledTimes(5);
+      expect(lastPost('statuses/update')).toContain('Failed to set up monitoring');
     });
   });
 
   describe('Scheduled Tasks', () => {
     test('should schedule daily opportunities', () => {
-      // Mock cron scheduler
-      twitterBot.scheduleDaily = jest.fn();
-      
       twitterBot.setupScheduledTasks();
-      
-      expect(twitterBot.scheduleDaily).toHaveBeenCalledWith(
-        expect.any(Function),
-        { hour: 9, minute: 0 } // 9 AM UTC
-      );
+
+      expect(cron.schedule).toHaveBeenCalledWith('0 9 * * *', expect.any(Function));
+      expect(cron.schedule).toHaveBeenCalledWith('0 12 * * 1', expect.any(Function));
     });
   });
 
   describe('stop()', () => {
-    test('should stop Twitter stream gracefully', async () => {
-      const mockStream = {
-        on: jest.fn(),
-        start: jest.fn(),
-        stop: jest.fn()
-      };
-      
-      mockTwitterClient.stream.mockReturnValue(mockStream);
-      
-      await twitterBot.start();
+    test('should stop monitoring mentions', async () => {
+      twitterBot.isRunning = true;
+      twitterBot.mentionStreamRunning = true;
+
       await twitterBot.stop();
-      
-      expect(mockStream.stop).toHaveBeenCalled();
-    });
 
-    test('should handle stop errors', async () => {
-      const mockStream = {
-        on: jest.fn(),
-        start: jest.fn(),
-        stop: jest.fn().mockImplementation(() => {
-          throw new Error('Failed to stop');
-        })
-      };
-      
-      mockTwitterClient.stream.mockReturnValue(mockStream);
-      twitterBot.stream = mockStream;
-      
-      await expect(twitterBot.stop()).rejects.toThrow('Failed to stop');
+      expect(twitterBot.isRunning).toBe(false);
+      expect(twitterBot.mentionStreamRunning).toBe(false);
     });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,261 @@
+const request = require('supertest');
+const express = require('express');
+
+const adminRoutes = require('../../src/routes/admin.js').default;
+const { staffMiddleware } = require('../../src/middleware/auth.js');
+const { errorHandler } = require('../../src/middleware/errorHandler.js');
+
+// Mock dependencies
+jest.mock('../../src/utils/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+jest.mock('../../src/database/init.js', () => ({
+  database: {
+    run: jest.fn(),
+    get: jest.fn(),
+    all: jest.fn(),
+    transaction: jest.fn()
+  }
+}));
+
+jest.mock('../../src/database/models/user.js', () => ({
+  ...jest.requireActual('../../src/database/models/user.js'),
+  listUsers: jest.fn(),
+  getUserStats: jest.fn(),
+  getUserById: jest.fn(),
+  updateUser: jest.fn(),
+  updateUserRole: jest.fn()
+}));
+
+jest.mock('../../src/database/models/session.js', () => ({
+  revokeUserSessions: jest.fn()
+}));
+
+jest.mock('../../src/database/models/adminAudit.js', () => ({
+  logAdminAction: jest.fn(),
+  getAdminAuditLogs: jest.fn()
+}));
+
+describe('Admin routes', () => {
+  const { database } = require('../../src/database/init.js');
+  const users = require('../../src/database/models/user.js');
+  const sessions = require('../../src/database/models/session.js');
+  const adminAudit = require('../../src/database/models/adminAudit.js');
+  let app;
+  let inTransaction;
+
+  const adminUser = { id: 1, username: 'admin', role: 'admin', isActive: 1 };
+  const targetUser = {
+    id: 2,
+    username: 'alice',
+    email: 'alice@example.com',
+    passwordHash: '$2b$10$hashedpassword',
+    role: 'user',
+    subscriptionTier: 'basic',
+    isActive: 1,
+    totpSecret: 'sealed'
+  };
+
+  const mountAs = (role) => {
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { ...adminUser, role };
+      next();
+    });
+    app.use('/api/admin', staffMiddleware, adminRoutes);
+    app.use(errorHandler);
+  };
+
+  beforeEach(() => {
+    inTransaction = false;
+    database.transaction.mockImplementation(async (callback) => {
+      inTransaction = true;
+      try {
+        return await callback();
+      } finally {
+        inTransaction = false;
+      }
+    });
+    adminAudit.logAdminAction.mockResolvedValue();
+    users.getUserById.mockResolvedValue(targetUser);
+
+    mountAs('admin');
+  });
+
+  test('should search users and audit the lookup', async () => {
+    users.listUsers.mockResolvedValue({ users: [targetUser], pagination: { page: 1, limit: 20, total: 1, pages: 1 } });
+
+    const response = await request(app)
+      .get('/api/admin/users?search=alice&role=user')
+      .expect(200);
+
+    expect(response.body.data.users).toHaveLength(1);
+    expect(users.listUsers).toHaveBeenCalledWith(expect.objectContaining({ search: 'alice', role: 'user' }));
+    expect(adminAudit.logAdminAction).toHaveBeenCalledWith(expect.objectContaining({
+      adminId: 1,
+      action: 'users.search'
+    }));
+  });
+
+  test('should hide secrets in user details', async () => {
+    users.getUserStats.mockResolvedValue({ alerts: {}, actions: {}, interactions: {} });
+
+    const response = await request(app)
+      .get('/api/admin/users/2')
+      .expect(200);
+
+    expect(response.body.data.user).not.toHaveProperty('passwordHash');
+    expect(response.body.data.user).not.toHaveProperty('totpSecret');
+  });
+
+  test('should override the tier with a reason', async () => {
+    users.updateUser.mockResolvedValue({ ...targetUser, subscriptionTier: 'premium' });
+
+    await request(app)
+      .patch('/api/admin/users/2/tier')
+      .send({ tier: 'premium', reason: 'Partner account' })
+      .expect(200);
+
+    expect(users.updateUser).toHaveBeenCalledWith(2, { subscriptionTier: 'premium', subscriptionExpiry: null });
+    expect(adminAudit.logAdminAction).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'user.tier_override',
+      targetUserId: 2,
+      details: expect.objectContaining({ reason: 'Partner account' })
+    }));
+  });
+
+  test('should deactivate a user and end their sessions', async () => {
+    users.updateUser.mockResolvedValue({ ...targetUser, isActive: 0 });
+    sessions.revokeUserSessions.mockResolvedValue(2);
+
+    const response = await request(app)
+      .post('/api/admin/users/2/deactivate')
+      .send({ reason: 'Abuse report' })
+      .expect(200);
+
+    expect(response.body.data).toHaveProperty('revokedSessions', 2);
+    expect(users.updateUser).toHaveBeenCalledWith(2, { isActive: 0 });
+    expect(sessions.revokeUserSessions).toHaveBeenCalledWith(2);
+    expect(adminAudit.logAdminAction).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'user.deactivate',
+      details: { reason: 'Abuse report', revokedSessions: 2 }
+    }));
+  });
+
+  test('should not reactivate an erased account', async () => {
+    users.getUserById.mockResolvedValue({ ...targetUser, isActive: 0, deletedAt: '2026-10-01 00:00:00' });
+
+    await request(app)
+      .post('/api/admin/users/2/reactivate')
+      .send({ reason: 'User request' })
+      .expect(409);
+
+    expect(users.updateUser).not.toHaveBeenCalled();
+  });
+
+  test('should not let admins change their own role', async () => {
+    users.getUserById.mockResolvedValue(adminUser);
+
+    await request(app)
+      .patch('/api/admin/users/1/role')
+      .send({ role: 'user', reason: 'Testing' })
+      .expect(400);
+
+    expect(users.updateUserRole).not.toHaveBeenCalled();
+  });
+
+  test('should let support staff look users up but not change them', async () => {
+    mountAs('support');
+    users.getUserStats.mockResolvedValue({});
+
+    await request(app)
+      .get('/api/admin/users/2')
+      .expect(200);
+
+    await request(app)
+      .post('/api/admin/users/2/deactivate')
+      .send({ reason: 'Abuse report' })
+      .expect(403);
+
+    expect(users.updateUser).not.toHaveBeenCalled();
+  });
+
+  test('should reject regular users', async () => {
+    mountAs('user');
+
+    await request(app)
+      .get('/api/admin/users')
+      .expect(403);
+
+    expect(users.listUsers).not.toHaveBeenCalled();
+  });
+
+  test('should page through the audit log', async () => {
+    adminAudit.getAdminAuditLogs.mockResolvedValue({ logs: [{ id: 9, action: 'user.view' }], total: 3 });
+
+    const response = await request(app)
+      .get('/api/admin/audit-log?page=2&limit=1&action=user.view')
+      .expect(200);
+
+    expect(adminAudit.getAdminAuditLogs).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'user.view',
+      limit: 1,
+      offset: 1
+    }));
+    expect(response.body.pagination).toEqual({ page: 2, limit: 1, total: 3, hasMore: true });
+  });
+
+  describe('audited changes', () => {
+    const changes = [
+      ['tier override', 'patch', '/api/admin/users/2/tier', { tier: 'premium', reason: 'Partner account' }],
+      ['role change', 'patch', '/api/admin/users/2/role', { role: 'support', reason: 'New hire' }],
+      ['deactivation', 'post', '/api/admin/users/2/deactivate', { reason: 'Abuse report' }],
+      ['reactivation', 'post', '/api/admin/users/2/reactivate', { reason: 'User request' }]
+    ];
+
+    beforeEach(() => {
+      users.updateUser.mockResolvedValue(targetUser);
+      users.updateUserRole.mockResolvedValue(targetUser);
+      sessions.revokeUserSessions.mockResolvedValue(1);
+    });
+
+    test.each(changes)('should write the %s and its audit entry in one transaction', async (name, method, url, body) => {
+      const writes = [];
+      users.updateUser.mockImplementation(async () => {
+        writes.push(inTransaction);
+        return targetUser;
+      });
+      users.updateUserRole.mockImplementation(async () => {
+        writes.push(inTransaction);
+        return targetUser;
+      });
+      adminAudit.logAdminAction.mockImplementation(async () => {
+        writes.push(inTransaction);
+      });
+
+      await request(app)[method](url)
+        .send(body)
+        .expect(200);
+
+      expect(database.transaction).toHaveBeenCalledTimes(1);
+      expect(writes).toEqual([true, true]);
+    });
+
+    test.each(changes)('should fail the %s when its audit entry cannot be written', async (name, method, url, body) => {
+      adminAudit.logAdminAction.mockRejectedValue(new Error('SQLITE_FULL'));
+
+      await request(app)[method](url)
+        .send(body)
+        .expect(500);
+
+      await expect(database.transaction.mock.results[0].value).rejects.toThrow('SQLITE_FULL');
+    });
+  });
+});
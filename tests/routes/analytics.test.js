@@ -0,0 +1,160 @@
+const request = require('supertest');
+const express = require('express');
+
+const analyticsRoutes = require('../../src/routes/analytics.js').default;
+
+// Mock dependencies
+jest.mock('../../src/utils/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+jest.mock('../../src/database/init.js', () => ({
+  database: {
+    run: jest.fn(),
+    get: jest.fn(),
+    all: jest.fn(),
+    transaction: jest.fn()
+  }
+}));
+
+jest.mock('../../src/database/models/analytics.js', () => ({
+  getAlertSeries: jest.fn(),
+  getSpendSeries: jest.fn(),
+  getTopDomains: jest.fn(),
+  getAlertOverview: jest.fn(),
+  summarizeAlertSeries: jest.fn()
+}));
+
+describe('Analytics routes', () => {
+  const analytics = require('../../src/database/models/analytics.js');
+  let app;
+
+  const alertDay = {
+    date: '2026-10-18',
+    total: 4,
+    sent: 3,
+    failed: 1,
+    pending: 0,
+    byType: { expiry: 1, sale: 3 },
+    byPlatform: { telegram: 4 },
+    successRate: 75
+  };
+
+  beforeEach(() => {
+    analytics.getAlertOverview.mockResolvedValue({ totalAlerts: 3, activeAlerts: 2, domainsMonitored: 2 });
+    analytics.getAlertSeries.mockResolvedValue([alertDay]);
+    analytics.summarizeAlertSeries.mockReturnValue({ total: 4, sent: 3, failed: 1, pending: 0, successRate: 75 });
+    analytics.getSpendSeries.mockResolvedValue([
+      { date: '2026-10-18', executed: 2, failed: 0, spend: 1.5, subscriptionSpend: 0, gasFees: 0.01 }
+    ]);
+    analytics.getTopDomains.mockResolvedValue([{ domain: 'premium.ape', triggers: 3 }]);
+
+    app = express();
+    app.use((req, res, next) => {
+      req.user = { id: 1 };
+      next();
+    });
+    app.use('/api/analytics', analyticsRoutes);
+  });
+
+  describe('dashboard endpoints', () => {
+    test('should summarize the dashboard range', async () => {
+      const response = await request(app)
+        .get('/api/analytics/dashboard')
+        .expect(200);
+
+      expect(response.body.data.summary).toEqual({
+        totalAlerts: 3,
+        activeAlerts: 2,
+        domainsMonitored: 2,
+        alertsTriggered: 4,
+        deliverySuccessRate: 75,
+        autoActionsExecuted: 2,
+        autoActionSpend: 1.5
+      });
+      expect(analytics.getTopDomains).toHaveBeenCalledWith(1, response.body.data.range, 5);
+    });
+
+    test('should pass the requested date range through', async () => {
+      await request(app)
+        .get('/api/analytics/alerts?from=2026-10-01&to=2026-10-18')
+        .expect(200);
+
+      expect(analytics.getAlertSeries).toHaveBeenCalledWith(1, {
+        from: '2026-10-01T00:00:00.000Z',
+        to: '2026-10-18T00:00:00.000Z'
+      });
+    });
+
+    test('should reject inverted and oversized ranges', async () => {
+      await request(app)
+        .get('/api/analytics/alerts?from=2026-10-18&to=2026-10-01')
+        .expect(400);
+
+      await request(app)
+        .get('/api/analytics/domains?from=2024-01-01&to=2026-01-01')
+        .expect(400);
+
+      expect(analytics.getAlertSeries).not.toHaveBeenCalled();
+      expect(analytics.getTopDomains).not.toHaveBeenCalled();
+    });
+
+    test('should cap the number of top domains', async () => {
+      await request(app)
+        .get('/api/analytics/domains?limit=500')
+        .expect(200);
+
+      expect(analytics.getTopDomains).toHaveBeenCalledWith(1, expect.any(Object), 50);
+    });
+  });
+
+  describe('series', () => {
+    const { database } = require('../../src/database/init.js');
+    const { getAlertSeries, getSpendSeries, summarizeAlertSeries } =
+      jest.requireActual('../../src/database/models/analytics.js');
+    const range = { from: '2026-10-16T00:00:00.000Z', to: '2026-10-18T00:00:00.000Z' };
+
+    test('should fill quiet days and count alerts by type and status', async () => {
+      database.all.mockResolvedValue([
+        { day: '2026-10-17', type: 'sale', platform: 'telegram', status: 'sent', count: 3 },
+        { day: '2026-10-17', type: 'expiry', platform: 'twitter', status: 'failed', count: 1 }
+      ]);
+
+      const series = await getAlertSeries(1, range);
+
+      expect(series.map(bucket => bucket.date)).toEqual(['2026-10-16', '2026-10-17', '2026-10-18']);
+      expect(series[0]).toMatchObject({ total: 0, successRate: 0 });
+      expect(series[1]).toMatchObject({
+        total: 4,
+        sent: 3,
+        failed: 1,
+        byType: { sale: 3, expiry: 1 },
+        byPlatform: { telegram: 3, twitter: 1 },
+        successRate: 75
+      });
+      expect(summarizeAlertSeries(series)).toMatchObject({ total: 4, sent: 3, successRate: 75 });
+    });
+
+    test('should merge auto-action spend with subscription payments and gas', async () => {
+      database.all
+        .mockResolvedValueOnce([{ day: '2026-10-17', executed: 2, failed: 1, spend: 1.5 }])
+        .mockResolvedValueOnce([
+          { day: '2026-10-17', subscriptionSpend: 0.1, gasFees: 0.01 },
+          { day: '2026-10-18', subscriptionSpend: 0, gasFees: 0.02 }
+        ]);
+
+      const series = await getSpendSeries(1, range);
+
+      expect(series).toEqual([
+        { date: '2026-10-16', executed: 0, failed: 0, spend: 0, subscriptionSpend: 0, gasFees: 0 },
+        { date: '2026-10-17', executed: 2, failed: 1, spend: 1.5, subscriptionSpend: 0.1, gasFees: 0.01 },
+        { date: '2026-10-18', executed: 0, failed: 0, spend: 0, subscriptionSpend: 0, gasFees: 0.02 }
+      ]);
+    });
+  });
+});
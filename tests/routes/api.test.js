@@ -450,60 +450,6 @@ describe('API Routes', () => {
     });
   });
 
-  describe('Subscriptions Routes', () => {
-    describe('GET /api/subscriptions', () => {
-      test('should return subscription status', async () => {
-        const mockStatement = mockDb.prepare();
-        mockStatement.get.mockReturnValue(mockUser);
-
-        const response = await request(app)
-          .get('/api/subscriptions')
-          .set('Authorization', `Bearer ${validToken}`)
-          .expect(200);
-
-        expect(response.body).toHaveProperty('success', true);
-        expect(response.body.data.subscription).toHaveProperty('tier', 'basic');
-      });
-    });
-
-    describe('POST /api/subscriptions/upgrade', () => {
-      test('should initiate subscription upgrade', async () => {
-        const mockStatement = mockDb.prepare();
-        mockStatement.get.mockReturnValue(mockUser);
-
-        const upgradeData = {
-          tier: 'premium'
-        };
-
-        const response = await request(app)
-          .post('/api/subscriptions/upgrade')
-          .set('Authorization', `Bearer ${validToken}`)
-          .send(upgradeData)
-          .expect(200);
-
-        expect(response.body).toHaveProperty('success', true);
-        expect(response.body.data).toHaveProperty('redirectUrl');
-      });
-
-      test('should validate tier parameter', async () => {
-        const mockStatement = mockDb.prepare();
-        mockStatement.get.mockReturnValue(mockUser);
-
-        const invalidData = {
-          tier: 'invalid'
-        };
-
-        const response = await request(app)
-          .post('/api/subscriptions/upgrade')
-          .set('Authorization', `Bearer ${validToken}`)
-          .send(invalidData)
-          .expect(400);
-
-        expect(response.body).toHaveProperty('success', false);
-      });
-    });
-  });
-
   describe('Error Handling', () => {
     test('should handle database errors', async () => {
       const mockStatement = mockDb.prepare();
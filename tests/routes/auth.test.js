@@ -0,0 +1,846 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { ethers } = require('ethers');
+
+const authRoutes = require('../../src/routes/auth.js').default;
+const { errorHandler } = require('../../src/middleware/errorHandler.js');
+
+// Mock dependencies
+jest.mock('ethers', () => {
+  const { ethers } = jest.requireActual('ethers');
+  return {
+    ethers: {
+      Wallet: ethers.Wallet,
+      isAddress: (address) => ethers.utils.isAddress(address),
+      getAddress: (address) => ethers.utils.getAddress(address),
+      verifyMessage: (message, signature) => ethers.utils.verifyMessage(message, signature)
+    }
+  };
+});
+
+jest.mock('../../src/utils/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+jest.mock('../../src/database/init.js', () => ({
+  database: {
+    run: jest.fn(),
+    get: jest.fn(),
+    all: jest.fn(),
+    transaction: jest.fn()
+  }
+}));
+
+jest.mock('../../src/middleware/rateLimiter.js', () => ({
+  authRateLimiter: (req, res, next) => next()
+}));
+
+jest.mock('../../src/database/models/user.js', () => ({
+  ...jest.requireActual('../../src/database/models/user.js'),
+  createUser: jest.fn(),
+  getUserById: jest.fn(),
+  getUserByEmail: jest.fn(),
+  getUserByTelegramId: jest.fn(),
+  getUserByTwitterId: jest.fn(),
+  updateUser: jest.fn(),
+  updateUserPassword: jest.fn(),
+  verifyUserPassword: jest.fn()
+}));
+
+jest.mock('../../src/database/models/referral.js', () => ({
+  getUserByReferralCode: jest.fn(),
+  generateReferralCode: () => 'AB12CD34'
+}));
+
+jest.mock('../../src/database/models/session.js', () => ({
+  createSession: jest.fn(),
+  rotateSession: jest.fn(),
+  getSessionFamilyId: jest.fn(),
+  isSessionFamilyActive: jest.fn(),
+  revokeSessionFamily: jest.fn(),
+  revokeUserSessions: jest.fn(),
+  revokeOtherSessions: jest.fn()
+}));
+
+jest.mock('../../src/database/models/linkCode.js', () => ({
+  consumeLinkCode: jest.fn()
+}));
+
+jest.mock('../../src/database/models/siwe.js', () => ({
+  createSiweNonce: jest.fn(),
+  consumeSiweNonce: jest.fn(),
+  getUserByVerifiedWallet: jest.fn(),
+  verifyUserWallet: jest.fn()
+}));
+
+jest.mock('../../src/database/models/apiKey.js', () => ({
+  API_KEY_SCOPES: ['alerts:read', 'alerts:write', 'domains:read', 'auto-actions:execute'],
+  API_KEY_PREFIX: 'dak_',
+  createApiKey: jest.fn(),
+  getApiKeys: jest.fn(),
+  getApiKeyByKey: jest.fn(),
+  touchApiKey: jest.fn(),
+  revokeApiKey: jest.fn()
+}));
+
+jest.mock('../../src/database/models/twoFactor.js', () => ({
+  startTotpEnrollment: jest.fn(),
+  enableTotp: jest.fn(),
+  disableTotp: jest.fn(),
+  matchTotpCode: jest.fn(),
+  replaceRecoveryCodes: jest.fn(),
+  countRecoveryCodes: jest.fn(),
+  verifySecondFactor: jest.fn()
+}));
+
+jest.mock('../../src/database/models/account.js', () => ({
+  exportUserData: jest.fn(),
+  scheduleAccountDeletion: jest.fn(),
+  cancelAccountDeletion: jest.fn()
+}));
+
+describe('Auth routes', () => {
+  const sessions = require('../../src/database/models/session.js');
+  let app;
+
+  const mockUser = {
+    id: 1,
+    username: 'testuser',
+    email: 'test@example.com',
+    passwordHash: '$2b$10$hashedpassword',
+    subscriptionTier: 'basic',
+    isActive: 1,
+    createdAt: '2026-10-01T00:00:00.000Z'
+  };
+
+  beforeEach(() => {
+    sessions.createSession.mockResolvedValue({
+      id: 'session-1',
+      familyId: 'family-1',
+      refreshToken: 'refresh-token-1',
+      expiresAt: '2026-11-18T00:00:00.000Z'
+    });
+    sessions.isSessionFamilyActive.mockResolvedValue(true);
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+    app.use(errorHandler);
+  });
+
+  describe('Sessions', () => {
+    const sessions = require('../../src/database/models/session.js');
+    const users = require('../../src/database/models/user.js');
+    const { generateToken } = require('../../src/middleware/auth.js');
+
+    const sessionToken = () => generateToken({ id: 1, username: 'testuser', sid: 'family-1' });
+
+    beforeEach(() => {
+      users.getUserById.mockResolvedValue({ ...mockUser });
+    });
+
+    test('should issue a refresh token at login', async () => {
+      users.getUserByEmail.mockResolvedValue({ ...mockUser });
+      users.verifyUserPassword.mockResolvedValue(true);
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' })
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty('refreshToken', 'refresh-token-1');
+      expect(jwt.decode(response.body.data.token)).toHaveProperty('sid', 'family-1');
+    });
+
+    test('should rotate the refresh token', async () => {
+      sessions.rotateSession.mockResolvedValue({
+        status: 'rotated',
+        userId: 1,
+        familyId: 'family-1',
+        refreshToken: 'refresh-token-2',
+        expiresAt: '2026-11-18T00:00:00.000Z'
+      });
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'refresh-token-1' })
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty('refreshToken', 'refresh-token-2');
+      expect(sessions.rotateSession).toHaveBeenCalledWith('refresh-token-1', expect.any(Object));
+    });
+
+    test('should reject a reused refresh token', async () => {
+      sessions.rotateSession.mockResolvedValue({ status: 'reused', userId: 1, familyId: 'family-1' });
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'refresh-token-1' })
+        .expect(401);
+
+      expect(response.body.error.message).toMatch(/already been used/);
+    });
+
+    test('should revoke the current session on logout', async () => {
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${sessionToken()}`)
+        .expect(200);
+
+      expect(sessions.revokeSessionFamily).toHaveBeenCalledWith('family-1');
+    });
+
+    test('should log out with only a refresh token', async () => {
+      sessions.getSessionFamilyId.mockResolvedValue('family-2');
+
+      await request(app)
+        .post('/api/auth/logout')
+        .send({ refreshToken: 'refresh-token-1' })
+        .expect(200);
+
+      expect(sessions.revokeSessionFamily).toHaveBeenCalledWith('family-2');
+    });
+
+    test('should log out all devices', async () => {
+      sessions.revokeUserSessions.mockResolvedValue(3);
+
+      const response = await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${sessionToken()}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty('revoked', 3);
+      expect(sessions.revokeUserSessions).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('Two-Factor Authentication', () => {
+    const twoFactor = require('../../src/database/models/twoFactor.js');
+    const users = require('../../src/database/models/user.js');
+    const { generateToken } = require('../../src/middleware/auth.js');
+
+    const sessionToken = () => generateToken({ id: 1, username: 'testuser', sid: 'family-1' });
+    const twoFactorUser = { ...mockUser, totpSecret: 'sealed', totpEnabledAt: '2026-10-01 00:00:00' };
+
+    test('should stop password login at a two-factor challenge', async () => {
+      users.getUserByEmail.mockResolvedValue(twoFactorUser);
+      users.verifyUserPassword.mockResolvedValue(true);
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' })
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty('twoFactorRequired', true);
+      expect(response.body.data).not.toHaveProperty('token');
+      expect(jwt.decode(response.body.data.challengeToken)).toHaveProperty('purpose', 'two_factor');
+    });
+
+    test('should issue a session for a valid code', async () => {
+      users.getUserById.mockResolvedValue({ ...twoFactorUser });
+      twoFactor.verifySecondFactor.mockResolvedValue('totp');
+
+      const challengeToken = generateToken({ id: 1, purpose: 'two_factor' }, '5m');
+      const response = await request(app)
+        .post('/api/auth/2fa/login')
+        .send({ challengeToken, code: '123456' })
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty('refreshToken', 'refresh-token-1');
+      expect(response.body.data.user).not.toHaveProperty('totpSecret');
+      expect(response.body.data.user).toHaveProperty('twoFactorEnabled', true);
+    });
+
+    test('should reject a wrong code', async () => {
+      users.getUserById.mockResolvedValue({ ...twoFactorUser });
+      twoFactor.verifySecondFactor.mockResolvedValue(null);
+
+      await request(app)
+        .post('/api/auth/2fa/login')
+        .send({ challengeToken: generateToken({ id: 1, purpose: 'two_factor' }, '5m'), code: '000000' })
+        .expect(401);
+    });
+
+    test('should not accept an access token as a challenge', async () => {
+      users.getUserById.mockResolvedValue({ ...twoFactorUser });
+      twoFactor.verifySecondFactor.mockResolvedValue('totp');
+
+      await request(app)
+        .post('/api/auth/2fa/login')
+        .send({ challengeToken: sessionToken(), code: '123456' })
+        .expect(401);
+    });
+
+    test('should return a provisioning URI on setup', async () => {
+      users.getUserById.mockResolvedValue({ ...mockUser });
+
+      const response = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${sessionToken()}`)
+        .expect(200);
+
+      expect(response.body.data.otpauthUrl).toMatch(/^otpauth:\/\/totp\/DomaAlert:test%40example\.com\?secret=/);
+      expect(twoFactor.startTotpEnrollment).toHaveBeenCalledWith(1, response.body.data.secret);
+    });
+
+    test('should enable two-factor and return recovery codes', async () => {
+      users.getUserById.mockResolvedValue({ ...mockUser, totpSecret: 'sealed' });
+      twoFactor.matchTotpCode.mockReturnValue(58000000);
+      twoFactor.replaceRecoveryCodes.mockResolvedValue(['ABCDE-FGHJK']);
+
+      const response = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${sessionToken()}`)
+        .send({ code: '123456' })
+        .expect(200);
+
+      expect(response.body.data.recoveryCodes).toEqual(['ABCDE-FGHJK']);
+      expect(twoFactor.enableTotp).toHaveBeenCalledWith(1, 58000000);
+    });
+
+    test('should require a code to link a wallet', async () => {
+      users.getUserById.mockResolvedValue({ ...twoFactorUser });
+
+      const response = await request(app)
+        .post('/api/auth/siwe/link')
+        .set('Authorization', `Bearer ${sessionToken()}`)
+        .send({})
+        .expect(403);
+
+      expect(response.body.error.message).toBe('Two-factor code required');
+    });
+  });
+
+  describe('API Keys', () => {
+    const apiKeys = require('../../src/database/models/apiKey.js');
+    const users = require('../../src/database/models/user.js');
+    const { generateToken, authMiddleware, allowApiKeys } = require('../../src/middleware/auth.js');
+
+    const sessionToken = () => generateToken({ id: 1, username: 'testuser', sid: 'family-1' });
+
+    const storedKey = {
+      id: 7,
+      userId: 1,
+      name: 'Portfolio script',
+      prefix: 'dak_abcdef',
+      scopes: ['alerts:read']
+    };
+
+    beforeEach(() => {
+      users.getUserById.mockResolvedValue({ ...mockUser });
+      apiKeys.touchApiKey.mockResolvedValue();
+    });
+
+    test('should create a key and return it once', async () => {
+      apiKeys.createApiKey.mockResolvedValue({ key: 'dak_secret', apiKey: storedKey });
+
+      const response = await request(app)
+        .post('/api/auth/api-keys')
+        .set('Authorization', `Bearer ${sessionToken()}`)
+        .send({ name: ' Portfolio script ', scopes: ['alerts:read'], expiresInDays: 30 })
+        .expect(201);
+
+      expect(response.body.data).toHaveProperty('key', 'dak_secret');
+      expect(apiKeys.createApiKey).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 1,
+        name: 'Portfolio script',
+        scopes: ['alerts:read'],
+        expiresAt: expect.any(String)
+      }));
+    });
+
+    test('should reject unknown scopes', async () => {
+      await request(app)
+        .post('/api/auth/api-keys')
+        .set('Authorization', `Bearer ${sessionToken()}`)
+        .send({ name: 'Script', scopes: ['admin'] })
+        .expect(400);
+
+      expect(apiKeys.createApiKey).not.toHaveBeenCalled();
+    });
+
+    test('should reject an expiry in the past', async () => {
+      await request(app)
+        .post('/api/auth/api-keys')
+        .set('Authorization', `Bearer ${sessionToken()}`)
+        .send({ name: 'Script', scopes: ['alerts:read'], expiresAt: '2020-01-01T00:00:00.000Z' })
+        .expect(400);
+    });
+
+    test('should list keys', async () => {
+      apiKeys.getApiKeys.mockResolvedValue([storedKey]);
+
+      const response = await request(app)
+        .get('/api/auth/api-keys')
+        .set('Authorization', `Bearer ${sessionToken()}`)
+        .expect(200);
+
+      expect(response.body.data.apiKeys).toHaveLength(1);
+      expect(apiKeys.getApiKeys).toHaveBeenCalledWith(1);
+    });
+
+    test('should return 404 when revoking an unknown key', async () => {
+      apiKeys.revokeApiKey.mockResolvedValue(false);
+
+      await request(app)
+        .delete('/api/auth/api-keys/99')
+        .set('Authorization', `Bearer ${sessionToken()}`)
+        .expect(404);
+
+      expect(apiKeys.revokeApiKey).toHaveBeenCalledWith(99, 1);
+    });
+
+    describe('authentication', () => {
+      let keyApp;
+
+      beforeEach(() => {
+        keyApp = express();
+        keyApp.use(express.json());
+        keyApp.use('/api/alerts', allowApiKeys({ read: 'alerts:read', write: 'alerts:write' }), authMiddleware, (req, res) => {
+          res.json({ success: true, data: { userId: req.user.id } });
+        });
+        keyApp.use('/api/auth', authRoutes);
+        keyApp.use(errorHandler);
+      });
+
+      test('should accept a key with the needed scope', async () => {
+        apiKeys.getApiKeyByKey.mockResolvedValue(storedKey);
+
+        const response = await request(keyApp)
+          .get('/api/alerts')
+          .set('X-API-Key', 'dak_secret')
+          .expect(200);
+
+        expect(response.body.data).toHaveProperty('userId', 1);
+        expect(apiKeys.touchApiKey).toHaveBeenCalledWith(7, expect.anything());
+      });
+
+      test('should accept a key sent as a Bearer token', async () => {
+        apiKeys.getApiKeyByKey.mockResolvedValue(storedKey);
+
+        await request(keyApp)
+          .get('/api/alerts')
+          .set('Authorization', 'Bearer dak_secret')
+          .expect(200);
+      });
+
+      test('should reject a key without the needed scope', async () => {
+        apiKeys.getApiKeyByKey.mockResolvedValue(storedKey);
+
+        await request(keyApp)
+          .post('/api/alerts')
+          .set('X-API-Key', 'dak_secret')
+          .send({})
+          .expect(403);
+      });
+
+      test('should reject keys on routes that do not allow them', async () => {
+        apiKeys.getApiKeyByKey.mockResolvedValue({ ...storedKey, scopes: [...apiKeys.API_KEY_SCOPES] });
+
+        await request(keyApp)
+          .get('/api/auth/api-keys')
+          .set('X-API-Key', 'dak_secret')
+          .expect(403);
+
+        expect(apiKeys.getApiKeys).not.toHaveBeenCalled();
+      });
+
+      test('should reject a revoked or expired key', async () => {
+        apiKeys.getApiKeyByKey.mockResolvedValue(null);
+
+        await request(keyApp)
+          .get('/api/alerts')
+          .set('X-API-Key', 'dak_secret')
+          .expect(401);
+      });
+    });
+  });
+
+  describe('Bot Identity Login', () => {
+    const crypto = require('crypto');
+    const users = require('../../src/database/models/user.js');
+    const { consumeLinkCode } = require('../../src/database/models/linkCode.js');
+
+    // Sign widget fields the way Telegram does
+    const signTelegramLogin = (fields) => {
+      const dataCheckString = Object.keys(fields).sort().map(key => `${key}=${fields[key]}`).join('\n');
+      const secret = crypto.createHash('sha256').update(process.env.TELEGRAM_BOT_TOKEN).digest();
+      return { ...fields, hash: crypto.createHmac('sha256', secret).update(dataCheckString).digest('hex') };
+    };
+
+    beforeEach(() => {
+      process.env.TELEGRAM_BOT_TOKEN = '123456:test-bot-token';
+      users.getUserByTelegramId.mockResolvedValue({ ...mockUser, telegramId: '42' });
+    });
+
+    test('should log in with a valid Telegram widget payload', async () => {
+      const response = await request(app)
+        .post('/api/auth/telegram')
+        .send(signTelegramLogin({ id: 42, first_name: 'Test', auth_date: Math.floor(Date.now() / 1000) }))
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty('token');
+      expect(users.getUserByTelegramId).toHaveBeenCalledWith('42');
+    });
+
+    test('should reject a tampered Telegram payload', async () => {
+      const payload = signTelegramLogin({ id: 42, first_name: 'Test', auth_date: Math.floor(Date.now() / 1000) });
+
+      await request(app)
+        .post('/api/auth/telegram')
+        .send({ ...payload, id: 43 })
+        .expect(401);
+    });
+
+    test('should reject a stale Telegram payload', async () => {
+      await request(app)
+        .post('/api/auth/telegram')
+        .send(signTelegramLogin({ id: 42, auth_date: Math.floor(Date.now() / 1000) - 2 * 86400 }))
+        .expect(401);
+    });
+
+    test('should log in with a bot link code', async () => {
+      consumeLinkCode.mockResolvedValue({ platform: 'telegram', platformUserId: '42' });
+
+      const response = await request(app)
+        .post('/api/auth/link-code')
+        .send({ code: 'k7pq2xza' })
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty('token');
+      expect(consumeLinkCode).toHaveBeenCalledWith('k7pq2xza');
+    });
+
+    test('should reject unknown link codes', async () => {
+      consumeLinkCode.mockResolvedValue(null);
+
+      await request(app)
+        .post('/api/auth/link-code')
+        .send({ code: 'NOPE2345' })
+        .expect(401);
+    });
+
+    test('should no longer log in by bare Telegram ID', async () => {
+      await request(app)
+        .post('/api/auth/login')
+        .send({ telegramId: '42' })
+        .expect(400);
+
+      expect(users.getUserByTelegramId).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Sign-In With Ethereum', () => {
+    const siwe = require('../../src/database/models/siwe.js');
+    const { buildSiweMessage } = require('../../src/utils/siwe.js');
+    const wallet = ethers.Wallet.createRandom();
+
+    const signIn = async (overrides = {}) => {
+      const message = buildSiweMessage({
+        domain: 'localhost:3001',
+        address: wallet.address,
+        uri: 'http://localhost:3001',
+        chainId: 1,
+        nonce: 'a1b2c3d4e5f6a7b8',
+        ...overrides
+      });
+
+      return { message, signature: await wallet.signMessage(message) };
+    };
+
+    beforeEach(() => {
+      process.env.FRONTEND_URL = 'http://localhost:3001';
+      siwe.createSiweNonce.mockResolvedValue({ nonce: 'a1b2c3d4e5f6a7b8', expiresAt: '2026-10-19T05:10:00.000Z' });
+      siwe.consumeSiweNonce.mockResolvedValue(true);
+      siwe.getUserByVerifiedWallet.mockResolvedValue({ ...mockUser, walletAddress: wallet.address });
+    });
+
+    test('should issue a nonce and the message to sign', async () => {
+      const response = await request(app)
+        .post('/api/auth/siwe/nonce')
+        .send({ address: wallet.address.toLowerCase() })
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty('nonce', 'a1b2c3d4e5f6a7b8');
+      expect(response.body.data.message).toContain(`localhost:3001 wants you to sign in with your Ethereum account:\n${wallet.address}`);
+    });
+
+    test('should log in the owner of a verified wallet', async () => {
+      const response = await request(app)
+        .post('/api/auth/siwe/verify')
+        .send(await signIn())
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty('token');
+      expect(siwe.consumeSiweNonce).toHaveBeenCalledWith('a1b2c3d4e5f6a7b8');
+    });
+
+    test('should reject a signature from another wallet', async () => {
+      const { message } = await signIn();
+      const signature = await ethers.Wallet.createRandom().signMessage(message);
+
+      await request(app)
+        .post('/api/auth/siwe/verify')
+        .send({ message, signature })
+        .expect(401);
+
+      expect(siwe.consumeSiweNonce).not.toHaveBeenCalled();
+    });
+
+    test('should reject messages for another domain', async () => {
+      await request(app)
+        .post('/api/auth/siwe/verify')
+        .send(await signIn({ domain: 'evil.example' }))
+        .expect(401);
+    });
+
+    test('should reject a reused nonce', async () => {
+      siwe.consumeSiweNonce.mockResolvedValue(false);
+
+      const response = await request(app)
+        .post('/api/auth/siwe/verify')
+        .send(await signIn())
+        .expect(401);
+
+      expect(response.body.error).toHaveProperty('message', 'Invalid or expired nonce');
+    });
+
+    describe('nonces', () => {
+      const { database } = require('../../src/database/init.js');
+      const { createSiweNonce, consumeSiweNonce } = jest.requireActual('../../src/database/models/siwe.js');
+
+      test('should clear out stale nonces before issuing one', async () => {
+        database.run.mockResolvedValue({ changes: 1 });
+
+        const { nonce, expiresAt } = await createSiweNonce(10);
+
+        expect(nonce).toMatch(/^[0-9a-f]{32}$/);
+        expect(database.run.mock.calls[0][0]).toMatch(/^DELETE FROM siwe_nonces WHERE datetime\(expiresAt\)/);
+        expect(database.run).toHaveBeenLastCalledWith(expect.stringContaining('INSERT INTO siwe_nonces'), [nonce, expiresAt]);
+      });
+
+      test('should only use up a nonce once', async () => {
+        database.run.mockResolvedValueOnce({ changes: 1 }).mockResolvedValueOnce({ changes: 0 });
+
+        await expect(consumeSiweNonce('a1b2c3d4e5f6a7b8')).resolves.toBe(true);
+        await expect(consumeSiweNonce('a1b2c3d4e5f6a7b8')).resolves.toBe(false);
+        expect(database.run.mock.calls[0][0]).toContain('usedAt IS NULL');
+      });
+    });
+  });
+
+  describe('Profile and Account', () => {
+    const users = require('../../src/database/models/user.js');
+    const sessions = require('../../src/database/models/session.js');
+    const account = require('../../src/database/models/account.js');
+    const twoFactor = require('../../src/database/models/twoFactor.js');
+    const { generateToken } = require('../../src/middleware/auth.js');
+
+    const sessionToken = () => generateToken({ id: 1, username: 'testuser', sid: 'family-1' });
+    const profileUser = { ...mockUser, monthlySpendLimit: 200, preferences: { theme: 'dark' } };
+
+    beforeEach(() => {
+      users.getUserById.mockResolvedValue({ ...profileUser });
+    });
+
+    test('should update the profile and merge preferences', async () => {
+      users.updateUser.mockResolvedValue({ ...profileUser, username: 'renamed' });
+
+      const response = await request(app)
+        .patch('/api/auth/profile')
+        .set('Authorization', `Bearer ${sessionToken()}`)
+        .send({ username: 'renamed', preferences: { notifications: false } })
+        .expect(200);
+
+      expect(users.updateUser).toHaveBeenCalledWith(1, {
+        username: 'renamed',
+        preferences: { theme: 'dark', notifications: false }
+      });
+      expect(response.body.data.user).not.toHaveProperty('passwordHash');
+    });
+
+    test('should require the current password to change the email', async () => {
+      users.verifyUserPassword.mockResolvedValue(false);
+
+      const response = await request(app)
+        .patch('/api/auth/profile')
+        .set('Authorization', `Bearer ${sessionToken()}`)
+        .send({ email: 'new@example.com', currentPassword: 'wrong' })
+        .expect(403);
+
+      expect(response.body.error.message).toBe('Current password is incorrect');
+      expect(users.updateUser).not.toHaveBeenCalled();
+    });
+
+    test('should reject an email used by another account', async () => {
+      users.verifyUserPassword.mockResolvedValue(true);
+      users.getUserByEmail.mockResolvedValue({ id: 2 });
+
+      await request(app)
+        .patch('/api/auth/profile')
+        .set('Authorization', `Bearer ${sessionToken()}`)
+        .send({ email: 'taken@example.com', currentPassword: 'password123' })
+        .expect(409);
+    });
+
+    test('should sign out other sessions after a password change', async () => {
+      users.verifyUserPassword.mockResolvedValue(true);
+      sessions.revokeOtherSessions.mockResolvedValue(2);
+
+      const response = await request(app)
+        .patch('/api/auth/profile')
+        .set('Authorization', `Bearer ${sessionToken()}`)
+        .send({ currentPassword: 'password123', newPassword: 'newpassword123' })
+        .expect(200);
+
+      expect(users.updateUserPassword).toHaveBeenCalledWith(1, 'newpassword123');
+      expect(sessions.revokeOtherSessions).toHaveBeenCalledWith(1, 'family-1');
+      expect(response.body.data).toHaveProperty('revokedSessions', 2);
+    });
+
+    test('should not link wallets through the profile', async () => {
+      await request(app)
+        .patch('/api/auth/profile')
+        .set('Authorization', `Bearer ${sessionToken()}`)
+        .send({ walletAddress: '0x0000000000000000000000000000000000000001' })
+        .expect(400);
+    });
+
+    test('should require a two-factor code to raise the spend limit', async () => {
+      users.getUserById.mockResolvedValue({ ...profileUser, totpSecret: 'sealed', totpEnabledAt: '2026-10-01 00:00:00' });
+
+      await request(app)
+        .patch('/api/auth/profile')
+        .set('Authorization', `Bearer ${sessionToken()}`)
+        .send({ monthlySpendLimit: 5000 })
+        .expect(403);
+
+      expect(twoFactor.verifySecondFactor).not.toHaveBeenCalled();
+      expect(users.updateUser).not.toHaveBeenCalled();
+    });
+
+    test('should export data as a JSON attachment', async () => {
+      account.exportUserData.mockResolvedValue({
+        exportedAt: '2026-10-19T00:00:00.000Z',
+        profile: { id: 1 },
+        alerts: []
+      });
+
+      const response = await request(app)
+        .get('/api/auth/account/export')
+        .set('Authorization', `Bearer ${sessionToken()}`)
+        .expect(200);
+
+      expect(response.headers['content-disposition']).toBe('attachment; filename="domaalert-export-1-2026-10-19.json"');
+      expect(JSON.parse(response.text)).toHaveProperty('profile.id', 1);
+    });
+
+    test('should schedule deletion after checking the password', async () => {
+      users.verifyUserPassword.mockResolvedValue(true);
+      account.scheduleAccountDeletion.mockResolvedValue({ scheduledFor: '2026-11-02T00:00:00.000Z', coolingOffDays: 14 });
+
+      const response = await request(app)
+        .post('/api/auth/account/deletion')
+        .set('Authorization', `Bearer ${sessionToken()}`)
+        .send({ currentPassword: 'password123' })
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty('scheduledFor', '2026-11-02T00:00:00.000Z');
+      expect(account.scheduleAccountDeletion).toHaveBeenCalledWith(1);
+    });
+
+    test('should not schedule deletion twice', async () => {
+      users.getUserById.mockResolvedValue({ ...profileUser, deletionScheduledFor: '2026-11-02T00:00:00.000Z' });
+
+      await request(app)
+        .post('/api/auth/account/deletion')
+        .set('Authorization', `Bearer ${sessionToken()}`)
+        .send({ currentPassword: 'password123' })
+        .expect(409);
+    });
+
+    test('should report when no deletion is scheduled', async () => {
+      account.cancelAccountDeletion.mockResolvedValue(false);
+
+      await request(app)
+        .delete('/api/auth/account/deletion')
+        .set('Authorization', `Bearer ${sessionToken()}`)
+        .expect(404);
+    });
+
+    describe('erasure', () => {
+      const { database } = require('../../src/database/init.js');
+      const { deleteUser } = users;
+      const { exportUserData, deleteDueAccounts } = jest.requireActual('../../src/database/models/account.js');
+      const statements = () => database.run.mock.calls.map(([sql]) => sql.replace(/\s+/g, ' ').trim());
+
+      beforeEach(() => {
+        database.transaction.mockImplementation(async (callback) => callback());
+        database.run.mockResolvedValue({ changes: 1 });
+      });
+
+      test('should scrub the profile and delete everything owned by the user', async () => {
+        await expect(deleteUser(1)).resolves.toBe(true);
+
+        expect(database.transaction).toHaveBeenCalledTimes(1);
+        const [scrub, ...rest] = statements();
+        expect(scrub).toMatch(/^UPDATE users SET isActive = 0, username = 'Deleted user', email = NULL, passwordHash = NULL/);
+        expect(scrub).toContain('totpSecret = NULL');
+        expect(scrub).toContain('deletedAt = CURRENT_TIMESTAMP');
+        expect(rest).toEqual([
+          'DELETE FROM alert_logs WHERE userId = ?',
+          'DELETE FROM alerts WHERE userId = ?',
+          'DELETE FROM domain_monitoring WHERE userId = ?',
+          'DELETE FROM auto_action_logs WHERE userId = ?',
+          'DELETE FROM auto_actions WHERE userId = ?',
+          'DELETE FROM bot_interactions WHERE userId = ?',
+          'DELETE FROM sessions WHERE userId = ?',
+          'DELETE FROM api_keys WHERE userId = ?',
+          'DELETE FROM recovery_codes WHERE userId = ?',
+          'UPDATE subscriptions SET autoRenew = 0 WHERE userId = ?'
+        ]);
+        expect(database.run.mock.calls.every(([, params]) => params[0] === 1)).toBe(true);
+      });
+
+      test('should fail without finishing the erasure when a statement fails', async () => {
+        database.run.mockImplementation(async (sql) => {
+          if (sql.includes('DELETE FROM sessions')) throw new Error('SQLITE_BUSY');
+          return { changes: 1 };
+        });
+
+        await expect(deleteUser(1)).rejects.toThrow('SQLITE_BUSY');
+        expect(statements().some(sql => sql.startsWith('UPDATE subscriptions'))).toBe(false);
+      });
+
+      test('should only erase accounts whose cooling-off period has ended', async () => {
+        database.all.mockResolvedValue([{ id: 4 }, { id: 9 }]);
+
+        await expect(deleteDueAccounts()).resolves.toBe(2);
+
+        const [sql, params] = database.all.mock.calls[0];
+        expect(sql).toContain('deletionScheduledFor <= ? AND deletedAt IS NULL');
+        expect(params).toEqual([expect.any(String)]);
+        expect(database.transaction).toHaveBeenCalledTimes(2);
+        expect(database.run).toHaveBeenCalledWith(expect.stringContaining('UPDATE users SET'), [4]);
+        expect(database.run).toHaveBeenCalledWith(expect.stringContaining('UPDATE users SET'), [9]);
+      });
+
+      test('should export stored data without secrets', async () => {
+        database.get.mockResolvedValue({ id: 1, username: 'testuser', preferences: '{"theme":"dark"}' });
+        database.all.mockResolvedValue([]);
+
+        const data = await exportUserData(1);
+
+        expect(data.profile).toEqual({ id: 1, username: 'testuser', preferences: { theme: 'dark' } });
+        const [profileSql] = database.get.mock.calls[0];
+        expect(profileSql).not.toMatch(/passwordHash|totpSecret|\*/);
+      });
+    });
+  });
+});
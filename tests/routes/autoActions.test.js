@@ -0,0 +1,224 @@
+const request = require('supertest');
+const express = require('express');
+
+const autoActionsRoutes = require('../../src/routes/autoActions.js').default;
+const { errorHandler } = require('../../src/middleware/errorHandler.js');
+
+// Mock dependencies
+jest.mock('../../src/utils/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+jest.mock('../../src/database/init.js', () => ({
+  database: {
+    run: jest.fn(),
+    get: jest.fn(),
+    all: jest.fn(),
+    transaction: jest.fn()
+  }
+}));
+
+jest.mock('../../src/database/models/twoFactor.js', () => ({
+  verifySecondFactor: jest.fn()
+}));
+
+describe('Auto-action routes', () => {
+  const { verifySecondFactor } = require('../../src/database/models/twoFactor.js');
+  let app;
+  let service;
+  let user;
+
+  const renewAction = {
+    id: 7,
+    userId: 1,
+    type: 'renew',
+    conditions: { targetDomains: ['premium.ape'], daysBeforeExpiry: 7 },
+    maxAmount: 0.5,
+    isActive: 1
+  };
+
+  beforeEach(() => {
+    user = { id: 1, subscriptionTier: 'premium', totpEnabledAt: '2025-01-01T00:00:00.000Z' };
+    service = {
+      getUserAutoActions: jest.fn().mockResolvedValue([renewAction]),
+      getAutoAction: jest.fn().mockResolvedValue(renewAction),
+      createAutoAction: jest.fn().mockResolvedValue(7),
+      updateAutoAction: jest.fn().mockResolvedValue(),
+      deleteAutoAction: jest.fn().mockResolvedValue(),
+      getAutoActionLogs: jest.fn().mockResolvedValue({ logs: [{ id: 1, status: 'success' }], total: 3 })
+    };
+    verifySecondFactor.mockImplementation(async (_user, code) => code === '123456');
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+    app.locals.services = { autoActionsService: service };
+    app.use('/api/auto-actions', autoActionsRoutes);
+    app.use(errorHandler);
+  });
+
+  test('should list the user\'s auto-actions', async () => {
+    const response = await request(app)
+      .get('/api/auto-actions')
+      .expect(200);
+
+    expect(response.body.data.actions).toEqual([renewAction]);
+    expect(service.getUserAutoActions).toHaveBeenCalledWith(1);
+  });
+
+  test('should create an auto-action with valid conditions', async () => {
+    const response = await request(app)
+      .post('/api/auto-actions')
+      .send({ type: 'renew', conditions: { targetDomains: ['Premium.ape'] }, maxAmount: 0.5 })
+      .expect(201);
+
+    expect(response.body.data.action).toEqual(renewAction);
+    expect(service.createAutoAction).toHaveBeenCalledWith(1, {
+      type: 'renew',
+      conditions: { targetDomains: ['premium.ape'] },
+      maxAmount: 0.5
+    });
+  });
+
+  test('should reject renew actions without target domains', async () => {
+    const response = await request(app)
+      .post('/api/auto-actions')
+      .send({ type: 'renew', conditions: { daysBeforeExpiry: 7 }, maxAmount: 0.5 })
+      .expect(400);
+
+    expect(response.body.error).toHaveProperty('message', 'Validation failed');
+    expect(service.createAutoAction).not.toHaveBeenCalled();
+  });
+
+  test('should validate updated conditions against the existing type', async () => {
+    await request(app)
+      .put('/api/auto-actions/7')
+      .send({ conditions: { maxPrice: 'cheap' } })
+      .expect(400);
+
+    expect(service.updateAutoAction).not.toHaveBeenCalled();
+  });
+
+  test('should return 404 for actions owned by another user', async () => {
+    service.getAutoAction.mockResolvedValue(undefined);
+
+    await request(app)
+      .delete('/api/auto-actions/99')
+      .expect(404);
+
+    expect(service.deleteAutoAction).not.toHaveBeenCalled();
+  });
+
+  test('should page through execution logs', async () => {
+    const response = await request(app)
+      .get('/api/auto-actions/7/logs?page=2&limit=1&status=success')
+      .expect(200);
+
+    expect(service.getAutoActionLogs).toHaveBeenCalledWith(7, 1, {
+      limit: 1,
+      offset: 1,
+      status: 'success'
+    });
+    expect(response.body.pagination).toEqual({ page: 2, limit: 1, total: 3, hasMore: true });
+  });
+
+  describe('POST /api/auto-actions', () => {
+    const buyAction = { type: 'buy', conditions: { targetDomains: ['premium.ape'] }, maxAmount: 1 };
+
+    test('should require a code to create a buy action', async () => {
+      await request(app)
+        .post('/api/auto-actions')
+        .send(buyAction)
+        .expect(403);
+
+      expect(service.createAutoAction).not.toHaveBeenCalled();
+    });
+
+    test('should create a buy action with a valid code', async () => {
+      await request(app)
+        .post('/api/auto-actions')
+        .set('X-2FA-Code', '123456')
+        .send(buyAction)
+        .expect(201);
+
+      expect(verifySecondFactor).toHaveBeenCalledWith(expect.objectContaining({ id: 1 }), '123456');
+    });
+
+    test('should not ask for a code for renewals', async () => {
+      await request(app)
+        .post('/api/auto-actions')
+        .send({ ...buyAction, type: 'renew' })
+        .expect(201);
+
+      expect(verifySecondFactor).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /api/auto-actions/:id', () => {
+    test('should require a two-factor code to change a buy action', async () => {
+      service.getAutoAction.mockResolvedValue({ id: 5, type: 'buy' });
+
+      const response = await request(app)
+        .put('/api/auto-actions/5')
+        .send({ type: 'renew', maxAmount: 500 })
+        .expect(403);
+
+      expect(response.body.error.message).toBe('Two-factor code required');
+      expect(service.getAutoAction).toHaveBeenCalledWith(5, 1);
+      expect(service.updateAutoAction).not.toHaveBeenCalled();
+    });
+
+    test('should reject a wrong two-factor code', async () => {
+      service.getAutoAction.mockResolvedValue({ id: 5, type: 'bid' });
+
+      await request(app)
+        .put('/api/auto-actions/5')
+        .set('X-2FA-Code', '000000')
+        .send({ maxAmount: 500 })
+        .expect(403);
+
+      expect(service.updateAutoAction).not.toHaveBeenCalled();
+    });
+
+    test('should update a buy action with a valid two-factor code', async () => {
+      service.getAutoAction.mockResolvedValue({ id: 5, type: 'buy' });
+
+      await request(app)
+        .put('/api/auto-actions/5')
+        .set('X-2FA-Code', '123456')
+        .send({ maxAmount: 500 })
+        .expect(200);
+
+      expect(service.updateAutoAction).toHaveBeenCalledWith(5, 1, { maxAmount: 500 });
+    });
+
+    test('should not ask for a code to change a renewal action', async () => {
+      service.getAutoAction.mockResolvedValue({ id: 6, type: 'renew' });
+
+      await request(app)
+        .put('/api/auto-actions/6')
+        .send({ isActive: false })
+        .expect(200);
+
+      expect(verifySecondFactor).not.toHaveBeenCalled();
+    });
+
+    test('should not ask for a code when two-factor is off', async () => {
+      user.totpEnabledAt = null;
+      service.getAutoAction.mockResolvedValue({ id: 5, type: 'buy' });
+
+      await request(app)
+        .put('/api/auto-actions/5')
+        .send({ maxAmount: 500 })
+        .expect(200);
+    });
+  });
+});
@@ -0,0 +1,352 @@
+const request = require('supertest');
+const express = require('express');
+
+const domainsRoutes = require('../../src/routes/domains.js').default;
+
+// Mock dependencies
+jest.mock('../../src/utils/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+jest.mock('../../src/database/init.js', () => ({
+  database: {
+    run: jest.fn(),
+    get: jest.fn(),
+    all: jest.fn(),
+    transaction: jest.fn()
+  }
+}));
+
+jest.mock('../../src/config/chains.js', () => ({
+  getDefaultChain: () => 'doma-testnet',
+  getEnabledChains: () => [{ key: 'doma-testnet' }],
+  isKnownChain: (chain) => chain === 'doma-testnet'
+}));
+
+jest.mock('../../src/database/models/domainEvent.js', () => ({
+  ...jest.requireActual('../../src/database/models/domainEvent.js'),
+  getDomainHistory: jest.fn()
+}));
+
+jest.mock('../../src/database/models/domainCache.js', () => ({
+  ...jest.requireActual('../../src/database/models/domainCache.js'),
+  searchDomains: jest.fn()
+}));
+
+describe('Domain routes', () => {
+  const { database } = require('../../src/database/init.js');
+  const { searchDomains } = require('../../src/database/models/domainCache.js');
+  let app;
+  let domainService;
+
+  const domainInfo = {
+    domain: 'premium.ape',
+    chain: 'doma-testnet',
+    owner: '0x1234567890abcdef1234567890abcdef12345678',
+    expiryTime: 1900000000,
+    isForSale: false,
+    price: null
+  };
+
+  const search = (query) => request(app).get(`/api/domains/search?${query}`);
+
+  beforeEach(() => {
+    searchDomains.mockResolvedValue({ total: 1, truncated: false, results: [{ domain: 'web3.ape' }] });
+    domainService = {
+      validateDomainName: jest.fn().mockReturnValue({ valid: true }),
+      getCachedDomainInfo: jest.fn().mockResolvedValue({
+        domainInfo,
+        cache: { hit: true, stale: false, refreshed: [] }
+      })
+    };
+
+    app = express();
+    app.locals.services = { domainServices: new Map([['doma-testnet', domainService]]) };
+    app.use('/api/domains', domainsRoutes);
+  });
+
+  describe('GET /api/domains/info/:domain', () => {
+    test('should return cached domain information', async () => {
+      const response = await request(app)
+        .get('/api/domains/info/premium.ape')
+        .expect(200);
+
+      expect(response.body.data.domainInfo).toEqual(domainInfo);
+      expect(domainService.getCachedDomainInfo).toHaveBeenCalledWith('premium.ape', { refresh: false });
+    });
+
+    test('should bypass the cache with refresh=true', async () => {
+      await request(app)
+        .get('/api/domains/info/premium.ape?refresh=true')
+        .expect(200);
+
+      expect(domainService.getCachedDomainInfo).toHaveBeenCalledWith('premium.ape', { refresh: true });
+    });
+
+    test('should reject invalid domain names', async () => {
+      domainService.validateDomainName.mockReturnValue({ valid: false, error: 'Invalid domain name' });
+
+      const response = await request(app)
+        .get('/api/domains/info/-bad-.ape')
+        .expect(400);
+
+      expect(response.body.error).toHaveProperty('message', 'Invalid domain name');
+      expect(domainService.getCachedDomainInfo).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for unknown domains', async () => {
+      domainService.getCachedDomainInfo.mockRejectedValue(
+        Object.assign(new Error('Domain missing.ape not found'), { statusCode: 404 })
+      );
+
+      const response = await request(app)
+        .get('/api/domains/info/missing.ape')
+        .expect(404);
+
+      expect(response.body.error).toHaveProperty('message', 'Domain missing.ape not found');
+    });
+
+    test('should return 503 when the chain is unreachable', async () => {
+      domainService.getCachedDomainInfo.mockRejectedValue(
+        Object.assign(new Error('Chain doma-testnet is unreachable'), { statusCode: 503 })
+      );
+
+      await request(app)
+        .get('/api/domains/info/premium.ape')
+        .expect(503);
+    });
+
+    test('should reject unknown chains', async () => {
+      await request(app)
+        .get('/api/domains/info/premium.ape?chain=solana')
+        .expect(400);
+
+      expect(domainService.getCachedDomainInfo).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/domains/search', () => {
+    test('should search with the selected mode and filters', async () => {
+      const response = await search('query=*.ape&type=wildcard&forSale=true&maxPrice=50&sort=price&order=desc')
+        .expect(200);
+
+      expect(searchDomains).toHaveBeenCalledWith('doma-testnet', {
+        query: '*.ape',
+        mode: 'wildcard',
+        tld: undefined,
+        forSale: true,
+        maxPrice: 50,
+        sort: 'price',
+        order: 'desc',
+        limit: 20,
+        offset: 0
+      });
+      expect(response.body.data.totalFound).toBe(1);
+      expect(response.body.pagination.hasMore).toBe(false);
+    });
+
+    test('should reject unknown search types', async () => {
+      await search('query=web3&type=fuzzy').expect(400);
+    });
+
+    test('should reject invalid regexes', async () => {
+      const response = await search('query=web3(&type=regex').expect(400);
+
+      expect(response.body.error.message).toMatch(/^Invalid regex/);
+    });
+
+    test('should reject negative numeric filters', async () => {
+      await search('query=web3&minPrice=-1').expect(400);
+    });
+
+    test('should page through results', async () => {
+      const response = await search('query=web3&page=3&limit=10').expect(200);
+
+      expect(searchDomains).toHaveBeenCalledWith('doma-testnet', expect.objectContaining({
+        query: 'web3', mode: 'substring', limit: 10, offset: 20
+      }));
+      expect(response.body.data.truncated).toBe(false);
+    });
+
+    test('should reject invalid pages', async () => {
+      for (const page of ['abc', '0', '-1', '1.5']) {
+        const response = await search(`query=web3&page=${page}`).expect(400);
+        expect(response.body.error.message).toBe('Invalid page');
+      }
+
+      expect(searchDomains).not.toHaveBeenCalled();
+    });
+
+    test('should reject repeated query and tld parameters', async () => {
+      await search('query=web3&query=ape').expect(400);
+      await search('query=web3&tld=ape&tld=com').expect(400);
+
+      expect(searchDomains).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      ['(a+)+$', 'Repeated groups are not supported'],
+      ['(a|aa){2,30}', 'Repeated groups are not supported'],
+      ['(.)\\1', 'Backreferences are not supported'],
+      ['a*b*c*', 'Use at most 2 unbounded quantifiers']
+    ])('should reject the slow regex %s', async (pattern, reason) => {
+      const response = await search(`type=regex&query=${encodeURIComponent(pattern)}`).expect(400);
+
+      expect(response.body.error.message).toBe(`Invalid regex: ${reason}`);
+      expect(searchDomains).not.toHaveBeenCalled();
+    });
+
+    test('should accept ordinary regexes', async () => {
+      await search(`type=regex&query=${encodeURIComponent('^[a-z]{3}\\.(ape|com)?$')}`).expect(200);
+      await search(`type=regex&query=${encodeURIComponent('^web[(+]+.*')}`).expect(200);
+
+      expect(searchDomains).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('GET /api/domains/trending', () => {
+    let trendingService;
+
+    beforeEach(() => {
+      trendingService = {
+        getTrending: jest.fn().mockResolvedValue({
+          computedAt: '2025-01-01T00:00:00.000Z',
+          trending: [{ position: 1, domain: 'hot.ape', volume: 120, sales: 4, score: 1 }]
+        })
+      };
+      app.locals.services.trendingService = trendingService;
+    });
+
+    test('should return the materialised ranking', async () => {
+      const response = await request(app)
+        .get('/api/domains/trending?timeframe=7d&limit=5')
+        .expect(200);
+
+      expect(trendingService.getTrending).toHaveBeenCalledWith('doma-testnet', '7d', 5);
+      expect(response.body.data.trending[0]).toHaveProperty('domain', 'hot.ape');
+      expect(response.body.data).toHaveProperty('computedAt', '2025-01-01T00:00:00.000Z');
+    });
+
+    test('should reject unsupported timeframes', async () => {
+      await request(app)
+        .get('/api/domains/trending?timeframe=90d')
+        .expect(400);
+
+      expect(trendingService.getTrending).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/domains/history/:domain', () => {
+    const { getDomainHistory } = require('../../src/database/models/domainEvent.js');
+
+    test('should page through indexed events', async () => {
+      getDomainHistory.mockResolvedValue({
+        events: [{ eventType: 'sale', blockNumber: 100, logIndex: 0 }],
+        nextCursor: 'next'
+      });
+
+      const response = await request(app)
+        .get('/api/domains/history/premium.ape?type=sale,transfer&from=2025-01-01&limit=1')
+        .expect(200);
+
+      expect(getDomainHistory).toHaveBeenCalledWith('premium.ape', {
+        chain: 'doma-testnet',
+        types: ['sale', 'transfer'],
+        from: '2025-01-01T00:00:00.000Z',
+        cursor: undefined,
+        limit: 1
+      });
+      expect(response.body.pagination).toEqual({ limit: 1, nextCursor: 'next', hasMore: true });
+    });
+
+    test('should reject unknown event types', async () => {
+      const response = await request(app)
+        .get('/api/domains/history/premium.ape?type=mint')
+        .expect(400);
+
+      expect(response.body.error).toHaveProperty('message', 'Invalid event type: mint');
+    });
+
+    test('should reject malformed cursors', async () => {
+      await request(app)
+        .get('/api/domains/history/premium.ape?cursor=bad')
+        .expect(400);
+
+      expect(getDomainHistory).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getDomainHistory()', () => {
+    const { getDomainHistory: getHistory, encodeCursor } = jest.requireActual('../../src/database/models/domainEvent.js');
+    const event = (blockNumber) => ({ eventType: 'sale', blockNumber, logIndex: 0, data: '{"price":"10.0"}' });
+
+    test('should return a cursor to the next page', async () => {
+      database.all.mockResolvedValue([event(103), event(102), event(101)]);
+
+      const { events, nextCursor } = await getHistory('Premium.ape', { chain: 'doma-testnet', limit: 2 });
+
+      expect(events).toHaveLength(2);
+      expect(events[0].data).toEqual({ price: '10.0' });
+      expect(nextCursor).toBe(encodeCursor(event(102)));
+      expect(database.all.mock.calls[0][1]).toEqual(['premium.ape', 'doma-testnet', 3]);
+    });
+
+    test('should resume after the cursor position', async () => {
+      database.all.mockResolvedValue([event(101)]);
+
+      const { nextCursor } = await getHistory('premium.ape', { cursor: encodeCursor(event(102)), limit: 2 });
+
+      const [sql, params] = database.all.mock.calls[0];
+      expect(sql).toContain('(blockNumber, logIndex) < (?, ?)');
+      expect(params).toEqual(['premium.ape', 102, 0, 3]);
+      expect(nextCursor).toBeNull();
+    });
+  });
+
+  describe('searchDomains()', () => {
+    const { searchDomains: searchIndex } = jest.requireActual('../../src/database/models/domainCache.js');
+    const row = (domain) => ({ domain, nameLength: domain.indexOf('.'), isForSale: 0, currentPrice: null });
+
+    test('should count and page in the database', async () => {
+      database.get.mockResolvedValue({ total: 42 });
+      database.all.mockResolvedValue([row('web3.ape')]);
+
+      const { total, results } = await searchIndex('doma-testnet', {
+        query: '50%_off', mode: 'prefix', limit: 10, offset: 20
+      });
+
+      expect(total).toBe(42);
+      expect(results).toHaveLength(1);
+
+      const [countSql, countParams] = database.get.mock.calls[0];
+      expect(countSql).toContain('SELECT COUNT(*) AS total');
+      expect(countParams).toEqual(['doma-testnet', 'doma-testnet', 'doma-testnet', '50\\%\\_off%']);
+
+      const [pageSql, pageParams] = database.all.mock.calls[0];
+      expect(pageSql).toContain('LIMIT ? OFFSET ?');
+      expect(pageParams.slice(-2)).toEqual([10, 20]);
+    });
+
+    test('should test a regex against a bounded candidate set', async () => {
+      const candidates = Array.from({ length: 5001 }, (_, i) => row(`name${i}.ape`));
+      database.all.mockResolvedValue(candidates);
+
+      const { total, truncated, results } = await searchIndex('doma-testnet', {
+        query: '^name1\\d\\.', mode: 'regex', limit: 5, offset: 0
+      });
+
+      expect(database.all.mock.calls[0][1].slice(-1)).toEqual([5001]);
+      expect(database.get).not.toHaveBeenCalled();
+      expect(truncated).toBe(true);
+      expect(total).toBe(10);
+      expect(results.map(result => result.domain)).toEqual([
+        'name10.ape', 'name11.ape', 'name12.ape', 'name13.ape', 'name14.ape'
+      ]);
+    });
+  });
+});
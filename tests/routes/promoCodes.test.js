@@ -0,0 +1,101 @@
+const request = require('supertest');
+const express = require('express');
+
+const promoCodesRoutes = require('../../src/routes/promoCodes.js').default;
+
+// Mock dependencies
+jest.mock('../../src/utils/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+jest.mock('../../src/database/init.js', () => ({
+  database: {
+    run: jest.fn(),
+    get: jest.fn(),
+    all: jest.fn(),
+    transaction: jest.fn()
+  }
+}));
+
+jest.mock('../../src/database/models/promoCode.js', () => ({
+  createPromoCode: jest.fn(),
+  getPromoCodeByCode: jest.fn(),
+  getPromoCodes: jest.fn(),
+  deactivatePromoCode: jest.fn()
+}));
+
+describe('Promo code routes', () => {
+  const promoCodes = require('../../src/database/models/promoCode.js');
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: 1, role: 'admin' };
+      next();
+    });
+    app.use('/api/promo-codes', promoCodesRoutes);
+  });
+
+  test('should list promo codes a page at a time', async () => {
+    promoCodes.getPromoCodes.mockResolvedValue({ promoCodes: [{ id: 1, code: 'LAUNCH10' }], total: 3 });
+
+    const response = await request(app)
+      .get('/api/promo-codes?page=2&limit=1&isActive=true')
+      .expect(200);
+
+    expect(promoCodes.getPromoCodes).toHaveBeenCalledWith({ limit: 1, offset: 1, isActive: true });
+    expect(response.body.pagination).toEqual({ page: 2, limit: 1, total: 3, hasMore: true });
+  });
+
+  test('should create a promo code', async () => {
+    promoCodes.getPromoCodeByCode.mockResolvedValue(null);
+    promoCodes.createPromoCode.mockResolvedValue({ id: 1, code: 'LAUNCH10' });
+
+    const response = await request(app)
+      .post('/api/promo-codes')
+      .send({ code: 'launch10', discountType: 'percent', discountValue: 10, tiers: ['premium'] })
+      .expect(201);
+
+    expect(response.body.data.promoCode).toHaveProperty('code', 'LAUNCH10');
+    expect(promoCodes.createPromoCode).toHaveBeenCalledWith(expect.objectContaining({
+      code: 'LAUNCH10',
+      tiers: ['premium'],
+      createdBy: 1
+    }));
+  });
+
+  test('should reject percentages above 100', async () => {
+    await request(app)
+      .post('/api/promo-codes')
+      .send({ code: 'TOOMUCH', discountType: 'percent', discountValue: 150 })
+      .expect(400);
+
+    expect(promoCodes.createPromoCode).not.toHaveBeenCalled();
+  });
+
+  test('should reject duplicate codes', async () => {
+    promoCodes.getPromoCodeByCode.mockResolvedValue({ id: 1, code: 'LAUNCH10' });
+
+    await request(app)
+      .post('/api/promo-codes')
+      .send({ code: 'LAUNCH10', discountType: 'fixed', discountValue: 2 })
+      .expect(409);
+
+    expect(promoCodes.createPromoCode).not.toHaveBeenCalled();
+  });
+
+  test('should return 404 when deactivating an unknown code', async () => {
+    promoCodes.deactivatePromoCode.mockResolvedValue(false);
+
+    await request(app)
+      .delete('/api/promo-codes/99')
+      .expect(404);
+  });
+});
@@ -0,0 +1,298 @@
+const request = require('supertest');
+const express = require('express');
+
+const subscriptionsRoutes = require('../../src/routes/subscriptions.js').default;
+
+// Mock dependencies
+jest.mock('../../src/utils/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+jest.mock('../../src/database/init.js', () => ({
+  database: {
+    run: jest.fn(),
+    get: jest.fn(),
+    all: jest.fn(),
+    transaction: jest.fn()
+  }
+}));
+
+jest.mock('../../src/database/models/referral.js', () => ({
+  getReferralCode: jest.fn(),
+  getReferralStats: jest.fn()
+}));
+
+describe('Subscription routes', () => {
+  let app;
+  let subscriptionService;
+
+  beforeEach(() => {
+    subscriptionService = {
+      getSubscriptionStatus: jest.fn().mockResolvedValue({
+        current: {
+          tier: 'basic',
+          expiryTime: '2026-10-01T00:00:00.000Z',
+          status: 'grace',
+          isActive: true,
+          daysRemaining: 0,
+          graceEndsAt: '2026-10-04T00:00:00.000Z',
+          graceStage: 'auto_actions_paused',
+          autoRenew: { enabled: true, attempts: 1, lastAttempt: '2026-10-01T06:00:00.000Z', lastError: 'insufficient allowance' }
+        },
+        onChain: { tier: 'basic', expiryTime: 1790000000, isActive: false },
+        mismatch: { tier: false, expiry: false, active: false, any: false },
+        history: [],
+        benefits: { alerts: 20 }
+      }),
+      getSubscriptionHistory: jest.fn().mockResolvedValue({
+        history: [{ id: 3, tier: 'basic', status: 'active', amount: 5, paymentStatus: 'confirmed' }],
+        total: 3
+      }),
+      cancelSubscription: jest.fn().mockResolvedValue({
+        success: true,
+        transaction: { to: '0xabc', data: '0x', value: '0', chainId: 1 }
+      }),
+      createUpgrade: jest.fn().mockResolvedValue({
+        subscriptionId: 4,
+        tier: 'premium',
+        duration: 30,
+        price: '20.0',
+        paymentDeadline: '2026-10-19T05:00:00.000Z',
+        transaction: { to: '0xabc', data: '0x1234', value: '20000000000000000000', chainId: 1 }
+      }),
+      scheduleDowngrade: jest.fn().mockResolvedValue({
+        tier: 'basic',
+        effectiveAt: '2026-11-01T00:00:00.000Z'
+      }),
+      cancelScheduledDowngrade: jest.fn().mockResolvedValue(),
+      setAutoRenew: jest.fn().mockResolvedValue({ enabled: false, attempts: 0, lastAttempt: null, lastError: null })
+    };
+
+    app = express();
+    app.use(express.json());
+    app.locals.services = { subscriptionService };
+    app.use((req, res, next) => {
+      req.user = { id: 1, subscriptionTier: 'basic' };
+      next();
+    });
+    app.use('/api/subscriptions', subscriptionsRoutes);
+  });
+
+  describe('GET /api/subscriptions', () => {
+    test('should return subscription status', async () => {
+      const response = await request(app)
+        .get('/api/subscriptions')
+        .expect(200);
+
+      expect(response.body).toHaveProperty('success', true);
+      expect(subscriptionService.getSubscriptionStatus).toHaveBeenCalledWith(1);
+      expect(response.body.data.subscription).toHaveProperty('tier', 'basic');
+      expect(response.body.data.subscription).toHaveProperty('status', 'grace');
+      expect(response.body.data.subscription).toHaveProperty('graceStage', 'auto_actions_paused');
+      expect(response.body.data.subscription.autoRenew).toHaveProperty('lastError', 'insufficient allowance');
+      expect(response.body.data.mismatch).toHaveProperty('any', false);
+    });
+
+    test('should return 503 without the subscription service', async () => {
+      app.locals.services = {};
+
+      await request(app)
+        .get('/api/subscriptions')
+        .expect(503);
+    });
+  });
+
+  describe('GET /api/subscriptions/history', () => {
+    test('should page through history', async () => {
+      const response = await request(app)
+        .get('/api/subscriptions/history?page=2&limit=1')
+        .expect(200);
+
+      expect(subscriptionService.getSubscriptionHistory).toHaveBeenCalledWith(1, { limit: 1, offset: 1 });
+      expect(response.body.pagination).toEqual({ page: 2, limit: 1, total: 3, hasMore: true });
+    });
+  });
+
+  describe('POST /api/subscriptions/cancel', () => {
+    test('should return the cancellation transaction', async () => {
+      const response = await request(app)
+        .post('/api/subscriptions/cancel')
+        .expect(200);
+
+      expect(response.body.data.transaction).toHaveProperty('to', '0xabc');
+    });
+
+    test('should return 409 without an active subscription', async () => {
+      subscriptionService.cancelSubscription.mockRejectedValue(
+        Object.assign(new Error('No active subscription to cancel'), { statusCode: 409 })
+      );
+
+      const response = await request(app)
+        .post('/api/subscriptions/cancel')
+        .expect(409);
+
+      expect(response.body.error).toHaveProperty('message', 'No active subscription to cancel');
+    });
+  });
+
+  describe('POST /api/subscriptions/upgrade', () => {
+    test('should initiate subscription upgrade', async () => {
+      const response = await request(app)
+        .post('/api/subscriptions/upgrade')
+        .send({ tier: 'premium' })
+        .expect(201);
+
+      expect(response.body).toHaveProperty('success', true);
+      expect(response.body.data).toHaveProperty('subscriptionId', 4);
+      expect(response.body.data.transaction).toHaveProperty('value', '20000000000000000000');
+      expect(subscriptionService.createUpgrade).toHaveBeenCalledWith(1, 'premium', 30, undefined);
+    });
+
+    test('should pass a promo code to the quote', async () => {
+      await request(app)
+        .post('/api/subscriptions/upgrade')
+        .send({ tier: 'premium', promoCode: 'launch10' })
+        .expect(201);
+
+      expect(subscriptionService.createUpgrade).toHaveBeenCalledWith(1, 'premium', 30, 'launch10');
+    });
+
+    test('should reject unknown promo codes', async () => {
+      subscriptionService.createUpgrade.mockRejectedValue(
+        Object.assign(new Error('Promo code not found'), { statusCode: 404 })
+      );
+
+      const response = await request(app)
+        .post('/api/subscriptions/upgrade')
+        .send({ tier: 'premium', promoCode: 'NOPE' })
+        .expect(404);
+
+      expect(response.body.error).toHaveProperty('message', 'Promo code not found');
+    });
+
+    test('should reject out-of-range durations', async () => {
+      await request(app)
+        .post('/api/subscriptions/upgrade')
+        .send({ tier: 'basic', duration: 0 })
+        .expect(400);
+
+      expect(subscriptionService.createUpgrade).not.toHaveBeenCalled();
+    });
+
+    test('should validate tier parameter', async () => {
+      const response = await request(app)
+        .post('/api/subscriptions/upgrade')
+        .send({ tier: 'invalid' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('success', false);
+      expect(subscriptionService.createUpgrade).not.toHaveBeenCalled();
+    });
+
+    test('should reject upgrades to the current or a lower tier', async () => {
+      subscriptionService.createUpgrade.mockRejectedValue(
+        Object.assign(new Error('Schedule a downgrade to move to a lower tier'), { statusCode: 409 })
+      );
+
+      const response = await request(app)
+        .post('/api/subscriptions/upgrade')
+        .send({ tier: 'basic' })
+        .expect(409);
+
+      expect(response.body.error).toHaveProperty('message', 'Schedule a downgrade to move to a lower tier');
+    });
+  });
+
+  describe('GET /api/subscriptions/referral', () => {
+    test('should return the referral code and rewards', async () => {
+      const referral = require('../../src/database/models/referral.js');
+      referral.getReferralCode.mockResolvedValue('AB12CD34');
+      referral.getReferralStats.mockResolvedValue({ referred: 3, rewarded: 1, rewardDays: 7 });
+
+      const response = await request(app)
+        .get('/api/subscriptions/referral')
+        .expect(200);
+
+      expect(response.body.data).toEqual({ code: 'AB12CD34', referred: 3, rewarded: 1, rewardDays: 7 });
+      expect(referral.getReferralCode).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('POST /api/subscriptions/downgrade', () => {
+    test('should schedule a downgrade for the end of the period', async () => {
+      const response = await request(app)
+        .post('/api/subscriptions/downgrade')
+        .send({ tier: 'basic' })
+        .expect(200);
+
+      expect(response.body.data).toEqual({ tier: 'basic', effectiveAt: '2026-11-01T00:00:00.000Z' });
+      expect(subscriptionService.scheduleDowngrade).toHaveBeenCalledWith(1, 'basic');
+    });
+
+    test('should reject invalid tiers', async () => {
+      await request(app)
+        .post('/api/subscriptions/downgrade')
+        .send({ tier: 'premium' })
+        .expect(400);
+
+      expect(subscriptionService.scheduleDowngrade).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/subscriptions/downgrade', () => {
+    test('should cancel a scheduled downgrade', async () => {
+      await request(app)
+        .delete('/api/subscriptions/downgrade')
+        .expect(200);
+
+      expect(subscriptionService.cancelScheduledDowngrade).toHaveBeenCalledWith(1);
+    });
+
+    test('should return 404 when nothing is scheduled', async () => {
+      subscriptionService.cancelScheduledDowngrade.mockRejectedValue(
+        Object.assign(new Error('No scheduled downgrade'), { statusCode: 404 })
+      );
+
+      await request(app)
+        .delete('/api/subscriptions/downgrade')
+        .expect(404);
+    });
+  });
+
+  describe('PUT /api/subscriptions/auto-renew', () => {
+    test('should update auto-renew', async () => {
+      const response = await request(app)
+        .put('/api/subscriptions/auto-renew')
+        .send({ enabled: false })
+        .expect(200);
+
+      expect(response.body.data.autoRenew).toHaveProperty('enabled', false);
+      expect(subscriptionService.setAutoRenew).toHaveBeenCalledWith(1, false);
+    });
+
+    test('should require a boolean', async () => {
+      await request(app)
+        .put('/api/subscriptions/auto-renew')
+        .send({ enabled: 'yes' })
+        .expect(400);
+
+      expect(subscriptionService.setAutoRenew).not.toHaveBeenCalled();
+    });
+
+    test('should return 409 without an active subscription', async () => {
+      subscriptionService.setAutoRenew.mockRejectedValue(
+        Object.assign(new Error('No active subscription to renew'), { statusCode: 409 })
+      );
+
+      await request(app)
+        .put('/api/subscriptions/auto-renew')
+        .send({ enabled: true })
+        .expect(409);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const request = require('supertest');
+const express = require('express');
+
+const utilsRoutes = require('../../src/routes/utils.js').default;
+
+// Mock dependencies
+jest.mock('../../src/utils/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+jest.mock('../../src/config/chains.js', () => ({
+  getDefaultChain: () => 'doma-testnet',
+  isKnownChain: (chain) => chain === 'doma-testnet'
+}));
+
+jest.mock('../../src/contracts/domainService.js', () => ({
+  GAS_LIMITS: { renewDomain: 100000n, buyDomain: 150000n }
+}));
+
+describe('Utility routes', () => {
+  let app;
+  let domainService;
+
+  beforeEach(() => {
+    domainService = {
+      validateDomainName: jest.fn().mockReturnValue({
+        valid: false,
+        error: 'Domain imitates apple.ape',
+        errors: ['Domain imitates apple.ape'],
+        warnings: ['Internationalized domain name'],
+        domain: 'xn--80ak6aa92e.ape',
+        isPunycode: true,
+        homoglyphOf: 'apple.ape'
+      }),
+      estimateGasCosts: jest.fn().mockResolvedValue({
+        renewDomain: {
+          gasLimit: '100000',
+          fees: { type: 'eip1559', baseFeePerGas: '1000000000', maxPriorityFeePerGas: '100000000', maxFeePerGas: '2100000000' },
+          estimatedCost: '0.00011',
+          estimatedCostWei: '110000000000000',
+          maxCost: '0.00021',
+          maxCostWei: '210000000000000',
+          usd: { price: 2500, estimatedCost: 0.275, maxCost: 0.525 }
+        }
+      })
+    };
+
+    app = express();
+    app.locals.services = { domainServices: new Map([['doma-testnet', domainService]]) };
+    app.use('/api/utils', utilsRoutes);
+  });
+
+  describe('GET /api/utils/validate-domain/:domain', () => {
+    test('should return the validation report with 200', async () => {
+      const response = await request(app)
+        .get('/api/utils/validate-domain/xn--80ak6aa92e.ape')
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        chain: 'doma-testnet',
+        valid: false,
+        homoglyphOf: 'apple.ape'
+      });
+    });
+
+    test('should reject unknown chains', async () => {
+      await request(app)
+        .get('/api/utils/validate-domain/premium.ape?chain=solana')
+        .expect(400);
+
+      expect(domainService.validateDomainName).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/utils/estimate-gas/:operation', () => {
+    test('should estimate gas for a single operation', async () => {
+      const response = await request(app)
+        .get('/api/utils/estimate-gas/renewDomain')
+        .expect(200);
+
+      expect(domainService.estimateGasCosts).toHaveBeenCalledWith('renewDomain');
+      expect(response.body.data).toMatchObject({
+        operation: 'renewDomain',
+        gasLimit: '100000',
+        fees: { type: 'eip1559' },
+        usd: { estimatedCost: 0.275 }
+      });
+    });
+
+    test('should reject unknown operations', async () => {
+      await request(app)
+        .get('/api/utils/estimate-gas/mintDomain')
+        .expect(400);
+
+      expect(domainService.estimateGasCosts).not.toHaveBeenCalled();
+    });
+
+    test('should return 503 when fee data is unavailable', async () => {
+      domainService.estimateGasCosts.mockRejectedValue(
+        Object.assign(new Error('Chain doma-testnet is unreachable'), { statusCode: 503 })
+      );
+
+      await request(app)
+        .get('/api/utils/estimate-gas/buyDomain')
+        .expect(503);
+    });
+  });
+});
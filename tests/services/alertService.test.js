@@ -1,17 +1,49 @@
-import { jest } from '@jest/globals';
-import { AlertService } from '../src/services/alerts/alertService.js';
+const { AlertService } = require('../../src/services/alerts/alertService.js');
 
 // Mock dependencies
-jest.mock('../src/database/models/alert.js');
-jest.mock('../src/database/models/user.js');
-jest.mock('../src/utils/logger.js');
+jest.mock('node-cron', () => ({
+  schedule: () => ({ start: () => {}, destroy: () => {} })
+}));
+
+jest.mock('../../src/utils/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  },
+  logAlert: jest.fn()
+}));
+
+jest.mock('../../src/database/models/alert.js', () => ({
+  getActiveAlerts: jest.fn(),
+  getAlertsByDomain: jest.fn(),
+  getAlertsByPattern: jest.fn(),
+  incrementTriggerCount: jest.fn(),
+  logAlert: jest.fn(),
+  getPendingAlertLogs: jest.fn(),
+  updateAlertLogStatus: jest.fn()
+}));
+
+jest.mock('../../src/database/models/user.js', () => ({
+  getUserById: jest.fn()
+}));
 
 describe('AlertService', () => {
+  const {
+    getAlertsByDomain,
+    getAlertsByPattern,
+    logAlert,
+    getPendingAlertLogs,
+    updateAlertLogStatus
+  } = require('../../src/database/models/alert.js');
+  const { getUserById } = require('../../src/database/models/user.js');
   let alertService;
 
   beforeEach(() => {
     alertService = new AlertService();
-    jest.clearAllMocks();
+    getAlertsByDomain.mockResolvedValue([]);
+    getAlertsByPattern.mockResolvedValue([]);
   });
 
   afterEach(() => {
@@ -57,10 +89,7 @@ describe('AlertService', () => {
         }
       ];
 
-      // Mock database calls
-      const { getAlertsByDomain, getAlertsByPattern } = await import('../src/database/models/alert.js');
       getAlertsByDomain.mockResolvedValue(mockAlerts);
-      getAlertsByPattern.mockResolvedValue([]);
 
       const sendAlertSpy = jest.spyOn(alertService, 'sendAlert').mockResolvedValue();
       const shouldTriggerSpy = jest.spyOn(alertService, 'shouldTriggerExpiryAlert').mockReturnValue(true);
@@ -83,12 +112,103 @@ describe('AlertService', () => {
       const eventId = `${mockEvent.blockData.transactionHash}-expiry`;
       alertService.processedEvents.add(eventId);
 
-      const { getAlertsByDomain } = await import('../src/database/models/alert.js');
-      const getAlertsSpy = jest.spyOn(getAlertsByDomain, 'mockResolvedValue');
-
       await alertService.processExpiryEvent(mockEvent);
 
-      expect(getAlertsSpy).not.toHaveBeenCalled();
+      expect(getAlertsByDomain).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processExpiredEvent', () => {
+    const mockEvent = {
+      type: 'expired',
+      domain: 'test.ape',
+      owner: '0x123...',
+      expiredAt: 1700000000,
+      urgency: 'critical',
+      chain: 'doma-testnet',
+      blockData: {
+        transactionHash: '0xdef...',
+        blockNumber: 12346
+      }
+    };
+
+    test('should notify expiry alerts when a watched domain lapses', async () => {
+      const mockAlerts = [
+        {
+          id: 2,
+          userId: 1,
+          type: 'expiry',
+          domain: 'test.ape',
+          platform: 'telegram',
+          conditions: {}
+        }
+      ];
+
+      getAlertsByDomain.mockResolvedValue(mockAlerts);
+
+      const sendAlertSpy = jest.spyOn(alertService, 'sendAlert').mockResolvedValue();
+
+      await alertService.processExpiredEvent(mockEvent);
+
+      expect(getAlertsByDomain).toHaveBeenCalledWith('test.ape', 'expiry', 'doma-testnet');
+      expect(sendAlertSpy).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'expired',
+        alertId: 2,
+        domain: 'test.ape',
+        urgency: 'critical'
+      }));
+    });
+
+    test('should respect notifyOnExpired opt-out', () => {
+      const alert = { conditions: { notifyOnExpired: false } };
+
+      expect(alertService.shouldTriggerExpiredAlert(alert, mockEvent)).toBe(false);
+    });
+  });
+
+  describe('processDelistedEvent', () => {
+    const mockEvent = {
+      type: 'delisting',
+      domain: 'rare.ape',
+      seller: '0x456...',
+      delistedAt: 1700000000,
+      chain: 'doma-testnet',
+      blockData: {
+        transactionHash: '0x789...',
+        blockNumber: 12347
+      }
+    };
+
+    test('should notify sale alerts when a listing is pulled', async () => {
+      const mockAlerts = [
+        {
+          id: 3,
+          userId: 1,
+          type: 'sale',
+          domain: 'rare.ape',
+          platform: 'both',
+          conditions: {}
+        }
+      ];
+
+      getAlertsByDomain.mockResolvedValue(mockAlerts);
+
+      const sendAlertSpy = jest.spyOn(alertService, 'sendAlert').mockResolvedValue();
+
+      await alertService.processDelistedEvent(mockEvent);
+
+      expect(getAlertsByDomain).toHaveBeenCalledWith('rare.ape', 'sale', 'doma-testnet');
+      expect(sendAlertSpy).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'delisted',
+        alertId: 3,
+        domain: 'rare.ape'
+      }));
+    });
+
+    test('should skip alerts whose sale types exclude delistings', () => {
+      const alert = { conditions: { saleTypes: ['listing', 'sale'] } };
+
+      expect(alertService.shouldTriggerDelistedAlert(alert, mockEvent)).toBe(false);
     });
   });
 
@@ -99,7 +219,7 @@ describe('AlertService', () => {
       };
       const event = { daysUntilExpiry: 3, urgency: 'high' };
 
-      const result = alertService.shouldTriggerExpiryAlert(alert.conditions, event);
+      const result = alertService.shouldTriggerExpiryAlert(alert, event);
       expect(result).toBe(true);
     });
 
@@ -109,7 +229,7 @@ describe('AlertService', () => {
       };
       const event = { daysUntilExpiry: 5, urgency: 'low' };
 
-      const result = alertService.shouldTriggerExpiryAlert(alert.conditions, event);
+      const result = alertService.shouldTriggerExpiryAlert(alert, event);
       expect(result).toBe(false);
     });
 
@@ -119,7 +239,7 @@ describe('AlertService', () => {
       };
       const event = { daysUntilExpiry: 1, urgency: 'medium' };
 
-      const result = alertService.shouldTriggerExpiryAlert(alert.conditions, event);
+      const result = alertService.shouldTriggerExpiryAlert(alert, event);
       expect(result).toBe(false);
     });
   });
@@ -162,6 +282,22 @@ describe('AlertService', () => {
       const message = alertService.formatAlertMessage(alertData);
       expect(message).toContain('EXPIRED');
     });
+
+    test('should format lapsed domain message', () => {
+      const message = alertService.formatAlertMessage({
+        type: 'expired',
+        domain: 'test.ape',
+        expiredAt: 1700000000
+      });
+      expect(message).toContain('EXPIRED');
+      expect(message).toContain('2023-11-14');
+    });
+
+    test('should format delisted message', () => {
+      const message = alertService.formatAlertMessage({ type: 'delisted', domain: 'rare.ape' });
+      expect(message).toContain('DELISTED');
+      expect(message).toContain('rare.ape');
+    });
   });
 
   describe('sendAlert', () => {
@@ -173,7 +309,6 @@ describe('AlertService', () => {
         subscriptionTier: 'basic' 
       };
 
-      const { getUserById } = await import('../src/database/models/user.js');
       getUserById.mockResolvedValue(mockUser);
 
       const checkFrequencySpy = jest.spyOn(alertService, 'checkAlertFrequency').mockReturnValue(true);
@@ -202,7 +337,6 @@ describe('AlertService', () => {
         isActive: false 
       };
 
-      const { getUserById } = await import('../src/database/models/user.js');
       getUserById.mockResolvedValue(mockUser);
 
       const emitSpy = jest.spyOn(alertService, 'emit');
@@ -219,6 +353,58 @@ describe('AlertService', () => {
 
       expect(emitSpy).not.toHaveBeenCalled();
     });
+
+    test('should queue non-critical alerts for users late in a grace period', async () => {
+      const mockUser = {
+        id: 1,
+        isActive: true,
+        subscriptionTier: 'premium',
+        dunningStage: 'alerts_batched'
+      };
+
+      getUserById.mockResolvedValue(mockUser);
+
+      const emitSpy = jest.spyOn(alertService, 'emit');
+
+      await alertService.sendAlert({
+        type: 'delisted',
+        alertId: 1,
+        userId: 1,
+        domain: 'test.ape',
+        urgency: 'medium',
+        platform: 'telegram'
+      });
+
+      expect(emitSpy).not.toHaveBeenCalled();
+      expect(logAlert).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'pending',
+        eventData: expect.objectContaining({ message: '🚫 DELISTED: "test.ape" is no longer for sale' })
+      }));
+    });
+  });
+
+  describe('deliverBatchedAlerts', () => {
+    test('should send one message per user and platform', async () => {
+      const mockUser = { id: 1, isActive: true, subscriptionTier: 'premium' };
+
+      getUserById.mockResolvedValue(mockUser);
+      getPendingAlertLogs.mockResolvedValue([
+        { id: 1, userId: 1, platform: 'telegram', eventType: 'sale', eventData: { message: 'first' } },
+        { id: 2, userId: 1, platform: 'telegram', eventType: 'sale', eventData: { message: 'second' } }
+      ]);
+
+      const emitSpy = jest.spyOn(alertService, 'emit');
+
+      await alertService.deliverBatchedAlerts();
+
+      expect(emitSpy).toHaveBeenCalledTimes(1);
+      expect(emitSpy).toHaveBeenCalledWith('alert', expect.objectContaining({
+        type: 'digest',
+        platform: 'telegram',
+        message: expect.stringContaining('• first\n• second')
+      }));
+      expect(updateAlertLogStatus).toHaveBeenCalledWith([1, 2], 'sent');
+    });
   });
 
   describe('checkAlertFrequency', () => {
@@ -1,27 +1,16 @@
-const ContractMonitor = require('../../src/contracts/contractMonitor.js').default;
 const { EventEmitter } = require('events');
+const { ContractMonitor } = require('../../src/contracts/contractMonitor.js');
 
 // Mock dependencies
-jest.mock('ethers', () => ({
-  ethers: {
-    providers: {
-      WebSocketProvider: jest.fn().mockImplementation(() => ({
-        on: jest.fn(),
-        removeAllListeners: jest.fn(),
-        destroy: jest.fn()
-      }))
-    },
-    Contract: jest.fn().mockImplementation(() => ({
-      on: jest.fn(),
-      removeAllListeners: jest.fn(),
-      filters: {
-        DomainExpired: jest.fn().mockReturnValue('DomainExpired_filter'),
-        Transfer: jest.fn().mockReturnValue('Transfer_filter'),
-        DomainSold: jest.fn().mockReturnValue('DomainSold_filter')
-      }
-    }))
-  }
-}));
+jest.mock('ethers', () => {
+  const { utils } = jest.requireActual('ethers');
+  return {
+    ethers: {
+      formatEther: (wei) => utils.formatEther(wei),
+      Contract: jest.fn()
+    }
+  };
+});
 
 jest.mock('../../src/utils/logger.js', () => ({
   logger: {
@@ -29,215 +18,218 @@ jest.mock('../../src/utils/logger.js', () => ({
     error: jest.fn(),
     warn: jest.fn(),
     debug: jest.fn()
-  }
+  },
+  logContractEvent: jest.fn()
+}));
+
+jest.mock('../../src/database/models/checkpoint.js', () => ({
+  getCheckpoint: jest.fn(),
+  saveCheckpoint: jest.fn(),
+  rewindCheckpoint: jest.fn()
+}));
+
+jest.mock('../../src/database/models/domainEvent.js', () => ({
+  DOMAIN_EVENT_TYPES: ['listing', 'sale', 'priceChange', 'delisting', 'transfer', 'renewal', 'expiry', 'expired'],
+  indexDomainEvent: jest.fn(),
+  removeDomainEvent: jest.fn()
+}));
+
+jest.mock('../../src/database/models/domainCache.js', () => ({
+  applyDomainEvent: jest.fn()
+}));
+
+jest.mock('../../src/config/chains.js', () => ({
+  getChainConfig: jest.fn(),
+  getDefaultChain: jest.fn()
+}));
+
+jest.mock('../../src/contracts/providerPool.js', () => ({
+  getProviderPool: jest.fn()
 }));
 
 describe('ContractMonitor', () => {
+  const { logger } = require('../../src/utils/logger.js');
+  const { removeDomainEvent } = require('../../src/database/models/domainEvent.js');
   let contractMonitor;
   let mockProvider;
-  let mockContract;
+  let mockPool;
+
+  const chainConfig = {
+    key: 'doma-testnet',
+    name: 'Doma Testnet',
+    rpcUrls: ['https://rpc-testnet.doma.xyz'],
+    contracts: {
+      expiry: '0xexpiry',
+      trade: '0xtrade',
+      ownership: '0xownership',
+      preauth: '0xpreauth'
+    },
+    confirmations: {},
+    blockTime: 2,
+    enabled: true
+  };
+
+  const makeContract = (address) => ({
+    target: address,
+    on: jest.fn(),
+    removeAllListeners: jest.fn(),
+    queryFilter: jest.fn().mockResolvedValue([]),
+    filters: new Proxy({}, { get: (_, event) => jest.fn().mockReturnValue(`${event}_filter`) })
+  });
+
+  const log = {
+    blockNumber: 100,
+    blockHash: '0xhash100',
+    index: 0,
+    transactionHash: '0xabcdef'
+  };
 
   beforeEach(() => {
-    // Clear all mocks
-    jest.clearAllMocks();
-    
-    // Create mock instances
     const { ethers } = require('ethers');
-    mockProvider = new ethers.providers.WebSocketProvider();
-    mockContract = new ethers.Contract();
-    
-    // Mock the constructor behavior
-    ethers.providers.WebSocketProvider.mockImplementation(() => mockProvider);
-    ethers.Contract.mockImplementation(() => mockContract);
-    
-    contractMonitor = new ContractMonitor();
+    const { getProviderPool } = require('../../src/contracts/providerPool.js');
+
+    mockProvider = {
+      getNetwork: jest.fn().mockResolvedValue({ chainId: 97476n }),
+      getBlockNumber: jest.fn().mockResolvedValue(1000),
+      getBlock: jest.fn().mockResolvedValue(null),
+      on: jest.fn(),
+      off: jest.fn()
+    };
+    mockPool = Object.assign(new EventEmitter(), {
+      initialize: jest.fn().mockResolvedValue(),
+      getProvider: jest.fn(() => mockProvider),
+      reportError: jest.fn(),
+      getStatus: jest.fn(() => ({}))
+    });
+
+    getProviderPool.mockReturnValue(mockPool);
+    ethers.Contract.mockImplementation((address) => makeContract(address));
+    removeDomainEvent.mockResolvedValue(true);
+
+    contractMonitor = new ContractMonitor(chainConfig);
   });
 
   afterEach(async () => {
+    jest.useRealTimers();
     if (contractMonitor) {
       await contractMonitor.stop();
     }
   });
 
   describe('Initialization', () => {
-    test('should create instance with default configuration', () => {
+    test('should create instance for the given chain', () => {
       expect(contractMonitor).toBeInstanceOf(ContractMonitor);
       expect(contractMonitor).toBeInstanceOf(EventEmitter);
+      expect(contractMonitor.chain).toBe('doma-testnet');
+      expect(contractMonitor.confirmationDepths.sale).toBe(3);
     });
 
     test('should initialize with custom config', () => {
-      const config = {
-        rpcUrl: 'wss://custom-rpc.com',
-        contractAddress: '0x1234567890123456789012345678901234567890',
-        refreshInterval: 5000
-      };
-      
-      const customMonitor = new ContractMonitor(config);
-      expect(customMonitor).toBeInstanceOf(ContractMonitor);
+      const customMonitor = new ContractMonitor({
+        ...chainConfig,
+        confirmations: { sale: 6 }
+      });
+
+      expect(customMonitor.confirmationDepths.sale).toBe(6);
+      expect(customMonitor.confirmationDepths.listing).toBe(3);
     });
   });
 
-  describe('start()', () => {
+  describe('initialize()', () => {
     test('should start monitoring successfully', async () => {
-      mockProvider.on = jest.fn();
-      mockContract.on = jest.fn();
-      
-      await contractMonitor.start();
-      
+      await contractMonitor.initialize();
+
+      expect(mockPool.initialize).toHaveBeenCalled();
+      expect(mockProvider.on).toHaveBeenCalledWith('block', expect.any(Function));
       expect(mockProvider.on).toHaveBeenCalledWith('error', expect.any(Function));
-      expect(mockContract.on).toHaveBeenCalledWith('DomainExpired_filter', expect.any(Function));
-      expect(mockContract.on).toHaveBeenCalledWith('Transfer_filter', expect.any(Function));
-      expect(mockContract.on).toHaveBeenCalledWith('DomainSold_filter', expect.any(Function));
+      expect(contractMonitor.contracts.expiry.on).toHaveBeenCalledWith('DomainExpired_filter', expect.any(Function));
+      expect(contractMonitor.contracts.ownership.on).toHaveBeenCalledWith('DomainTransferred_filter', expect.any(Function));
+      expect(contractMonitor.contracts.trade.on).toHaveBeenCalledWith('DomainSold_filter', expect.any(Function));
+      expect(contractMonitor.isRunning).toBe(true);
     });
 
     test('should handle start errors gracefully', async () => {
-      const error = new Error('Connection failed');
-      mockProvider.on = jest.fn().mockImplementation((event, callback) => {
-        if (event === 'error') {
-          setTimeout(() => callback(error), 10);
-        }
-      });
-      
-      await expect(contractMonitor.start()).rejects.toThrow('Connection failed');
-    });
+      mockProvider.getNetwork.mockRejectedValue(new Error('Connection failed'));
 
-    test('should not start if already running', async () => {
-      mockProvider.on = jest.fn();
-      mockContract.on = jest.fn();
-      
-      await contractMonitor.start();
-      
-      // Try to start again
-      await contractMonitor.start();
-      
-      // Should only be called once
-      expect(mockProvider.on).toHaveBeenCalledTimes(1);
+      await expect(contractMonitor.initialize()).rejects.toThrow('Connection failed');
+      expect(contractMonitor.isRunning).toBe(false);
     });
   });
 
   describe('Event Processing', () => {
-    beforeEach(async () => {
-      mockProvider.on = jest.fn();
-      mockContract.on = jest.fn();
-      await contractMonitor.start();
+    beforeEach(() => {
+      contractMonitor.contracts = {
+        expiry: makeContract('0xexpiry'),
+        trade: makeContract('0xtrade'),
+        ownership: makeContract('0xownership'),
+        preauth: makeContract('0xpreauth')
+      };
+      contractMonitor.provider = mockProvider;
+      contractMonitor.latestBlock = 200;
     });
 
-    test('should process domain expiry events', (done) => {
-      const mockEvent = {
-        args: {
-          domain: 'test.eth',
-          owner: '0x1234567890123456789012345678901234567890',
-          expiry: '1640995200' // Unix timestamp
-        },
-        blockNumber: 12345678,
-        transactionHash: '0xabcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890'
-      };
+    test('should process domain expiry events', async () => {
+      const expirySpy = jest.fn();
+      contractMonitor.on('domainExpiry', expirySpy);
 
-      contractMonitor.on('domainExpiry', (eventData) => {
-        expect(eventData).toEqual({
-          type: 'domainExpiry',
-          domain: 'test.eth',
-          owner: '0x1234567890123456789012345678901234567890',
-          expiry: new Date(1640995200 * 1000),
-          blockNumber: 12345678,
-          transactionHash: '0xabcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890',
-          timestamp: expect.any(Date)
-        });
-        done();
-      });
+      await contractMonitor.handleDomainExpiring('0x1234', 'test.ape', 1640995200n, log);
 
-      // Simulate event emission
-      const eventHandler = mockContract.on.mock.calls.find(call => 
-        call[0] === 'DomainExpired_filter'
-      )[1];
-      eventHandler(mockEvent.args.domain, mockEvent.args.owner, mockEvent.args.expiry, mockEvent);
+      expect(expirySpy).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'expiry',
+        domain: 'test.ape',
+        owner: '0x1234',
+        expiryTime: 1640995200,
+        urgency: 'critical',
+        chain: 'doma-testnet',
+        blockData: { blockNumber: 100, blockHash: '0xhash100', logIndex: 0, transactionHash: '0xabcdef' }
+      }));
     });
 
-    test('should process domain transfer events', (done) => {
-      const mockEvent = {
-        args: {
-          from: '0x1234567890123456789012345678901234567890',
-          to: '0x0987654321098765432109876543210987654321',
-          tokenId: '123'
-        },
-        blockNumber: 12345679,
-        transactionHash: '0xfedcba0987654321fedcba0987654321fedcba0987654321fedcba0987654321'
-      };
+    test('should process domain transfer events', async () => {
+      const transferSpy = jest.fn();
+      contractMonitor.on('domainTransfer', transferSpy);
 
-      contractMonitor.on('domainTransfer', (eventData) => {
-        expect(eventData).toEqual({
-          type: 'domainTransfer',
-          from: '0x1234567890123456789012345678901234567890',
-          to: '0x0987654321098765432109876543210987654321',
-          tokenId: '123',
-          blockNumber: 12345679,
-          transactionHash: '0xfedcba0987654321fedcba0987654321fedcba0987654321fedcba0987654321',
-          timestamp: expect.any(Date)
-        });
-        done();
-      });
+      await contractMonitor.handleDomainTransferred('0x1234', '0x9876', 'test.ape', 1700000000n, log);
 
-      // Simulate event emission
-      const eventHandler = mockContract.on.mock.calls.find(call => 
-        call[0] === 'Transfer_filter'
-      )[1];
-      eventHandler(mockEvent.args.from, mockEvent.args.to, mockEvent.args.tokenId, mockEvent);
+      expect(transferSpy).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'transfer',
+        domain: 'test.ape',
+        from: '0x1234',
+        to: '0x9876',
+        transferredAt: 1700000000,
+        chain: 'doma-testnet'
+      }));
     });
 
-    test('should process domain sale events', (done) => {
-      const mockEvent = {
-        args: {
-          domain: 'premium.eth',
-          seller: '0x1111111111111111111111111111111111111111',
-          buyer: '0x2222222222222222222222222222222222222222',
-          price: '1000000000000000000' // 1 ETH in wei
-        },
-        blockNumber: 12345680,
-        transactionHash: '0x1111222233334444555566667777888899990000aaaabbbbccccddddeeeeffff'
-      };
+    test('should process domain sale events', async () => {
+      const saleSpy = jest.fn();
+      contractMonitor.on('domainSale', saleSpy);
 
-      contractMonitor.on('domainSale', (eventData) => {
-        expect(eventData).toEqual({
-          type: 'domainSale',
-          domain: 'premium.eth',
-          seller: '0x1111111111111111111111111111111111111111',
-          buyer: '0x2222222222222222222222222222222222222222',
-          price: '1000000000000000000',
-          blockNumber: 12345680,
-          transactionHash: '0x1111222233334444555566667777888899990000aaaabbbbccccddddeeeeffff',
-          timestamp: expect.any(Date)
-        });
-        done();
-      });
+      await contractMonitor.handleDomainSold('0x1111', '0x2222', 'premium.ape', 10n ** 18n, 1700000000n, log);
 
-      // Simulate event emission
-      const eventHandler = mockContract.on.mock.calls.find(call => 
-        call[0] === 'DomainSold_filter'
-      )[1];
-      eventHandler(
-        mockEvent.args.domain,
-        mockEvent.args.seller,
-        mockEvent.args.buyer,
-        mockEvent.args.price,
-        mockEvent
-      );
+      expect(saleSpy).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'sale',
+        domain: 'premium.ape',
+        seller: '0x1111',
+        buyer: '0x2222',
+        price: '1.0',
+        soldAt: 1700000000,
+        chain: 'doma-testnet'
+      }));
     });
   });
 
   describe('stop()', () => {
     test('should stop monitoring gracefully', async () => {
-      mockProvider.on = jest.fn();
-      mockContract.on = jest.fn();
-      mockProvider.removeAllListeners = jest.fn();
-      mockContract.removeAllListeners = jest.fn();
-      mockProvider.destroy = jest.fn();
-      
-      await contractMonitor.start();
+      await contractMonitor.initialize();
+      const { trade } = contractMonitor.contracts;
+
       await contractMonitor.stop();
-      
-      expect(mockProvider.removeAllListeners).toHaveBeenCalled();
-      expect(mockContract.removeAllListeners).toHaveBeenCalled();
-      expect(mockProvider.destroy).toHaveBeenCalled();
+
+      expect(trade.removeAllListeners).toHaveBeenCalledWith('DomainSold_filter');
+      expect(mockProvider.off).toHaveBeenCalledWith('block', expect.any(Function));
+      expect(mockPool.listenerCount('failover')).toBe(0);
+      expect(contractMonitor.isRunning).toBe(false);
     });
 
     test('should handle stop when not running', async () => {
@@ -247,74 +239,292 @@ describe('ContractMonitor', () => {
 
   describe('Error Handling', () => {
     test('should handle provider errors', async () => {
+      await contractMonitor.initialize();
+      const reconnectSpy = jest.spyOn(contractMonitor, 'reconnect').mockResolvedValue();
+      const errorHandler = mockProvider.on.mock.calls.find(([event]) => event === 'error')[1];
       const error = new Error('Provider connection lost');
-      let errorHandler;
-      
-      mockProvider.on = jest.fn().mockImplementation((event, callback) => {
-        if (event === 'error') {
-          errorHandler = callback;
-        }
-      });
-      mockContract.on = jest.fn();
-      
-      await contractMonitor.start();
-      
-      // Simulate provider error
-      const errorSpy = jest.fn();
-      contractMonitor.on('error', errorSpy);
-      
-      errorHandler(error);
-      
-      expect(errorSpy).toHaveBeenCalledWith(error);
+
+      await errorHandler(error);
+
+      expect(mockPool.reportError).toHaveBeenCalledWith(error);
+      expect(reconnectSpy).toHaveBeenCalled();
+      expect(contractMonitor.filters.size).toBe(0);
     });
 
-    test('should handle malformed events', (done) => {
-      mockProvider.on = jest.fn();
-      mockContract.on = jest.fn();
-      
-      contractMonitor.start().then(() => {
-        const errorSpy = jest.fn();
-        contractMonitor.on('error', errorSpy);
-        
-        // Simulate malformed event
-        const eventHandler = mockContract.on.mock.calls.find(call => 
-          call[0] === 'DomainExpired_filter'
-        )[1];
-        
-        // Call with invalid arguments
-        eventHandler(null, undefined, 'invalid-timestamp', {});
-        
-        setTimeout(() => {
-          expect(errorSpy).toHaveBeenCalled();
-          done();
-        }, 100);
-      });
+    test('should handle malformed events', async () => {
+      const saleSpy = jest.fn();
+      contractMonitor.on('domainSale', saleSpy);
+
+      await expect(
+        contractMonitor.handleDomainSold(null, undefined, 'premium.ape', 'invalid-price', 0n, {})
+      ).resolves.toBeUndefined();
+
+      expect(saleSpy).not.toHaveBeenCalled();
+      expect(logger.error).toHaveBeenCalledWith('Error handling domain sold event:', expect.any(Error));
     });
   });
 
   describe('Reconnection Logic', () => {
     test('should attempt reconnection on connection loss', async () => {
-      let errorHandler;
-      
-      mockProvider.on = jest.fn().mockImplementation((event, callback) => {
-        if (event === 'error') {
-          errorHandler = callback;
-        }
+      await contractMonitor.initialize();
+      const backfillSpy = jest.spyOn(contractMonitor, 'backfillMissedBlocks');
+      const errorHandler = mockProvider.on.mock.calls.find(([event]) => event === 'error')[1];
+
+      jest.useFakeTimers();
+      const reconnecting = errorHandler(new Error('CONNECTION_LOST'));
+      expect(contractMonitor.isReconnecting).toBe(true);
+
+      await jest.advanceTimersByTimeAsync(1000);
+      await reconnecting;
+
+      expect(backfillSpy).toHaveBeenCalledTimes(1);
+      expect(contractMonitor.isReconnecting).toBe(false);
+      expect(contractMonitor.reconnectAttempts).toBe(0);
+    });
+  });
+
+  describe('Checkpointing and backfill', () => {
+    const { getCheckpoint, saveCheckpoint } = require('../../src/database/models/checkpoint.js');
+
+    beforeEach(() => {
+      contractMonitor.provider = {
+        getBlockNumber: jest.fn().mockResolvedValue(5000),
+        getBlock: jest.fn().mockResolvedValue(null),
+        on: jest.fn(),
+        removeAllListeners: jest.fn()
+      };
+      contractMonitor.contracts = {
+        expiry: makeContract('0xexpiry'),
+        trade: makeContract('0xtrade'),
+        ownership: makeContract('0xownership'),
+        preauth: makeContract('0xpreauth')
+      };
+      contractMonitor.backfillChunkSize = 1000;
+    });
+
+    test('should scan the missed range in bounded chunks', async () => {
+      getCheckpoint.mockResolvedValue(2499);
+      const scanSpy = jest.spyOn(contractMonitor, 'scanHistoricalEvents').mockResolvedValue({});
+
+      await contractMonitor.backfillMissedBlocks();
+
+      const expiryScans = scanSpy.mock.calls.filter(call => call[2][0] === 'expiry');
+      expect(expiryScans).toEqual([
+        [2500, 3499, ['expiry']],
+        [3500, 4499, ['expiry']],
+        [4500, 5000, ['expiry']]
+      ]);
+      expect(saveCheckpoint).toHaveBeenCalledWith('doma-testnet', 'expiry', '0xexpiry', 5000);
+    });
+
+    test('should start from the chain head when no checkpoint exists', async () => {
+      getCheckpoint.mockResolvedValue(null);
+      const scanSpy = jest.spyOn(contractMonitor, 'scanHistoricalEvents');
+
+      await contractMonitor.backfillMissedBlocks();
+
+      expect(scanSpy).not.toHaveBeenCalled();
+      expect(saveCheckpoint).toHaveBeenCalledWith('doma-testnet', 'trade', '0xtrade', 5000);
+    });
+
+    test('should replay historical events in block order', async () => {
+      const sold = { blockNumber: 12, index: 0, args: ['0xs', '0xb', 'b.ape', 1n, 2n] };
+      const listed = { blockNumber: 10, index: 3, args: ['0xs', 'a.ape', 1n, 2n] };
+      contractMonitor.contracts.trade.queryFilter
+        .mockResolvedValueOnce([sold])
+        .mockResolvedValueOnce([listed])
+        .mockResolvedValueOnce([]);
+
+      const order = [];
+      jest.spyOn(contractMonitor, 'handleDomainSold').mockImplementation(async () => order.push('sale'));
+      jest.spyOn(contractMonitor, 'handleDomainListed').mockImplementation(async () => order.push('listing'));
+
+      const counts = await contractMonitor.scanHistoricalEvents(10, 12, ['trade']);
+
+      expect(order).toEqual(['listing', 'sale']);
+      expect(counts).toEqual({ sale: 1, listing: 1 });
+    });
+
+    test('should only persist checkpoints every configured interval', async () => {
+      contractMonitor.checkpointInterval = 10;
+      contractMonitor.lastSavedBlock = 100;
+
+      await contractMonitor.handleNewBlock(105);
+      expect(saveCheckpoint).not.toHaveBeenCalled();
+
+      await contractMonitor.handleNewBlock(111);
+      expect(saveCheckpoint).toHaveBeenCalledWith('doma-testnet', 'expiry', '0xexpiry', 110);
+    });
+  });
+
+  describe('Confirmations and reorgs', () => {
+    const saleLog = (blockHash) => ({
+      blockNumber: 100,
+      blockHash,
+      index: 0,
+      transactionHash: '0xsaletx'
+    });
+
+    const salePayload = {
+      type: 'sale',
+      domain: 'premium.ape',
+      price: '10.0',
+      soldAt: 1700000000,
+      blockData: { blockNumber: 100, blockHash: '0xhash100', logIndex: 0, transactionHash: '0xsaletx' }
+    };
+
+    beforeEach(() => {
+      contractMonitor.confirmationDepths = { sale: 3 };
+      contractMonitor.latestBlock = 100;
+      contractMonitor.provider = {
+        getBlock: jest.fn().mockImplementation(async (number) => ({
+          hash: `0xhash${number}`,
+          parentHash: `0xhash${number - 1}`
+        }))
+      };
+    });
+
+    test('should hold events until they reach the configured depth', async () => {
+      const saleSpy = jest.fn();
+      contractMonitor.on('domainSale', saleSpy);
+
+      await contractMonitor.emitWhenConfirmed('domainSale', salePayload, saleLog('0xhash100'));
+      expect(saleSpy).not.toHaveBeenCalled();
+      expect(contractMonitor.pendingEvents.size).toBe(1);
+
+      await contractMonitor.processPendingEvents(101);
+      expect(saleSpy).not.toHaveBeenCalled();
+
+      await contractMonitor.processPendingEvents(102);
+      expect(saleSpy).toHaveBeenCalledWith({ ...salePayload, chain: 'doma-testnet' });
+      expect(contractMonitor.pendingEvents.size).toBe(0);
+    });
+
+    test('should drop pending events whose block was replaced', async () => {
+      const saleSpy = jest.fn();
+      contractMonitor.on('domainSale', saleSpy);
+
+      await contractMonitor.emitWhenConfirmed('domainSale', salePayload, saleLog('0xorphaned'));
+      await contractMonitor.processPendingEvents(102);
+
+      expect(saleSpy).not.toHaveBeenCalled();
+      expect(contractMonitor.pendingEvents.size).toBe(0);
+    });
+
+    test('should ignore duplicate deliveries of the same log', async () => {
+      await contractMonitor.emitWhenConfirmed('domainSale', salePayload, saleLog('0xhash100'));
+      await contractMonitor.emitWhenConfirmed('domainSale', salePayload, saleLog('0xhash100'));
+
+      expect(contractMonitor.pendingEvents.size).toBe(1);
+    });
+
+    test('should retract confirmed events orphaned by a reorg', async () => {
+      const retractSpy = jest.fn();
+      contractMonitor.on('eventRetracted', retractSpy);
+      contractMonitor.contracts = {};
+      jest.spyOn(contractMonitor, 'scanHistoricalEvents').mockResolvedValue({});
+
+      contractMonitor.confirmEvent({
+        key: '0xsaletx-0',
+        eventName: 'domainSale',
+        payload: salePayload,
+        blockNumber: 100,
+        blockHash: '0xorphaned'
+      });
+
+      await contractMonitor.handleReorg(100, 103);
+
+      expect(retractSpy).toHaveBeenCalledWith({ eventName: 'domainSale', ...salePayload, chain: 'doma-testnet' });
+      expect(contractMonitor.scanHistoricalEvents).toHaveBeenCalledWith(100, 103);
+    });
+
+    test('should detect a fork when the parent hash changes', async () => {
+      contractMonitor.recentBlocks.set(99, '0xhash99');
+      contractMonitor.recentBlocks.set(100, '0xstale100');
+
+      const forkBlock = await contractMonitor.trackBlock(101);
+
+      expect(forkBlock).toBe(100);
+    });
+  });
+
+  describe('Event index', () => {
+    const { indexDomainEvent, removeDomainEvent } = require('../../src/database/models/domainEvent.js');
+
+    const salePayload = {
+      type: 'sale',
+      domain: 'premium.ape',
+      seller: '0xseller',
+      buyer: '0xbuyer',
+      price: '10.0',
+      soldAt: 1700000000,
+      blockData: { blockNumber: 100, blockHash: '0xhash100', logIndex: 0, transactionHash: '0xsaletx' }
+    };
+
+    test('should index confirmed domain events', async () => {
+      contractMonitor.confirmEvent({
+        key: '0xsaletx-0',
+        eventName: 'domainSale',
+        payload: salePayload,
+        blockNumber: 100,
+        blockHash: '0xhash100'
       });
-      mockContract.on = jest.fn();
-      
-      const startSpy = jest.spyOn(contractMonitor, 'start');
-      
-      await contractMonitor.start();
-      
-      // Simulate connection error
-      const error = new Error('CONNECTION_LOST');
-      errorHandler(error);
-      
-      // Wait for reconnection attempt
-      await new Promise(resolve => setTimeout(resolve, 100));
-      
-      expect(startSpy).toHaveBeenCalledTimes(1); // Initial start only
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(indexDomainEvent).toHaveBeenCalledWith(
+        'doma-testnet',
+        salePayload,
+        new Date(1700000000 * 1000).toISOString()
+      );
+    });
+
+    test('should fold confirmed events into the domain cache', async () => {
+      const { applyDomainEvent } = require('../../src/database/models/domainCache.js');
+
+      await contractMonitor.indexEvent(salePayload);
+
+      expect(applyDomainEvent).toHaveBeenCalledWith(
+        'doma-testnet',
+        salePayload,
+        new Date(1700000000 * 1000).toISOString()
+      );
+    });
+
+    test('should remove indexed events orphaned by a reorg', async () => {
+      contractMonitor.contracts = {};
+      contractMonitor.provider = { getBlock: jest.fn().mockResolvedValue({ hash: '0xcanonical' }) };
+      jest.spyOn(contractMonitor, 'scanHistoricalEvents').mockResolvedValue({});
+      contractMonitor.confirmedEvents.set('0xsaletx-0', {
+        key: '0xsaletx-0',
+        eventName: 'domainSale',
+        payload: salePayload,
+        blockNumber: 100,
+        blockHash: '0xhash100'
+      });
+
+      await contractMonitor.handleReorg(100, 103);
+
+      expect(removeDomainEvent).toHaveBeenCalledWith('doma-testnet', '0xsaletx', 0);
+    });
+  });
+
+  describe('Multi-chain', () => {
+    test('should key checkpoints and confirmations by chain', async () => {
+      const { saveCheckpoint } = require('../../src/database/models/checkpoint.js');
+      const baseMonitor = new ContractMonitor({
+        ...chainConfig,
+        key: 'doma-base',
+        name: 'Doma Base',
+        confirmations: { sale: 12 }
+      });
+      baseMonitor.contracts = { trade: { target: '0xtrade' } };
+      baseMonitor.lastProcessedBlocks.set('trade', 500);
+
+      await baseMonitor.persistCheckpoints();
+
+      expect(baseMonitor.chain).toBe('doma-base');
+      expect(baseMonitor.confirmationDepths.sale).toBe(12);
+      expect(saveCheckpoint).toHaveBeenCalledWith('doma-base', 'trade', '0xtrade', 500);
     });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,128 @@
+const { ProviderPool } = require('../../src/contracts/providerPool.js');
+
+// Mock dependencies
+jest.mock('ethers', () => ({
+  ethers: {
+    JsonRpcProvider: jest.fn()
+  }
+}));
+
+jest.mock('../../src/utils/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+describe('ProviderPool', () => {
+  const { ethers } = require('ethers');
+  let pool;
+  let primary;
+  let backup;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ethers.JsonRpcProvider.mockImplementation((url) => ({
+      url,
+      getBlockNumber: jest.fn().mockResolvedValue(1000),
+      destroy: jest.fn()
+    }));
+
+    pool = new ProviderPool({
+      key: 'doma-testnet',
+      rpcUrls: ['https://primary.rpc', 'https://backup.rpc'],
+      blockTime: 2
+    });
+    [primary, backup] = pool.endpoints;
+  });
+
+  afterEach(() => {
+    pool.stop();
+  });
+
+  test('should start on the first endpoint', () => {
+    expect(pool.getProvider()).toBe(primary.provider);
+  });
+
+  test('should fail over when the active endpoint stops responding', async () => {
+    const failoverSpy = jest.fn();
+    pool.on('failover', failoverSpy);
+    primary.provider.getBlockNumber.mockRejectedValue(new Error('ECONNREFUSED'));
+
+    await pool.checkHealth();
+
+    expect(primary.healthy).toBe(false);
+    expect(pool.getProvider()).toBe(backup.provider);
+    expect(failoverSpy).toHaveBeenCalledWith({
+      chain: 'doma-testnet',
+      from: 'https://primary.rpc',
+      to: 'https://backup.rpc'
+    });
+  });
+
+  test('should mark endpoints that lag behind the head as unhealthy', async () => {
+    primary.provider.getBlockNumber.mockResolvedValue(990);
+    backup.provider.getBlockNumber.mockResolvedValue(1000);
+
+    await pool.checkHealth();
+
+    expect(primary.blockLag).toBe(10);
+    expect(primary.healthy).toBe(false);
+    expect(pool.getProvider()).toBe(backup.provider);
+  });
+
+  test('should retry one-off requests on the next endpoint', async () => {
+    pool.maxErrorRate = 0;
+    const operation = jest.fn()
+      .mockRejectedValueOnce(new Error('socket hang up'))
+      .mockResolvedValueOnce('receipt');
+
+    const result = await pool.execute(operation);
+
+    expect(result).toBe('receipt');
+    expect(operation).toHaveBeenLastCalledWith(backup.provider);
+  });
+
+  test('should not count contract reverts against the endpoint', () => {
+    const revert = Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' });
+
+    pool.reportError(revert);
+
+    expect(pool.getErrorRate(primary)).toBe(0);
+  });
+
+  test('should expose endpoint state', async () => {
+    await pool.checkHealth();
+
+    const status = pool.getStatus();
+    expect(status.active).toBe('https://primary.rpc');
+    expect(status.endpoints).toHaveLength(2);
+    expect(status.endpoints[0]).toMatchObject({ healthy: true, blockLag: 0, errorRate: 0 });
+  });
+
+  test('should give up once every endpoint has failed', async () => {
+    pool.maxErrorRate = 0;
+    const operation = jest.fn().mockRejectedValue(new Error('socket hang up'));
+
+    await expect(pool.execute(operation)).rejects.toThrow('socket hang up');
+    expect(operation).toHaveBeenCalledTimes(2);
+  });
+
+  test('should keep RPC URLs out of the public status', async () => {
+    primary.provider.getBlockNumber.mockRejectedValue(new Error('401 for https://primary.rpc/secret-key'));
+
+    await pool.checkHealth();
+
+    const status = pool.getPublicStatus();
+    expect(status).toEqual({
+      active: 1,
+      endpoints: [
+        { endpoint: 0, status: 'failed' },
+        { endpoint: 1, status: 'healthy' }
+      ]
+    });
+    expect(JSON.stringify(status)).not.toContain('rpc');
+  });
+});
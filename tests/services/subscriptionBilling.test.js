@@ -0,0 +1,556 @@
+const { SubscriptionService } = require('../../src/services/subscriptionService.js');
+
+// Mock dependencies
+jest.mock('ethers', () => {
+  const { utils } = jest.requireActual('ethers');
+  return {
+    ethers: {
+      formatEther: (wei) => utils.formatEther(wei),
+      parseEther: (value) => utils.parseEther(value).toBigInt(),
+      Contract: jest.fn(),
+      Wallet: jest.fn()
+    }
+  };
+});
+
+jest.mock('node-cron', () => ({
+  schedule: jest.fn(() => ({ stop: jest.fn() }))
+}));
+
+jest.mock('../../src/utils/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+jest.mock('../../src/database/init.js', () => ({
+  database: {
+    run: jest.fn(),
+    get: jest.fn(),
+    all: jest.fn(),
+    transaction: jest.fn()
+  }
+}));
+
+jest.mock('../../src/database/models/user.js', () => ({
+  updateUser: jest.fn(),
+  getUserById: jest.fn()
+}));
+
+jest.mock('../../src/database/models/promoCode.js', () => ({
+  getPromoCodeByCode: jest.fn(),
+  hasRedeemedPromoCode: jest.fn(),
+  recordPromoRedemption: jest.fn()
+}));
+
+jest.mock('../../src/database/models/referral.js', () => ({
+  recordReferralReward: jest.fn()
+}));
+
+jest.mock('../../src/config/chains.js', () => ({
+  getChainConfig: jest.fn(),
+  getDefaultChain: jest.fn()
+}));
+
+jest.mock('../../src/contracts/providerPool.js', () => ({
+  getProviderPool: jest.fn()
+}));
+
+describe('SubscriptionService billing', () => {
+  const { database } = require('../../src/database/init.js');
+  const { updateUser, getUserById } = require('../../src/database/models/user.js');
+  let subscriptionService;
+  let user;
+  let pending;
+
+  const wei = (ether) => BigInt(Math.round(ether * 1e6)) * 10n ** 12n;
+  const event = { transactionHash: '0xpaid', blockNumber: 100 };
+  const runCalls = (fragment) => database.run.mock.calls.filter(([sql]) => sql.includes(fragment));
+
+  beforeEach(() => {
+    user = { id: 1, walletAddress: '0xabc', walletVerifiedAt: '2025-01-01', subscriptionTier: 'free' };
+    pending = null;
+
+    database.get.mockImplementation(async (sql) => {
+      if (sql.includes('FROM users')) {
+        return user;
+      }
+      if (sql.includes('status = \'pending\'')) {
+        return pending;
+      }
+      return undefined;
+    });
+    database.run.mockResolvedValue({ lastID: 7, changes: 1 });
+    getUserById.mockResolvedValue(user);
+
+    subscriptionService = new SubscriptionService();
+  });
+
+  describe('handleSubscriptionPurchased()', () => {
+    test('should activate the pending row the payment was quoted for', async () => {
+      pending = { id: 7, tier: 'premium', durationDays: 30, amount: 20 };
+
+      await subscriptionService.handleSubscriptionPurchased(
+        '0xabc', 2n, wei(20), 30n * 86400n, 1900000000n, event
+      );
+
+      expect(updateUser).toHaveBeenCalledWith(1, expect.objectContaining({ subscriptionTier: 'premium' }));
+      const [activation] = runCalls('transactionHash = ?, paymentDeadline = NULL');
+      expect(activation[1]).toEqual(['active', expect.any(String), expect.any(String), '20.0', '0xpaid', 7]);
+    });
+
+    test('should fail the quote when the payment is short of it', async () => {
+      pending = { id: 7, tier: 'premium', durationDays: 30, amount: 20 };
+      const listener = jest.fn();
+      subscriptionService.on('subscriptionActivated', listener);
+
+      await subscriptionService.handleSubscriptionPurchased(
+        '0xabc', 2n, wei(15), 30n * 86400n, 1900000000n, event
+      );
+
+      expect(updateUser).not.toHaveBeenCalled();
+      expect(listener).not.toHaveBeenCalled();
+      expect(runCalls('SET status = \'failed\'')[0][1]).toEqual(['0xpaid', 7]);
+      const [log] = runCalls('INSERT INTO transaction_logs');
+      expect(log[1]).toEqual(expect.arrayContaining(['failed', 'Payment does not match the quoted amount of 20']));
+    });
+
+    test('should compare amounts at the precision the database keeps', async () => {
+      pending = { id: 7, tier: 'basic', durationDays: 30, amount: 0.123456789012346 };
+
+      await subscriptionService.handleSubscriptionPurchased(
+        '0xabc', 1n, 123456789012345678n, 30n * 86400n, 1900000000n, event
+      );
+
+      expect(updateUser).toHaveBeenCalled();
+    });
+
+    test('should ignore a payment it has already settled', async () => {
+      database.get.mockImplementation(async (sql) => (sql.includes('FROM users') ? user : { id: 7 }));
+
+      await subscriptionService.handleSubscriptionPurchased(
+        '0xabc', 2n, wei(20), 30n * 86400n, 1900000000n, event
+      );
+
+      expect(updateUser).not.toHaveBeenCalled();
+      expect(database.run).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('prorated upgrades', () => {
+    const NOW = Date.parse('2025-06-11T00:00:00Z');
+    let active;
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: NOW });
+      user.subscriptionTier = 'basic';
+      active = {
+        id: 3,
+        tier: 'basic',
+        amount: 5,
+        startDate: '2025-06-01T00:00:00Z',
+        endDate: '2025-07-01T00:00:00Z'
+      };
+
+      database.get.mockImplementation(async (sql) => {
+        if (sql.includes('FROM users')) {
+          return user;
+        }
+        if (sql.includes('status = \'pending\'')) {
+          return pending;
+        }
+        if (sql.includes('status = \'active\'')) {
+          return active;
+        }
+        return undefined;
+      });
+
+      subscriptionService.subscriptionContract = {
+        target: '0xsubscription',
+        interface: { encodeFunctionData: jest.fn(() => '0xdata') },
+        getTierPrice: jest.fn().mockResolvedValue(wei(20))
+      };
+      subscriptionService.providerPool = {
+        execute: jest.fn((call) => call({ getNetwork: async () => ({ chainId: 97476n }) }))
+      };
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should credit the unused share of the current payment', () => {
+      expect(subscriptionService.getProratedCredit(active)).toBe(wei(5) * 2n / 3n);
+    });
+
+    test('should charge the full price and settle the credit as extra days', async () => {
+      const quote = await subscriptionService.createUpgrade(1, 'premium', 30);
+
+      expect(quote.amountDue).toBe('20.0');
+      expect(quote.transaction.value).toBe(wei(20).toString());
+      expect(quote.bonusDays).toBe(5);
+
+      const [insert] = runCalls('INSERT INTO subscriptions');
+      expect(insert[1].slice(0, 7)).toEqual([1, 'premium', 30, '20.0', expect.stringMatching(/^3\.333/), 3, null]);
+    });
+
+    test('should extend the paid period by the credit when the payment lands', async () => {
+      pending = {
+        id: 8, tier: 'premium', durationDays: 30, amount: 20, proratedCredit: 3.33333333, discount: 2, replacesSubscriptionId: 3
+      };
+      const chainExpiry = NOW / 1000 + 30 * 86400;
+
+      await subscriptionService.handleSubscriptionPurchased(
+        '0xabc', 2n, wei(20), 30n * 86400n, BigInt(chainExpiry), event
+      );
+
+      const expiry = Date.parse(updateUser.mock.calls[0][1].subscriptionExpiry) / 1000;
+      expect(expiry - chainExpiry).toBeCloseTo(8 * 86400, -1);
+      expect(runCalls('SET status = \'expired\'')[0][1]).toEqual([expect.any(String), 3]);
+    });
+
+    test('should only flag a database expiry that falls behind the chain', () => {
+      const onChain = { tier: 'premium', expiryTime: 1900000000, isActive: true };
+      const ahead = { tier: 'premium', status: 'active', expiryTime: new Date(1900864000 * 1000).toISOString() };
+      const behind = { ...ahead, expiryTime: new Date(1899000000 * 1000).toISOString() };
+
+      expect(subscriptionService.compareWithChain(ahead, onChain).any).toBe(false);
+      expect(subscriptionService.compareWithChain(ahead, { ...onChain, isActive: false }).active).toBe(false);
+      expect(subscriptionService.compareWithChain(behind, onChain).expiry).toBe(true);
+    });
+  });
+
+  describe('promo codes and referrals', () => {
+    const {
+      getPromoCodeByCode,
+      hasRedeemedPromoCode,
+      recordPromoRedemption
+    } = require('../../src/database/models/promoCode.js');
+    const { recordReferralReward } = require('../../src/database/models/referral.js');
+    const chainExpiry = 1900000000;
+
+    beforeEach(() => {
+      subscriptionService.subscriptionContract = {
+        target: '0xsubscription',
+        interface: { encodeFunctionData: jest.fn(() => '0xdata') },
+        getTierPrice: jest.fn().mockResolvedValue(wei(20))
+      };
+      subscriptionService.providerPool = {
+        execute: jest.fn((call) => call({ getNetwork: async () => ({ chainId: 97476n }) }))
+      };
+      hasRedeemedPromoCode.mockResolvedValue(false);
+    });
+
+    test('should take a fixed discount from its decimal value without rounding', async () => {
+      getPromoCodeByCode.mockResolvedValue({
+        id: 4, code: 'EXACT', isActive: true, discountType: 'fixed', discountValue: 1.123456789012345
+      });
+
+      const quote = await subscriptionService.createUpgrade(1, 'premium', 30, 'exact');
+
+      expect(quote.discount).toBe('1.123456789012345');
+      expect(quote.amountDue).toBe('20.0');
+    });
+
+    test('should refuse a code that has reached its redemption limit', async () => {
+      getPromoCodeByCode.mockResolvedValue({
+        id: 4, code: 'FULL', isActive: true, discountType: 'percent', discountValue: 10,
+        maxRedemptions: 5, redemptionCount: 5
+      });
+
+      await expect(subscriptionService.createUpgrade(1, 'premium', 30, 'full'))
+        .rejects.toThrow('Promo code has reached its redemption limit');
+    });
+
+    test('should extend the period by the discount once the redemption is recorded', async () => {
+      pending = { id: 7, tier: 'premium', durationDays: 30, amount: 20, discount: 2, promoCodeId: 4 };
+      recordPromoRedemption.mockResolvedValue(true);
+
+      await subscriptionService.handleSubscriptionPurchased(
+        '0xabc', 2n, wei(20), 30n * 86400n, BigInt(chainExpiry), event
+      );
+
+      expect(recordPromoRedemption).toHaveBeenCalledWith({ promoCodeId: 4, userId: 1, subscriptionId: 7, discount: 2 });
+      const expiry = Date.parse(updateUser.mock.calls[0][1].subscriptionExpiry) / 1000;
+      expect(expiry - chainExpiry).toBe(3 * 86400);
+    });
+
+    test('should activate without the discount when the code ran out before payment', async () => {
+      pending = { id: 7, tier: 'premium', durationDays: 30, amount: 20, discount: 2, promoCodeId: 4 };
+      recordPromoRedemption.mockResolvedValue(false);
+
+      await subscriptionService.handleSubscriptionPurchased(
+        '0xabc', 2n, wei(20), 30n * 86400n, BigInt(chainExpiry), event
+      );
+
+      const expiry = Date.parse(updateUser.mock.calls[0][1].subscriptionExpiry) / 1000;
+      expect(expiry).toBe(chainExpiry);
+    });
+
+    test('should reward the referrer on the first paid purchase only', async () => {
+      const referrer = {
+        id: 9, isActive: 1, subscriptionTier: 'premium', subscriptionExpiry: new Date(chainExpiry * 1000).toISOString()
+      };
+      user.referredBy = 9;
+      getUserById.mockImplementation(async (id) => (id === 9 ? referrer : user));
+      recordReferralReward.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+      await subscriptionService.grantReferralReward(user, 7);
+      await subscriptionService.grantReferralReward(user, 8);
+
+      expect(recordReferralReward).toHaveBeenCalledWith(expect.objectContaining({
+        referrerId: 9, referredUserId: 1, rewardDays: 7, rewardTier: 'premium'
+      }));
+      const rewards = updateUser.mock.calls.filter(([id]) => id === 9);
+      expect(rewards).toHaveLength(1);
+      expect(rewards[0][1]).toEqual({
+        subscriptionTier: 'premium',
+        subscriptionExpiry: new Date((chainExpiry + 7 * 86400) * 1000).toISOString()
+      });
+    });
+  });
+
+  describe('promo redemption storage', () => {
+    const { recordPromoRedemption } = jest.requireActual('../../src/database/models/promoCode.js');
+    const redemption = { promoCodeId: 4, userId: 1, subscriptionId: 7, discount: 2 };
+
+    beforeEach(() => {
+      database.transaction.mockImplementation((callback) => callback());
+    });
+
+    test('should count a redemption while the code is under its limit', async () => {
+      database.run.mockResolvedValue({ lastID: 12, changes: 1 });
+
+      await expect(recordPromoRedemption(redemption)).resolves.toBe(true);
+
+      const [update] = runCalls('UPDATE promo_codes');
+      expect(update[0]).toContain('redemptionCount < maxRedemptions');
+      expect(runCalls('DELETE FROM promo_redemptions')).toHaveLength(0);
+    });
+
+    test('should undo the redemption when the limit was reached in the meantime', async () => {
+      database.run
+        .mockResolvedValueOnce({ lastID: 12, changes: 1 })
+        .mockResolvedValueOnce({ changes: 0 })
+        .mockResolvedValueOnce({ changes: 1 });
+
+      await expect(recordPromoRedemption(redemption)).resolves.toBe(false);
+
+      expect(runCalls('DELETE FROM promo_redemptions')[0][1]).toEqual([12]);
+    });
+
+    test('should not count a code the user already redeemed', async () => {
+      database.run.mockResolvedValue({ changes: 0 });
+
+      await expect(recordPromoRedemption(redemption)).resolves.toBe(false);
+
+      expect(runCalls('UPDATE promo_codes')).toHaveLength(0);
+    });
+  });
+
+  describe('grace period', () => {
+    const NOW = Date.parse('2025-06-11T00:00:00Z');
+    const hoursAgo = (hours) => new Date(NOW - hours * 3600000).toISOString();
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: NOW });
+      user.subscriptionTier = 'premium';
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should pause auto-actions on the first day after expiry', async () => {
+      const listener = jest.fn();
+      subscriptionService.on('subscriptionGraceStage', listener);
+      user.subscriptionExpiry = hoursAgo(6);
+
+      await subscriptionService.applyGraceStage(user);
+
+      expect(updateUser).toHaveBeenCalledWith(1, { dunningStage: 'auto_actions_paused' });
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+        stage: 'auto_actions_paused',
+        previousStage: null,
+        graceEndsAt: new Date(NOW - 6 * 3600000 + 3 * 86400000).toISOString()
+      }));
+    });
+
+    test('should batch alerts once the first grace day has passed', async () => {
+      user.subscriptionExpiry = hoursAgo(30);
+      user.dunningStage = 'auto_actions_paused';
+
+      await subscriptionService.applyGraceStage(user);
+
+      expect(updateUser).toHaveBeenCalledWith(1, { dunningStage: 'alerts_batched' });
+    });
+
+    test('should not repeat a stage the user is already in', async () => {
+      const notice = jest.fn();
+      subscriptionService.on('subscriptionNotice', notice);
+      user.subscriptionExpiry = hoursAgo(30);
+      user.dunningStage = 'alerts_batched';
+
+      await subscriptionService.applyGraceStage(user);
+
+      expect(updateUser).not.toHaveBeenCalled();
+      expect(notice).not.toHaveBeenCalled();
+    });
+
+    test('should send each renewal reminder once', async () => {
+      user.subscriptionExpiry = new Date(NOW + 2.5 * 86400000).toISOString();
+      user.lastReminderDays = 3;
+
+      await subscriptionService.notifyExpiringSubscription(user);
+      expect(updateUser).not.toHaveBeenCalled();
+
+      user.subscriptionExpiry = new Date(NOW + 12 * 3600000).toISOString();
+      await subscriptionService.notifyExpiringSubscription(user);
+      expect(updateUser).toHaveBeenCalledWith(1, { lastReminderDays: 1 });
+    });
+
+    test('should clear the grace stage when the subscription is paid', async () => {
+      const listener = jest.fn();
+      subscriptionService.on('subscriptionRestored', listener);
+      user.dunningStage = 'alerts_batched';
+      user.lastReminderDays = 1;
+
+      await subscriptionService.restoreFeatures(user);
+
+      expect(updateUser).toHaveBeenCalledWith(1, { dunningStage: null, lastReminderDays: null });
+      expect(listener).toHaveBeenCalledWith({ userId: 1, previousStage: 'alerts_batched' });
+    });
+  });
+
+  describe('auto-renewal', () => {
+    let due;
+    let receipt;
+
+    beforeEach(() => {
+      due = {
+        id: 3, userId: 1, tier: 'premium', durationDays: 30, renewalAttempts: 0, walletAddress: '0xabc'
+      };
+      receipt = { hash: '0xrenewed', blockNumber: 200, gasUsed: 90000n, status: 1, logs: [{}] };
+
+      subscriptionService.subscriptionContract = {
+        target: '0xsubscription',
+        getTierPrice: jest.fn().mockResolvedValue(wei(20)),
+        interface: {
+          parseLog: jest.fn(() => ({ name: 'SubscriptionRenewed', args: ['0xabc', 2n, wei(20), 1902592000n] }))
+        }
+      };
+      subscriptionService.preauthContract = {
+        executeAutoAction: jest.fn().mockResolvedValue({
+          hash: '0xrenewed',
+          wait: jest.fn().mockResolvedValue(receipt)
+        }),
+        interface: {
+          parseLog: jest.fn(() => ({ name: 'AutoActionExecuted', args: { success: true } }))
+        }
+      };
+      jest.spyOn(subscriptionService, 'handleSubscriptionRenewed').mockResolvedValue();
+    });
+
+    test('should do nothing without an operator wallet', async () => {
+      subscriptionService.preauthContract = null;
+
+      await subscriptionService.processAutoRenewals();
+
+      expect(database.all).not.toHaveBeenCalled();
+    });
+
+    test('should charge the renewal within the pre-authorized limit', async () => {
+      database.all.mockResolvedValue([due]);
+      const listener = jest.fn();
+      subscriptionService.on('subscriptionAutoRenewed', listener);
+
+      await subscriptionService.processAutoRenewals();
+
+      expect(subscriptionService.preauthContract.executeAutoAction)
+        .toHaveBeenCalledWith('0xabc', 'subscription_renewal:premium:30', '', wei(20));
+      expect(runCalls('SET renewalAttempts = ?')[0][1]).toEqual([1, 3]);
+      expect(runCalls('SET status = \'confirmed\'')[0][1]).toEqual([200, 90000, 7]);
+      expect(subscriptionService.handleSubscriptionRenewed).toHaveBeenCalledWith(
+        '0xabc', 2n, wei(20), 1902592000n, { transactionHash: '0xrenewed', blockNumber: 200 }
+      );
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ userId: 1, tier: 'premium' }));
+    });
+
+    test('should renew at the tier of a scheduled downgrade', async () => {
+      await subscriptionService.attemptAutoRenewal({ ...due, scheduledTier: 'basic' });
+
+      expect(subscriptionService.subscriptionContract.getTierPrice).toHaveBeenCalledWith(1, 30 * 86400);
+      expect(subscriptionService.preauthContract.executeAutoAction)
+        .toHaveBeenCalledWith('0xabc', 'subscription_renewal:basic:30', '', wei(20));
+    });
+
+    test('should record a declined payment and say another attempt is coming', async () => {
+      subscriptionService.preauthContract.interface.parseLog.mockReturnValue({
+        name: 'AutoActionExecuted', args: { success: false }
+      });
+      const failed = jest.fn();
+      subscriptionService.on('subscriptionAutoRenewFailed', failed);
+
+      await subscriptionService.attemptAutoRenewal(due);
+
+      const reason = 'Payment was declined by the pre-authorization contract';
+      expect(runCalls('SET status = \'failed\', errorMessage = ?')[0][1]).toEqual([reason, 7]);
+      expect(runCalls('SET renewalError = ?')[0][1]).toEqual([reason, 3]);
+      expect(failed).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, willRetry: true, error: reason }));
+      expect(subscriptionService.handleSubscriptionRenewed).not.toHaveBeenCalled();
+    });
+
+    test('should stop retrying after the last attempt', async () => {
+      subscriptionService.preauthContract.executeAutoAction.mockRejectedValue(new Error('insufficient allowance'));
+      const notice = jest.fn();
+      subscriptionService.on('subscriptionNotice', notice);
+
+      await subscriptionService.attemptAutoRenewal({ ...due, renewalAttempts: 2 });
+
+      expect(notice).toHaveBeenCalledWith(expect.objectContaining({
+        message: expect.stringContaining('failed 3 times'),
+        urgency: 'high'
+      }));
+    });
+  });
+
+  describe('purchaseSubscription()', () => {
+    let contract;
+
+    beforeEach(() => {
+      contract = {
+        getTierPrice: jest.fn().mockResolvedValue(wei(5)),
+        purchaseSubscription: jest.fn()
+      };
+      contract.connect = jest.fn(() => contract);
+      subscriptionService.subscriptionContract = contract;
+    });
+
+    test('should record the pending row before sending the payment', async () => {
+      contract.purchaseSubscription.mockImplementation(async () => {
+        expect(runCalls('INSERT INTO subscriptions')).toHaveLength(1);
+        return {
+          hash: '0xsent',
+          wait: jest.fn().mockResolvedValue({ hash: '0xsent', blockNumber: 5, gasUsed: 21000n })
+        };
+      });
+
+      const result = await subscriptionService.purchaseSubscription(1, 'basic', 30, {});
+
+      expect(result.transactionHash).toBe('0xsent');
+      expect(runCalls('SET transactionHash = ?')[0][1]).toEqual(['0xsent', 7]);
+    });
+
+    test('should fail the pending row when the payment cannot be sent', async () => {
+      contract.purchaseSubscription.mockRejectedValue(new Error('user rejected'));
+
+      await expect(subscriptionService.purchaseSubscription(1, 'basic', 30, {}))
+        .rejects.toThrow('user rejected');
+
+      expect(runCalls('SET status = \'failed\'')[0][1]).toEqual([7]);
+    });
+  });
+});
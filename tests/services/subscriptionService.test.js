@@ -1,8 +1,21 @@
-const SubscriptionService = require('../../src/services/subscriptionService.js').default;
-const Database = require('../../src/database/index.js');
+const { SubscriptionService } = require('../../src/services/subscriptionService.js');
 
 // Mock dependencies
-jest.mock('../../src/database/index.js');
+jest.mock('ethers', () => {
+  const { utils } = jest.requireActual('ethers');
+  return {
+    ethers: {
+      formatEther: (wei) => utils.formatEther(wei),
+      parseEther: (value) => utils.parseEther(value).toBigInt(),
+      Contract: jest.fn()
+    }
+  };
+});
+
+jest.mock('node-cron', () => ({
+  schedule: jest.fn(() => ({ stop: jest.fn() }))
+}));
+
 jest.mock('../../src/utils/logger.js', () => ({
   logger: {
     info: jest.fn(),
@@ -12,375 +25,219 @@ jest.mock('../../src/utils/logger.js', () => ({
   }
 }));
 
-// Mock ethers for contract interactions
-jest.mock('ethers', () => ({
-  ethers: {
-    providers: {
-      JsonRpcProvider: jest.fn().mockImplementation(() => ({
-        getNetwork: jest.fn().mockResolvedValue({ chainId: 1 })
-      }))
-    },
-    Contract: jest.fn().mockImplementation(() => ({
-      transfer: jest.fn().mockResolvedValue({ 
-        hash: '0x1234567890abcdef',
-        wait: jest.fn().mockResolvedValue({ status: 1 })
-      }),
-      balanceOf: jest.fn().mockResolvedValue('1000000000000000000000'), // 1000 DOMA
-      decimals: jest.fn().mockResolvedValue(18)
-    })),
-    utils: {
-      parseEther: jest.fn().mockImplementation((value) => `${value}000000000000000000`),
-      formatEther: jest.fn().mockImplementation((value) => (parseInt(value) / 1e18).toString())
-    }
+jest.mock('../../src/database/init.js', () => ({
+  database: {
+    run: jest.fn(),
+    get: jest.fn(),
+    all: jest.fn(),
+    transaction: jest.fn()
   }
 }));
 
+jest.mock('../../src/database/models/user.js', () => ({
+  updateUser: jest.fn(),
+  getUserById: jest.fn()
+}));
+
+jest.mock('../../src/database/models/promoCode.js', () => ({
+  getPromoCodeByCode: jest.fn(),
+  hasRedeemedPromoCode: jest.fn(),
+  recordPromoRedemption: jest.fn()
+}));
+
+jest.mock('../../src/database/models/referral.js', () => ({
+  recordReferralReward: jest.fn()
+}));
+
+jest.mock('../../src/config/chains.js', () => ({
+  getChainConfig: jest.fn(),
+  getDefaultChain: jest.fn()
+}));
+
+jest.mock('../../src/contracts/providerPool.js', () => ({
+  getProviderPool: jest.fn()
+}));
+
 describe('SubscriptionService', () => {
+  const { database } = require('../../src/database/init.js');
+  const { getUserById } = require('../../src/database/models/user.js');
   let subscriptionService;
-  let mockDb;
+  let user;
 
   const mockUser = {
     id: 1,
     username: 'testuser',
     subscriptionTier: 'free',
     subscriptionExpiry: null,
-    walletAddress: '0x1234567890123456789012345678901234567890'
+    walletAddress: '0x1234567890123456789012345678901234567890',
+    walletVerifiedAt: '2026-01-01T00:00:00.000Z'
   };
 
+  const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
   beforeEach(() => {
-    // Reset mocks
-    jest.clearAllMocks();
-    
-    // Setup database mock
-    mockDb = {
-      prepare: jest.fn().mockImplementation((sql) => ({
-        get: jest.fn(),
-        all: jest.fn(),
-        run: jest.fn()
-      }))
-    };
-    
-    Database.getInstance = jest.fn().mockReturnValue(mockDb);
-    
+    user = { ...mockUser };
+    getUserById.mockImplementation(async () => user);
+    database.get.mockImplementation(async (sql) => (sql.includes('COUNT(*)') ? { total: 0 } : undefined));
+    database.all.mockResolvedValue([]);
+    database.run.mockResolvedValue({ lastID: 4, changes: 1 });
+
     subscriptionService = new SubscriptionService();
+    subscriptionService.subscriptionContract = {
+      target: '0xsubscription',
+      interface: { encodeFunctionData: jest.fn(() => '0xdata') },
+      getTierPrice: jest.fn().mockResolvedValue(20n * 10n ** 18n),
+      getSubscriptionInfo: jest.fn()
+    };
+    subscriptionService.providerPool = {
+      execute: jest.fn((call) => call({ getNetwork: async () => ({ chainId: 97476n }) }))
+    };
   });
 
   describe('Initialization', () => {
     test('should create instance with default configuration', () => {
       expect(subscriptionService).toBeInstanceOf(SubscriptionService);
+      expect(subscriptionService.isRunning).toBe(false);
     });
 
-    test('should initialize subscription tiers correctly', () => {
-      const tiers = subscriptionService.getSubscriptionTiers();
-      
-      expect(tiers).toHaveProperty('free');
-      expect(tiers).toHaveProperty('basic');
-      expect(tiers).toHaveProperty('premium');
-      
-      expect(tiers.free.price).toBe(0);
-      expect(tiers.basic.price).toBe(5);
-      expect(tiers.premium.price).toBe(20);
+    test('should describe the benefits of each tier', () => {
+      expect(subscriptionService.getTierBenefits('free')).toHaveProperty('alerts', 5);
+      expect(subscriptionService.getTierBenefits('basic')).toHaveProperty('alerts', 20);
+      expect(subscriptionService.getTierBenefits('premium')).toHaveProperty('autoActions', true);
+      expect(subscriptionService.getTierBenefits('unknown')).toEqual(subscriptionService.getTierBenefits('free'));
     });
   });
 
-  describe('getUserSubscription()', () => {
+  describe('getSubscriptionStatus()', () => {
     test('should return user subscription data', async () => {
-      const mockStatement = mockDb.prepare();
-      mockStatement.get.mockReturnValue({
-        ...mockUser,
-        subscriptionTier: 'basic',
-        subscriptionExpiry: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString()
-      });
-
-      const subscription = await subscriptionService.getUserSubscription(1);
-
-      expect(subscription).toHaveProperty('tier', 'basic');
-      expect(subscription).toHaveProperty('expiry');
-      expect(subscription).toHaveProperty('status', 'active');
-      expect(subscription).toHaveProperty('daysRemaining');
-    });
+      user = { ...mockUser, subscriptionTier: 'basic', subscriptionExpiry: daysFromNow(30) };
 
-    test('should return null for non-existent user', async () => {
-      const mockStatement = mockDb.prepare();
-      mockStatement.get.mockReturnValue(null);
+      const status = await subscriptionService.getSubscriptionStatus(1);
 
-      const subscription = await subscriptionService.getUserSubscription(999);
+      expect(status.current).toMatchObject({ tier: 'basic', status: 'active', isActive: true, daysRemaining: 30 });
+      expect(status.benefits).toHaveProperty('alerts', 20);
+    });
+
+    test('should return 404 for non-existent user', async () => {
+      user = null;
 
-      expect(subscription).toBeNull();
+      await expect(subscriptionService.getSubscriptionStatus(999))
+        .rejects.toMatchObject({ statusCode: 404 });
     });
 
     test('should handle expired subscription', async () => {
-      const mockStatement = mockDb.prepare();
-      mockStatement.get.mockReturnValue({
-        ...mockUser,
-        subscriptionTier: 'basic',
-        subscriptionExpiry: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString()
-      });
+      user = { ...mockUser, subscriptionTier: 'basic', subscriptionExpiry: daysFromNow(-10) };
 
-      const subscription = await subscriptionService.getUserSubscription(1);
+      const status = await subscriptionService.getSubscriptionStatus(1);
 
-      expect(subscription.status).toBe('expired');
-      expect(subscription.daysRemaining).toBe(0);
+      expect(status.current.status).toBe('expired');
+      expect(status.current.daysRemaining).toBe(0);
+    });
+
+    test('should flag an on-chain tier the database does not know about', async () => {
+      subscriptionService.subscriptionContract.getSubscriptionInfo.mockResolvedValue([
+        2n, BigInt(Math.floor(Date.now() / 1000) + 86400), true
+      ]);
+
+      const status = await subscriptionService.getSubscriptionStatus(1);
+
+      expect(status.onChain).toMatchObject({ tier: 'premium', isActive: true });
+      expect(status.mismatch).toMatchObject({ tier: true, active: true, any: true });
     });
   });
 
-  describe('upgradeSubscription()', () => {
-    test('should upgrade subscription successfully with payment', async () => {
-      const mockUserStatement = mockDb.prepare();
-      const mockUpdateStatement = mockDb.prepare();
-      const mockInsertStatement = mockDb.prepare();
-      
-      mockUserStatement.get.mockReturnValue(mockUser);
-      mockUpdateStatement.run.mockReturnValue({ changes: 1 });
-      mockInsertStatement.run.mockReturnValue({ lastInsertRowid: 1 });
-
-      // Mock multiple prepare calls
-      mockDb.prepare.mockImplementation((sql) => {
-        if (sql.includes('SELECT')) return mockUserStatement;
-        if (sql.includes('UPDATE')) return mockUpdateStatement;
-        if (sql.includes('INSERT')) return mockInsertStatement;
-        return { get: jest.fn(), all: jest.fn(), run: jest.fn() };
-      });
-
-      const result = await subscriptionService.upgradeSubscription(1, 'basic');
+  describe('createUpgrade()', () => {
+    test('should quote the upgrade and return the transaction to sign', async () => {
+      const quote = await subscriptionService.createUpgrade(1, 'basic');
 
-      expect(result).toHaveProperty('success', true);
-      expect(result).toHaveProperty('tier', 'basic');
-      expect(result).toHaveProperty('expiry');
-      expect(result).toHaveProperty('transactionHash');
+      expect(quote).toMatchObject({ subscriptionId: 4, tier: 'basic', duration: 30, price: '20.0' });
+      expect(quote.transaction).toMatchObject({ to: '0xsubscription', data: '0xdata', chainId: 97476 });
     });
 
     test('should handle invalid tier upgrade', async () => {
-      const mockStatement = mockDb.prepare();
-      mockStatement.get.mockReturnValue(mockUser);
+      await expect(subscriptionService.createUpgrade(1, 'invalid'))
+        .rejects.toThrow('Invalid subscription tier');
+    });
+
+    test('should require a wallet verified with Sign-In With Ethereum', async () => {
+      user = { ...mockUser, walletVerifiedAt: null };
 
-      await expect(subscriptionService.upgradeSubscription(1, 'invalid'))
-        .rejects.toThrow('Invalid subscription tier: invalid');
+      await expect(subscriptionService.createUpgrade(1, 'basic'))
+        .rejects.toThrow('Verify your wallet with Sign-In With Ethereum first');
+      expect(database.run).not.toHaveBeenCalled();
     });
 
     test('should handle downgrade attempts', async () => {
-      const mockStatement = mockDb.prepare();
-      mockStatement.get.mockReturnValue({
-        ...mockUser,
-        subscriptionTier: 'premium'
-      });
-
-      await expect(subscriptionService.upgradeSubscription(1, 'basic'))
-        .rejects.toThrow('Cannot downgrade from premium to basic');
-    });
+      user = { ...mockUser, subscriptionTier: 'premium' };
+      database.get.mockResolvedValue({ id: 3, tier: 'premium', endDate: daysFromNow(10) });
 
-    test('should handle payment failures', async () => {
-      const mockUserStatement = mockDb.prepare();
-      mockUserStatement.get.mockReturnValue(mockUser);
-      
-      mockDb.prepare.mockImplementation((sql) => {
-        if (sql.includes('SELECT')) return mockUserStatement;
-        return { get: jest.fn(), all: jest.fn(), run: jest.fn() };
-      });
-
-      // Mock contract payment failure
-      const { ethers } = require('ethers');
-      const mockContract = new ethers.Contract();
-      mockContract.transfer.mockRejectedValue(new Error('Insufficient balance'));
-
-      await expect(subscriptionService.upgradeSubscription(1, 'basic'))
-        .rejects.toThrow('Payment failed');
+      await expect(subscriptionService.createUpgrade(1, 'basic'))
+        .rejects.toThrow('Schedule a downgrade to move to a lower tier');
     });
   });
 
   describe('cancelSubscription()', () => {
-    test('should cancel subscription successfully', async () => {
-      const mockUserStatement = mockDb.prepare();
-      const mockUpdateStatement = mockDb.prepare();
-      
-      mockUserStatement.get.mockReturnValue({
-        ...mockUser,
-        subscriptionTier: 'basic',
-        subscriptionExpiry: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString()
-      });
-      mockUpdateStatement.run.mockReturnValue({ changes: 1 });
-
-      mockDb.prepare.mockImplementation((sql) => {
-        if (sql.includes('SELECT')) return mockUserStatement;
-        if (sql.includes('UPDATE')) return mockUpdateStatement;
-        return { get: jest.fn(), all: jest.fn(), run: jest.fn() };
-      });
+    test('should return the cancellation transaction for the wallet', async () => {
+      user = { ...mockUser, subscriptionTier: 'basic', subscriptionExpiry: daysFromNow(30) };
 
       const result = await subscriptionService.cancelSubscription(1);
 
       expect(result).toHaveProperty('success', true);
-      expect(result).toHaveProperty('message');
+      expect(result.transaction).toMatchObject({ to: '0xsubscription', value: '0' });
     });
 
     test('should handle canceling free tier', async () => {
-      const mockStatement = mockDb.prepare();
-      mockStatement.get.mockReturnValue(mockUser);
-
       await expect(subscriptionService.cancelSubscription(1))
-        .rejects.toThrow('Cannot cancel free tier subscription');
-    });
-  });
-
-  describe('checkSubscriptionLimits()', () => {
-    test('should enforce free tier limits', async () => {
-      const limits = await subscriptionService.checkSubscriptionLimits(mockUser, 'alerts');
-
-      expect(limits.allowed).toBe(true);
-      expect(limits.limit).toBe(5);
-      expect(limits.remaining).toBeLessThanOrEqual(5);
-    });
-
-    test('should allow unlimited for premium tier', async () => {
-      const premiumUser = { ...mockUser, subscriptionTier: 'premium' };
-      const limits = await subscriptionService.checkSubscriptionLimits(premiumUser, 'alerts');
-
-      expect(limits.allowed).toBe(true);
-      expect(limits.limit).toBe(-1); // Unlimited
+        .rejects.toThrow('No active subscription to cancel');
     });
 
-    test('should block when limit exceeded', async () => {
-      // Mock current usage above limit
-      const mockStatement = mockDb.prepare();
-      mockStatement.get.mockReturnValue({ count: 6 }); // Above free limit of 5
+    test('should require a verified wallet', async () => {
+      user = { ...mockUser, subscriptionTier: 'basic', walletVerifiedAt: null };
 
-      const limits = await subscriptionService.checkSubscriptionLimits(mockUser, 'alerts');
-
-      expect(limits.allowed).toBe(false);
-      expect(limits.remaining).toBe(0);
+      await expect(subscriptionService.cancelSubscription(1))
+        .rejects.toThrow('Verify your wallet with Sign-In With Ethereum first');
     });
   });
 
   describe('getSubscriptionHistory()', () => {
     test('should return subscription history', async () => {
-      const mockTransactions = [
-        {
-          id: 1,
-          userId: 1,
-          tier: 'basic',
-          amount: 5,
-          transactionHash: '0xabc123',
-          status: 'completed',
-          createdAt: new Date().toISOString()
-        },
-        {
-          id: 2,
-          userId: 1,
-          tier: 'premium',
-          amount: 20,
-          transactionHash: '0xdef456',
-          status: 'completed',
-          createdAt: new Date().toISOString()
-        }
-      ];
-
-      const mockStatement = mockDb.prepare();
-      mockStatement.all.mockReturnValue(mockTransactions);
-
-      const history = await subscriptionService.getSubscriptionHistory(1);
-
-      expect(history).toBeInstanceOf(Array);
-      expect(history).toHaveLength(2);
-      expect(history[0]).toHaveProperty('tier', 'basic');
-      expect(history[1]).toHaveProperty('tier', 'premium');
-    });
-
-    test('should handle empty history', async () => {
-      const mockStatement = mockDb.prepare();
-      mockStatement.all.mockReturnValue([]);
+      database.all.mockResolvedValue([
+        { id: 2, userId: 1, tier: 'premium', amount: 20, status: 'active', paymentStatus: 'confirmed' },
+        { id: 1, userId: 1, tier: 'basic', amount: 5, status: 'expired', paymentStatus: 'confirmed' }
+      ]);
+      database.get.mockResolvedValue({ total: 2 });
 
-      const history = await subscriptionService.getSubscriptionHistory(1);
+      const { history, total } = await subscriptionService.getSubscriptionHistory(1, { limit: 10 });
 
-      expect(history).toBeInstanceOf(Array);
-      expect(history).toHaveLength(0);
-    });
-  });
-
-  describe('processSubscriptionRenewal()', () => {
-    test('should process automatic renewal', async () => {
-      const expiredUser = {
-        ...mockUser,
-        subscriptionTier: 'basic',
-        subscriptionExpiry: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(),
-        autoRenewal: true
-      };
-
-      const mockUserStatement = mockDb.prepare();
-      const mockUpdateStatement = mockDb.prepare();
-      const mockInsertStatement = mockDb.prepare();
-      
-      mockUserStatement.get.mockReturnValue(expiredUser);
-      mockUpdateStatement.run.mockReturnValue({ changes: 1 });
-      mockInsertStatement.run.mockReturnValue({ lastInsertRowid: 1 });
-
-      mockDb.prepare.mockImplementation((sql) => {
-        if (sql.includes('SELECT')) return mockUserStatement;
-        if (sql.includes('UPDATE')) return mockUpdateStatement;
-        if (sql.includes('INSERT')) return mockInsertStatement;
-        return { get: jest.fn(), all: jest.fn(), run: jest.fn() };
-      });
-
-      const result = await subscriptionService.processSubscriptionRenewal(1);
-
-      expect(result).toHaveProperty('renewed', true);
-      expect(result).toHaveProperty('newExpiry');
+      expect(history).toHaveLength(2);
+      expect(history[0]).toHaveProperty('tier', 'premium');
+      expect(total).toBe(2);
+      expect(database.all).toHaveBeenCalledWith(expect.any(String), [1, 10, 0]);
     });
 
-    test('should handle renewal failures', async () => {
-      const expiredUser = {
-        ...mockUser,
-        subscriptionTier: 'basic',
-        subscriptionExpiry: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(),
-        autoRenewal: true
-      };
-
-      const mockStatement = mockDb.prepare();
-      mockStatement.get.mockReturnValue(expiredUser);
-
-      // Mock payment failure
-      const { ethers } = require('ethers');
-      const mockContract = new ethers.Contract();
-      mockContract.transfer.mockRejectedValue(new Error('Insufficient balance'));
-
-      const result = await subscriptionService.processSubscriptionRenewal(1);
+    test('should handle empty history', async () => {
+      const { history, total } = await subscriptionService.getSubscriptionHistory(1);
 
-      expect(result).toHaveProperty('renewed', false);
-      expect(result).toHaveProperty('error');
+      expect(history).toEqual([]);
+      expect(total).toBe(0);
     });
   });
 
-  describe('validatePayment()', () => {
-    test('should validate successful payment', async () => {
-      const mockReceipt = {
-        status: 1,
-        transactionHash: '0x1234567890abcdef',
-        blockNumber: 12345678,
-        gasUsed: '21000'
-      };
+  describe('findUserByWallet()', () => {
+    test('should only match wallets verified with Sign-In With Ethereum', async () => {
+      database.get.mockResolvedValue(user);
 
-      // Mock provider transaction receipt
-      const { ethers } = require('ethers');
-      const mockProvider = new ethers.providers.JsonRpcProvider();
-      mockProvider.getTransactionReceipt = jest.fn().mockResolvedValue(mockReceipt);
+      await expect(subscriptionService.findUserByWallet(mockUser.walletAddress)).resolves.toBe(user);
 
-      const isValid = await subscriptionService.validatePayment('0x1234567890abcdef');
-
-      expect(isValid).toBe(true);
+      const [sql, params] = database.get.mock.calls[0];
+      expect(sql).toContain('walletVerifiedAt IS NOT NULL');
+      expect(params).toEqual([mockUser.walletAddress]);
     });
 
-    test('should handle failed payments', async () => {
-      const mockReceipt = {
-        status: 0, // Failed transaction
-        transactionHash: '0x1234567890abcdef',
-        blockNumber: 12345678
-      };
-
-      const { ethers } = require('ethers');
-      const mockProvider = new ethers.providers.JsonRpcProvider();
-      mockProvider.getTransactionReceipt = jest.fn().mockResolvedValue(mockReceipt);
-
-      const isValid = await subscriptionService.validatePayment('0x1234567890abcdef');
+    test('should return null when the lookup fails', async () => {
+      database.get.mockRejectedValue(new Error('SQLITE_BUSY'));
 
-      expect(isValid).toBe(false);
+      await expect(subscriptionService.findUserByWallet(mockUser.walletAddress)).resolves.toBeNull();
     });
   });
-});
\ No newline at end of file
+});
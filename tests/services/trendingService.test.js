@@ -0,0 +1,126 @@
+const { TrendingService } = require('../../src/services/trendingService.js');
+
+// Mock dependencies
+jest.mock('node-cron', () => ({
+  schedule: jest.fn(() => ({ stop: jest.fn() }))
+}));
+
+jest.mock('../../src/utils/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+jest.mock('../../src/config/chains.js', () => ({
+  getEnabledChains: jest.fn(() => [{ key: 'doma-testnet' }])
+}));
+
+jest.mock('../../src/database/models/domainEvent.js', () => ({
+  getDomainEventsSince: jest.fn()
+}));
+
+jest.mock('../../src/database/init.js', () => ({
+  database: {
+    run: jest.fn(),
+    get: jest.fn(),
+    all: jest.fn(),
+    transaction: jest.fn()
+  }
+}));
+
+jest.mock('../../src/database/models/trending.js', () => ({
+  getTrendingDomains: jest.fn(),
+  saveTrendingDomains: jest.fn().mockResolvedValue('2025-01-01T00:00:00.000Z')
+}));
+
+describe('TrendingService', () => {
+  const { getDomainEventsSince } = require('../../src/database/models/domainEvent.js');
+  const { getTrendingDomains, saveTrendingDomains } = require('../../src/database/models/trending.js');
+  let trendingService;
+
+  const event = (domain, eventType, price) => ({ domain, eventType, price });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    trendingService = new TrendingService();
+  });
+
+  describe('computeTrending()', () => {
+    test('should rank by volume, sales and price momentum', async () => {
+      getDomainEventsSince.mockResolvedValue([
+        event('whale.ape', 'sale', '100.0'),
+        event('busy.ape', 'listing', '5.0'),
+        event('busy.ape', 'sale', '6.0'),
+        event('busy.ape', 'sale', '8.0'),
+        event('quiet.ape', 'listing', '1.0')
+      ]);
+
+      const trending = await trendingService.computeTrending('doma-testnet', '24h');
+
+      expect(trending.map(entry => entry.domain)).toEqual(['whale.ape', 'busy.ape', 'quiet.ape']);
+      expect(trending[1]).toMatchObject({ volume: 14, sales: 2, listings: 1, lastPrice: 8, priceChange: 60 });
+    });
+
+    test('should only read events inside the timeframe', async () => {
+      getDomainEventsSince.mockResolvedValue([]);
+      const before = Date.now();
+
+      await trendingService.computeTrending('doma-testnet', '1h');
+
+      const since = Date.parse(getDomainEventsSince.mock.calls[0][1]);
+      expect(before - since).toBeGreaterThanOrEqual(60 * 60 * 1000);
+      expect(getDomainEventsSince.mock.calls[0][2]).toEqual(['sale', 'listing', 'priceChange']);
+    });
+  });
+
+  describe('getTrending()', () => {
+    test('should serve the materialised ranking', async () => {
+      getTrendingDomains.mockResolvedValue({ computedAt: '2025-01-01T00:00:00.000Z', trending: [] });
+
+      await trendingService.getTrending('doma-testnet', '24h', 10);
+
+      expect(saveTrendingDomains).not.toHaveBeenCalled();
+    });
+
+    test('should compute the ranking on first request', async () => {
+      getTrendingDomains.mockResolvedValueOnce({ computedAt: null, trending: [] });
+      getTrendingDomains.mockResolvedValueOnce({ computedAt: '2025-01-01T00:00:00.000Z', trending: [] });
+      getDomainEventsSince.mockResolvedValue([]);
+
+      const result = await trendingService.getTrending('doma-testnet', '24h', 10);
+
+      expect(saveTrendingDomains).toHaveBeenCalledWith('doma-testnet', '24h', []);
+      expect(result.computedAt).toBe('2025-01-01T00:00:00.000Z');
+    });
+  });
+
+  describe('ranking storage', () => {
+    const { database } = require('../../src/database/init.js');
+    const trending = jest.requireActual('../../src/database/models/trending.js');
+
+    beforeEach(() => {
+      database.transaction.mockImplementation(callback => callback());
+      database.run.mockResolvedValue({ changes: 1 });
+    });
+
+    test('should record when an empty ranking was computed', async () => {
+      const computedAt = await trending.saveTrendingDomains('doma-testnet', '24h', []);
+
+      const [sql, params] = database.run.mock.calls[1];
+      expect(sql).toContain('INSERT INTO trending_runs');
+      expect(params).toEqual(['doma-testnet', '24h', 0, computedAt]);
+    });
+
+    test('should report an empty ranking as computed', async () => {
+      database.all.mockResolvedValue([]);
+      database.get.mockResolvedValue({ computedAt: '2025-01-01T00:00:00.000Z' });
+
+      const result = await trending.getTrendingDomains('doma-testnet', '24h');
+
+      expect(result).toEqual({ trending: [], computedAt: '2025-01-01T00:00:00.000Z' });
+    });
+  });
+});